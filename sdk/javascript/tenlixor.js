@@ -11,6 +11,629 @@
 })(this, (function () {
   'use strict';
 
+  /**
+   * Default HTML allowlist: inline formatting, links and simple lists
+   */
+  const DEFAULT_HTML_ALLOWLIST = {
+    tags: [
+      'a', 'abbr', 'b', 'br', 'code', 'em', 'i', 'li', 'mark', 'ol', 'p',
+      's', 'small', 'span', 'strong', 'sub', 'sup', 'u', 'ul'
+    ],
+    attributes: {
+      '*': ['class', 'dir', 'lang', 'title'],
+      a: ['href', 'rel', 'target']
+    },
+    schemes: ['http', 'https', 'mailto', 'tel']
+  };
+
+  /**
+   * Elements removed together with their content
+   */
+  const DROP_WITH_CONTENT = ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math'];
+
+  /**
+   * Attributes holding URLs, checked against the allowed schemes
+   */
+  const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+
+  /**
+   * Check a URL against the allowed schemes (relative URLs are allowed)
+   * @param {string} url - URL attribute value
+   * @param {string[]} schemes - Allowed schemes
+   * @returns {boolean} True if the URL is allowed
+   */
+  function isAllowedUrl(url, schemes) {
+    // Browsers ignore control characters and whitespace inside schemes (e.g. "java\tscript:")
+    const normalized = url.replace(/[\u0000- ]/g, '');
+    const match = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+    return !match || schemes.indexOf(match[1].toLowerCase()) !== -1;
+  }
+
+  /**
+   * Sanitize an HTML string against an allowlist
+   *
+   * The markup is parsed in an inert <template>. Disallowed elements are
+   * unwrapped (their text is kept), except script-like elements which are
+   * dropped with their content.
+   *
+   * @param {string} html - HTML string
+   * @param {Object} [allowlist] - Allowed tags, attributes and schemes (fields default to DEFAULT_HTML_ALLOWLIST)
+   * @returns {{fragment: DocumentFragment, removed: string[]}} Sanitized content and stripped items
+   */
+  function sanitizeHtml(html, allowlist = {}) {
+    const tags = allowlist.tags || DEFAULT_HTML_ALLOWLIST.tags;
+    const attributes = allowlist.attributes || DEFAULT_HTML_ALLOWLIST.attributes;
+    const schemes = allowlist.schemes || DEFAULT_HTML_ALLOWLIST.schemes;
+    const removed = [];
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const sanitizeNode = (parent) => {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.COMMENT_NODE) {
+          parent.removeChild(node);
+          return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          return;
+        }
+
+        const tagName = node.tagName.toLowerCase();
+
+        if (tags.indexOf(tagName) === -1) {
+          removed.push(`<${tagName}>`);
+          if (DROP_WITH_CONTENT.indexOf(tagName) !== -1) {
+            parent.removeChild(node);
+          } else {
+            // Unwrap: sanitize and keep the children
+            sanitizeNode(node);
+            while (node.firstChild) {
+              parent.insertBefore(node.firstChild, node);
+            }
+            parent.removeChild(node);
+          }
+          return;
+        }
+
+        const allowedAttributes = (attributes['*'] || []).concat(attributes[tagName] || []);
+        Array.from(node.attributes).forEach(attribute => {
+          const name = attribute.name.toLowerCase();
+          if (allowedAttributes.indexOf(name) === -1) {
+            removed.push(`<${tagName} ${name}>`);
+            node.removeAttribute(attribute.name);
+          } else if (URL_ATTRIBUTES.indexOf(name) !== -1 && !isAllowedUrl(attribute.value, schemes)) {
+            removed.push(`<${tagName} ${name}="${attribute.value}">`);
+            node.removeAttribute(attribute.name);
+          }
+        });
+
+        // Links opening a new browsing context must not get access to the opener
+        if (tagName === 'a' && node.hasAttribute('target')) {
+          node.setAttribute('rel', 'noopener noreferrer');
+        }
+
+        sanitizeNode(node);
+      });
+    };
+
+    sanitizeNode(template.content);
+
+    return { fragment: template.content, removed };
+  }
+
+  /**
+   * Recursive descent parser for ICU message strings
+   *
+   * Supports simple arguments ({name}), typed arguments ({n, number},
+   * {d, date, short}, {d, time}), plural, selectordinal and select,
+   * including offset:, exact =N selectors, # and apostrophe quoting.
+   */
+  class MessageParser {
+    /**
+     * @param {string} message - Message source
+     */
+    constructor(message) {
+      this.message = message;
+      this.pos = 0;
+    }
+
+    /**
+     * Parse the whole message
+     * @returns {Array} Parsed nodes
+     * @throws {Error} If the message is malformed
+     */
+    parse() {
+      const nodes = this.parseNodes(false);
+      if (this.pos < this.message.length) {
+        throw this.error('Unexpected "}"');
+      }
+      return nodes;
+    }
+
+    parseNodes(inPlural) {
+      const nodes = [];
+      let text = '';
+
+      while (this.pos < this.message.length) {
+        const char = this.message[this.pos];
+
+        if (char === '}') {
+          break;
+        }
+
+        if (char === '{' || (char === '#' && inPlural)) {
+          if (text) {
+            nodes.push(text);
+            text = '';
+          }
+          if (char === '#') {
+            nodes.push({ type: 'pound' });
+            this.pos++;
+          } else {
+            nodes.push(this.parseArgument(inPlural));
+          }
+        } else if (char === "'") {
+          text += this.parseQuoted(inPlural);
+        } else {
+          text += char;
+          this.pos++;
+        }
+      }
+
+      if (text) {
+        nodes.push(text);
+      }
+      return nodes;
+    }
+
+    parseQuoted(inPlural) {
+      const next = this.message[this.pos + 1];
+
+      if (next === "'") {
+        this.pos += 2;
+        return "'";
+      }
+
+      if (next !== '{' && next !== '}' && !(inPlural && next === '#')) {
+        this.pos++;
+        return "'";
+      }
+
+      let text = '';
+      this.pos++;
+      while (this.pos < this.message.length) {
+        const char = this.message[this.pos];
+        if (char === "'") {
+          if (this.message[this.pos + 1] === "'") {
+            text += "'";
+            this.pos += 2;
+            continue;
+          }
+          this.pos++;
+          return text;
+        }
+        text += char;
+        this.pos++;
+      }
+      return text;
+    }
+
+    parseArgument(inPlural) {
+      this.pos++;
+      const name = this.readToken();
+      if (!name) {
+        throw this.error('Expected argument name');
+      }
+
+      if (this.consume('}')) {
+        return { type: 'argument', name };
+      }
+
+      this.expect(',');
+      const type = this.readToken();
+
+      switch (type) {
+        case 'plural':
+        case 'selectordinal':
+          this.expect(',');
+          return this.parsePlural(name, type === 'selectordinal');
+        case 'select':
+          this.expect(',');
+          return { type: 'select', name, options: this.parseOptions(inPlural) };
+        case 'number':
+        case 'date':
+        case 'time': {
+          let style;
+          if (this.consume(',')) {
+            style = this.readToken();
+          }
+          this.expect('}');
+          return { type: 'argument', name, format: type, style };
+        }
+        default:
+          throw this.error(`Unknown argument type "${type}"`);
+      }
+    }
+
+    parsePlural(name, ordinal) {
+      let offset = 0;
+      const start = this.pos;
+      const token = this.readToken();
+
+      if (token.indexOf('offset:') === 0) {
+        offset = Number(token.slice(7));
+        if (isNaN(offset)) {
+          throw this.error(`Invalid plural offset "${token}"`);
+        }
+      } else {
+        this.pos = start;
+      }
+
+      return { type: 'plural', name, ordinal, offset, options: this.parseOptions(true) };
+    }
+
+    parseOptions(inPlural) {
+      const options = {};
+
+      while (!this.consume('}')) {
+        const selector = this.readToken();
+        if (!selector) {
+          throw this.error('Expected selector');
+        }
+        this.expect('{');
+        options[selector] = this.parseNodes(inPlural);
+        this.expect('}');
+      }
+
+      if (!options.other) {
+        throw this.error('Missing "other" option');
+      }
+      return options;
+    }
+
+    readToken() {
+      this.skipWhitespace();
+      const start = this.pos;
+      while (this.pos < this.message.length && !/[\s{},]/.test(this.message[this.pos])) {
+        this.pos++;
+      }
+      return this.message.slice(start, this.pos);
+    }
+
+    consume(char) {
+      this.skipWhitespace();
+      if (this.message[this.pos] === char) {
+        this.pos++;
+        return true;
+      }
+      return false;
+    }
+
+    expect(char) {
+      if (!this.consume(char)) {
+        throw this.error(`Expected "${char}"`);
+      }
+    }
+
+    skipWhitespace() {
+      while (this.pos < this.message.length && /\s/.test(this.message[this.pos])) {
+        this.pos++;
+      }
+    }
+
+    error(message) {
+      return new Error(`${message} at position ${this.pos}`);
+    }
+  }
+
+  /**
+   * Intl formatter instances by locale and options
+   */
+  const formatterCache = {};
+
+  /**
+   * Get a cached Intl formatter, falling back to the runtime default locale for invalid tags
+   * @param {string} kind - Formatter kind (cache namespace)
+   * @param {string} locale - Locale tag
+   * @param {Object} options - Formatter options (part of the cache key)
+   * @param {Function} create - Formatter factory, called with a locale
+   * @returns {Object} Formatter instance
+   */
+  function getFormatter(kind, locale, options, create) {
+    const cacheKey = `${kind}|${locale}|${JSON.stringify(options)}`;
+    if (!formatterCache[cacheKey]) {
+      try {
+        formatterCache[cacheKey] = create(locale);
+      } catch (error) {
+        // Invalid locale tag: fall back to the runtime default locale
+        formatterCache[cacheKey] = create(undefined);
+      }
+    }
+    return formatterCache[cacheKey];
+  }
+
+  function selectPlural(value, locale, ordinal) {
+    if (typeof Intl === 'undefined' || !Intl.PluralRules) {
+      return value === 1 && !ordinal ? 'one' : 'other';
+    }
+    const options = { type: ordinal ? 'ordinal' : 'cardinal' };
+    return getFormatter('plural', locale, options, l => new Intl.PluralRules(l, options)).select(value);
+  }
+
+  function formatNumberValue(value, locale, style) {
+    if (typeof Intl === 'undefined') {
+      return String(value);
+    }
+    const options =
+      style === 'integer' ? { maximumFractionDigits: 0 } :
+        style === 'percent' ? { style: 'percent' } : {};
+    return getFormatter('number', locale, options, l => new Intl.NumberFormat(l, options)).format(value);
+  }
+
+  function formatDateValue(value, locale, format, style) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (typeof Intl === 'undefined') {
+      return format === 'time' ? date.toLocaleTimeString() : date.toLocaleDateString();
+    }
+    const length = style === 'full' || style === 'long' || style === 'medium' ? style : 'short';
+    const options = format === 'time' ? { timeStyle: length } : { dateStyle: length };
+    return getFormatter('date', locale, options, l => new Intl.DateTimeFormat(l, options)).format(date);
+  }
+
+  /**
+   * Format parsed message nodes
+   * @param {Array} nodes - Parsed nodes
+   * @param {Object} params - Argument values
+   * @param {string} locale - Locale used for plural rules and number/date formatting
+   * @param {number} [pluralValue] - Value substituted for # (internal)
+   * @returns {string} Formatted string
+   */
+  function formatMessage(nodes, params, locale, pluralValue) {
+    let result = '';
+
+    nodes.forEach(node => {
+      if (typeof node === 'string') {
+        result += node;
+        return;
+      }
+
+      switch (node.type) {
+        case 'pound':
+          result += pluralValue === undefined ? '#' : formatNumberValue(pluralValue, locale);
+          break;
+
+        case 'argument': {
+          const value = params[node.name];
+          if (value === undefined || value === null) {
+            result += `{${node.name}}`;
+          } else if (node.format === 'date' || node.format === 'time') {
+            result += formatDateValue(value, locale, node.format, node.style);
+          } else if (node.format === 'number' || typeof value === 'number') {
+            result += formatNumberValue(Number(value), locale, node.style);
+          } else if (value instanceof Date) {
+            result += formatDateValue(value, locale, 'date', node.style);
+          } else {
+            result += String(value);
+          }
+          break;
+        }
+
+        case 'plural': {
+          const value = Number(params[node.name]);
+          const relative = value - node.offset;
+          const option = node.options[`=${value}`] ||
+            (isNaN(value) ? undefined : node.options[selectPlural(relative, locale, node.ordinal)]) ||
+            node.options.other;
+          result += formatMessage(option, params, locale, isNaN(value) ? undefined : relative);
+          break;
+        }
+
+        case 'select': {
+          const value = params[node.name];
+          const option = (value !== undefined && value !== null && node.options[String(value)]) || node.options.other;
+          result += formatMessage(option, params, locale, pluralValue);
+          break;
+        }
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Instance used by the custom elements
+   */
+  let sharedInstance = null;
+
+  /**
+   * Connected custom elements, re-bound when the shared instance changes
+   */
+  const connectedElements = new Set();
+
+  /**
+   * Set the shared instance and re-bind connected elements
+   * @param {Tenlixor} instance - Tenlixor instance
+   */
+  function setSharedInstance(instance) {
+    sharedInstance = instance;
+    connectedElements.forEach(element => element.bind(instance));
+  }
+
+  /**
+   * Register the <txr-text> and <txr-lang-switcher> custom elements
+   */
+  function defineElements() {
+    /**
+     * Base element: follows the shared instance and re-renders on 'loaded' and 'language-changed'
+     */
+    class TenlixorElement extends HTMLElement {
+      constructor() {
+        super();
+        this.instance = null;
+        this.onUpdate = () => this.render();
+      }
+
+      connectedCallback() {
+        connectedElements.add(this);
+        this.bind(sharedInstance);
+      }
+
+      disconnectedCallback() {
+        connectedElements.delete(this);
+        this.bind(null);
+      }
+
+      attributeChangedCallback() {
+        if (this.isConnected) {
+          this.render();
+        }
+      }
+
+      /**
+       * Subscribe to an instance (null to unsubscribe)
+       * @param {Tenlixor|null} instance - Tenlixor instance
+       */
+      bind(instance) {
+        if (this.instance !== instance) {
+          if (this.instance) {
+            this.instance.off('loaded', this.onUpdate);
+            this.instance.off('language-changed', this.onUpdate);
+          }
+          this.instance = instance;
+          if (instance) {
+            instance.on('loaded', this.onUpdate);
+            instance.on('language-changed', this.onUpdate);
+          }
+        }
+        if (instance) {
+          this.render();
+        }
+      }
+    }
+
+    /**
+     * <txr-text key="cart.items" params='{"count":3}'>Fallback while loading</txr-text>
+     *
+     * Attributes: key, params (JSON message params), language (override)
+     */
+    class TxrTextElement extends TenlixorElement {
+      static get observedAttributes() {
+        return ['key', 'params', 'language'];
+      }
+
+      constructor() {
+        super();
+        // Light DOM children are the fallback shown until translations are loaded
+        this.attachShadow({ mode: 'open' }).innerHTML = '<slot></slot>';
+      }
+
+      render() {
+        const key = this.getAttribute('key');
+        if (!key || !this.instance || !this.instance.isReady()) {
+          if (!this.shadowRoot.querySelector('slot')) {
+            this.shadowRoot.innerHTML = '<slot></slot>';
+          }
+          return;
+        }
+
+        let params;
+        const json = this.getAttribute('params');
+        if (json) {
+          try {
+            params = JSON.parse(json);
+          } catch (error) {
+            console.warn(`Tenlixor: Invalid params on <txr-text key="${key}">:`, error);
+          }
+        }
+
+        this.shadowRoot.textContent = this.instance.t(key, params, this.getAttribute('language') || undefined);
+      }
+    }
+
+    /**
+     * <txr-lang-switcher languages="en,tr,ar" label="Language"></txr-lang-switcher>
+     *
+     * Renders a <select> (styleable via ::part(select)) that calls setLanguage().
+     * Attributes: languages (comma-separated, default: loaded languages), label (accessible name)
+     */
+    class TxrLangSwitcherElement extends TenlixorElement {
+      static get observedAttributes() {
+        return ['languages', 'label'];
+      }
+
+      constructor() {
+        super();
+        this.select = document.createElement('select');
+        this.select.setAttribute('part', 'select');
+        this.select.addEventListener('change', () => {
+          if (this.instance) {
+            // Failures are reported through the instance's 'error' event
+            this.instance.setLanguage(this.select.value).catch(() => this.render());
+          }
+        });
+        this.attachShadow({ mode: 'open' }).appendChild(this.select);
+      }
+
+      render() {
+        if (!this.instance) {
+          return;
+        }
+
+        const current = this.instance.getLanguage();
+        const attribute = this.getAttribute('languages');
+        const languages = attribute
+          ? attribute.split(',').map(code => code.trim()).filter(Boolean)
+          : this.instance.getAvailableLanguages();
+        if (languages.indexOf(current) === -1) {
+          languages.unshift(current);
+        }
+
+        this.select.textContent = '';
+        languages.forEach(code => {
+          const option = document.createElement('option');
+          option.value = code;
+          option.textContent = getLanguageName(code);
+          option.selected = code === current;
+          this.select.appendChild(option);
+        });
+
+        const label = this.getAttribute('label');
+        if (label) {
+          this.select.setAttribute('aria-label', label);
+        } else {
+          this.select.removeAttribute('aria-label');
+        }
+      }
+    }
+
+    if (!customElements.get('txr-text')) {
+      customElements.define('txr-text', TxrTextElement);
+    }
+    if (!customElements.get('txr-lang-switcher')) {
+      customElements.define('txr-lang-switcher', TxrLangSwitcherElement);
+    }
+  }
+
+  /**
+   * Get the name of a language in that language (e.g. 'Türkçe' for 'tr')
+   * @param {string} code - Language code
+   * @returns {string} Native language name, or the code if unavailable
+   */
+  function getLanguageName(code) {
+    if (typeof Intl === 'undefined' || !Intl.DisplayNames) {
+      return code;
+    }
+    try {
+      const options = { type: 'language' };
+      const name = getFormatter('displayNames', code, options, l => new Intl.DisplayNames(l ? [l] : [], options)).of(code);
+      return name ? name.charAt(0).toUpperCase() + name.slice(1) : code;
+    } catch (error) {
+      // Invalid language code
+      return code;
+    }
+  }
+
   /**
    * Main Tenlixor SDK Class
    */
@@ -26,6 +649,8 @@
      * @param {number} [config.cacheTTL=300000] - Cache TTL in milliseconds (default: 5 minutes)
      * @param {string} [config.fallbackLanguage='en'] - Fallback language if translation not found
      * @param {boolean} [config.autoScan=true] - Automatically scan DOM on init
+     * @param {boolean} [config.allowHtml=false] - Render translations as sanitized HTML (per element: data-txr-html)
+     * @param {Object} [config.htmlAllowlist] - Allowed HTML: { tags: string[], attributes: { [tag|'*']: string[] }, schemes: string[] }
      */
     constructor(config = {}) {
       if (!config.token) {
@@ -43,7 +668,9 @@
         cache: config.cache !== false,
         cacheTTL: config.cacheTTL || 300000, // 5 minutes
         fallbackLanguage: config.fallbackLanguage || 'en',
-        autoScan: config.autoScan !== false
+        autoScan: config.autoScan !== false,
+        allowHtml: config.allowHtml === true,
+        htmlAllowlist: config.htmlAllowlist || {}
       };
 
       this.data = {
@@ -60,6 +687,12 @@
       this.isInitialized = false;
       this.currentLanguage = this.config.language;
       this.isLoading = false;
+      this._messageCache = {};
+
+      // The first instance drives the <txr-text> and <txr-lang-switcher> elements
+      if (!sharedInstance) {
+        setSharedInstance(this);
+      }
     }
 
     /**
@@ -179,27 +812,70 @@
     /**
      * Translate a key to its value
      * @param {string} key - Translation key (e.g., 'app.welcome')
-     * @param {string} [languageCode] - Language code (optional, uses current language)
+     * @param {Object|string} [paramsOrLanguage] - ICU MessageFormat params (e.g., { count: 3 }) or language code
+     * @param {string} [languageCode] - Language code when params are given (optional, uses current language)
      * @returns {string} Translated value or key if not found
      */
-    t(key, languageCode) {
-      const lang = languageCode || this.currentLanguage;
+    t(key, paramsOrLanguage, languageCode) {
+      const params = paramsOrLanguage !== null && typeof paramsOrLanguage === 'object' ? paramsOrLanguage : undefined;
+      const lang = (typeof paramsOrLanguage === 'string' ? paramsOrLanguage : languageCode) || this.currentLanguage;
+      let value = null;
 
       // Try current language
       if (this.data.languages[lang] && this.data.languages[lang][key]) {
-        return this.data.languages[lang][key];
-      }
-
-      // Try fallback language
-      if (lang !== this.config.fallbackLanguage) {
-        if (this.data.languages[this.config.fallbackLanguage] && 
+        value = this.data.languages[lang][key];
+      } else if (lang !== this.config.fallbackLanguage) {
+        // Try fallback language
+        if (this.data.languages[this.config.fallbackLanguage] &&
             this.data.languages[this.config.fallbackLanguage][key]) {
-          return this.data.languages[this.config.fallbackLanguage][key];
+          value = this.data.languages[this.config.fallbackLanguage][key];
         }
       }
 
       // Return key as fallback (no error thrown)
-      return key;
+      if (value === null) {
+        return key;
+      }
+
+      // Plain values are returned as stored; anything with an argument or params is formatted
+      if (!params && value.indexOf('{') === -1) {
+        return value;
+      }
+      return this.formatValue(key, value, lang, params || {});
+    }
+
+    /**
+     * Format a raw value as an ICU message, caching the parsed message per key/language
+     * @param {string} key - Translation key
+     * @param {string} message - Raw value
+     * @param {string} lang - Language code used for plural rules and number/date formatting
+     * @param {Object} params - Message params
+     * @returns {string} Formatted value
+     */
+    formatValue(key, message, lang, params) {
+      const cacheKey = `${lang}:${key}`;
+      let cached = this._messageCache[cacheKey];
+
+      if (!cached || cached.message !== message) {
+        let nodes;
+        try {
+          nodes = new MessageParser(message).parse();
+        } catch (error) {
+          // Deferred so listeners never run during a render
+          Promise.resolve().then(() => {
+            this.emit('error', {
+              code: 'INVALID_MESSAGE',
+              message: `Tenlixor: Invalid message format for key "${key}": ${error.message}`,
+              error
+            });
+          });
+          nodes = [message];
+        }
+        cached = { message, nodes };
+        this._messageCache[cacheKey] = cached;
+      }
+
+      return formatMessage(cached.nodes, params, lang);
     }
 
     /**
@@ -264,13 +940,13 @@
         const key = element.getAttribute('data-txr-key');
         if (key && !element.hasAttribute('data-txr-resolved')) {
           const value = this.t(key, lang);
-          element.textContent = value;
+          this.applyValue(element, key, value);
           element.setAttribute('data-txr-resolved', 'true');
           element.setAttribute('data-txr-lang', lang);
         } else if (key && element.getAttribute('data-txr-lang') !== lang) {
           // Re-translate if language changed
           const value = this.t(key, lang);
-          element.textContent = value;
+          this.applyValue(element, key, value);
           element.setAttribute('data-txr-lang', lang);
         }
       });
@@ -279,6 +955,33 @@
       this.scanTextNodes(document.body, lang);
     }
 
+    /**
+     * Write a translation into an element, as sanitized HTML if enabled for it
+     * @param {Element} element - Target element
+     * @param {string} key - Translation key (for error reporting)
+     * @param {string} value - Translated value
+     */
+    applyValue(element, key, value) {
+      const htmlAttr = element.getAttribute('data-txr-html');
+      const allowHtml = htmlAttr === null ? this.config.allowHtml : htmlAttr !== 'false';
+
+      if (!allowHtml || value.indexOf('<') === -1) {
+        element.textContent = value;
+        return;
+      }
+
+      const result = sanitizeHtml(value, this.config.htmlAllowlist);
+      element.textContent = '';
+      element.appendChild(result.fragment);
+
+      if (result.removed.length > 0) {
+        this.emit('error', {
+          code: 'HTML_SANITIZED',
+          message: `Tenlixor: Removed disallowed HTML from "${key}": ${result.removed.join(', ')}`
+        });
+      }
+    }
+
     /**
      * Recursively scan text nodes for translation keys
      * @param {Node} node - Root node to scan
@@ -413,11 +1116,32 @@
           this._memoryCache = {};
         }
         this._memoryCache[cacheKey] = cacheData;
+        this.removeLegacyCache(languageCode, data.tenant_id);
       } catch (error) {
         console.warn('Tenlixor: Cache write error:', error);
       }
     }
 
+    /**
+     * Remove the entries earlier versions cached for a language under the tenant id
+     * (`txr_<tenant_id>_<lang>`, or `txr_default_<lang>` before the first response)
+     * @param {string} languageCode - Language code
+     * @param {string} [tenantId] - Tenant id from the API response
+     */
+    removeLegacyCache(languageCode, tenantId) {
+      if (typeof localStorage === 'undefined') {
+        return;
+      }
+
+      const cacheKey = this.getCacheKey(languageCode);
+      [tenantId, 'default'].forEach(legacyTenant => {
+        const legacyKey = `txr_${legacyTenant}_${languageCode}`;
+        if (legacyTenant && legacyKey !== cacheKey) {
+          localStorage.removeItem(legacyKey);
+        }
+      });
+    }
+
     /**
      * Clear cache for a language
      * @param {string} languageCode - Language code
@@ -429,6 +1153,7 @@
         if (typeof localStorage !== 'undefined') {
           localStorage.removeItem(cacheKey);
         }
+        this.removeLegacyCache(languageCode, this.data.tenant_id);
 
         if (this._memoryCache && this._memoryCache[cacheKey]) {
           delete this._memoryCache[cacheKey];
@@ -439,13 +1164,12 @@
     }
 
     /**
-     * Generate cache key
+     * Generate cache key (by tenant slug: the tenant id is unknown until the first response)
      * @param {string} languageCode - Language code
      * @returns {string} Cache key
      */
     getCacheKey(languageCode) {
-      const tenantId = this.data.tenant_id || 'default';
-      return `txr_${tenantId}_${languageCode}`;
+      return `txr_${this.config.tenantSlug}_${languageCode}`;
     }
 
     /**
@@ -471,6 +1195,27 @@
     isReady() {
       return this.isInitialized;
     }
+
+    /**
+     * Set the instance used by the <txr-text> and <txr-lang-switcher> elements
+     * (defaults to the first instance created)
+     * @param {Tenlixor} instance - Tenlixor instance
+     */
+    static setSharedInstance(instance) {
+      setSharedInstance(instance);
+    }
+
+    /**
+     * Get the instance used by the custom elements
+     * @returns {Tenlixor|null} Shared instance
+     */
+    static getSharedInstance() {
+      return sharedInstance;
+    }
+  }
+
+  if (typeof window !== 'undefined' && window.customElements && typeof HTMLElement !== 'undefined') {
+    defineElements();
   }
 
   return Tenlixor;
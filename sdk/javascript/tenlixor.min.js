@@ -2,4 +2,4 @@
  * Tenlixor JavaScript SDK v1.0.0
  * @license MIT
  */
-!function(e,t){"object"==typeof exports&&"undefined"!=typeof module?module.exports=t():"function"==typeof define&&define.amd?define(t):(e="undefined"!=typeof globalThis?globalThis:e||self).Tenlixor=t()}(this,function(){"use strict";class e{constructor(e={}){if(!e.token)throw new Error("Tenlixor: API token is required");if(!e.tenantSlug)throw new Error("Tenlixor: tenantSlug is required");this.config={token:e.token,tenantSlug:e.tenantSlug,language:e.language||"en",apiUrl:e.apiUrl||"https://api-tenlixor.verbytes.com/api/v1/strings",cache:!1!==e.cache,cacheTTL:e.cacheTTL||3e5,fallbackLanguage:e.fallbackLanguage||"en",autoScan:!1!==e.autoScan},this.data={tenant_id:null,languages:{}},this.listeners={loaded:[],error:[],"language-changed":[]},this.isInitialized=!1,this.currentLanguage=this.config.language,this.isLoading=!1}async init(){if(!this.isLoading){this.isLoading=!0;try{await this.fetchStrings(this.currentLanguage),this.isInitialized=!0,this.config.autoScan&&("loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>this.scan()):this.scan()),this.emit("loaded",{language:this.currentLanguage})}catch(e){this.emit("error",{code:"INIT_FAILED",message:e.message,error:e})}finally{this.isLoading=!1}}}async fetchStrings(e){if(this.config.cache){const t=this.getFromCache(e);if(t)return this.mergeData(t),t}try{const t=`${this.config.apiUrl}?language_code=${encodeURIComponent(e)}`,a=await fetch(t,{method:"GET",headers:{"X-Tenant-Slug":this.config.tenantSlug,"X-API-Key":this.config.token,"Content-Type":"application/json"}});if(!a.ok){if(401===a.status)throw new Error("UNAUTHORIZED: Invalid API token");throw new Error(`HTTP ${a.status}: ${a.statusText}`)}const n=await a.json();if(!n.success)throw new Error("API returned success: false");return n.data.tenant_id&&(this.data.tenant_id=n.data.tenant_id),this.mergeData(n.data),this.config.cache&&this.saveToCache(e,n.data),n.data}catch(t){if(this.config.cache){const a=this.getFromCache(e,!0);if(a)return this.mergeData(a),a}throw t}}mergeData(e){e.languages&&Array.isArray(e.languages)&&e.languages.forEach(e=>{const t={};e.resources&&Array.isArray(e.resources)&&e.resources.forEach(e=>{t[e.key]=e.value}),this.data.languages[e.code]=t})}t(e,t){const a=t||this.currentLanguage;return this.data.languages[a]&&this.data.languages[a][e]?this.data.languages[a][e]:a!==this.config.fallbackLanguage&&this.data.languages[this.config.fallbackLanguage]&&this.data.languages[this.config.fallbackLanguage][e]?this.data.languages[this.config.fallbackLanguage][e]:e}async setLanguage(e){if(e===this.currentLanguage)return;const t=this.currentLanguage;this.currentLanguage=e;try{await this.fetchStrings(e),this.scan(),this.emit("language-changed",{from:t,to:e})}catch(a){throw this.currentLanguage=t,this.emit("error",{code:"LANGUAGE_CHANGE_FAILED",message:a.message,error:a}),a}}async reload(){this.config.cache&&this.clearCache(this.currentLanguage),await this.fetchStrings(this.currentLanguage),this.scan(),this.emit("loaded",{language:this.currentLanguage,reloaded:!0})}scan(){if(!this.isInitialized)return;const e=this.currentLanguage;document.querySelectorAll("[data-txr-key]").forEach(t=>{const a=t.getAttribute("data-txr-key");if(a&&!t.hasAttribute("data-txr-resolved")){const n=this.t(a,e);t.textContent=n,t.setAttribute("data-txr-resolved","true"),t.setAttribute("data-txr-lang",e)}else if(a&&t.getAttribute("data-txr-lang")!==e){const n=this.t(a,e);t.textContent=n,t.setAttribute("data-txr-lang",e)}}),this.scanTextNodes(document.body,e)}scanTextNodes(e,t){if(e&&(e.nodeType!==Node.ELEMENT_NODE||!e.hasAttribute("data-txr-resolved")))if(e.nodeType===Node.TEXT_NODE){const a=e.textContent.trim();if(a&&this.data.languages[t]&&this.data.languages[t][a]){const n=this.t(a,t);e.textContent=n,e.parentElement&&(e.parentElement.setAttribute("data-txr-resolved","true"),e.parentElement.setAttribute("data-txr-key",a),e.parentElement.setAttribute("data-txr-lang",t))}}else if(e.nodeType===Node.ELEMENT_NODE){const a=e.tagName.toLowerCase();"script"!==a&&"style"!==a&&"noscript"!==a&&e.childNodes.forEach(e=>this.scanTextNodes(e,t))}}on(e,t){this.listeners[e]&&"function"==typeof t&&this.listeners[e].push(t)}off(e,t){this.listeners[e]&&(this.listeners[e]=this.listeners[e].filter(e=>e!==t))}emit(e,t){this.listeners[e]&&this.listeners[e].forEach(e=>{try{e(t)}catch(e){console.error(`Tenlixor: Error in ${event} listener:`,e)}})}getFromCache(e,t=!1){const a=this.getCacheKey(e);try{if("undefined"!=typeof localStorage){const n=localStorage.getItem(a);if(n){const a=JSON.parse(n);if(t||Date.now()-a.timestamp<this.config.cacheTTL)return a.data}}if(this._memoryCache&&this._memoryCache[a]){const n=this._memoryCache[a];if(t||Date.now()-n.timestamp<this.config.cacheTTL)return n.data}}catch(e){console.warn("Tenlixor: Cache read error:",e)}return null}saveToCache(e,t){const a=this.getCacheKey(e),n={timestamp:Date.now(),data:t};try{"undefined"!=typeof localStorage&&localStorage.setItem(a,JSON.stringify(n)),this._memoryCache||(this._memoryCache={}),this._memoryCache[a]=n}catch(e){console.warn("Tenlixor: Cache write error:",e)}}clearCache(e){const t=this.getCacheKey(e);try{"undefined"!=typeof localStorage&&localStorage.removeItem(t),this._memoryCache&&this._memoryCache[t]&&delete this._memoryCache[t]}catch(e){console.warn("Tenlixor: Cache clear error:",e)}}getCacheKey(e){return`txr_${this.data.tenant_id||"default"}_${e}`}getLanguage(){return this.currentLanguage}getAvailableLanguages(){return Object.keys(this.data.languages)}isReady(){return this.isInitialized}}return e});
+!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?module.exports=e():"function"==typeof define&&define.amd?define(e):(t="undefined"!=typeof globalThis?globalThis:t||self).Tenlixor=e()}(this,function(){"use strict";const t={tags:["a","abbr","b","br","code","em","i","li","mark","ol","p","s","small","span","strong","sub","sup","u","ul"],attributes:{"*":["class","dir","lang","title"],a:["href","rel","target"]},schemes:["http","https","mailto","tel"]},e=["script","style","template","iframe","object","embed","noscript","svg","math"],s=["href","src","action","formaction","xlink:href"];class a{constructor(t){this.message=t,this.pos=0}parse(){const t=this.parseNodes(!1);if(this.pos<this.message.length)throw this.error('Unexpected "}"');return t}parseNodes(t){const e=[];let s="";for(;this.pos<this.message.length;){const a=this.message[this.pos];if("}"===a)break;"{"===a||"#"===a&&t?(s&&(e.push(s),s=""),"#"===a?(e.push({type:"pound"}),this.pos++):e.push(this.parseArgument(t))):"'"===a?s+=this.parseQuoted(t):(s+=a,this.pos++)}return s&&e.push(s),e}parseQuoted(t){const e=this.message[this.pos+1];if("'"===e)return this.pos+=2,"'";if("{"!==e&&"}"!==e&&(!t||"#"!==e))return this.pos++,"'";let s="";for(this.pos++;this.pos<this.message.length;){const t=this.message[this.pos];if("'"===t){if("'"===this.message[this.pos+1]){s+="'",this.pos+=2;continue}return this.pos++,s}s+=t,this.pos++}return s}parseArgument(t){this.pos++;const e=this.readToken();if(!e)throw this.error("Expected argument name");if(this.consume("}"))return{type:"argument",name:e};this.expect(",");const s=this.readToken();switch(s){case"plural":case"selectordinal":return this.expect(","),this.parsePlural(e,"selectordinal"===s);case"select":return this.expect(","),{type:"select",name:e,options:this.parseOptions(t)};case"number":case"date":case"time":{let t;return this.consume(",")&&(t=this.readToken()),this.expect("}"),{type:"argument",name:e,format:s,style:t}}default:throw this.error(`Unknown argument type "${s}"`)}}parsePlural(t,e){let s=0;const a=this.pos,n=this.readToken();if(0===n.indexOf("offset:")){if(s=Number(n.slice(7)),isNaN(s))throw this.error(`Invalid plural offset "${n}"`)}else this.pos=a;return{type:"plural",name:t,ordinal:e,offset:s,options:this.parseOptions(!0)}}parseOptions(t){const e={};for(;!this.consume("}");){const s=this.readToken();if(!s)throw this.error("Expected selector");this.expect("{"),e[s]=this.parseNodes(t),this.expect("}")}if(!e.other)throw this.error('Missing "other" option');return e}readToken(){this.skipWhitespace();const t=this.pos;for(;this.pos<this.message.length&&!/[\s{},]/.test(this.message[this.pos]);)this.pos++;return this.message.slice(t,this.pos)}consume(t){return this.skipWhitespace(),this.message[this.pos]===t&&(this.pos++,!0)}expect(t){if(!this.consume(t))throw this.error(`Expected "${t}"`)}skipWhitespace(){for(;this.pos<this.message.length&&/\s/.test(this.message[this.pos]);)this.pos++}error(t){return new Error(`${t} at position ${this.pos}`)}}const n={};function i(t,e,s,a){const i=`${t}|${e}|${JSON.stringify(s)}`;if(!n[i])try{n[i]=a(e)}catch(t){n[i]=a(void 0)}return n[i]}function r(t,e,s){if("undefined"==typeof Intl)return String(t);const a="integer"===s?{maximumFractionDigits:0}:"percent"===s?{style:"percent"}:{};return i("number",e,a,t=>new Intl.NumberFormat(t,a)).format(t)}function o(t,e,s,a){const n=t instanceof Date?t:new Date(t);if("undefined"==typeof Intl)return"time"===s?n.toLocaleTimeString():n.toLocaleDateString();const r="full"===a||"long"===a||"medium"===a?a:"short",o="time"===s?{timeStyle:r}:{dateStyle:r};return i("date",e,o,t=>new Intl.DateTimeFormat(t,o)).format(n)}function c(t,e,s,a){let n="";return t.forEach(t=>{if("string"!=typeof t)switch(t.type){case"pound":n+=void 0===a?"#":r(a,s);break;case"argument":{const a=e[t.name];null==a?n+=`{${t.name}}`:"date"===t.format||"time"===t.format?n+=o(a,s,t.format,t.style):"number"===t.format||"number"==typeof a?n+=r(Number(a),s,t.style):a instanceof Date?n+=o(a,s,"date",t.style):n+=String(a);break}case"plural":{const a=Number(e[t.name]),r=a-t.offset,o=t.options[`=${a}`]||(isNaN(a)?void 0:t.options[function(t,e,s){if("undefined"==typeof Intl||!Intl.PluralRules)return 1!==t||s?"other":"one";const a={type:s?"ordinal":"cardinal"};return i("plural",e,a,t=>new Intl.PluralRules(t,a)).select(t)}(r,s,t.ordinal)])||t.options.other;n+=c(o,e,s,isNaN(a)?void 0:r);break}case"select":{const i=e[t.name],r=null!=i&&t.options[String(i)]||t.options.other;n+=c(r,e,s,a);break}}else n+=t}),n}let h=null;const l=new Set;function u(t){h=t,l.forEach(e=>e.bind(t))}return"undefined"!=typeof window&&window.customElements&&"undefined"!=typeof HTMLElement&&function(){class t extends HTMLElement{constructor(){super(),this.instance=null,this.onUpdate=()=>this.render()}connectedCallback(){l.add(this),this.bind(h)}disconnectedCallback(){l.delete(this),this.bind(null)}attributeChangedCallback(){this.isConnected&&this.render()}bind(t){this.instance!==t&&(this.instance&&(this.instance.off("loaded",this.onUpdate),this.instance.off("language-changed",this.onUpdate)),this.instance=t,t&&(t.on("loaded",this.onUpdate),t.on("language-changed",this.onUpdate))),t&&this.render()}}class e extends t{static get observedAttributes(){return["key","params","language"]}constructor(){super(),this.attachShadow({mode:"open"}).innerHTML="<slot></slot>"}render(){const t=this.getAttribute("key");if(!t||!this.instance||!this.instance.isReady())return void(this.shadowRoot.querySelector("slot")||(this.shadowRoot.innerHTML="<slot></slot>"));let e;const s=this.getAttribute("params");if(s)try{e=JSON.parse(s)}catch(e){console.warn(`Tenlixor: Invalid params on <txr-text key="${t}">:`,e)}this.shadowRoot.textContent=this.instance.t(t,e,this.getAttribute("language")||void 0)}}class s extends t{static get observedAttributes(){return["languages","label"]}constructor(){super(),this.select=document.createElement("select"),this.select.setAttribute("part","select"),this.select.addEventListener("change",()=>{this.instance&&this.instance.setLanguage(this.select.value).catch(()=>this.render())}),this.attachShadow({mode:"open"}).appendChild(this.select)}render(){if(!this.instance)return;const t=this.instance.getLanguage(),e=this.getAttribute("languages"),s=e?e.split(",").map(t=>t.trim()).filter(Boolean):this.instance.getAvailableLanguages();-1===s.indexOf(t)&&s.unshift(t),this.select.textContent="",s.forEach(e=>{const s=document.createElement("option");s.value=e,s.textContent=function(t){if("undefined"==typeof Intl||!Intl.DisplayNames)return t;try{const e={type:"language"},s=i("displayNames",t,e,t=>new Intl.DisplayNames(t?[t]:[],e)).of(t);return s?s.charAt(0).toUpperCase()+s.slice(1):t}catch(e){return t}}(e),s.selected=e===t,this.select.appendChild(s)});const a=this.getAttribute("label");a?this.select.setAttribute("aria-label",a):this.select.removeAttribute("aria-label")}}customElements.get("txr-text")||customElements.define("txr-text",e),customElements.get("txr-lang-switcher")||customElements.define("txr-lang-switcher",s)}(),class{constructor(t={}){if(!t.token)throw new Error("Tenlixor: API token is required");if(!t.tenantSlug)throw new Error("Tenlixor: tenantSlug is required");this.config={token:t.token,tenantSlug:t.tenantSlug,language:t.language||"en",apiUrl:t.apiUrl||"https://api-tenlixor.verbytes.com/api/v1/strings",cache:!1!==t.cache,cacheTTL:t.cacheTTL||3e5,fallbackLanguage:t.fallbackLanguage||"en",autoScan:!1!==t.autoScan,allowHtml:!0===t.allowHtml,htmlAllowlist:t.htmlAllowlist||{}},this.data={tenant_id:null,languages:{}},this.listeners={loaded:[],error:[],"language-changed":[]},this.isInitialized=!1,this.currentLanguage=this.config.language,this.isLoading=!1,this._messageCache={},h||u(this)}async init(){if(!this.isLoading){this.isLoading=!0;try{await this.fetchStrings(this.currentLanguage),this.isInitialized=!0,this.config.autoScan&&("loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>this.scan()):this.scan()),this.emit("loaded",{language:this.currentLanguage})}catch(t){this.emit("error",{code:"INIT_FAILED",message:t.message,error:t})}finally{this.isLoading=!1}}}async fetchStrings(t){if(this.config.cache){const e=this.getFromCache(t);if(e)return this.mergeData(e),e}try{const e=`${this.config.apiUrl}?language_code=${encodeURIComponent(t)}`,s=await fetch(e,{method:"GET",headers:{"X-Tenant-Slug":this.config.tenantSlug,"X-API-Key":this.config.token,"Content-Type":"application/json"}});if(!s.ok){if(401===s.status)throw new Error("UNAUTHORIZED: Invalid API token");throw new Error(`HTTP ${s.status}: ${s.statusText}`)}const a=await s.json();if(!a.success)throw new Error("API returned success: false");return a.data.tenant_id&&(this.data.tenant_id=a.data.tenant_id),this.mergeData(a.data),this.config.cache&&this.saveToCache(t,a.data),a.data}catch(e){if(this.config.cache){const e=this.getFromCache(t,!0);if(e)return this.mergeData(e),e}throw e}}mergeData(t){t.languages&&Array.isArray(t.languages)&&t.languages.forEach(t=>{const e={};t.resources&&Array.isArray(t.resources)&&t.resources.forEach(t=>{e[t.key]=t.value}),this.data.languages[t.code]=e})}t(t,e,s){const a=null!==e&&"object"==typeof e?e:void 0,n=("string"==typeof e?e:s)||this.currentLanguage;let i=null;return this.data.languages[n]&&this.data.languages[n][t]?i=this.data.languages[n][t]:n!==this.config.fallbackLanguage&&this.data.languages[this.config.fallbackLanguage]&&this.data.languages[this.config.fallbackLanguage][t]&&(i=this.data.languages[this.config.fallbackLanguage][t]),null===i?t:a||-1!==i.indexOf("{")?this.formatValue(t,i,n,a||{}):i}formatValue(t,e,s,n){const i=`${s}:${t}`;let r=this._messageCache[i];if(!r||r.message!==e){let s;try{s=new a(e).parse()}catch(a){Promise.resolve().then(()=>{this.emit("error",{code:"INVALID_MESSAGE",message:`Tenlixor: Invalid message format for key "${t}": ${a.message}`,error:a})}),s=[e]}r={message:e,nodes:s},this._messageCache[i]=r}return c(r.nodes,n,s)}async setLanguage(t){if(t===this.currentLanguage)return;const e=this.currentLanguage;this.currentLanguage=t;try{await this.fetchStrings(t),this.scan(),this.emit("language-changed",{from:e,to:t})}catch(t){throw this.currentLanguage=e,this.emit("error",{code:"LANGUAGE_CHANGE_FAILED",message:t.message,error:t}),t}}async reload(){this.config.cache&&this.clearCache(this.currentLanguage),await this.fetchStrings(this.currentLanguage),this.scan(),this.emit("loaded",{language:this.currentLanguage,reloaded:!0})}scan(){if(!this.isInitialized)return;const t=this.currentLanguage;document.querySelectorAll("[data-txr-key]").forEach(e=>{const s=e.getAttribute("data-txr-key");if(s&&!e.hasAttribute("data-txr-resolved")){const a=this.t(s,t);this.applyValue(e,s,a),e.setAttribute("data-txr-resolved","true"),e.setAttribute("data-txr-lang",t)}else if(s&&e.getAttribute("data-txr-lang")!==t){const a=this.t(s,t);this.applyValue(e,s,a),e.setAttribute("data-txr-lang",t)}}),this.scanTextNodes(document.body,t)}applyValue(a,n,i){const r=a.getAttribute("data-txr-html");if(!(null===r?this.config.allowHtml:"false"!==r)||-1===i.indexOf("<"))return void(a.textContent=i);const o=function(a,n={}){const i=n.tags||t.tags,r=n.attributes||t.attributes,o=n.schemes||t.schemes,c=[],h=document.createElement("template");h.innerHTML=a;const l=t=>{Array.from(t.childNodes).forEach(a=>{if(a.nodeType===Node.COMMENT_NODE)return void t.removeChild(a);if(a.nodeType!==Node.ELEMENT_NODE)return;const n=a.tagName.toLowerCase();if(-1===i.indexOf(n)){if(c.push(`<${n}>`),-1!==e.indexOf(n))t.removeChild(a);else{for(l(a);a.firstChild;)t.insertBefore(a.firstChild,a);t.removeChild(a)}return}const h=(r["*"]||[]).concat(r[n]||[]);Array.from(a.attributes).forEach(t=>{const e=t.name.toLowerCase();-1===h.indexOf(e)?(c.push(`<${n} ${e}>`),a.removeAttribute(t.name)):-1===s.indexOf(e)||function(t,e){const s=t.replace(/[\u0000- ]/g,""),a=/^([a-z][a-z0-9+.-]*):/i.exec(s);return!a||-1!==e.indexOf(a[1].toLowerCase())}(t.value,o)||(c.push(`<${n} ${e}="${t.value}">`),a.removeAttribute(t.name))}),"a"===n&&a.hasAttribute("target")&&a.setAttribute("rel","noopener noreferrer"),l(a)})};return l(h.content),{fragment:h.content,removed:c}}(i,this.config.htmlAllowlist);a.textContent="",a.appendChild(o.fragment),o.removed.length>0&&this.emit("error",{code:"HTML_SANITIZED",message:`Tenlixor: Removed disallowed HTML from "${n}": ${o.removed.join(", ")}`})}scanTextNodes(t,e){if(t&&(t.nodeType!==Node.ELEMENT_NODE||!t.hasAttribute("data-txr-resolved")))if(t.nodeType===Node.TEXT_NODE){const s=t.textContent.trim();if(s&&this.data.languages[e]&&this.data.languages[e][s]){const a=this.t(s,e);t.textContent=a,t.parentElement&&(t.parentElement.setAttribute("data-txr-resolved","true"),t.parentElement.setAttribute("data-txr-key",s),t.parentElement.setAttribute("data-txr-lang",e))}}else if(t.nodeType===Node.ELEMENT_NODE){const s=t.tagName.toLowerCase();"script"!==s&&"style"!==s&&"noscript"!==s&&t.childNodes.forEach(t=>this.scanTextNodes(t,e))}}on(t,e){this.listeners[t]&&"function"==typeof e&&this.listeners[t].push(e)}off(t,e){this.listeners[t]&&(this.listeners[t]=this.listeners[t].filter(t=>t!==e))}emit(t,e){this.listeners[t]&&this.listeners[t].forEach(s=>{try{s(e)}catch(e){console.error(`Tenlixor: Error in ${t} listener:`,e)}})}getFromCache(t,e=!1){const s=this.getCacheKey(t);try{if("undefined"!=typeof localStorage){const t=localStorage.getItem(s);if(t){const s=JSON.parse(t);if(e||Date.now()-s.timestamp<this.config.cacheTTL)return s.data}}if(this._memoryCache&&this._memoryCache[s]){const t=this._memoryCache[s];if(e||Date.now()-t.timestamp<this.config.cacheTTL)return t.data}}catch(t){console.warn("Tenlixor: Cache read error:",t)}return null}saveToCache(t,e){const s=this.getCacheKey(t),a={timestamp:Date.now(),data:e};try{"undefined"!=typeof localStorage&&localStorage.setItem(s,JSON.stringify(a)),this._memoryCache||(this._memoryCache={}),this._memoryCache[s]=a,this.removeLegacyCache(t,e.tenant_id)}catch(t){console.warn("Tenlixor: Cache write error:",t)}}removeLegacyCache(t,e){if("undefined"==typeof localStorage)return;const s=this.getCacheKey(t);[e,"default"].forEach(e=>{const a=`txr_${e}_${t}`;e&&a!==s&&localStorage.removeItem(a)})}clearCache(t){const e=this.getCacheKey(t);try{"undefined"!=typeof localStorage&&localStorage.removeItem(e),this.removeLegacyCache(t,this.data.tenant_id),this._memoryCache&&this._memoryCache[e]&&delete this._memoryCache[e]}catch(t){console.warn("Tenlixor: Cache clear error:",t)}}getCacheKey(t){return`txr_${this.config.tenantSlug}_${t}`}getLanguage(){return this.currentLanguage}getAvailableLanguages(){return Object.keys(this.data.languages)}isReady(){return this.isInitialized}static setSharedInstance(t){u(t)}static getSharedInstance(){return h}}});
\ No newline at end of file
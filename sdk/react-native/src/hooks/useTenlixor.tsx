@@ -5,7 +5,7 @@
 
 import { useState, useEffect, useCallback, useRef } from 'react';
 import type { Tenlixor } from '../tenlixor';
-import type { TranslateFunction } from '../types';
+import type { TranslateFunction, TenlixorMessageParams } from '../types';
 
 /**
  * Hook state interface
@@ -73,8 +73,12 @@ export function useTenlixor(txr: Tenlixor): UseTenlixorReturn {
   /**
    * Translation function with automatic re-rendering
    */
-  const t = useCallback((key: string, languageCode?: string): string => {
-    return txr.t(key, languageCode);
+  const t = useCallback((
+    key: string,
+    paramsOrLanguage?: TenlixorMessageParams | string,
+    languageCode?: string
+  ): string => {
+    return txr.t(key, paramsOrLanguage, languageCode);
   }, [txr]);
 
   /**
@@ -36,6 +36,7 @@
 
 // Core exports
 export { Tenlixor } from './tenlixor';
+export { TenlixorError } from './http';
 
 // Type exports
 export type {
@@ -45,15 +46,27 @@ export type {
   TenlixorResponseData,
   TenlixorResponse,
   TenlixorResponseMeta,
+  TenlixorRequest,
+  TenlixorTransport,
+  TenlixorTransportInit,
+  TenlixorTransportResponse,
+  TenlixorRequestInterceptor,
+  TenlixorResponseInterceptor,
+  TenlixorResponseContext,
   TenlixorLanguageMap,
   TenlixorDataStore,
   TenlixorCacheEntry,
   TenlixorLoadedEvent,
   TenlixorErrorEvent,
+  TenlixorErrorCode,
   TenlixorLanguageChangedEvent,
+  TenlixorProgressEvent,
+  TenlixorAuthFailedEvent,
+  TenlixorTokenProvider,
   TenlixorEventType,
   TenlixorEventHandler,
   TenlixorEventListeners,
+  TenlixorMessageParams,
   TranslateFunction,
   ITenlixor,
   IStorageAdapter
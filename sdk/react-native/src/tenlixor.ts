@@ -8,14 +8,123 @@ import type {
   TenlixorDataStore,
   TenlixorResponseData,
   TenlixorResponse,
+  TenlixorLanguage,
+  TenlixorResource,
   TenlixorEventType,
   TenlixorEventHandler,
   TenlixorEventListeners,
   TenlixorCacheEntry,
+  TenlixorMessageParams,
+  TenlixorRequest,
+  TenlixorTransportResponse,
   ITenlixor,
   IStorageAdapter
 } from './types';
 import { defaultStorageAdapter } from './storage/AsyncStorageAdapter';
+import { parseMessage, formatMessage, selectPlural } from './message-format';
+import type { MessageNode } from './message-format';
+import { fetchWithRetry, mapWithConcurrency, defaultTransport, TenlixorError, TokenManager } from './http';
+
+/**
+ * Separator between a key and its context/plural suffixes
+ */
+const VARIANT_SEPARATOR = '_';
+
+/**
+ * Apply changed resources to a catalog
+ *
+ * Resources are matched by key and context. Tombstones (resources with
+ * `deleted_at`) remove the matching resource and are not kept.
+ *
+ * @param base - Catalog to update, or null to build a new one from `changes`
+ * @param changes - Changed resources (a delta or a full catalog)
+ * @returns Updated catalog
+ */
+function applyDelta(base: TenlixorResponseData | null, changes: TenlixorResponseData): TenlixorResponseData {
+  const identify = (resource: TenlixorResource) => `${resource.key}\u0000${resource.context || ''}`;
+  const languages = new Map<string, Map<string, TenlixorResource>>();
+
+  const apply = (data: TenlixorResponseData) => {
+    (data.languages || []).forEach(lang => {
+      let resources = languages.get(lang.code);
+      if (!resources) {
+        resources = new Map();
+        languages.set(lang.code, resources);
+      }
+      for (const resource of lang.resources || []) {
+        if (resource.deleted_at) {
+          resources.delete(identify(resource));
+        } else {
+          resources.set(identify(resource), resource);
+        }
+      }
+    });
+  };
+
+  if (base) {
+    apply(base);
+  }
+  apply(changes);
+
+  return {
+    tenant_id: base && !changes.tenant_id ? base.tenant_id : changes.tenant_id,
+    languages: Array.from(languages, ([code, resources]) => ({ code, resources: Array.from(resources.values()) }))
+  };
+}
+
+/**
+ * Get the most recent change time of a response
+ * @param data - Response data (tombstones included)
+ * @param previous - Previous high-water mark (optional)
+ * @returns Latest `updated_at`/`deleted_at` value, or `previous` if none is later
+ */
+function getHighWaterMark(data: TenlixorResponseData, previous?: string): string | undefined {
+  let mark = previous;
+  let markTime = previous ? Date.parse(previous) : -Infinity;
+
+  (data.languages || []).forEach(lang => {
+    (lang.resources || []).forEach(resource => {
+      [resource.updated_at, resource.deleted_at].forEach(value => {
+        const time = value ? Date.parse(value) : NaN;
+        if (!isNaN(time) && (time > markTime || isNaN(markTime))) {
+          mark = value as string;
+          markTime = time;
+        }
+      });
+    });
+  });
+
+  return mark;
+}
+
+/**
+ * Count the resources in a response
+ * @param data - Response data
+ * @returns Number of resources across all languages
+ */
+function countResources(data: TenlixorResponseData): number {
+  return (data.languages || []).reduce((count, lang) => count + (lang.resources ? lang.resources.length : 0), 0);
+}
+
+/**
+ * Combine the pages of a paginated response, in page order
+ * @param pages - Response data of each page
+ * @returns Data with the resources of all pages
+ */
+function combinePages(pages: TenlixorResponseData[]): TenlixorResponseData {
+  const languages = new Map<string, TenlixorLanguage>();
+  pages.forEach(page => {
+    (page.languages || []).forEach(lang => {
+      const combined = languages.get(lang.code);
+      if (combined) {
+        combined.resources = combined.resources.concat(lang.resources || []);
+      } else {
+        languages.set(lang.code, { code: lang.code, resources: (lang.resources || []).slice() });
+      }
+    });
+  });
+  return { tenant_id: pages[0].tenant_id, languages: Array.from(languages.values()) };
+}
 
 /**
  * Main Tenlixor React Native SDK Class
@@ -26,8 +135,18 @@ export class Tenlixor implements ITenlixor {
   private listeners: TenlixorEventListeners;
   private isInitialized: boolean;
   private currentLanguage: string;
-  private isLoading: boolean;
+  private appliedLanguage: string;
+  private initRequest: Promise<void> | null;
+  private readyPromise: Promise<void>;
+  private resolveReady!: () => void;
+  private languageChange: Promise<void> | null;
+  private languageRequest: number;
+  private pendingRequests: Map<string, Promise<TenlixorResponseData>>;
+  private tokens: TokenManager;
+  private authFailure: unknown;
   private memoryCache: Map<string, TenlixorCacheEntry>;
+  private legacyStorageChecked: Set<string>;
+  private messageCache: Map<string, { message: string; nodes: MessageNode[] }>;
   private storage: IStorageAdapter;
 
   /**
@@ -52,7 +171,15 @@ export class Tenlixor implements ITenlixor {
       persistentStorage: config.persistentStorage !== false,
       storageKey: config.storageKey || '@tenlixor',
       cacheTTL: config.cacheTTL || 300000, // 5 minutes
-      fallbackLanguage: config.fallbackLanguage || 'en'
+      fallbackLanguage: config.fallbackLanguage || 'en',
+      timeout: config.timeout !== undefined ? config.timeout : 10000,
+      retries: config.retries !== undefined ? config.retries : 3,
+      retryDelay: config.retryDelay !== undefined ? config.retryDelay : 500,
+      pageConcurrency: config.pageConcurrency || 4,
+      deltaSync: config.deltaSync !== false,
+      transport: config.transport || defaultTransport,
+      onRequest: config.onRequest || (request => request),
+      onResponse: config.onResponse || (body => body)
     };
 
     this.data = {
@@ -63,111 +190,166 @@ export class Tenlixor implements ITenlixor {
     this.listeners = {
       loaded: [],
       error: [],
-      'language-changed': []
+      'language-changed': [],
+      progress: [],
+      'auth-failed': []
     };
 
     this.isInitialized = false;
     this.currentLanguage = this.config.language;
-    this.isLoading = false;
+    this.appliedLanguage = this.config.language;
+    this.initRequest = null;
+    this.readyPromise = new Promise(resolve => {
+      this.resolveReady = resolve;
+    });
+    this.languageChange = null;
+    this.languageRequest = 0;
+    this.pendingRequests = new Map();
+    this.tokens = new TokenManager(config.token);
+    this.authFailure = null;
     this.memoryCache = new Map();
+    this.legacyStorageChecked = new Set();
+    this.messageCache = new Map();
     this.storage = storageAdapter || defaultStorageAdapter;
   }
 
   /**
    * Initialize SDK: try to load from storage, then fetch from API
+   *
+   * Calls made while a load is in flight share it.
    */
-  public async init(): Promise<void> {
-    if (this.isLoading) {
-      return;
+  public init(): Promise<void> {
+    if (!this.initRequest) {
+      this.initRequest = this.initialize().finally(() => {
+        this.initRequest = null;
+      });
     }
+    return this.initRequest;
+  }
 
-    this.isLoading = true;
+  /**
+   * Wait until the first load (from storage or the API) has completed
+   *
+   * Never rejects: if init() fails, the promise stays pending until a later
+   * init() succeeds (failures are reported through the `error` event).
+   *
+   * @returns Promise resolving once strings are available
+   */
+  public ready(): Promise<void> {
+    return this.readyPromise;
+  }
+
+  /**
+   * Load strings for the current language from storage, then from the API
+   */
+  private async initialize(): Promise<void> {
+    const language = this.currentLanguage;
 
     try {
       // Try to load from persistent storage first
       if (this.config.persistentStorage) {
-        const storedData = await this.loadFromStorage(this.currentLanguage);
+        const storedData = await this.loadFromStorage(language);
         if (storedData) {
           this.mergeData(storedData);
           this.isInitialized = true;
-          this.emit('loaded', { language: this.currentLanguage, fromStorage: true });
+          this.emit('loaded', { language, fromStorage: true });
+          this.resolveReady();
         }
       }
 
       // Fetch fresh data from API
-      await this.fetchStrings(this.currentLanguage);
+      await this.fetchStrings(language);
       this.isInitialized = true;
-      this.emit('loaded', { language: this.currentLanguage, fromStorage: false });
+      this.emit('loaded', { language, fromStorage: false });
+      this.resolveReady();
     } catch (error) {
       // If we loaded from storage, we can continue even if API fails
       if (this.isInitialized) {
         console.warn('[Tenlixor] API fetch failed, using stored data', error);
       } else {
-        this.emit('error', {
-          code: 'INIT_FAILED',
-          message: error instanceof Error ? error.message : 'Unknown error',
-          error: error instanceof Error ? error : undefined
-        });
+        this.emitRequestError('INIT_FAILED', error);
       }
-    } finally {
-      this.isLoading = false;
     }
   }
 
   /**
    * Fetch strings from API for a specific language
    * @param languageCode - Language code to fetch
+   * @param revalidate - Ask the API even if the memory cache is fresh (conditionally, when validators are cached)
    * @returns Fetched data
    */
-  private async fetchStrings(languageCode: string): Promise<TenlixorResponseData> {
+  private async fetchStrings(languageCode: string, revalidate: boolean = false): Promise<TenlixorResponseData> {
     // Check memory cache first
-    const cached = this.getFromMemoryCache(languageCode);
+    const cached = revalidate ? null : this.getFromMemoryCache(languageCode);
     if (cached) {
       this.mergeData(cached);
       return cached;
     }
 
+    // Share a request that is already in flight
+    let request = this.pendingRequests.get(languageCode);
+    if (!request) {
+      request = this.requestStrings(languageCode).finally(() => {
+        this.pendingRequests.delete(languageCode);
+      });
+      this.pendingRequests.set(languageCode, request);
+    }
+    return request;
+  }
+
+  /**
+   * Request strings from API, falling back to stored data
+   *
+   * A cached entry with an ETag or Last-Modified date makes the request
+   * conditional; a 304 keeps the cached strings and restarts their TTL.
+   * With `deltaSync`, a cached entry's high-water mark limits the response to
+   * resources changed since then, which are applied to the cached catalog.
+   *
+   * @param languageCode - Language code to fetch
+   * @returns Fetched data
+   */
+  private async requestStrings(languageCode: string): Promise<TenlixorResponseData> {
     try {
+      const cached = await this.getCacheEntry(languageCode);
       const url = `${this.config.apiUrl}?language_code=${encodeURIComponent(languageCode)}`;
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'X-Tenant-Slug': this.config.tenantSlug,
-          'X-API-Key': this.config.token,
-          'Content-Type': 'application/json'
+
+      const since = this.config.deltaSync && cached ? cached.updatedSince : undefined;
+      const result = await this.fetchCatalog(url, languageCode, cached, since).catch(error => {
+        if (since && error instanceof TenlixorError && error.code === 'HTTP_4XX') {
+          // The server rejected the delta (e.g. the mark is too old): fall back to a full sync
+          return this.fetchCatalog(url, languageCode, null);
         }
+        throw error;
       });
 
-      if (!response.ok) {
-        if (response.status === 401) {
-          throw new Error('UNAUTHORIZED: Invalid API token');
+      // Not modified (null): reuse the parsed cache entry with a new timestamp
+      const entry: Partial<TenlixorCacheEntry> = result
+        ? {
+          data: applyDelta(result.delta && cached ? cached.data : null, result.data),
+          etag: result.etag,
+          lastModified: result.lastModified,
+          updatedSince: getHighWaterMark(result.data, result.delta && cached ? cached.updatedSince : undefined)
         }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const result: TenlixorResponse = await response.json();
-
-      if (!result.success) {
-        throw new Error('API returned success: false');
-      }
+        : cached as TenlixorCacheEntry;
+      const data = entry.data as TenlixorResponseData;
 
       // Store tenant_id
-      if (result.data.tenant_id) {
-        this.data.tenant_id = result.data.tenant_id;
+      if (data.tenant_id) {
+        this.data.tenant_id = data.tenant_id;
       }
 
       // Process data
-      this.mergeData(result.data);
+      this.mergeData(data);
 
       // Save to persistent storage
       if (this.config.persistentStorage) {
-        await this.saveToStorage(languageCode, result.data);
+        await this.saveToStorage(languageCode, data, entry);
       }
 
       // Save to memory cache
-      this.saveToMemoryCache(languageCode, result.data);
+      this.saveToMemoryCache(languageCode, data, entry);
 
-      return result.data;
+      return data;
     } catch (error) {
       // Try to use stored data on network error
       if (this.config.persistentStorage) {
@@ -181,6 +363,232 @@ export class Tenlixor implements ITenlixor {
     }
   }
 
+  /**
+   * Fetch a catalog, all of its pages, or the changes since a high-water mark
+   * @param url - Catalog URL
+   * @param languageCode - Language code
+   * @param cached - Cache entry whose validators make the request conditional (optional)
+   * @param since - High-water mark for a delta request (optional)
+   * @returns Response data with validators, or null if the catalog was not modified
+   */
+  private async fetchCatalog(
+    url: string,
+    languageCode: string,
+    cached: TenlixorCacheEntry | null,
+    since?: string
+  ): Promise<{ data: TenlixorResponseData; delta: boolean; etag?: string; lastModified?: string } | null> {
+    const headers = this.getRequestHeaders();
+    if (cached && cached.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+    if (cached && cached.lastModified) {
+      headers['If-Modified-Since'] = cached.lastModified;
+    }
+    if (since) {
+      url += `&updated_since=${encodeURIComponent(since)}`;
+    }
+
+    const result = await this.sendRequest(url, headers, async (response, request) => {
+      if (response.status === 304) {
+        if (!cached) {
+          throw new TenlixorError('INVALID_RESPONSE', 'Not Modified without a cached response', 304);
+        }
+        return null;
+      }
+      return {
+        body: await this.readApiResponse(response, request),
+        etag: response.headers.get('ETag') || undefined,
+        lastModified: response.headers.get('Last-Modified') || undefined
+      };
+    });
+
+    if (!result) {
+      return null;
+    }
+
+    return {
+      data: await this.fetchRemainingPages(url, result.body, languageCode),
+      // A server that cannot serve the delta may answer with the full catalog instead
+      delta: !!since && !(result.body.meta && result.body.meta.delta === false),
+      etag: result.etag,
+      lastModified: result.lastModified
+    };
+  }
+
+  /**
+   * Fetch the pages after the first one when the API paginated the catalog
+   *
+   * Pages are requested `pageConcurrency` at a time and combined in page order.
+   * A `progress` event is emitted for the first page and every page after it.
+   *
+   * @param url - URL of the first page
+   * @param first - First page
+   * @param languageCode - Language code
+   * @returns Data with the resources of all pages
+   */
+  private async fetchRemainingPages(
+    url: string,
+    first: TenlixorResponse,
+    languageCode: string
+  ): Promise<TenlixorResponseData> {
+    const meta = first.meta;
+    let loaded = countResources(first.data);
+    const total = meta && meta.total > loaded ? meta.total : loaded;
+    this.emit('progress', { language: languageCode, loaded, total });
+
+    if (!meta || !meta.limit || meta.total <= loaded) {
+      return first.data;
+    }
+
+    const pages: number[] = [];
+    for (let page = (meta.page || 1) + 1; page <= Math.ceil(meta.total / meta.limit); page++) {
+      pages.push(page);
+    }
+
+    const rest = await mapWithConcurrency(pages, this.config.pageConcurrency, async page => {
+      const body = await this.sendRequest(
+        `${url}&page=${page}&limit=${meta.limit}`,
+        this.getRequestHeaders(),
+        (response, request) => this.readApiResponse(response, request)
+      );
+      loaded += countResources(body.data);
+      this.emit('progress', { language: languageCode, loaded: Math.min(loaded, total), total });
+      return body.data;
+    });
+
+    return combinePages([first.data, ...rest]);
+  }
+
+  /**
+   * Send a GET request to the API, renewing the token once if it is rejected
+   *
+   * On a 401, a token provider is asked for a fresh token and the request is
+   * retried with it. If that is not possible or fails again, `auth-failed` is emitted.
+   *
+   * @param url - Request URL
+   * @param headers - Request headers (without the token)
+   * @param read - Reads the response; receives the request as sent
+   * @returns Value returned by `read`
+   */
+  private async sendRequest<T>(
+    url: string,
+    headers: Record<string, string>,
+    read: (response: TenlixorTransportResponse, request: TenlixorRequest) => Promise<T>
+  ): Promise<T> {
+    let token: string | null = null;
+    try {
+      token = await this.tokens.get();
+      try {
+        return await this.sendAuthorized(url, { ...headers, 'X-API-Key': token }, read);
+      } catch (error) {
+        if (!(error instanceof TenlixorError) || error.code !== 'UNAUTHORIZED') {
+          throw error;
+        }
+        const renewed = await this.tokens.renew(token);
+        if (!renewed) {
+          throw error;
+        }
+        token = renewed;
+        return await this.sendAuthorized(url, { ...headers, 'X-API-Key': renewed }, read);
+      }
+    } catch (error) {
+      if (error instanceof TenlixorError && error.code === 'UNAUTHORIZED') {
+        // Requests failing with the same token (or provider failure) are reported once
+        this.emitAuthFailed(error, token !== null ? token : error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a GET request through `onRequest` and the transport, with retries
+   * @param url - Request URL
+   * @param headers - Request headers
+   * @param read - Reads the response; receives the request as sent
+   * @returns Value returned by `read`
+   */
+  private async sendAuthorized<T>(
+    url: string,
+    headers: Record<string, string>,
+    read: (response: TenlixorTransportResponse, request: TenlixorRequest) => Promise<T>
+  ): Promise<T> {
+    const request: TenlixorRequest = { url, method: 'GET', headers };
+    const sent = (await this.config.onRequest(request)) || request;
+
+    return fetchWithRetry(
+      sent.url,
+      { method: sent.method, headers: sent.headers },
+      this.config,
+      response => read(response, sent)
+    );
+  }
+
+  /**
+   * Read an API response body, passing it through `onResponse`
+   * @param response - Successful response
+   * @param request - Request as sent
+   * @returns Parsed response
+   * @throws {TenlixorError} If the API did not report success
+   */
+  private async readApiResponse(response: TenlixorTransportResponse, request: TenlixorRequest): Promise<TenlixorResponse> {
+    const parsed = await response.json();
+    const body: TenlixorResponse = (await this.config.onResponse(parsed, {
+      request,
+      status: response.status,
+      headers: response.headers
+    })) || parsed;
+
+    if (!body || !body.success) {
+      throw new TenlixorError('INVALID_RESPONSE', 'API returned success: false', response.status);
+    }
+    return body;
+  }
+
+  /**
+   * Get the headers sent with every API request (the token is added when sending)
+   * @returns Request headers
+   */
+  private getRequestHeaders(): Record<string, string> {
+    return {
+      'X-Tenant-Slug': this.config.tenantSlug,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Emit `auth-failed`, once per rejected token
+   * @param error - Request or token provider error
+   * @param failure - What failed: the rejected token, or the error itself
+   */
+  private emitAuthFailed(error: TenlixorError, failure: unknown): void {
+    if (this.authFailure === failure) {
+      return;
+    }
+    this.authFailure = failure;
+    this.emit('auth-failed', {
+      message: error.message,
+      status: error.status,
+      error
+    });
+  }
+
+  /**
+   * Emit an error event for a failed load
+   *
+   * Request failures carry their TenlixorErrorCode; other failures use `fallbackCode`.
+   *
+   * @param fallbackCode - Code for errors that are not request errors
+   * @param error - Thrown value
+   */
+  private emitRequestError(fallbackCode: string, error: unknown): void {
+    this.emit('error', {
+      code: error instanceof TenlixorError ? error.code : fallbackCode,
+      message: error instanceof Error ? error.message : 'Unknown error',
+      status: error instanceof TenlixorError ? error.status : undefined,
+      error: error instanceof Error ? error : undefined
+    });
+  }
+
   /**
    * Merge fetched data into internal storage
    * @param data - Data from API
@@ -191,7 +599,11 @@ export class Tenlixor implements ITenlixor {
         const keyValueMap: { [key: string]: string } = {};
         if (lang.resources && Array.isArray(lang.resources)) {
           lang.resources.forEach(resource => {
-            keyValueMap[resource.key] = resource.value;
+            // Server-provided context variants are stored as `key_context`
+            const key = resource.context
+              ? `${resource.key}${VARIANT_SEPARATOR}${resource.context}`
+              : resource.key;
+            keyValueMap[key] = resource.value;
           });
         }
         this.data.languages[lang.code] = keyValueMap;
@@ -202,74 +614,212 @@ export class Tenlixor implements ITenlixor {
   /**
    * Translate a key to its value
    * @param key - Translation key (e.g., 'app.welcome')
+   * @param paramsOrLanguage - ICU MessageFormat params, or a language code (optional)
    * @param languageCode - Language code (optional, uses current language)
    * @returns Translated value or key if not found
+   *
+   * @example
+   * ```typescript
+   * txr.t('cart.items', { count: 3 }); // "{count, plural, one {# item} other {# items}}" -> "3 items"
+   * txr.t('app.welcome', 'tr');
+   * ```
    */
-  public t(key: string, languageCode?: string): string {
-    const lang = languageCode || this.currentLanguage;
+  public t(key: string, paramsOrLanguage?: TenlixorMessageParams | string, languageCode?: string): string {
+    const params = typeof paramsOrLanguage === 'object' && paramsOrLanguage !== null ? paramsOrLanguage : undefined;
+    const lang = (typeof paramsOrLanguage === 'string' ? paramsOrLanguage : languageCode) || this.currentLanguage;
+    const entry = this.lookup(key, lang, params);
 
-    // Try current language
-    if (this.data.languages[lang] && this.data.languages[lang][key]) {
-      return this.data.languages[lang][key];
+    // Return key as fallback (no error thrown)
+    if (entry === null) {
+      return key;
+    }
+
+    // Plain values are returned as stored; anything with an argument or params is formatted
+    if (!params && entry.value.indexOf('{') === -1) {
+      return entry.value;
     }
+    return this.formatValue(entry.key, entry.value, lang, params || {});
+  }
 
-    // Try fallback language
-    if (lang !== this.config.fallbackLanguage) {
-      if (this.data.languages[this.config.fallbackLanguage] &&
-        this.data.languages[this.config.fallbackLanguage][key]) {
-        return this.data.languages[this.config.fallbackLanguage][key];
+  /**
+   * Look up the raw value of a key in a language, then in the fallback language
+   *
+   * With `params.context` and/or `params.count`, variant keys are tried first in
+   * each language: `key_context_plural`, `key_context`, `key_plural`, then `key`.
+   *
+   * @param key - Translation key
+   * @param lang - Language code
+   * @param params - Message params (optional)
+   * @returns Raw value and the matched key, or null if not found
+   */
+  private lookup(key: string, lang: string, params?: TenlixorMessageParams): { value: string; key: string } | null {
+    const candidates = this.getKeyVariants(key, lang, params);
+    const languages = lang !== this.config.fallbackLanguage ? [lang, this.config.fallbackLanguage] : [lang];
+
+    for (const code of languages) {
+      const map = this.data.languages[code];
+      if (!map) {
+        continue;
+      }
+      for (const candidate of candidates) {
+        if (map[candidate]) {
+          return { value: map[candidate], key: candidate };
+        }
       }
     }
 
-    // Return key as fallback (no error thrown)
-    return key;
+    return null;
+  }
+
+  /**
+   * Get the keys to try for a lookup, most specific first
+   * @param key - Base translation key
+   * @param lang - Language code (for plural rules)
+   * @param params - Message params (optional)
+   * @returns Candidate keys
+   */
+  private getKeyVariants(key: string, lang: string, params?: TenlixorMessageParams): string[] {
+    const context = params && params.context !== undefined && params.context !== null && params.context !== ''
+      ? String(params.context)
+      : null;
+    const count = params && typeof params.count === 'number' ? params.count : null;
+
+    if (context === null && count === null) {
+      return [key];
+    }
+
+    const plural = count === null ? null : selectPlural(count, lang, false);
+    const candidates: string[] = [];
+    if (context !== null) {
+      if (plural !== null) {
+        candidates.push(`${key}${VARIANT_SEPARATOR}${context}${VARIANT_SEPARATOR}${plural}`);
+      }
+      candidates.push(`${key}${VARIANT_SEPARATOR}${context}`);
+    }
+    if (plural !== null) {
+      candidates.push(`${key}${VARIANT_SEPARATOR}${plural}`);
+    }
+    candidates.push(key);
+
+    return candidates;
+  }
+
+  /**
+   * Format a raw value as an ICU message, caching the parsed message per key/language
+   * @param key - Translation key
+   * @param message - Raw value
+   * @param lang - Language code used for plural rules and number/date formatting
+   * @param params - Message params
+   * @returns Formatted value
+   */
+  private formatValue(key: string, message: string, lang: string, params: TenlixorMessageParams): string {
+    const cacheKey = `${lang}:${key}`;
+    let cached = this.messageCache.get(cacheKey);
+
+    if (!cached || cached.message !== message) {
+      let nodes: MessageNode[];
+      try {
+        nodes = parseMessage(message);
+      } catch (error) {
+        const reason = error instanceof Error ? error.message : String(error);
+        // Deferred so listeners never run during a render
+        Promise.resolve().then(() => {
+          this.emit('error', {
+            code: 'INVALID_MESSAGE',
+            message: `[Tenlixor] Invalid message format for key "${key}": ${reason}`,
+            error: error instanceof Error ? error : undefined
+          });
+        });
+        nodes = [message];
+      }
+      cached = { message, nodes };
+      this.messageCache.set(cacheKey, cached);
+    }
+
+    return formatMessage(cached.nodes, params, lang);
   }
 
   /**
    * Change active language
+   *
+   * Switches are last-write-wins: a switch superseded by a later call before its
+   * strings arrived resolves without applying the language or emitting events.
+   * Calling again with the pending language returns the pending switch.
+   *
    * @param languageCode - New language code
    */
-  public async setLanguage(languageCode: string): Promise<void> {
+  public setLanguage(languageCode: string): Promise<void> {
     if (languageCode === this.currentLanguage) {
-      return;
+      return this.languageChange || Promise.resolve();
     }
 
-    const previousLanguage = this.currentLanguage;
+    const change: Promise<void> = this.changeLanguage(languageCode).finally(() => {
+      if (this.languageChange === change) {
+        this.languageChange = null;
+      }
+    });
+    this.languageChange = change;
+    return change;
+  }
+
+  /**
+   * Load a language and apply it unless a later switch superseded it
+   * @param languageCode - New language code
+   */
+  private async changeLanguage(languageCode: string): Promise<void> {
+    const request = ++this.languageRequest;
+    const previousLanguage = this.appliedLanguage;
     this.currentLanguage = languageCode;
 
+    if (languageCode === previousLanguage) {
+      // Switched back before a pending switch completed: nothing to load or announce
+      return;
+    }
+
     try {
       await this.fetchStrings(languageCode);
+      if (request !== this.languageRequest) {
+        return;
+      }
+
+      this.appliedLanguage = languageCode;
       this.emit('language-changed', {
         from: previousLanguage,
         to: languageCode
       });
     } catch (error) {
+      if (request !== this.languageRequest) {
+        return;
+      }
       this.currentLanguage = previousLanguage;
-      this.emit('error', {
-        code: 'LANGUAGE_CHANGE_FAILED',
-        message: error instanceof Error ? error.message : 'Unknown error',
-        error: error instanceof Error ? error : undefined
-      });
+      this.emitRequestError('LANGUAGE_CHANGE_FAILED', error);
       throw error;
     }
   }
 
   /**
    * Reload strings from API (bypass cache)
+   *
+   * Cached entries are revalidated rather than discarded, so unchanged
+   * catalogs are answered with 304 Not Modified.
    */
   public async reload(): Promise<void> {
-    // Clear memory cache for current language
-    this.clearMemoryCache(this.currentLanguage);
-
-    // Clear persistent storage for current language
-    if (this.config.persistentStorage) {
-      await this.removeFromStorage(this.currentLanguage);
-    }
-
-    await this.fetchStrings(this.currentLanguage);
+    await this.fetchStrings(this.currentLanguage, true);
     this.emit('loaded', { language: this.currentLanguage, reloaded: true });
   }
 
+  /**
+   * Replace the API token used for later requests
+   *
+   * A configured token provider is kept and still asked for a new token after a 401.
+   *
+   * @param token - New API token
+   */
+  public setToken(token: string): void {
+    this.tokens.set(token);
+    this.authFailure = null;
+  }
+
   /**
    * Clear all persistent storage data
    */
@@ -331,17 +881,28 @@ export class Tenlixor implements ITenlixor {
    * @returns Stored data or null
    */
   private async loadFromStorage(languageCode: string): Promise<TenlixorResponseData | null> {
+    const entry = await this.loadEntryFromStorage(languageCode);
+
+    // Check TTL
+    if (entry && Date.now() - entry.timestamp < this.config.cacheTTL) {
+      return entry.data;
+    }
+
+    return null;
+  }
+
+  /**
+   * Load a cache entry from persistent storage regardless of its age
+   * @param languageCode - Language code
+   * @returns Stored entry or null
+   */
+  private async loadEntryFromStorage(languageCode: string): Promise<TenlixorCacheEntry | null> {
     try {
       const storageKey = this.getStorageKey(languageCode);
       const stored = await this.storage.getItem(storageKey);
       
       if (stored) {
-        const parsed: TenlixorCacheEntry = JSON.parse(stored);
-        
-        // Check TTL
-        if (Date.now() - parsed.timestamp < this.config.cacheTTL) {
-          return parsed.data;
-        }
+        return JSON.parse(stored);
       }
     } catch (error) {
       console.warn('[Tenlixor] Storage read error:', error);
@@ -350,35 +911,66 @@ export class Tenlixor implements ITenlixor {
     return null;
   }
 
+  /**
+   * Get the cached entry used to validate a refresh: memory first, then storage
+   * @param languageCode - Language code
+   * @returns Cache entry or null
+   */
+  private async getCacheEntry(languageCode: string): Promise<TenlixorCacheEntry | null> {
+    const cached = this.memoryCache.get(this.getCacheKey(languageCode));
+    if (cached) {
+      return cached;
+    }
+    return this.config.persistentStorage ? this.loadEntryFromStorage(languageCode) : null;
+  }
+
   /**
    * Save data to persistent storage
    * @param languageCode - Language code
    * @param data - Data to save
+   * @param sync - Validators and high-water mark of the response (optional)
    */
-  private async saveToStorage(languageCode: string, data: TenlixorResponseData): Promise<void> {
+  private async saveToStorage(
+    languageCode: string,
+    data: TenlixorResponseData,
+    sync: Partial<TenlixorCacheEntry> = {}
+  ): Promise<void> {
     try {
       const storageKey = this.getStorageKey(languageCode);
       const cacheData: TenlixorCacheEntry = {
         timestamp: Date.now(),
-        data: data
+        data: data,
+        etag: sync.etag,
+        lastModified: sync.lastModified,
+        updatedSince: sync.updatedSince
       };
       
       await this.storage.setItem(storageKey, JSON.stringify(cacheData));
+      await this.removeLegacyStorage(languageCode, data.tenant_id);
     } catch (error) {
       console.warn('[Tenlixor] Storage write error:', error);
     }
   }
 
   /**
-   * Remove data from persistent storage
+   * Remove the entries earlier versions stored for a language under the tenant id
+   * (`<storageKey>_<tenant_id>_<lang>`, or `<storageKey>_default_<lang>` before the
+   * first response), once per language
    * @param languageCode - Language code
+   * @param tenantId - Tenant id from the API response
    */
-  private async removeFromStorage(languageCode: string): Promise<void> {
-    try {
-      const storageKey = this.getStorageKey(languageCode);
-      await this.storage.removeItem(storageKey);
-    } catch (error) {
-      console.warn('[Tenlixor] Storage remove error:', error);
+  private async removeLegacyStorage(languageCode: string, tenantId: string | null | undefined): Promise<void> {
+    if (this.legacyStorageChecked.has(languageCode)) {
+      return;
+    }
+    this.legacyStorageChecked.add(languageCode);
+
+    const storageKey = this.getStorageKey(languageCode);
+    for (const legacyTenant of [tenantId, 'default']) {
+      const legacyKey = `${this.config.storageKey}_${legacyTenant}_${languageCode}`;
+      if (legacyTenant && legacyKey !== storageKey) {
+        await this.storage.removeItem(legacyKey);
+      }
     }
   }
 
@@ -387,7 +979,7 @@ export class Tenlixor implements ITenlixor {
    * @returns Array of storage keys
    */
   private async getAllStorageKeys(): Promise<string[]> {
-    const prefix = `${this.config.storageKey}_${this.data.tenant_id || 'default'}_`;
+    const prefix = `${this.config.storageKey}_${this.config.tenantSlug}_`;
     
     // If storage adapter has a method to get keys with prefix, use it
     if ('getKeysWithPrefix' in this.storage && typeof (this.storage as any).getKeysWithPrefix === 'function') {
@@ -418,32 +1010,34 @@ export class Tenlixor implements ITenlixor {
    * Save data to memory cache
    * @param languageCode - Language code
    * @param data - Data to cache
+   * @param sync - Validators and high-water mark of the response (optional)
    */
-  private saveToMemoryCache(languageCode: string, data: TenlixorResponseData): void {
+  private saveToMemoryCache(
+    languageCode: string,
+    data: TenlixorResponseData,
+    sync: Partial<TenlixorCacheEntry> = {}
+  ): void {
     const cacheKey = this.getCacheKey(languageCode);
     this.memoryCache.set(cacheKey, {
       timestamp: Date.now(),
-      data: data
+      data: data,
+      etag: sync.etag,
+      lastModified: sync.lastModified,
+      updatedSince: sync.updatedSince
     });
   }
 
-  /**
-   * Clear memory cache for a language
-   * @param languageCode - Language code
-   */
-  private clearMemoryCache(languageCode: string): void {
-    const cacheKey = this.getCacheKey(languageCode);
-    this.memoryCache.delete(cacheKey);
-  }
-
   /**
    * Generate storage key
+   *
+   * Keyed by the configured tenant slug rather than the tenant id from the API,
+   * which is unknown before the first response (a cold start would miss the cache).
+   *
    * @param languageCode - Language code
    * @returns Storage key
    */
   private getStorageKey(languageCode: string): string {
-    const tenantId = this.data.tenant_id || 'default';
-    return `${this.config.storageKey}_${tenantId}_${languageCode}`;
+    return `${this.config.storageKey}_${this.config.tenantSlug}_${languageCode}`;
   }
 
   /**
@@ -452,8 +1046,7 @@ export class Tenlixor implements ITenlixor {
    * @returns Cache key
    */
   private getCacheKey(languageCode: string): string {
-    const tenantId = this.data.tenant_id || 'default';
-    return `txr_${tenantId}_${languageCode}`;
+    return `txr_${this.config.tenantSlug}_${languageCode}`;
   }
 
   /**
@@ -7,8 +7,11 @@
  * SDK Configuration Interface
  */
 export interface TenlixorConfig {
-  /** API authentication token (required) */
-  token: string;
+  /**
+   * API authentication token (required), or an async provider called for the
+   * first token and again when the API rejects the current one with a 401
+   */
+  token: string | TenlixorTokenProvider;
   /** Tenant slug identifier (required) */
   tenantSlug: string;
   /** Default language code */
@@ -23,8 +26,36 @@ export interface TenlixorConfig {
   cacheTTL?: number;
   /** Fallback language if translation not found */
   fallbackLanguage?: string;
+  /** Request timeout per attempt in milliseconds (default: 10000, 0 disables it) */
+  timeout?: number;
+  /** Retries for network errors, timeouts, 5xx and 429 responses (default: 3) */
+  retries?: number;
+  /** Base delay before the first retry in milliseconds, doubled on every retry (default: 500) */
+  retryDelay?: number;
+  /** Pages of a paginated catalog fetched in parallel (default: 4) */
+  pageConcurrency?: number;
+  /**
+   * Refresh cached catalogs with only the resources changed since the last
+   * fetch (`updated_since`), falling back to a full sync if the API rejects it
+   * (default: true)
+   */
+  deltaSync?: boolean;
+  /**
+   * Sends API requests (default: the global `fetch`). Accepts a custom fetch
+   * implementation or any request function returning a Response-like object.
+   */
+  transport?: TenlixorTransport;
+  /** Modify (or replace) API requests before they are sent, e.g. to add headers or rewrite the URL */
+  onRequest?: TenlixorRequestInterceptor;
+  /** Modify (or replace) parsed API response bodies before they are used */
+  onResponse?: TenlixorResponseInterceptor;
 }
 
+/**
+ * Token Provider: returns a fresh API token (e.g. from your backend)
+ */
+export type TenlixorTokenProvider = () => string | Promise<string>;
+
 /**
  * Translation Resource Interface
  */
@@ -37,6 +68,8 @@ export interface TenlixorResource {
   value: string;
   /** Optional description */
   description: string;
+  /** Context/gender variant of the key (e.g., 'female'), if any */
+  context?: string | null;
   /** User who created the resource */
   created_by: string | null;
   /** User who last updated the resource */
@@ -45,6 +78,8 @@ export interface TenlixorResource {
   created_at: string;
   /** Last update timestamp */
   updated_at: string;
+  /** Deletion timestamp; set on tombstones in delta responses */
+  deleted_at?: string | null;
 }
 
 /**
@@ -77,6 +112,8 @@ export interface TenlixorResponseMeta {
   limit: number;
   /** Total number of items */
   total: number;
+  /** False when a delta request (`updated_since`) was answered with the full catalog */
+  delta?: boolean;
 }
 
 /**
@@ -93,6 +130,90 @@ export interface TenlixorResponse {
   request_id: string;
 }
 
+/**
+ * API Request, as seen by `onRequest`
+ */
+export interface TenlixorRequest {
+  /** Request URL, including query parameters */
+  url: string;
+  /** HTTP method */
+  method: string;
+  /** Request headers (X-Tenant-Slug, X-API-Key, ...) */
+  headers: Record<string, string>;
+}
+
+/**
+ * Options passed to a transport (a subset of fetch's `RequestInit`)
+ */
+export interface TenlixorTransportInit {
+  /** HTTP method */
+  method: string;
+  /** Request headers */
+  headers: Record<string, string>;
+  /** Request body */
+  body?: string;
+  /** Aborts the request when it times out */
+  signal?: AbortSignal;
+  /** Let the request outlive the page (missing-key reports) */
+  keepalive?: boolean;
+}
+
+/**
+ * Response returned by a transport: the parts of a fetch `Response` the SDK reads
+ */
+export interface TenlixorTransportResponse {
+  /** Whether the status is 2xx */
+  ok: boolean;
+  /** HTTP status */
+  status: number;
+  /** HTTP status text */
+  statusText?: string;
+  /** Response headers (ETag, Last-Modified, Retry-After) */
+  headers: { get(name: string): string | null };
+  /** Parse the body as JSON */
+  json(): Promise<any>;
+}
+
+/**
+ * Transport: a fetch-compatible request function
+ *
+ * @example
+ * ```typescript
+ * transport: (url, init) => gatewayFetch(url, init)
+ * ```
+ */
+export type TenlixorTransport = (url: string, init: TenlixorTransportInit) => Promise<TenlixorTransportResponse>;
+
+/**
+ * Request Interceptor: mutate the request or return a replacement
+ */
+export type TenlixorRequestInterceptor = (
+  request: TenlixorRequest
+) => TenlixorRequest | void | Promise<TenlixorRequest | void>;
+
+/**
+ * Response Interceptor: mutate the parsed body or return a replacement
+ *
+ * Runs before the body is checked for `success`, so it can also unwrap
+ * bodies reshaped by a gateway. Not called for 304 Not Modified responses.
+ */
+export type TenlixorResponseInterceptor = (
+  body: any,
+  context: TenlixorResponseContext
+) => TenlixorResponse | void | Promise<TenlixorResponse | void>;
+
+/**
+ * Response Context passed to `onResponse`
+ */
+export interface TenlixorResponseContext {
+  /** Request that was sent (after `onRequest`) */
+  request: TenlixorRequest;
+  /** HTTP status */
+  status: number;
+  /** Response headers */
+  headers: { get(name: string): string | null };
+}
+
 /**
  * Internal Language Map (key-value pairs)
  */
@@ -118,6 +239,12 @@ export interface TenlixorCacheEntry {
   timestamp: number;
   /** Cached data */
   data: TenlixorResponseData;
+  /** ETag of the response, sent as If-None-Match on refresh */
+  etag?: string;
+  /** Last-Modified date of the response, sent as If-Modified-Since on refresh */
+  lastModified?: string;
+  /** Latest change time of the cached resources, sent as `updated_since` on refresh */
+  updatedSince?: string;
 }
 
 /**
@@ -132,11 +259,33 @@ export interface TenlixorLoadedEvent {
   fromStorage?: boolean;
 }
 
+/**
+ * Codes of failed API requests
+ *
+ * - `TIMEOUT`: no complete response within `timeout`
+ * - `NETWORK`: the request could not be sent (offline, DNS, ...)
+ * - `HTTP_5XX`: server error
+ * - `RATE_LIMITED`: 429 response
+ * - `UNAUTHORIZED`: 401 response (invalid API token)
+ * - `HTTP_4XX`: other client errors
+ * - `INVALID_RESPONSE`: the body could not be read or was not a successful API response
+ */
+export type TenlixorErrorCode =
+  | 'TIMEOUT'
+  | 'NETWORK'
+  | 'HTTP_5XX'
+  | 'RATE_LIMITED'
+  | 'UNAUTHORIZED'
+  | 'HTTP_4XX'
+  | 'INVALID_RESPONSE';
+
 export interface TenlixorErrorEvent {
-  /** Error code */
+  /** Error code (a TenlixorErrorCode for failed requests) */
   code: string;
   /** Error message */
   message: string;
+  /** HTTP status of a failed request, if a response was received */
+  status?: number;
   /** Original error object */
   error?: Error;
 }
@@ -148,10 +297,28 @@ export interface TenlixorLanguageChangedEvent {
   to: string;
 }
 
+export interface TenlixorProgressEvent {
+  /** Language code being loaded */
+  language: string;
+  /** Resources received so far */
+  loaded: number;
+  /** Total resources reported by the API */
+  total: number;
+}
+
+export interface TenlixorAuthFailedEvent {
+  /** Error message */
+  message: string;
+  /** HTTP status (401 if the API rejected the token) */
+  status?: number;
+  /** Request or token provider error */
+  error: Error;
+}
+
 /**
  * Event Types Union
  */
-export type TenlixorEventType = 'loaded' | 'error' | 'language-changed';
+export type TenlixorEventType = 'loaded' | 'error' | 'language-changed' | 'progress' | 'auth-failed';
 
 /**
  * Event Handler Type
@@ -165,12 +332,33 @@ export interface TenlixorEventListeners {
   loaded: TenlixorEventHandler<TenlixorLoadedEvent>[];
   error: TenlixorEventHandler<TenlixorErrorEvent>[];
   'language-changed': TenlixorEventHandler<TenlixorLanguageChangedEvent>[];
+  progress: TenlixorEventHandler<TenlixorProgressEvent>[];
+  'auth-failed': TenlixorEventHandler<TenlixorAuthFailedEvent>[];
+}
+
+/**
+ * ICU MessageFormat argument values
+ *
+ * `context` and `count` also select variant keys (`key_female`, `key_one`, ...).
+ */
+export interface TenlixorMessageParams {
+  /** Context or grammatical gender variant (resolves `key_<context>`) */
+  context?: string | null;
+  /** Count used for plural suffix variants (resolves `key_<category>`) */
+  count?: number;
+  [name: string]: string | number | boolean | Date | null | undefined;
 }
 
 /**
  * Translation Function Type
+ *
+ * The second argument is either message params or a language code
  */
-export type TranslateFunction = (key: string, languageCode?: string) => string;
+export type TranslateFunction = (
+  key: string,
+  paramsOrLanguage?: TenlixorMessageParams | string,
+  languageCode?: string
+) => string;
 
 /**
  * SDK Instance Interface
@@ -178,12 +366,14 @@ export type TranslateFunction = (key: string, languageCode?: string) => string;
 export interface ITenlixor {
   /** Initialize SDK */
   init(): Promise<void>;
-  /** Translate a key */
-  t(key: string, languageCode?: string): string;
+  /** Translate a key, formatting ICU MessageFormat params if given */
+  t(key: string, paramsOrLanguage?: TenlixorMessageParams | string, languageCode?: string): string;
   /** Change active language */
   setLanguage(languageCode: string): Promise<void>;
   /** Reload strings from API */
   reload(): Promise<void>;
+  /** Replace the API token used for later requests */
+  setToken(token: string): void;
   /** Clear persistent storage */
   clearStorage(): Promise<void>;
   /** Register event listener */
@@ -196,6 +386,8 @@ export interface ITenlixor {
   getAvailableLanguages(): string[];
   /** Check if SDK is ready */
   isReady(): boolean;
+  /** Wait until the first load has completed */
+  ready(): Promise<void>;
 }
 
 /**
@@ -0,0 +1,67 @@
+import { Tenlixor } from '../src/tenlixor';
+import type { TenlixorTransportResponse } from '../src/types';
+import { createBody, createResponse, flushPromises } from './helpers';
+
+describe('concurrent requests', () => {
+  const pending: Array<{ language: string; release: () => void }> = [];
+  const transport = jest.fn((url: string) => {
+    const language = new URL(url).searchParams.get('language_code') || 'en';
+    return new Promise<TenlixorTransportResponse>(resolve => {
+      pending.push({
+        language,
+        release: () => resolve(createResponse(createBody(language, [{ key: 'app.title', value: `title:${language}` }])))
+      });
+    });
+  });
+
+  /**
+   * Answer the pending requests for the given languages
+   */
+  async function release(...languages: string[]): Promise<void> {
+    await flushPromises();
+    pending.filter(request => languages.indexOf(request.language) !== -1).forEach(request => {
+      pending.splice(pending.indexOf(request), 1);
+      request.release();
+    });
+    await flushPromises();
+  }
+
+  let txr: Tenlixor;
+
+  beforeEach(() => {
+    pending.length = 0;
+    transport.mockClear();
+    txr = new Tenlixor({ token: 'test-token', tenantSlug: 'acme', persistentStorage: false, retries: 0, transport });
+  });
+
+  it('shares one load between concurrent init() calls and resolves ready()', async () => {
+    let ready = false;
+    void txr.ready().then(() => {
+      ready = true;
+    });
+    const first = txr.init();
+    expect(txr.init()).toBe(first);
+
+    await release('en');
+    await first;
+    expect(ready).toBe(true);
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  it('applies only the latest of rapid language switches', async () => {
+    void txr.init();
+    await release('en');
+    const events: Array<{ from: string; to: string }> = [];
+    txr.on('language-changed', event => events.push(event));
+
+    const toDe = txr.setLanguage('de');
+    const toFr = txr.setLanguage('fr');
+    await release('fr');
+    await release('de');
+    await Promise.all([toDe, toFr]);
+
+    expect(events).toEqual([{ from: 'en', to: 'fr' }]);
+    expect(txr.getLanguage()).toBe('fr');
+    expect(txr.t('app.title')).toBe('title:fr');
+  });
+});
@@ -0,0 +1,65 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import type { TenlixorLoadedEvent } from '../src/types';
+import { TestApi, createBody, createResponse, createTenlixor } from './helpers';
+
+describe('conditional requests', () => {
+  const catalog = createBody('en', [{ key: 'app.title', value: 'Hello' }]);
+  let api: TestApi;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    api = new TestApi();
+    api.handle = (_params, init) => init.headers['If-None-Match'] === '"v1"'
+      ? createResponse(null, 304)
+      : createResponse(catalog, 200, { ETag: '"v1"', 'Last-Modified': 'Mon, 05 Oct 2026 10:00:00 GMT' });
+  });
+
+  it('persists the validators under the tenant slug', async () => {
+    await createTenlixor(api, { persistentStorage: true }).init();
+
+    expect(await AsyncStorage.getAllKeys()).toEqual(['@tenlixor_acme_en']);
+    expect(JSON.parse((await AsyncStorage.getItem('@tenlixor_acme_en'))!)).toMatchObject({
+      etag: '"v1"',
+      lastModified: 'Mon, 05 Oct 2026 10:00:00 GMT'
+    });
+  });
+
+  it('removes the entries stored under the tenant id by earlier versions', async () => {
+    const legacy = JSON.stringify({ timestamp: Date.now(), data: catalog });
+    await AsyncStorage.multiSet(['@tenlixor_tenant-1_en', '@tenlixor_default_en', '@tenlixor_tenant-1_de'].map(key => [key, legacy]));
+
+    await createTenlixor(api, { persistentStorage: true }).init();
+
+    expect(api.requests).toHaveLength(1);
+    expect([...await AsyncStorage.getAllKeys()].sort()).toEqual(['@tenlixor_acme_en', '@tenlixor_tenant-1_de']);
+  });
+
+  it('revalidates the stored catalog after a restart', async () => {
+    await createTenlixor(api, { persistentStorage: true }).init();
+
+    // A new instance has no tenant id yet, but finds the entry and its ETag
+    const restarted = createTenlixor(api, { persistentStorage: true });
+    const events: TenlixorLoadedEvent[] = [];
+    restarted.on('loaded', event => events.push(event));
+    await restarted.init();
+
+    expect(api.requests).toHaveLength(2);
+    expect(api.requests[1].init.headers).toMatchObject({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 05 Oct 2026 10:00:00 GMT'
+    });
+    expect(events).toEqual([
+      { language: 'en', fromStorage: true },
+      { language: 'en', fromStorage: false }
+    ]);
+    expect(restarted.t('app.title')).toBe('Hello');
+  });
+
+  it('does not share stored catalogs between tenants', async () => {
+    await createTenlixor(api, { persistentStorage: true }).init();
+    await createTenlixor(api, { persistentStorage: true, tenantSlug: 'other' }).init();
+
+    expect(api.requests).toHaveLength(2);
+    expect(api.requests[1].init.headers['If-None-Match']).toBeUndefined();
+  });
+});
@@ -0,0 +1,63 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import type { TenlixorResource } from '../src/types';
+import { TestApi, createBody, createResponse, createTenlixor } from './helpers';
+
+describe('delta sync', () => {
+  let resources: TenlixorResource[];
+  let api: TestApi;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    resources = [
+      { key: 'app.title', value: 'Hello', updated_at: '2026-10-01T10:00:00Z' },
+      { key: 'app.save', value: 'Save', updated_at: '2026-10-02T10:00:00Z' },
+      { key: 'app.close', value: 'Close', updated_at: '2026-10-01T12:00:00Z' }
+    ] as TenlixorResource[];
+    api = new TestApi();
+    // Full syncs leave out tombstones; deltas include them
+    api.handle = params => {
+      const since = params.get('updated_since');
+      const changed = (resource: TenlixorResource) =>
+        Date.parse((resource.deleted_at || resource.updated_at) as string) > Date.parse(since as string);
+      return createResponse(createBody('en', since ? resources.filter(changed) : resources.filter(resource => !resource.deleted_at)));
+    };
+  });
+
+  it('asks only for changes after a restart and applies them', async () => {
+    await createTenlixor(api, { persistentStorage: true }).init();
+    expect(api.requests[0].params.has('updated_since')).toBe(false);
+
+    resources[0] = { ...resources[0], value: 'Hi', updated_at: '2026-10-03T10:00:00Z' };
+    resources[2] = { ...resources[2], deleted_at: '2026-10-03T11:00:00Z' };
+
+    // A new instance has no tenant id yet, but finds the stored entry and its mark
+    const restarted = createTenlixor(api, { persistentStorage: true });
+    await restarted.init();
+
+    expect(api.requests[1].params.get('updated_since')).toBe('2026-10-02T10:00:00Z');
+    expect(['app.title', 'app.save'].map(key => restarted.t(key))).toEqual(['Hi', 'Save']);
+    expect(JSON.parse((await AsyncStorage.getItem('@tenlixor_acme_en'))!)).toMatchObject({
+      updatedSince: '2026-10-03T11:00:00Z',
+      data: { languages: [{ code: 'en', resources: [expect.objectContaining({ value: 'Hi' }), expect.objectContaining({ key: 'app.save' })] }] }
+    });
+  });
+
+  it('falls back to a full sync when the API rejects the delta', async () => {
+    await createTenlixor(api, { persistentStorage: true }).init();
+    const handle = api.handle;
+    api.handle = (params, init) => params.has('updated_since')
+      ? createResponse({ success: false, message: 'updated_since is too old' }, 410)
+      : handle(params, init);
+
+    await createTenlixor(api, { persistentStorage: true }).init();
+
+    expect(api.requests.map(request => request.params.has('updated_since'))).toEqual([false, true, false]);
+  });
+
+  it('always syncs in full when deltaSync is off', async () => {
+    await createTenlixor(api, { persistentStorage: true, deltaSync: false }).init();
+    await createTenlixor(api, { persistentStorage: true, deltaSync: false }).init();
+
+    expect(api.requests.map(request => request.params.has('updated_since'))).toEqual([false, false]);
+  });
+});
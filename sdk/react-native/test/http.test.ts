@@ -0,0 +1,47 @@
+import { fetchWithRetry } from '../src/http';
+import type { TenlixorTransportResponse } from '../src/types';
+import { TestApi, createResponse, createTenlixor } from './helpers';
+
+describe('fetchWithRetry', () => {
+  const init = { method: 'GET', headers: {} };
+  const read = async (response: TenlixorTransportResponse) => response.json();
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('waits for Retry-After on 429 responses, capped at the maximum retry delay', async () => {
+    const responses = [
+      createResponse({}, 429, { 'Retry-After': '2' }),
+      createResponse({}, 429, { 'Retry-After': '3600' }),
+      createResponse({ ok: true })
+    ];
+    const transport = jest.fn(async () => responses.shift()!);
+    const result = fetchWithRetry('https://api/x', init, { transport, timeout: 0, retries: 2, retryDelay: 100 }, read);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(transport).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(29999);
+    expect(transport).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual({ ok: true });
+  });
+});
+
+describe('request errors', () => {
+  it('retries 5xx responses and reports the last failure with its typed code', async () => {
+    const api = new TestApi();
+    api.handle = () => createResponse({}, 502);
+    const txr = createTenlixor(api, { retries: 1, retryDelay: 1 });
+    const codes: string[] = [];
+    txr.on('error', event => codes.push(event.code));
+
+    await txr.init();
+    expect(api.transport).toHaveBeenCalledTimes(2);
+    expect(codes).toEqual(['HTTP_5XX']);
+  });
+});
@@ -0,0 +1,65 @@
+import type { TenlixorTransportInit } from '../src/types';
+import { TestApi, createBody, createResponse, createTenlixor } from './helpers';
+
+describe('paginated responses', () => {
+  const keys = Array.from({ length: 7 }, (_, index) => `key.${index + 1}`);
+  let api: TestApi;
+
+  beforeEach(() => {
+    api = new TestApi();
+    // Two resources per page; the first request carries no page parameters
+    api.handle = params => {
+      const page = Number(params.get('page') || 1);
+      const limit = Number(params.get('limit') || 2);
+      const resources = keys.slice((page - 1) * limit, page * limit).map(key => ({ key, value: `value of ${key}` }));
+      return createResponse(createBody('en', resources, { page, limit, total: keys.length }));
+    };
+  });
+
+  it('fetches the remaining pages and reports progress before loaded', async () => {
+    const txr = createTenlixor(api, { pageConcurrency: 1 });
+    const events: Array<string | number[]> = [];
+    txr.on('progress', event => events.push([event.loaded, event.total]));
+    txr.on('loaded', () => events.push('loaded'));
+    await txr.init();
+
+    expect(api.requests.map(request => request.params.get('page'))).toEqual([null, '2', '3', '4']);
+    expect(events).toEqual([[2, 7], [4, 7], [6, 7], [7, 7], 'loaded']);
+    expect(keys.map(key => txr.t(key))).toEqual(keys.map(key => `value of ${key}`));
+  });
+
+  it('requests at most pageConcurrency pages at a time', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const transport = async (url: string, init: TenlixorTransportInit) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return api.transport(url, init);
+    };
+
+    const txr = createTenlixor(api, { pageConcurrency: 2, transport });
+    await txr.init();
+
+    expect(api.requests).toHaveLength(4);
+    expect(maxInFlight).toBe(2);
+  });
+
+  it('fails the load instead of applying a partial catalog', async () => {
+    const handle = api.handle;
+    api.handle = (params, init) => {
+      if (params.get('page') === '3') {
+        throw new Error('offline');
+      }
+      return handle(params, init);
+    };
+    const txr = createTenlixor(api);
+    const errors: unknown[] = [];
+    txr.on('error', error => errors.push(error));
+    await txr.init();
+
+    expect(errors).toHaveLength(1);
+    expect(txr.t('key.1')).toBe('key.1');
+  });
+});
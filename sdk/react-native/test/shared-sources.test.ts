@@ -0,0 +1,21 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Modules copied from the TypeScript SDK: only the module header may differ
+ */
+describe('shared sources', () => {
+  const SHARED = ['http.ts', 'message-format.ts'];
+
+  /**
+   * Read a module without its header comment
+   */
+  function readBody(dir: string, file: string): string {
+    const source = readFileSync(join(dir, file), 'utf8');
+    return source.slice(source.indexOf('*/') + 2);
+  }
+
+  it.each(SHARED)('keeps src/%s identical to the TypeScript SDK', file => {
+    expect(readBody(join(__dirname, '../src'), file)).toBe(readBody(join(__dirname, '../../typescript/src'), file));
+  });
+});
@@ -0,0 +1,99 @@
+import type { TenlixorAuthFailedEvent, TenlixorErrorEvent, TenlixorTokenProvider } from '../src/types';
+import { TestApi, createResponse, createTenlixor } from './helpers';
+
+describe('token provider and re-authentication', () => {
+  let api: TestApi;
+  let validToken: string;
+  let authFailures: TenlixorAuthFailedEvent[];
+  let errors: TenlixorErrorEvent[];
+
+  beforeEach(() => {
+    validToken = 'token-1';
+    api = new TestApi({ en: { 'app.title': 'Hello' }, de: { 'app.title': 'Hallo' } });
+    const handle = api.handle;
+    // Rejects every token but the valid one
+    api.handle = (params, init) => init.headers['X-API-Key'] === validToken
+      ? handle(params, init)
+      : createResponse({ success: false, message: 'Invalid API token' }, 401);
+    authFailures = [];
+    errors = [];
+  });
+
+  /**
+   * Create an instance recording auth-failed and error events
+   */
+  function create(token: string | TenlixorTokenProvider) {
+    const txr = createTenlixor(api, { token });
+    txr.on('auth-failed', event => authFailures.push(event));
+    txr.on('error', event => errors.push(event));
+    return txr;
+  }
+
+  /**
+   * Provider handing out token-1, token-2, ... on each call
+   */
+  function createProvider(): jest.Mock<Promise<string>, []> {
+    let issued = 0;
+    return jest.fn(async () => `token-${++issued}`);
+  }
+
+  it('sends a static token and reports its rejection without retrying', async () => {
+    const txr = create('expired');
+    await txr.init();
+
+    expect(api.requests.map(request => request.init.headers['X-API-Key'])).toEqual(['expired']);
+    expect(errors.map(error => error.code)).toEqual(['UNAUTHORIZED']);
+    expect(authFailures).toEqual([{ message: expect.any(String), status: 401, error: expect.objectContaining({ code: 'UNAUTHORIZED' }) }]);
+  });
+
+  it('renews a rejected token once and retries the request', async () => {
+    const provider = createProvider();
+    const txr = create(provider);
+    await txr.init();
+    validToken = 'token-2';
+
+    await txr.setLanguage('de');
+
+    expect(provider).toHaveBeenCalledTimes(2);
+    expect(api.requests
+      .filter(request => request.params.get('language_code') === 'de')
+      .map(request => request.init.headers['X-API-Key'])).toEqual(['token-1', 'token-2']);
+    expect(txr.t('app.title')).toBe('Hallo');
+    expect(authFailures).toEqual([]);
+  });
+
+  it('emits auth-failed when the renewed token is rejected too', async () => {
+    const provider = createProvider();
+    validToken = 'none';
+    const txr = create(provider);
+    await txr.init();
+
+    expect(provider).toHaveBeenCalledTimes(2);
+    expect(api.requests.map(request => request.init.headers['X-API-Key'])).toEqual(['token-1', 'token-2']);
+    expect(authFailures).toHaveLength(1);
+  });
+
+  it('emits auth-failed when the provider fails', async () => {
+    const txr = create(() => Promise.reject(new Error('session expired')));
+    await txr.init();
+
+    expect(api.requests).toHaveLength(0);
+    expect(authFailures).toHaveLength(1);
+    expect(authFailures[0].error.message).toContain('session expired');
+  });
+
+  it('uses a token set with setToken() and reports its rejection again', async () => {
+    const txr = create('expired');
+    await txr.init();
+    expect(authFailures).toHaveLength(1);
+
+    txr.setToken('token-1');
+    await txr.init();
+    expect(api.requests[1].init.headers['X-API-Key']).toBe('token-1');
+    expect(txr.t('app.title')).toBe('Hello');
+
+    validToken = 'token-2';
+    await expect(txr.setLanguage('de')).rejects.toMatchObject({ code: 'UNAUTHORIZED' });
+    expect(authFailures).toHaveLength(2);
+  });
+});
@@ -0,0 +1,70 @@
+import type { TenlixorErrorEvent } from '../src/types';
+import { TestApi, createTenlixor, flushPromises } from './helpers';
+
+describe('t()', () => {
+  const api = new TestApi({
+    en: {
+      'cart.items': '{count, plural, =0 {Your cart is empty} one {# item} other {# items}}',
+      'app.quote': "It''s '{free}' today",
+      'app.plain': "Don''t panic",
+      'app.broken': 'Hello {name',
+      'greeting': 'Hello',
+      'greeting_female': 'Hello, madam'
+    },
+    tr: {
+      'app.welcome': 'Hoş geldiniz {name}'
+    }
+  });
+
+  it('formats ICU messages with params', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.t('cart.items', { count: 0 })).toBe('Your cart is empty');
+    expect(txr.t('cart.items', { count: 2 })).toBe('2 items');
+  });
+
+  it('formats values with arguments the same with and without params', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.t('app.quote')).toBe("It's {free} today");
+    expect(txr.t('app.quote')).toBe(txr.t('app.quote', {}));
+  });
+
+  it('returns values without arguments as stored when no params are passed', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.t('app.plain')).toBe("Don''t panic");
+    expect(txr.t('app.plain', {})).toBe("Don't panic");
+  });
+
+  it('returns malformed messages unformatted and reports them as errors', async () => {
+    const txr = createTenlixor(api);
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    await txr.init();
+
+    expect(txr.t('app.broken', { name: 'Ada' })).toBe('Hello {name');
+    await flushPromises();
+
+    expect(errors).toEqual([expect.objectContaining({ code: 'INVALID_MESSAGE', message: expect.stringContaining('"app.broken"') })]);
+  });
+
+  it('translates into the requested language', async () => {
+    const txr = createTenlixor(api, { language: 'tr' });
+    await txr.init();
+
+    expect(txr.t('app.welcome', { name: 'Ada' })).toBe('Hoş geldiniz Ada');
+    expect(txr.t('missing.key')).toBe('missing.key');
+  });
+
+  it('resolves context variants', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.t('greeting', { context: 'female' })).toBe('Hello, madam');
+    expect(txr.t('greeting', { context: 'male' })).toBe('Hello');
+  });
+});
@@ -0,0 +1,63 @@
+import type { TenlixorResponseContext } from '../src/types';
+import { TestApi, createBody, createResponse, createTenlixor } from './helpers';
+
+describe('transport and interceptors', () => {
+  let api: TestApi;
+
+  beforeEach(() => {
+    api = new TestApi({ en: { 'app.title': 'Hello' } });
+  });
+
+  it('sends requests through the transport instead of the global fetch', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch');
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(fetchSpy).not.toHaveBeenCalled();
+    expect(api.requests).toHaveLength(1);
+    expect(api.requests[0].init).toMatchObject({
+      method: 'GET',
+      headers: { 'X-Tenant-Slug': 'acme', 'X-API-Key': 'test-token' }
+    });
+    expect(txr.t('app.title')).toBe('Hello');
+    fetchSpy.mockRestore();
+  });
+
+  it('sends the request as modified or replaced by onRequest', async () => {
+    const modified = createTenlixor(api, {
+      onRequest: request => {
+        request.url = request.url.replace('https://api-tenlixor.verbytes.com', 'https://gateway.test/i18n');
+        request.headers['X-Trace-Id'] = 'trace-1';
+      }
+    });
+    await modified.init();
+    const replaced = createTenlixor(api, {
+      onRequest: async request => ({ ...request, headers: { Authorization: 'Bearer gateway' } })
+    });
+    await replaced.init();
+
+    expect(api.requests[0].url).toBe('https://gateway.test/i18n/api/v1/strings?language_code=en');
+    expect(api.requests[0].init.headers).toMatchObject({ 'X-Trace-Id': 'trace-1', 'X-API-Key': 'test-token' });
+    expect(api.requests[1].init.headers).toEqual({ Authorization: 'Bearer gateway' });
+  });
+
+  it('uses the body returned by onResponse, with the sent request as context', async () => {
+    api.handle = () => createResponse({ payload: createBody('en', [{ key: 'app.title', value: 'Wrapped' }]) });
+    const contexts: TenlixorResponseContext[] = [];
+    const txr = createTenlixor(api, {
+      onRequest: request => {
+        request.headers['X-Trace-Id'] = 'trace-1';
+      },
+      onResponse: (body, context) => {
+        contexts.push(context);
+        return body.payload;
+      }
+    });
+    await txr.init();
+
+    expect(txr.t('app.title')).toBe('Wrapped');
+    expect(contexts).toHaveLength(1);
+    expect(contexts[0].status).toBe(200);
+    expect(contexts[0].request.headers['X-Trace-Id']).toBe('trace-1');
+  });
+});
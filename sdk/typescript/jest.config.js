@@ -0,0 +1,10 @@
+/** @type {import('jest').Config} */
+module.exports = {
+  roots: ['<rootDir>/test'],
+  testEnvironment: '<rootDir>/test/jsdom-environment.js',
+  // Resolve the CommonJS builds of vue and react instead of the browser ESM ones
+  testEnvironmentOptions: { customExportConditions: ['node', 'node-addons'] },
+  transform: {
+    '^.+\\.tsx?$': ['ts-jest', { tsconfig: '<rootDir>/test/tsconfig.json' }]
+  }
+};
@@ -6,10 +6,24 @@
  * 1. Import TenlixorModule in your app.module.ts
  * 2. Initialize Tenlixor instance in your app.component.ts
  * 3. Use the pipe in templates: {{ 'app.welcome' | txrTranslate }}
+ * 4. Format values in the active language: {{ price | txrCurrency:'EUR' }}, {{ date | txrDate }}
+ * 5. Follow the language's writing direction: <main txrDir>...</main>
  */
 
-import { Pipe, PipeTransform, ChangeDetectorRef, OnDestroy } from '@angular/core';
+import {
+  Pipe,
+  PipeTransform,
+  ChangeDetectorRef,
+  OnDestroy,
+  Directive,
+  Input,
+  TemplateRef,
+  ViewContainerRef,
+  ElementRef,
+  Renderer2
+} from '@angular/core';
 import { Tenlixor } from '../tenlixor';
+import type { TenlixorMessageParams } from '../types';
 
 /**
  * Global Tenlixor instance holder
@@ -24,6 +38,16 @@ export function setTenlixorInstance(instance: Tenlixor): void {
   globalTenlixorInstance = instance;
 }
 
+/**
+ * Shallow-compare two params objects
+ */
+function sameParams(a?: TenlixorMessageParams, b?: TenlixorMessageParams): boolean {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(name => a[name] === b[name]);
+}
+
 /**
  * Tenlixor Translation Pipe
  * 
@@ -31,6 +55,9 @@ export function setTenlixorInstance(instance: Tenlixor): void {
  * ```html
  * <h1>{{ 'app.welcome' | txrTranslate }}</h1>
  * <p>{{ 'app.description' | txrTranslate:'tr' }}</p>
+ * <p>{{ 'cart.items' | txrTranslate:{ count: items.length } }}</p>
+ * <p>{{ 'profile.greeting' | txrTranslate:{ context: user.gender } }}</p>
+ * <p>{{ 'profile.greeting' | txrTranslate:{ context: user.gender }:'tr' }}</p>
  * ```
  */
 @Pipe({
@@ -41,7 +68,9 @@ export class TxrTranslatePipe implements PipeTransform, OnDestroy {
   private lastValue: string = '';
   private lastKey: string = '';
   private lastLanguage: string = '';
+  private lastParams: TenlixorMessageParams | undefined;
   private onLanguageChange: ((data: any) => void) | null = null;
+  private onStringsUpdated: ((data: any) => void) | null = null;
 
   constructor(private cdr: ChangeDetectorRef) {
     // Listen for language changes to trigger re-rendering
@@ -49,45 +78,378 @@ export class TxrTranslatePipe implements PipeTransform, OnDestroy {
       this.onLanguageChange = () => {
         this.cdr.markForCheck();
       };
+      // Loaded (e.g. lazy namespaces) and pushed strings change values without
+      // changing the language: drop the cached value
+      this.onStringsUpdated = () => {
+        this.lastKey = '';
+        this.cdr.markForCheck();
+      };
       globalTenlixorInstance.on('language-changed', this.onLanguageChange);
+      globalTenlixorInstance.on('loaded', this.onStringsUpdated);
+      globalTenlixorInstance.on('strings-updated', this.onStringsUpdated);
     }
   }
 
   /**
    * Transform a translation key to its value
    * @param key - Translation key
-   * @param languageCode - Optional language code override
+   * @param paramsOrLanguage - Optional ICU MessageFormat params or language code override
+   * @param languageCode - Optional language code override (when params are given)
    * @returns Translated value
    */
-  transform(key: string, languageCode?: string): string {
+  transform(key: string, paramsOrLanguage?: TenlixorMessageParams | string, languageCode?: string): string {
     if (!globalTenlixorInstance) {
       console.warn('TxrTranslatePipe: Tenlixor instance not initialized. Call setTenlixorInstance() first.');
       return key;
     }
 
-    const currentLanguage = languageCode || globalTenlixorInstance.getLanguage();
+    const params = typeof paramsOrLanguage === 'object' && paramsOrLanguage !== null ? paramsOrLanguage : undefined;
+    const languageOverride = typeof paramsOrLanguage === 'string' ? paramsOrLanguage : languageCode;
+    const currentLanguage = languageOverride || globalTenlixorInstance.getLanguage();
 
-    // Return cached value if key and language haven't changed
-    if (key === this.lastKey && currentLanguage === this.lastLanguage) {
+    // Return cached value if key, params and language haven't changed
+    if (key === this.lastKey && currentLanguage === this.lastLanguage && sameParams(params, this.lastParams)) {
       return this.lastValue;
     }
 
     // Get translation
     this.lastKey = key;
     this.lastLanguage = currentLanguage;
-    this.lastValue = globalTenlixorInstance.t(key, languageCode);
+    this.lastParams = params ? { ...params } : undefined;
+    this.lastValue = params
+      ? globalTenlixorInstance.t(key, params, languageOverride)
+      : globalTenlixorInstance.t(key, languageOverride);
 
     return this.lastValue;
   }
 
   ngOnDestroy(): void {
-    // Clean up event listener
+    // Clean up event listeners
+    if (globalTenlixorInstance && this.onLanguageChange) {
+      globalTenlixorInstance.off('language-changed', this.onLanguageChange);
+    }
+    if (globalTenlixorInstance && this.onStringsUpdated) {
+      globalTenlixorInstance.off('loaded', this.onStringsUpdated);
+      globalTenlixorInstance.off('strings-updated', this.onStringsUpdated);
+    }
+  }
+}
+
+/**
+ * Base class for format pipes: re-renders on language change
+ */
+abstract class TenlixorFormatPipe implements OnDestroy {
+  private onLanguageChange: ((data: any) => void) | null = null;
+
+  constructor(cdr: ChangeDetectorRef) {
+    if (globalTenlixorInstance) {
+      this.onLanguageChange = () => {
+        cdr.markForCheck();
+      };
+      globalTenlixorInstance.on('language-changed', this.onLanguageChange);
+    }
+  }
+
+  /**
+   * Get the global instance, warning if it has not been set
+   */
+  protected getInstance(pipeName: string): Tenlixor | null {
+    if (!globalTenlixorInstance) {
+      console.warn(`${pipeName}: Tenlixor instance not initialized. Call setTenlixorInstance() first.`);
+    }
+    return globalTenlixorInstance;
+  }
+
+  ngOnDestroy(): void {
     if (globalTenlixorInstance && this.onLanguageChange) {
       globalTenlixorInstance.off('language-changed', this.onLanguageChange);
     }
   }
 }
 
+/**
+ * Tenlixor Number Pipe
+ *
+ * @example
+ * ```html
+ * <span>{{ total | txrNumber }}</span>
+ * <span>{{ followers | txrNumber:'compact' }}</span>
+ * ```
+ */
+@Pipe({
+  name: 'txrNumber',
+  pure: false
+})
+export class TxrNumberPipe extends TenlixorFormatPipe implements PipeTransform {
+  constructor(cdr: ChangeDetectorRef) {
+    super(cdr);
+  }
+
+  transform(value: number | null | undefined, format?: string | Intl.NumberFormatOptions, languageCode?: string): string {
+    const instance = this.getInstance('TxrNumberPipe');
+    if (value === null || value === undefined) return '';
+    return instance ? instance.formatNumber(value, format, languageCode) : String(value);
+  }
+}
+
+/**
+ * Tenlixor Currency Pipe
+ *
+ * @example
+ * ```html
+ * <span>{{ price | txrCurrency:'EUR' }}</span>
+ * ```
+ */
+@Pipe({
+  name: 'txrCurrency',
+  pure: false
+})
+export class TxrCurrencyPipe extends TenlixorFormatPipe implements PipeTransform {
+  constructor(cdr: ChangeDetectorRef) {
+    super(cdr);
+  }
+
+  transform(
+    value: number | null | undefined,
+    currency: string,
+    format?: string | Intl.NumberFormatOptions,
+    languageCode?: string
+  ): string {
+    const instance = this.getInstance('TxrCurrencyPipe');
+    if (value === null || value === undefined) return '';
+    return instance ? instance.formatCurrency(value, currency, format, languageCode) : String(value);
+  }
+}
+
+/**
+ * Tenlixor Date Pipe
+ *
+ * @example
+ * ```html
+ * <time>{{ order.createdAt | txrDate:{ dateStyle: 'long' } }}</time>
+ * ```
+ */
+@Pipe({
+  name: 'txrDate',
+  pure: false
+})
+export class TxrDatePipe extends TenlixorFormatPipe implements PipeTransform {
+  constructor(cdr: ChangeDetectorRef) {
+    super(cdr);
+  }
+
+  transform(
+    value: Date | number | string | null | undefined,
+    format?: string | Intl.DateTimeFormatOptions,
+    languageCode?: string
+  ): string {
+    const instance = this.getInstance('TxrDatePipe');
+    if (value === null || value === undefined) return '';
+    return instance ? instance.formatDate(value, format, languageCode) : String(value);
+  }
+}
+
+/**
+ * Tenlixor Relative Time Pipe
+ *
+ * @example
+ * ```html
+ * <span>{{ comment.postedAt | txrRelativeTime }}</span>
+ * <span>{{ -3 | txrRelativeTime:'day' }}</span>
+ * ```
+ */
+@Pipe({
+  name: 'txrRelativeTime',
+  pure: false
+})
+export class TxrRelativeTimePipe extends TenlixorFormatPipe implements PipeTransform {
+  constructor(cdr: ChangeDetectorRef) {
+    super(cdr);
+  }
+
+  transform(
+    value: number | Date | null | undefined,
+    unit?: Intl.RelativeTimeFormatUnit,
+    format?: string | Intl.RelativeTimeFormatOptions,
+    languageCode?: string
+  ): string {
+    const instance = this.getInstance('TxrRelativeTimePipe');
+    if (value === null || value === undefined) return '';
+    return instance ? instance.formatRelativeTime(value, unit, format, languageCode) : String(value);
+  }
+}
+
+/**
+ * Tenlixor List Pipe
+ *
+ * @example
+ * ```html
+ * <span>{{ tags | txrList }}</span>
+ * ```
+ */
+@Pipe({
+  name: 'txrList',
+  pure: false
+})
+export class TxrListPipe extends TenlixorFormatPipe implements PipeTransform {
+  constructor(cdr: ChangeDetectorRef) {
+    super(cdr);
+  }
+
+  transform(value: string[] | null | undefined, format?: string | Intl.ListFormatOptions, languageCode?: string): string {
+    const instance = this.getInstance('TxrListPipe');
+    if (!value) return '';
+    return instance ? instance.formatList(value, format, languageCode) : value.join(', ');
+  }
+}
+
+/**
+ * Tenlixor Namespace Directive
+ *
+ * Loads the given namespace(s) and renders its content once they are loaded,
+ * showing the optional `else` template in the meantime. If loading fails, the
+ * optional `error` template is rendered instead (with the error as `$implicit`).
+ *
+ * @example
+ * ```html
+ * <section *txrNamespace="'checkout'; else loading; error failed">
+ *   <h1>{{ 'checkout.title' | txrTranslate }}</h1>
+ * </section>
+ * <ng-template #loading>Loading…</ng-template>
+ * <ng-template #failed let-error>Could not load texts: {{ error.message }}</ng-template>
+ * ```
+ */
+@Directive({
+  selector: '[txrNamespace]'
+})
+export class TxrNamespaceDirective {
+  private request: number = 0;
+  private elseTemplate: TemplateRef<unknown> | null = null;
+  private errorTemplate: TemplateRef<{ $implicit: Error }> | null = null;
+  private error: Error | null = null;
+  private rendered: 'content' | 'else' | 'error' | null = null;
+
+  constructor(
+    private templateRef: TemplateRef<unknown>,
+    private viewContainer: ViewContainerRef
+  ) { }
+
+  @Input()
+  set txrNamespace(namespace: string | string[]) {
+    const request = ++this.request;
+
+    if (!globalTenlixorInstance) {
+      console.warn('TxrNamespaceDirective: Tenlixor instance not initialized. Call setTenlixorInstance() first.');
+      this.render('content');
+      return;
+    }
+
+    const namespaces = Array.isArray(namespace) ? namespace : [namespace];
+    if (namespaces.every(ns => globalTenlixorInstance!.isNamespaceLoaded(ns))) {
+      this.render('content');
+      return;
+    }
+
+    this.render('else');
+    globalTenlixorInstance.loadNamespace(namespaces).then(
+      () => {
+        // Ignore results of superseded inputs
+        if (request === this.request) {
+          this.render('content');
+        }
+      },
+      error => {
+        if (request === this.request) {
+          this.error = error instanceof Error ? error : new Error('Failed to load namespace');
+          this.render('error');
+        }
+      }
+    );
+  }
+
+  @Input()
+  set txrNamespaceElse(template: TemplateRef<unknown> | null) {
+    this.elseTemplate = template;
+    this.refresh('else');
+  }
+
+  @Input()
+  set txrNamespaceError(template: TemplateRef<{ $implicit: Error }> | null) {
+    this.errorTemplate = template;
+    this.refresh('error');
+  }
+
+  /**
+   * Re-render a view whose template changed
+   */
+  private refresh(view: 'else' | 'error'): void {
+    if (this.rendered === view) {
+      this.rendered = null;
+      this.render(view);
+    }
+  }
+
+  private render(view: 'content' | 'else' | 'error'): void {
+    if (this.rendered === view) {
+      return;
+    }
+    this.viewContainer.clear();
+    if (view === 'content') {
+      this.viewContainer.createEmbeddedView(this.templateRef);
+    } else if (view === 'else' && this.elseTemplate) {
+      this.viewContainer.createEmbeddedView(this.elseTemplate);
+    } else if (view === 'error' && this.errorTemplate && this.error) {
+      this.viewContainer.createEmbeddedView(this.errorTemplate, { $implicit: this.error });
+    }
+    this.rendered = view;
+  }
+}
+
+/**
+ * Tenlixor Direction Directive
+ *
+ * Keeps the host element's `dir` and `lang` attributes in sync with the
+ * active language, switching layout direction for RTL languages.
+ *
+ * @example
+ * ```html
+ * <main txrDir>
+ *   <router-outlet></router-outlet>
+ * </main>
+ * ```
+ */
+@Directive({
+  selector: '[txrDir]'
+})
+export class TxrDirDirective implements OnDestroy {
+  private onChange: ((data: any) => void) | null = null;
+
+  constructor(private elementRef: ElementRef<HTMLElement>, private renderer: Renderer2) {
+    if (!globalTenlixorInstance) {
+      console.warn('TxrDirDirective: Tenlixor instance not initialized. Call setTenlixorInstance() first.');
+      return;
+    }
+
+    this.onChange = () => this.update();
+    globalTenlixorInstance.on('language-changed', this.onChange);
+    globalTenlixorInstance.on('direction-changed', this.onChange);
+    this.update();
+  }
+
+  private update(): void {
+    const info = globalTenlixorInstance!.getLanguageInfo();
+    this.renderer.setAttribute(this.elementRef.nativeElement, 'lang', info.code);
+    this.renderer.setAttribute(this.elementRef.nativeElement, 'dir', info.direction);
+  }
+
+  ngOnDestroy(): void {
+    if (globalTenlixorInstance && this.onChange) {
+      globalTenlixorInstance.off('language-changed', this.onChange);
+      globalTenlixorInstance.off('direction-changed', this.onChange);
+    }
+  }
+}
+
 /**
  * Angular Module for Tenlixor
  * 
@@ -111,9 +473,18 @@ export class TxrTranslatePipe implements PipeTransform, OnDestroy {
 import { NgModule } from '@angular/core';
 import { CommonModule } from '@angular/common';
 
+const TENLIXOR_PIPES = [
+  TxrTranslatePipe,
+  TxrNumberPipe,
+  TxrCurrencyPipe,
+  TxrDatePipe,
+  TxrRelativeTimePipe,
+  TxrListPipe
+];
+
 @NgModule({
-  declarations: [TxrTranslatePipe],
+  declarations: [...TENLIXOR_PIPES, TxrNamespaceDirective, TxrDirDirective],
   imports: [CommonModule],
-  exports: [TxrTranslatePipe]
+  exports: [...TENLIXOR_PIPES, TxrNamespaceDirective, TxrDirDirective]
 })
 export class TenlixorModule { }
@@ -6,22 +6,38 @@
  * 1. Wrap your app with TenlixorProvider
  * 2. Use useTenlixor() hook in components
  * 3. Access translations: const { t } = useTenlixor();
+ * 4. Lazy-load namespaces per component: const { t, isLoaded } = useNamespace('checkout');
+ * 5. Rich text with embedded components: <Trans i18nKey="legal.accept" components={{ link: <a href="/terms" /> }} />
  */
 
-import React, { createContext, useContext, useEffect, useState, useCallback, ReactNode } from 'react';
+import React, { createContext, useContext, useEffect, useState, useCallback, useMemo, ReactNode } from 'react';
 import { Tenlixor } from '../tenlixor';
-import type { TenlixorConfig } from '../types';
+import type {
+  TenlixorConfig,
+  TenlixorMessageParams,
+  TenlixorFormatFunctions,
+  TenlixorTextDirection,
+  TenlixorDirectionChangedEvent,
+  TranslateFunction
+} from '../types';
 
 /**
  * Tenlixor Context Interface
+ *
+ * Includes the locale-aware format functions (formatNumber, formatCurrency, ...)
+ * bound to the current language.
  */
-export interface TenlixorContextValue {
+export interface TenlixorContextValue extends TenlixorFormatFunctions {
   /** Tenlixor instance */
   instance: Tenlixor;
-  /** Translation function */
-  t: (key: string, languageCode?: string) => string;
+  /** Translation function (accepts ICU MessageFormat params) */
+  t: TranslateFunction;
   /** Current language */
   currentLanguage: string;
+  /** Writing direction of the current language */
+  direction: TenlixorTextDirection;
+  /** Whether the current language is written right to left */
+  isRTL: boolean;
   /** Change language function */
   setLanguage: (languageCode: string) => Promise<void>;
   /** Available languages */
@@ -68,10 +84,12 @@ export interface TenlixorProviderProps {
 export const TenlixorProvider: React.FC<TenlixorProviderProps> = ({ config, children }) => {
   const [instance] = useState(() => new Tenlixor(config));
   const [currentLanguage, setCurrentLanguage] = useState(config.language || 'en');
+  const [direction, setDirection] = useState<TenlixorTextDirection>(() => instance.getLanguageInfo().direction);
   const [availableLanguages, setAvailableLanguages] = useState<string[]>([]);
   const [isReady, setIsReady] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<Error | null>(null);
+  const [revision, setRevision] = useState(0);
   const [, forceUpdate] = useState({});
 
   useEffect(() => {
@@ -104,26 +122,49 @@ export const TenlixorProvider: React.FC<TenlixorProviderProps> = ({ config, chil
       forceUpdate({}); // Force re-render to update translations
     };
 
+    const onDirectionChanged = (data: TenlixorDirectionChangedEvent) => {
+      setDirection(data.to);
+    };
+
+    const onStringsUpdated = () => {
+      setRevision(current => current + 1); // Re-create t for memoized consumers
+    };
+
     const onError = (errorData: { code: string; message: string; error?: Error }) => {
       setError(errorData.error || new Error(errorData.message));
     };
 
     instance.on('loaded', onLoaded);
     instance.on('language-changed', onLanguageChanged);
+    instance.on('direction-changed', onDirectionChanged);
+    instance.on('strings-updated', onStringsUpdated);
     instance.on('error', onError);
 
     // Cleanup
     return () => {
       instance.off('loaded', onLoaded);
       instance.off('language-changed', onLanguageChanged);
+      instance.off('direction-changed', onDirectionChanged);
+      instance.off('strings-updated', onStringsUpdated);
       instance.off('error', onError);
     };
   }, [instance]);
 
   const t = useCallback(
-    (key: string, languageCode?: string) => {
-      return instance.t(key, languageCode);
+    (key: string, paramsOrLanguage?: TenlixorMessageParams | string, languageCode?: string) => {
+      return instance.t(key, paramsOrLanguage, languageCode);
     },
+    [instance, currentLanguage, revision] // Re-create when language or strings change
+  );
+
+  const formatters = useMemo<TenlixorFormatFunctions>(
+    () => ({
+      formatNumber: instance.formatNumber.bind(instance),
+      formatCurrency: instance.formatCurrency.bind(instance),
+      formatDate: instance.formatDate.bind(instance),
+      formatRelativeTime: instance.formatRelativeTime.bind(instance),
+      formatList: instance.formatList.bind(instance)
+    }),
     [instance, currentLanguage] // Re-create when language changes
   );
 
@@ -143,11 +184,14 @@ export const TenlixorProvider: React.FC<TenlixorProviderProps> = ({ config, chil
     instance,
     t,
     currentLanguage,
+    direction,
+    isRTL: direction === 'rtl',
     setLanguage,
     availableLanguages,
     isReady,
     isLoading,
-    error
+    error,
+    ...formatters
   };
 
   return <TenlixorContext.Provider value={value}>{children}</TenlixorContext.Provider>;
@@ -164,7 +208,7 @@ export const TenlixorProvider: React.FC<TenlixorProviderProps> = ({ config, chil
  * import { useTenlixor } from '@verbytes-tenlixor/sdk/react';
  * 
  * function MyComponent() {
- *   const { t, currentLanguage, setLanguage, isReady } = useTenlixor();
+ *   const { t, formatCurrency, currentLanguage, setLanguage, isReady } = useTenlixor();
  *   
  *   if (!isReady) {
  *     return <div>Loading translations...</div>;
@@ -173,6 +217,8 @@ export const TenlixorProvider: React.FC<TenlixorProviderProps> = ({ config, chil
  *   return (
  *     <div>
  *       <h1>{t('app.welcome')}</h1>
+ *       <p>{t('cart.items', { count: 3 })}</p>
+ *       <p>{formatCurrency(19.99, 'EUR')}</p>
  *       <p>Current language: {currentLanguage}</p>
  *       <button onClick={() => setLanguage('tr')}>Switch to Turkish</button>
  *     </div>
@@ -204,7 +250,7 @@ export function useTenlixor(): TenlixorContextValue {
  * }
  * ```
  */
-export function useTranslate(): (key: string, languageCode?: string) => string {
+export function useTranslate(): TranslateFunction {
   const { t } = useTenlixor();
   return t;
 }
@@ -240,6 +286,245 @@ export function useLanguage(): [
   return [currentLanguage, setLanguage, availableLanguages];
 }
 
+/**
+ * Tenlixor Direction Hook
+ *
+ * Updates when switching between LTR and RTL languages.
+ *
+ * @returns Writing direction of the current language ('ltr' or 'rtl')
+ *
+ * @example
+ * ```tsx
+ * import { useDirection } from '@verbytes-tenlixor/sdk/react';
+ *
+ * function Layout({ children }) {
+ *   const direction = useDirection();
+ *
+ *   return <div dir={direction}>{children}</div>;
+ * }
+ * ```
+ */
+export function useDirection(): TenlixorTextDirection {
+  const { direction } = useTenlixor();
+  return direction;
+}
+
+/**
+ * Namespace Hook Result
+ */
+export interface UseNamespaceResult {
+  /** Translation function resolving keys relative to the (first) namespace */
+  t: TranslateFunction;
+  /** Whether all namespaces are loaded for the current language */
+  isLoaded: boolean;
+  /** Load error, if any */
+  error: Error | null;
+}
+
+/**
+ * Tenlixor Namespace Hook
+ *
+ * Loads the namespaces a component needs and reports when they are ready.
+ *
+ * @param namespace - Namespace name(s); `t` resolves keys relative to the first one
+ * @returns Scoped translation function and loading state
+ *
+ * @example
+ * ```tsx
+ * import { useNamespace } from '@verbytes-tenlixor/sdk/react';
+ *
+ * function CheckoutPage() {
+ *   const { t, isLoaded } = useNamespace('checkout');
+ *
+ *   if (!isLoaded) {
+ *     return <Spinner />;
+ *   }
+ *
+ *   return <h1>{t('title')}</h1>; // 'checkout.title'
+ * }
+ * ```
+ */
+export function useNamespace(namespace: string | string[]): UseNamespaceResult {
+  const { instance, currentLanguage, t: translate } = useTenlixor();
+  const namespaces = Array.isArray(namespace) ? namespace : [namespace];
+  const namespaceKey = namespaces.join(',');
+  const allLoaded = () => namespaces.every(ns => instance.isNamespaceLoaded(ns));
+
+  const [isLoaded, setIsLoaded] = useState(allLoaded);
+  const [error, setError] = useState<Error | null>(null);
+
+  useEffect(() => {
+    if (allLoaded()) {
+      setIsLoaded(true);
+      return;
+    }
+
+    let active = true;
+    setIsLoaded(false);
+    instance.loadNamespace(namespaces).then(
+      () => {
+        if (active) {
+          setIsLoaded(true);
+          setError(null);
+        }
+      },
+      err => {
+        if (active) {
+          setError(err instanceof Error ? err : new Error('Failed to load namespace'));
+        }
+      }
+    );
+
+    return () => {
+      active = false;
+    };
+  }, [instance, namespaceKey, currentLanguage]);
+
+  const scoped = useMemo(() => instance.scoped(namespaces[0]), [instance, namespaceKey]);
+
+  const t = useCallback(
+    (key: string, paramsOrLanguage?: TenlixorMessageParams | string, languageCode?: string) => {
+      return scoped.t(key, paramsOrLanguage, languageCode);
+    },
+    [scoped, currentLanguage, isLoaded, translate] // Re-create when strings change
+  );
+
+  return { t, isLoaded, error };
+}
+
+/**
+ * Trans Component Props
+ */
+export interface TransProps {
+  /** Translation key */
+  i18nKey: string;
+  /** ICU MessageFormat params (rendered as text, never parsed as tags) */
+  values?: TenlixorMessageParams;
+  /** Elements for tag placeholders, by tag name (e.g. { link: <a href="/terms" /> }) */
+  components?: { [tag: string]: React.ReactElement } | React.ReactElement[];
+  /** Language code override */
+  languageCode?: string;
+}
+
+/**
+ * Parsed rich text node
+ */
+type RichTextNode = string | { tag: string; children: RichTextNode[] };
+
+/**
+ * Placeholder for `<` inside interpolated values, so values can never open tags
+ */
+const ESCAPED_LT = '\uE000';
+
+/**
+ * Parse `<tag>...</tag>` and `<tag/>` placeholders into a tree.
+ * Unmatched closing tags are kept as text; unclosed tags are dropped (their content is kept).
+ */
+function parseRichText(message: string): RichTextNode[] {
+  const root: { tag: string; children: RichTextNode[] } = { tag: '', children: [] };
+  const stack = [root];
+  const tagPattern = /<(\/?)([A-Za-z0-9_-]+)\s*(\/?)>/g;
+  let lastIndex = 0;
+  let match: RegExpExecArray | null;
+
+  while ((match = tagPattern.exec(message)) !== null) {
+    const [token, closing, tag, selfClosing] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push(message.slice(lastIndex, match.index));
+    }
+    lastIndex = match.index + token.length;
+
+    if (selfClosing) {
+      current.children.push({ tag, children: [] });
+    } else if (!closing) {
+      const element = { tag, children: [] as RichTextNode[] };
+      current.children.push(element);
+      stack.push(element);
+    } else if (stack.length > 1 && current.tag === tag) {
+      stack.pop();
+    } else {
+      current.children.push(token);
+    }
+  }
+
+  if (lastIndex < message.length) {
+    stack[stack.length - 1].children.push(message.slice(lastIndex));
+  }
+
+  // Unwrap unclosed tags into their parent
+  while (stack.length > 1) {
+    const unclosed = stack.pop()!;
+    const parent = stack[stack.length - 1];
+    parent.children.splice(parent.children.indexOf(unclosed), 1, ...unclosed.children);
+  }
+
+  return root.children;
+}
+
+/**
+ * Render parsed rich text as React nodes
+ */
+function renderRichText(
+  nodes: RichTextNode[],
+  components: { [tag: string]: React.ReactElement } | React.ReactElement[]
+): ReactNode[] {
+  return nodes.map((node, index) => {
+    if (typeof node === 'string') {
+      return node.split(ESCAPED_LT).join('<');
+    }
+
+    const children = renderRichText(node.children, components);
+    const component = (components as { [tag: string]: React.ReactElement })[node.tag];
+
+    // Unknown tags render their content only
+    if (!React.isValidElement(component)) {
+      return <React.Fragment key={index}>{children}</React.Fragment>;
+    }
+
+    return children.length > 0
+      ? React.cloneElement(component, { key: index }, ...children)
+      : React.cloneElement(component, { key: index });
+  });
+}
+
+/**
+ * Tenlixor Trans Component
+ *
+ * Renders a translation containing tag placeholders as real React elements,
+ * so whole sentences stay translatable. Values are interpolated as text and
+ * the translation is never rendered as HTML.
+ *
+ * @example
+ * ```tsx
+ * import { Trans } from '@verbytes-tenlixor/sdk/react';
+ *
+ * // "legal.accept": "Hi {name}, read our <link>terms</link> and <bold>privacy policy</bold>."
+ * <Trans
+ *   i18nKey="legal.accept"
+ *   values={{ name: user.name }}
+ *   components={{ link: <a href="/terms" />, bold: <strong /> }}
+ * />
+ * ```
+ */
+export const Trans: React.FC<TransProps> = ({ i18nKey, values, components = {}, languageCode }) => {
+  const { t } = useTenlixor();
+
+  let message: string;
+  if (values) {
+    const escapedValues: TenlixorMessageParams = {};
+    Object.keys(values).forEach(name => {
+      const value = values[name];
+      escapedValues[name] = typeof value === 'string' ? value.split('<').join(ESCAPED_LT) : value;
+    });
+    message = t(i18nKey, escapedValues, languageCode);
+  } else {
+    message = t(i18nKey, languageCode);
+  }
+
+  return <>{renderRichText(parseRichText(message), components)}</>;
+};
+
 /**
  * Higher-Order Component to inject Tenlixor
  * 
@@ -9,7 +9,13 @@
  */
 
 import { Tenlixor } from '../tenlixor';
-import type { TenlixorPluginOptions } from '../types';
+import type {
+  TenlixorPluginOptions,
+  TenlixorMessageParams,
+  TenlixorFormatFunctions,
+  TenlixorTextDirection,
+  TranslateFunction
+} from '../types';
 import type { App, Plugin } from 'vue';
 
 /**
@@ -68,8 +74,12 @@ export function createTenlixorPlugin(options: TenlixorPluginOptions): TenlixorVu
       app.provide('tenlixor', tenlixorInstance);
 
       // Register global helper
-      app.config.globalProperties.$t = (key: string, languageCode?: string) => {
-        return tenlixorInstance.t(key, languageCode);
+      app.config.globalProperties.$t = (
+        key: string,
+        paramsOrLanguage?: TenlixorMessageParams | string,
+        languageCode?: string
+      ) => {
+        return tenlixorInstance.t(key, paramsOrLanguage, languageCode);
       };
     }
   };
@@ -122,24 +132,28 @@ export function useTenlixor(): Tenlixor {
  * 
  * export default {
  *   setup() {
- *     const { t, currentLanguage, setLanguage } = useTenlixorTranslate();
+ *     const { t, formatDate, currentLanguage, direction, setLanguage } = useTenlixorTranslate();
  *     
  *     return {
  *       greeting: computed(() => t('app.welcome')),
+ *       today: computed(() => formatDate(new Date(), { dateStyle: 'long' })),
  *       currentLanguage,
+ *       direction, // <div :dir="direction">
  *       setLanguage
  *     };
  *   }
  * }
  * ```
  */
-import { ref, Ref } from 'vue';
+import { ref, Ref, getCurrentInstance, onUnmounted } from 'vue';
 
-export interface TenlixorTranslateComposable {
-  /** Translation function */
-  t: (key: string, languageCode?: string) => string;
+export interface TenlixorTranslateComposable extends TenlixorFormatFunctions {
+  /** Translation function (accepts ICU MessageFormat params) */
+  t: TranslateFunction;
   /** Current language (reactive) */
   currentLanguage: Ref<string>;
+  /** Writing direction of the current language (reactive) */
+  direction: Ref<TenlixorTextDirection>;
   /** Change language function */
   setLanguage: (languageCode: string) => Promise<void>;
   /** Available languages (reactive) */
@@ -152,44 +166,147 @@ export function useTenlixorTranslate(): TenlixorTranslateComposable {
   const txr = useTenlixor();
 
   const currentLanguage = ref(txr.getLanguage());
+  const direction = ref<TenlixorTextDirection>(txr.getLanguageInfo().direction);
   const availableLanguages = ref(txr.getAvailableLanguages());
   const isReady = ref(txr.isReady());
+  // Read by t() so computed translations re-run when strings are loaded or pushed
+  const revision = ref(0);
 
   // Update reactive refs on language change
-  txr.on('language-changed', (data) => {
+  const onLanguageChange = (data: { to: string }) => {
     currentLanguage.value = data.to;
-  });
+  };
+
+  const onDirectionChange = (data: { to: TenlixorTextDirection }) => {
+    direction.value = data.to;
+  };
 
   // Update ready state on load
-  txr.on('loaded', () => {
+  const onLoaded = () => {
     isReady.value = true;
     availableLanguages.value = txr.getAvailableLanguages();
-  });
+    revision.value++;
+  };
+
+  const onStringsUpdated = () => {
+    revision.value++;
+  };
+
+  txr.on('language-changed', onLanguageChange);
+  txr.on('direction-changed', onDirectionChange);
+  txr.on('loaded', onLoaded);
+  txr.on('strings-updated', onStringsUpdated);
+
+  // Outside a component (e.g. in a store) the listeners live as long as the instance
+  if (getCurrentInstance()) {
+    onUnmounted(() => {
+      txr.off('language-changed', onLanguageChange);
+      txr.off('direction-changed', onDirectionChange);
+      txr.off('loaded', onLoaded);
+      txr.off('strings-updated', onStringsUpdated);
+    });
+  }
 
   const setLanguage = async (languageCode: string) => {
     await txr.setLanguage(languageCode);
     currentLanguage.value = languageCode;
   };
 
-  const t = (key: string, languageCode?: string) => {
-    return txr.t(key, languageCode);
+  const t = (key: string, paramsOrLanguage?: TenlixorMessageParams | string, languageCode?: string) => {
+    void currentLanguage.value;
+    void revision.value;
+    return txr.t(key, paramsOrLanguage, languageCode);
   };
 
   return {
     t,
+    formatNumber: txr.formatNumber.bind(txr),
+    formatCurrency: txr.formatCurrency.bind(txr),
+    formatDate: txr.formatDate.bind(txr),
+    formatRelativeTime: txr.formatRelativeTime.bind(txr),
+    formatList: txr.formatList.bind(txr),
     currentLanguage,
+    direction,
     setLanguage,
     availableLanguages,
     isReady
   };
 }
 
+/**
+ * Vue 3 Namespace Composable
+ *
+ * Loads the namespaces a component needs. Await `ready` in an async `setup()`
+ * to suspend the component until they are loaded; it rejects if loading fails,
+ * which is also exposed as the `error` ref.
+ *
+ * @param namespace - Namespace name(s); `t` resolves keys relative to the first one
+ * @returns Scoped translation function and loading state
+ *
+ * @example
+ * ```typescript
+ * import { useTenlixorNamespace } from '@verbytes-tenlixor/sdk/vue';
+ *
+ * export default {
+ *   async setup() {
+ *     const { t, ready } = useTenlixorNamespace('checkout');
+ *     await ready; // works with <Suspense>
+ *
+ *     return { title: computed(() => t('title')) }; // 'checkout.title'
+ *   }
+ * }
+ * ```
+ */
+export interface TenlixorNamespaceComposable {
+  /** Translation function resolving keys relative to the (first) namespace */
+  t: TranslateFunction;
+  /** Whether all namespaces are loaded (reactive) */
+  isLoaded: Ref<boolean>;
+  /** Load error, if loading failed (reactive) */
+  error: Ref<Error | null>;
+  /** Resolves when all namespaces are loaded, rejects if loading fails */
+  ready: Promise<void>;
+}
+
+export function useTenlixorNamespace(namespace: string | string[]): TenlixorNamespaceComposable {
+  const txr = useTenlixor();
+  const { t: translate } = useTenlixorTranslate();
+  const namespaces = Array.isArray(namespace) ? namespace : [namespace];
+
+  const isLoaded = ref(namespaces.every(ns => txr.isNamespaceLoaded(ns)));
+  const error = ref<Error | null>(null);
+  const ready = txr.loadNamespace(namespaces).then(
+    () => {
+      isLoaded.value = true;
+    },
+    err => {
+      error.value = err instanceof Error ? err : new Error('Failed to load namespace');
+      throw error.value;
+    }
+  );
+  // Callers using only the `error` ref do not have to handle the rejection
+  ready.catch(() => undefined);
+
+  // Reads the reactive state (through translate) so computed translations re-run once loaded
+  const t = (key: string, paramsOrLanguage?: TenlixorMessageParams | string, languageCode?: string) => {
+    void isLoaded.value;
+    return translate(`${namespaces[0]}.${key}`, paramsOrLanguage, languageCode);
+  };
+
+  return {
+    t,
+    isLoaded,
+    error,
+    ready
+  };
+}
+
 /**
  * Augment Vue types for TypeScript
  */
 declare module '@vue/runtime-core' {
   export interface ComponentCustomProperties {
     $txr: Tenlixor;
-    $t: (key: string, languageCode?: string) => string;
+    $t: TranslateFunction;
   }
 }
@@ -0,0 +1,115 @@
+/**
+ * Tenlixor Auto Refresh
+ * @module @verbytes-tenlixor/sdk
+ */
+
+/**
+ * Runs a refresh at an interval while the page is visible and the browser is online
+ *
+ * Ticks that fall while the page is hidden or offline are skipped; the refresh
+ * then runs as soon as the page becomes visible or the browser is back online.
+ * The interval restarts after every refresh, and refreshes never overlap.
+ */
+export class AutoRefresher {
+  private timer: ReturnType<typeof setTimeout> | null;
+  private running: boolean;
+  private refreshing: boolean;
+  private readonly onResume: () => void;
+
+  /**
+   * Create a refresher (call start() to begin)
+   * @param interval - Delay between refreshes in milliseconds
+   * @param refresh - Refresh function (should handle its own errors)
+   */
+  constructor(
+    private readonly interval: number,
+    private readonly refresh: () => Promise<void>
+  ) {
+    this.timer = null;
+    this.running = false;
+    this.refreshing = false;
+    // Also called when the page is hidden; run() is skipped while paused
+    this.onResume = () => {
+      if (!this.isPaused()) {
+        this.run();
+      }
+    };
+  }
+
+  /**
+   * Start the interval (no-op if already started)
+   */
+  public start(): void {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', this.onResume);
+    }
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.onResume);
+    }
+    this.schedule();
+  }
+
+  /**
+   * Stop the interval and remove page listeners
+   */
+  public stop(): void {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this.onResume);
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.onResume);
+    }
+  }
+
+  /**
+   * Schedule the next tick
+   */
+  private schedule(): void {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (!this.isPaused()) {
+        this.run();
+      }
+    }, this.interval);
+  }
+
+  /**
+   * Refresh now and restart the interval afterwards
+   */
+  private run(): void {
+    if (!this.running || this.refreshing) {
+      return;
+    }
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.refreshing = true;
+    const done = () => {
+      this.refreshing = false;
+      if (this.running) {
+        this.schedule();
+      }
+    };
+    this.refresh().then(done, done);
+  }
+
+  /**
+   * Check whether refreshes should wait (page hidden or browser offline)
+   */
+  private isPaused(): boolean {
+    return (typeof document !== 'undefined' && document.hidden) ||
+      (typeof navigator !== 'undefined' && navigator.onLine === false);
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Tenlixor DOM Observer
+ * @module @verbytes-tenlixor/sdk
+ */
+
+/**
+ * Callback receiving the nodes changed since the last frame
+ * @param nodes - Added elements and text nodes, and text nodes whose content changed
+ * @param attributes - Elements whose observed attributes changed
+ */
+export type DomChangeCallback = (nodes: Node[], attributes: Element[]) => void;
+
+/**
+ * Watches DOM subtrees with a MutationObserver and reports changes once per animation frame
+ *
+ * Changes made inside `ignore()` (the SDK's own writes) are not reported.
+ * Shadow roots are separate subtrees and must be added with `add()`.
+ */
+export class DomObserver {
+  private readonly observer: MutationObserver;
+  private readonly roots: Node[];
+  private readonly pendingNodes: Set<Node>;
+  private readonly pendingAttributes: Set<Element>;
+  private frame: number | ReturnType<typeof setTimeout> | null;
+
+  /**
+   * Create an observer and start watching
+   * @param root - Subtree root (document content or a shadow root)
+   * @param isObservedAttribute - Whether changes to an attribute are reported
+   * @param onChange - Change callback, called at most once per animation frame
+   */
+  constructor(
+    root: Node,
+    private readonly isObservedAttribute: (name: string) => boolean,
+    private readonly onChange: DomChangeCallback
+  ) {
+    this.pendingNodes = new Set();
+    this.pendingAttributes = new Set();
+    this.frame = null;
+    this.roots = [];
+    this.observer = new MutationObserver(records => this.enqueue(records));
+    this.add(root);
+  }
+
+  /**
+   * Watch another subtree (e.g. a shadow root) with the same observer
+   * @param root - Subtree root
+   */
+  public add(root: Node): void {
+    if (this.roots.indexOf(root) !== -1) {
+      return;
+    }
+    this.roots.push(root);
+    this.observer.observe(root, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true
+    });
+  }
+
+  /**
+   * Run DOM writes without reporting the mutations they cause
+   * @param callback - Function performing the writes
+   * @returns The callback's return value
+   */
+  public ignore<T>(callback: () => T): T {
+    // Keep changes made by others before the callback
+    this.enqueue(this.observer.takeRecords());
+    try {
+      return callback();
+    } finally {
+      this.observer.takeRecords();
+    }
+  }
+
+  /**
+   * Stop watching and drop pending changes
+   */
+  public disconnect(): void {
+    this.observer.disconnect();
+    this.roots.length = 0;
+    this.pendingNodes.clear();
+    this.pendingAttributes.clear();
+    if (this.frame !== null) {
+      if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(this.frame as number);
+      } else {
+        clearTimeout(this.frame as ReturnType<typeof setTimeout>);
+      }
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Collect mutation records and schedule a flush
+   * @param records - Mutation records
+   */
+  private enqueue(records: MutationRecord[]): void {
+    records.forEach(record => {
+      if (record.type === 'childList') {
+        record.addedNodes.forEach(node => this.pendingNodes.add(node));
+      } else if (record.type === 'characterData') {
+        this.pendingNodes.add(record.target);
+      } else if (record.type === 'attributes' && this.isObservedAttribute(record.attributeName || '')) {
+        this.pendingAttributes.add(record.target as Element);
+      }
+    });
+
+    if (this.frame !== null || (this.pendingNodes.size === 0 && this.pendingAttributes.size === 0)) {
+      return;
+    }
+    this.frame = typeof requestAnimationFrame === 'function'
+      ? requestAnimationFrame(() => this.flush())
+      : setTimeout(() => this.flush(), 16);
+  }
+
+  /**
+   * Report pending changes for nodes still in an observed subtree
+   */
+  private flush(): void {
+    this.frame = null;
+    const isAttached = (node: Node) => node.isConnected && this.roots.some(root => root.contains(node));
+    const nodes = Array.from(this.pendingNodes).filter(isAttached);
+    const attributes = Array.from(this.pendingAttributes).filter(isAttached);
+    this.pendingNodes.clear();
+    this.pendingAttributes.clear();
+
+    if (nodes.length > 0 || attributes.length > 0) {
+      this.ignore(() => this.onChange(nodes, attributes));
+    }
+  }
+}
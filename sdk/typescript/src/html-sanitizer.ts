@@ -0,0 +1,131 @@
+/**
+ * Tenlixor HTML Sanitizer
+ * @module @verbytes-tenlixor/sdk
+ *
+ * Allowlist-based sanitizer used by the DOM scanner for translations that
+ * contain markup (e.g. `<strong>` or `<br>`).
+ */
+
+import type { TenlixorHtmlAllowlist } from './types';
+
+/**
+ * Default allowlist: inline formatting, links and simple lists
+ */
+export const DEFAULT_HTML_ALLOWLIST: Required<TenlixorHtmlAllowlist> = {
+  tags: [
+    'a', 'abbr', 'b', 'br', 'code', 'em', 'i', 'li', 'mark', 'ol', 'p',
+    's', 'small', 'span', 'strong', 'sub', 'sup', 'u', 'ul'
+  ],
+  attributes: {
+    '*': ['class', 'dir', 'lang', 'title'],
+    a: ['href', 'rel', 'target']
+  },
+  schemes: ['http', 'https', 'mailto', 'tel']
+};
+
+/**
+ * Elements removed together with their content
+ */
+const DROP_WITH_CONTENT = ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math'];
+
+/**
+ * Attributes holding URLs, checked against the allowed schemes
+ */
+export const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+
+/**
+ * Sanitization result
+ */
+export interface SanitizedHtml {
+  /** Sanitized content, ready to be inserted */
+  fragment: DocumentFragment;
+  /** Descriptions of stripped tags, attributes and URLs */
+  removed: string[];
+}
+
+/**
+ * Sanitize an HTML string against an allowlist
+ *
+ * The markup is parsed in an inert `<template>`, so nothing is executed or
+ * loaded while sanitizing. Disallowed elements are unwrapped (their text is
+ * kept), except script-like elements which are dropped with their content.
+ *
+ * @param html - HTML string
+ * @param allowlist - Allowed tags, attributes and URL schemes (fields default to DEFAULT_HTML_ALLOWLIST)
+ * @returns Sanitized fragment and the list of stripped items
+ */
+export function sanitizeHtml(html: string, allowlist: TenlixorHtmlAllowlist = {}): SanitizedHtml {
+  const tags = allowlist.tags || DEFAULT_HTML_ALLOWLIST.tags;
+  const attributes = allowlist.attributes || DEFAULT_HTML_ALLOWLIST.attributes;
+  const schemes = allowlist.schemes || DEFAULT_HTML_ALLOWLIST.schemes;
+  const removed: string[] = [];
+
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const sanitizeNode = (parent: Node): void => {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.COMMENT_NODE) {
+        parent.removeChild(node);
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return;
+      }
+
+      const element = node as Element;
+      const tagName = element.tagName.toLowerCase();
+
+      if (tags.indexOf(tagName) === -1) {
+        removed.push(`<${tagName}>`);
+        if (DROP_WITH_CONTENT.indexOf(tagName) !== -1) {
+          parent.removeChild(element);
+        } else {
+          // Unwrap: sanitize and keep the children
+          sanitizeNode(element);
+          while (element.firstChild) {
+            parent.insertBefore(element.firstChild, element);
+          }
+          parent.removeChild(element);
+        }
+        return;
+      }
+
+      const allowedAttributes = (attributes['*'] || []).concat(attributes[tagName] || []);
+      Array.from(element.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        if (allowedAttributes.indexOf(name) === -1) {
+          removed.push(`<${tagName} ${name}>`);
+          element.removeAttribute(attribute.name);
+        } else if (URL_ATTRIBUTES.indexOf(name) !== -1 && !isAllowedUrl(attribute.value, schemes)) {
+          removed.push(`<${tagName} ${name}="${attribute.value}">`);
+          element.removeAttribute(attribute.name);
+        }
+      });
+
+      // Links opening a new browsing context must not get access to the opener
+      if (tagName === 'a' && element.hasAttribute('target')) {
+        element.setAttribute('rel', 'noopener noreferrer');
+      }
+
+      sanitizeNode(element);
+    });
+  };
+
+  sanitizeNode(template.content);
+
+  return { fragment: template.content, removed };
+}
+
+/**
+ * Check a URL against the allowed schemes (relative URLs are allowed)
+ * @param url - URL attribute value
+ * @param schemes - Allowed schemes
+ * @returns True if the URL is allowed
+ */
+export function isAllowedUrl(url: string, schemes: string[]): boolean {
+  // Browsers ignore control characters and whitespace inside schemes (e.g. "java\tscript:")
+  const normalized = url.replace(/[\u0000- ]/g, '');
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+  return !match || schemes.indexOf(match[1].toLowerCase()) !== -1;
+}
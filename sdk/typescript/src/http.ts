@@ -0,0 +1,379 @@
+/**
+ * Tenlixor HTTP Client
+ * @module @verbytes-tenlixor/sdk
+ *
+ * Wraps `fetch` with a per-attempt timeout and retries with jittered
+ * exponential backoff. Failures are reported as TenlixorError with a typed code.
+ */
+
+import type {
+  TenlixorErrorCode,
+  TenlixorTokenProvider,
+  TenlixorTransport,
+  TenlixorTransportInit,
+  TenlixorTransportResponse
+} from './types';
+
+/**
+ * Upper bound for a single backoff delay in milliseconds
+ */
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Error raised by API requests
+ */
+export class TenlixorError extends Error {
+  /** Error code */
+  public readonly code: TenlixorErrorCode;
+  /** HTTP status, if a response was received */
+  public readonly status?: number;
+  /** Delay requested by the server's `Retry-After` header, in milliseconds */
+  public readonly retryAfter?: number;
+
+  /**
+   * Create a new error
+   * @param code - Error code
+   * @param message - Error message
+   * @param status - HTTP status (optional)
+   * @param retryAfter - Server-requested retry delay in milliseconds (optional)
+   */
+  constructor(code: TenlixorErrorCode, message: string, status?: number, retryAfter?: number) {
+    super(message);
+    this.name = 'TenlixorError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Holds the API token, renewing it through a token provider when it is rejected
+ *
+ * Concurrent callers share a single provider call.
+ */
+export class TokenManager {
+  private token: string | null;
+  private provider: TenlixorTokenProvider | null;
+  private pending: Promise<string> | null;
+
+  /**
+   * Create a token manager
+   * @param token - Static token, or a provider called for the first token and after a 401
+   */
+  constructor(token: string | TenlixorTokenProvider) {
+    this.token = typeof token === 'function' ? null : token;
+    this.provider = typeof token === 'function' ? token : null;
+    this.pending = null;
+  }
+
+  /**
+   * Get the current token, asking the provider for the first one
+   * @returns API token
+   * @throws {TenlixorError} UNAUTHORIZED if the provider fails
+   */
+  public get(): Promise<string> {
+    return this.token !== null ? Promise.resolve(this.token) : this.fetchToken();
+  }
+
+  /**
+   * Get a replacement for a rejected token
+   *
+   * Returns the current token without asking the provider if it was already
+   * replaced (by another request or set()).
+   *
+   * @param rejected - Token the API rejected
+   * @returns New token, or null if there is no provider to ask
+   * @throws {TenlixorError} UNAUTHORIZED if the provider fails
+   */
+  public async renew(rejected: string): Promise<string | null> {
+    if (this.token !== null && this.token !== rejected) {
+      return this.token;
+    }
+    if (!this.provider) {
+      return null;
+    }
+    // Later requests wait for the new token instead of sending the rejected one
+    this.token = null;
+    return this.fetchToken();
+  }
+
+  /**
+   * Replace the token (the provider, if any, is kept for later renewals)
+   * @param token - New token
+   */
+  public set(token: string): void {
+    this.token = token;
+    this.pending = null;
+  }
+
+  /**
+   * Ask the provider for a token, sharing a call in flight
+   */
+  private fetchToken(): Promise<string> {
+    const provider = this.provider;
+    if (!provider) {
+      return Promise.reject(new TenlixorError('UNAUTHORIZED', 'No API token'));
+    }
+    if (!this.pending) {
+      const pending: Promise<string> = Promise.resolve()
+        .then(() => provider())
+        .then(
+          token => {
+            if (!token) {
+              throw new TenlixorError('UNAUTHORIZED', 'Token provider returned no token');
+            }
+            if (this.pending === pending) {
+              this.token = token;
+            }
+            return token;
+          },
+          error => {
+            throw error instanceof TenlixorError
+              ? error
+              : new TenlixorError('UNAUTHORIZED', `Token provider failed: ${error instanceof Error ? error.message : error}`);
+          }
+        )
+        .finally(() => {
+          if (this.pending === pending) {
+            this.pending = null;
+          }
+        });
+      this.pending = pending;
+    }
+    return this.pending;
+  }
+}
+
+/**
+ * Default transport: the global `fetch`, looked up per request so that
+ * polyfills installed after the SDK is loaded are used
+ * @param url - Request URL
+ * @param init - Request options
+ * @returns Fetch response
+ */
+export const defaultTransport: TenlixorTransport = (url, init) => fetch(url, init);
+
+/**
+ * Transport, timeout and retry settings
+ */
+export interface RequestOptions {
+  /** Function sending the request */
+  transport: TenlixorTransport;
+  /** Timeout per attempt in milliseconds (0 disables it) */
+  timeout: number;
+  /** Retries after the first attempt */
+  retries: number;
+  /** Base backoff delay in milliseconds, doubled on every retry */
+  retryDelay: number;
+}
+
+/**
+ * Fetch a URL and read its response, retrying transient failures
+ *
+ * Network errors, timeouts, 5xx and 429 responses are retried. A 429 waits for
+ * its `Retry-After` delay when the server sends one, up to 30 seconds. The timeout covers reading
+ * the response, so a stalled body is aborted as well.
+ *
+ * `read` receives 2xx responses and 304 Not Modified (for conditional requests).
+ *
+ * @param url - Request URL
+ * @param init - Request options
+ * @param options - Timeout and retry settings
+ * @param read - Reads the successful or not-modified response (e.g. parses JSON)
+ * @returns Value returned by `read`
+ * @throws {TenlixorError} When the request fails and no retries are left
+ */
+export async function fetchWithRetry<T>(
+  url: string,
+  init: TenlixorTransportInit,
+  options: RequestOptions,
+  read: (response: TenlixorTransportResponse) => Promise<T>
+): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(options.transport, url, init, options.timeout, read);
+    } catch (error) {
+      const failure = toTenlixorError(error);
+      if (attempt >= options.retries || !isRetryable(failure)) {
+        throw failure;
+      }
+      // A far-off Retry-After (e.g. an hour) must not leave init() pending for that long
+      const delay = failure.retryAfter !== undefined
+        ? Math.min(failure.retryAfter, MAX_RETRY_DELAY)
+        : getBackoffDelay(options.retryDelay, attempt);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run a single attempt with a timeout
+ * @param transport - Function sending the request
+ * @param url - Request URL
+ * @param init - Request options
+ * @param timeout - Timeout in milliseconds (0 disables it)
+ * @param read - Reads the successful response
+ * @returns Value returned by `read`
+ */
+async function fetchOnce<T>(
+  transport: TenlixorTransport,
+  url: string,
+  init: TenlixorTransportInit,
+  timeout: number,
+  read: (response: TenlixorTransportResponse) => Promise<T>
+): Promise<T> {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  let timedOut = false;
+  let timer: ReturnType<typeof setTimeout> | null = null;
+
+  const attempt = (async () => {
+    let response: TenlixorTransportResponse;
+    try {
+      response = await transport(url, controller ? { ...init, signal: controller.signal } : init);
+    } catch (error) {
+      if (timedOut) {
+        throw timeoutError(timeout);
+      }
+      throw new TenlixorError('NETWORK', error instanceof Error ? error.message : 'Network request failed');
+    }
+
+    if (!response.ok && response.status !== 304) {
+      throw getHttpError(response);
+    }
+
+    try {
+      return await read(response);
+    } catch (error) {
+      if (timedOut) {
+        throw timeoutError(timeout);
+      }
+      throw error;
+    }
+  })();
+
+  if (timeout <= 0) {
+    return attempt;
+  }
+
+  // Without AbortController the request keeps running, but the caller stops waiting
+  const expired = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      if (controller) {
+        controller.abort();
+      }
+      reject(timeoutError(timeout));
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([attempt, expired]);
+  } finally {
+    if (timer !== null) {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Map an unsuccessful response to an error
+ * @param response - Response with a non-2xx status
+ * @returns Typed error
+ */
+export function getHttpError(response: TenlixorTransportResponse): TenlixorError {
+  const status = response.status;
+  const message = `HTTP ${status}${response.statusText ? ` ${response.statusText}` : ''}`;
+
+  if (status === 401) {
+    return new TenlixorError('UNAUTHORIZED', 'Invalid API token', status);
+  }
+  if (status === 429) {
+    return new TenlixorError('RATE_LIMITED', message, status, parseRetryAfter(response.headers.get('Retry-After')));
+  }
+  if (status >= 500) {
+    return new TenlixorError('HTTP_5XX', message, status);
+  }
+  return new TenlixorError('HTTP_4XX', message, status);
+}
+
+/**
+ * Parse a `Retry-After` header (seconds or an HTTP date)
+ * @param value - Header value
+ * @returns Delay in milliseconds, or undefined if absent or invalid
+ */
+function parseRetryAfter(value: string | null): number | undefined {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the delay before a retry: exponential, with the upper half randomized
+ * so that clients failing together do not retry together
+ * @param base - Base delay in milliseconds
+ * @param attempt - Zero-based attempt that failed
+ * @param max - Upper bound for the delay in milliseconds (default: 30000)
+ * @returns Delay in milliseconds
+ */
+export function getBackoffDelay(base: number, attempt: number, max: number = MAX_RETRY_DELAY): number {
+  const delay = Math.min(max, base * Math.pow(2, attempt));
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function isRetryable(error: TenlixorError): boolean {
+  return error.code === 'TIMEOUT' || error.code === 'NETWORK' ||
+    error.code === 'HTTP_5XX' || error.code === 'RATE_LIMITED';
+}
+
+function timeoutError(timeout: number): TenlixorError {
+  return new TenlixorError('TIMEOUT', `Request timed out after ${timeout}ms`);
+}
+
+function toTenlixorError(error: unknown): TenlixorError {
+  if (error instanceof TenlixorError) {
+    return error;
+  }
+  return new TenlixorError('INVALID_RESPONSE', error instanceof Error ? error.message : 'Invalid response');
+}
+
+/**
+ * Map items through an async function with a limited number of calls in flight
+ *
+ * Stops starting new calls after the first failure.
+ *
+ * @param items - Items to process
+ * @param concurrency - Maximum number of calls in flight
+ * @param fn - Async function
+ * @returns Results in item order
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  concurrency: number,
+  fn: (item: T) => Promise<R>
+): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async (): Promise<void> => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index]);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
@@ -6,6 +6,7 @@
 
 // Core exports
 export { Tenlixor } from './tenlixor';
+export { TenlixorError } from './http';
 export * from './types';
 
 // Framework adapters (individual imports)
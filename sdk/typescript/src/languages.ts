@@ -0,0 +1,132 @@
+/**
+ * Tenlixor Language Metadata
+ * @module @verbytes-tenlixor/sdk
+ */
+
+import type { TenlixorLanguageInfo, TenlixorTextDirection } from './types';
+
+/**
+ * Built-in metadata: [English name, native name, script, direction]
+ */
+const LANGUAGES: { [code: string]: [string, string, string, TenlixorTextDirection] } = {
+  af: ['Afrikaans', 'Afrikaans', 'Latn', 'ltr'],
+  am: ['Amharic', 'አማርኛ', 'Ethi', 'ltr'],
+  ar: ['Arabic', 'العربية', 'Arab', 'rtl'],
+  az: ['Azerbaijani', 'Azərbaycan', 'Latn', 'ltr'],
+  be: ['Belarusian', 'Беларуская', 'Cyrl', 'ltr'],
+  bg: ['Bulgarian', 'Български', 'Cyrl', 'ltr'],
+  bn: ['Bengali', 'বাংলা', 'Beng', 'ltr'],
+  bs: ['Bosnian', 'Bosanski', 'Latn', 'ltr'],
+  ca: ['Catalan', 'Català', 'Latn', 'ltr'],
+  ckb: ['Central Kurdish', 'کوردی', 'Arab', 'rtl'],
+  cs: ['Czech', 'Čeština', 'Latn', 'ltr'],
+  cy: ['Welsh', 'Cymraeg', 'Latn', 'ltr'],
+  da: ['Danish', 'Dansk', 'Latn', 'ltr'],
+  de: ['German', 'Deutsch', 'Latn', 'ltr'],
+  dv: ['Divehi', 'ދިވެހި', 'Thaa', 'rtl'],
+  el: ['Greek', 'Ελληνικά', 'Grek', 'ltr'],
+  en: ['English', 'English', 'Latn', 'ltr'],
+  es: ['Spanish', 'Español', 'Latn', 'ltr'],
+  et: ['Estonian', 'Eesti', 'Latn', 'ltr'],
+  eu: ['Basque', 'Euskara', 'Latn', 'ltr'],
+  fa: ['Persian', 'فارسی', 'Arab', 'rtl'],
+  fi: ['Finnish', 'Suomi', 'Latn', 'ltr'],
+  fil: ['Filipino', 'Filipino', 'Latn', 'ltr'],
+  fr: ['French', 'Français', 'Latn', 'ltr'],
+  ga: ['Irish', 'Gaeilge', 'Latn', 'ltr'],
+  gl: ['Galician', 'Galego', 'Latn', 'ltr'],
+  gu: ['Gujarati', 'ગુજરાતી', 'Gujr', 'ltr'],
+  ha: ['Hausa', 'Hausa', 'Latn', 'ltr'],
+  he: ['Hebrew', 'עברית', 'Hebr', 'rtl'],
+  hi: ['Hindi', 'हिन्दी', 'Deva', 'ltr'],
+  hr: ['Croatian', 'Hrvatski', 'Latn', 'ltr'],
+  hu: ['Hungarian', 'Magyar', 'Latn', 'ltr'],
+  hy: ['Armenian', 'Հայերեն', 'Armn', 'ltr'],
+  id: ['Indonesian', 'Bahasa Indonesia', 'Latn', 'ltr'],
+  is: ['Icelandic', 'Íslenska', 'Latn', 'ltr'],
+  it: ['Italian', 'Italiano', 'Latn', 'ltr'],
+  ja: ['Japanese', '日本語', 'Jpan', 'ltr'],
+  ka: ['Georgian', 'ქართული', 'Geor', 'ltr'],
+  kk: ['Kazakh', 'Қазақ', 'Cyrl', 'ltr'],
+  km: ['Khmer', 'ខ្មែរ', 'Khmr', 'ltr'],
+  kn: ['Kannada', 'ಕನ್ನಡ', 'Knda', 'ltr'],
+  ko: ['Korean', '한국어', 'Kore', 'ltr'],
+  ks: ['Kashmiri', 'کٲشُر', 'Arab', 'rtl'],
+  ku: ['Kurdish', 'Kurdî', 'Latn', 'ltr'],
+  ky: ['Kyrgyz', 'Кыргызча', 'Cyrl', 'ltr'],
+  lo: ['Lao', 'ລາວ', 'Laoo', 'ltr'],
+  lt: ['Lithuanian', 'Lietuvių', 'Latn', 'ltr'],
+  lv: ['Latvian', 'Latviešu', 'Latn', 'ltr'],
+  mk: ['Macedonian', 'Македонски', 'Cyrl', 'ltr'],
+  ml: ['Malayalam', 'മലയാളം', 'Mlym', 'ltr'],
+  mn: ['Mongolian', 'Монгол', 'Cyrl', 'ltr'],
+  mr: ['Marathi', 'मराठी', 'Deva', 'ltr'],
+  ms: ['Malay', 'Bahasa Melayu', 'Latn', 'ltr'],
+  my: ['Burmese', 'မြန်မာ', 'Mymr', 'ltr'],
+  nb: ['Norwegian Bokmål', 'Norsk bokmål', 'Latn', 'ltr'],
+  ne: ['Nepali', 'नेपाली', 'Deva', 'ltr'],
+  nl: ['Dutch', 'Nederlands', 'Latn', 'ltr'],
+  no: ['Norwegian', 'Norsk', 'Latn', 'ltr'],
+  pa: ['Punjabi', 'ਪੰਜਾਬੀ', 'Guru', 'ltr'],
+  pl: ['Polish', 'Polski', 'Latn', 'ltr'],
+  ps: ['Pashto', 'پښتو', 'Arab', 'rtl'],
+  pt: ['Portuguese', 'Português', 'Latn', 'ltr'],
+  ro: ['Romanian', 'Română', 'Latn', 'ltr'],
+  ru: ['Russian', 'Русский', 'Cyrl', 'ltr'],
+  sd: ['Sindhi', 'سنڌي', 'Arab', 'rtl'],
+  si: ['Sinhala', 'සිංහල', 'Sinh', 'ltr'],
+  sk: ['Slovak', 'Slovenčina', 'Latn', 'ltr'],
+  sl: ['Slovenian', 'Slovenščina', 'Latn', 'ltr'],
+  sq: ['Albanian', 'Shqip', 'Latn', 'ltr'],
+  sr: ['Serbian', 'Српски', 'Cyrl', 'ltr'],
+  sv: ['Swedish', 'Svenska', 'Latn', 'ltr'],
+  sw: ['Swahili', 'Kiswahili', 'Latn', 'ltr'],
+  syr: ['Syriac', 'ܣܘܪܝܝܐ', 'Syrc', 'rtl'],
+  ta: ['Tamil', 'தமிழ்', 'Taml', 'ltr'],
+  te: ['Telugu', 'తెలుగు', 'Telu', 'ltr'],
+  th: ['Thai', 'ไทย', 'Thai', 'ltr'],
+  tr: ['Turkish', 'Türkçe', 'Latn', 'ltr'],
+  ug: ['Uyghur', 'ئۇيغۇرچە', 'Arab', 'rtl'],
+  uk: ['Ukrainian', 'Українська', 'Cyrl', 'ltr'],
+  ur: ['Urdu', 'اردو', 'Arab', 'rtl'],
+  uz: ['Uzbek', 'Oʻzbek', 'Latn', 'ltr'],
+  vi: ['Vietnamese', 'Tiếng Việt', 'Latn', 'ltr'],
+  yi: ['Yiddish', 'ייִדיש', 'Hebr', 'rtl'],
+  yo: ['Yoruba', 'Yorùbá', 'Latn', 'ltr'],
+  zh: ['Chinese', '中文', 'Hans', 'ltr'],
+  zu: ['Zulu', 'isiZulu', 'Latn', 'ltr']
+};
+
+/**
+ * Scripts written right to left
+ */
+const RTL_SCRIPTS = ['Adlm', 'Arab', 'Hebr', 'Mand', 'Nkoo', 'Rohg', 'Samr', 'Syrc', 'Thaa'];
+
+/**
+ * Get metadata for a language tag
+ *
+ * Regional tags use their base language (`ar-EG` → `ar`); an explicit script
+ * subtag overrides the default script and direction (`az-Arab` is RTL).
+ * Unknown languages are reported as left-to-right.
+ *
+ * @param code - Language tag (e.g., 'ar', 'pt-BR', 'zh-Hant-TW')
+ * @returns Language metadata
+ */
+export function getLanguageInfo(code: string): TenlixorLanguageInfo {
+  const subtags = code.split(/[-_]/);
+  const entry = LANGUAGES[subtags[0].toLowerCase()];
+  const scriptSubtag = subtags.slice(1).find(subtag => /^[A-Za-z]{4}$/.test(subtag));
+  const script = scriptSubtag
+    ? scriptSubtag.charAt(0).toUpperCase() + scriptSubtag.slice(1).toLowerCase()
+    : entry ? entry[2] : 'Zyyy';
+
+  return {
+    code,
+    name: entry ? entry[0] : code,
+    nativeName: entry ? entry[1] : code,
+    script,
+    direction: scriptSubtag || !entry
+      ? RTL_SCRIPTS.indexOf(script) !== -1 ? 'rtl' : 'ltr'
+      : entry[3]
+  };
+}
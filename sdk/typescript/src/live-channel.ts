@@ -0,0 +1,409 @@
+/**
+ * Tenlixor Live Channel
+ * @module @verbytes-tenlixor/sdk
+ *
+ * Receives translation changes pushed by the API, over Server-Sent Events or a
+ * WebSocket, and reconnects with jittered exponential backoff.
+ */
+
+import type {
+  TenlixorLiveConfig,
+  TenlixorRequest,
+  TenlixorRequestInterceptor,
+  TenlixorResponseContext,
+  TenlixorResponseData,
+  TenlixorResponseInterceptor,
+  TenlixorTransport,
+  TenlixorTransportResponse
+} from './types';
+import { TenlixorError, getHttpError, getBackoffDelay } from './http';
+
+/**
+ * Callback receiving pushed changes (tombstones carry `deleted_at`)
+ */
+export type LiveUpdateCallback = (changes: TenlixorResponseData) => void;
+
+/**
+ * Resolves the API token: the current one, or a replacement for a rejected one
+ * (null if it cannot be replaced)
+ */
+export type LiveTokenProvider = (rejected?: string) => Promise<string | null>;
+
+/**
+ * Callback receiving connection and message errors
+ */
+export type LiveErrorCallback = (error: TenlixorError) => void;
+
+/**
+ * Sends the event stream request and reads its messages: the instance's
+ * transport and interceptors
+ */
+export interface LiveRequestHooks {
+  transport: TenlixorTransport;
+  onRequest: TenlixorRequestInterceptor;
+  onResponse: TenlixorResponseInterceptor;
+}
+
+/**
+ * Keeps a connection to the live endpoint open while connected
+ *
+ * Every message is a JSON object with a `languages` array shaped like the
+ * strings API response; messages without one (e.g. keep-alives) are ignored.
+ * The id of the last message is sent on reconnect (`Last-Event-ID`, or
+ * `last_event_id` in the WebSocket auth message) so the server can replay
+ * missed changes.
+ *
+ * The event stream goes through the configured transport, `onRequest` and
+ * `onResponse` (per message); a WebSocket cannot, and connects directly.
+ */
+export class LiveChannel {
+  private readonly url: string;
+  private readonly transport: 'sse' | 'websocket';
+  private reconnectDelay: number;
+  private readonly maxReconnectDelay: number;
+  private connected: boolean;
+  private attempt: number;
+  private lastEventId: string | null;
+  private controller: AbortController | null;
+  private socket: WebSocket | null;
+  private timer: ReturnType<typeof setTimeout> | null;
+  private session: number;
+  private token: string | null;
+  private renewed: boolean;
+
+  /**
+   * Create a channel (call connect() to open it)
+   * @param options - Live configuration
+   * @param apiUrl - Strings API URL, used for the default endpoint
+   * @param tenantSlug - Tenant slug
+   * @param getToken - Resolves the API token; asked once for a new one when it is rejected
+   * @param onUpdate - Receives pushed changes
+   * @param onError - Receives failures; the channel keeps reconnecting unless the token is rejected
+   * @param hooks - Transport and interceptors for the event stream
+   */
+  constructor(
+    options: TenlixorLiveConfig,
+    apiUrl: string,
+    private readonly tenantSlug: string,
+    private readonly getToken: LiveTokenProvider,
+    private readonly onUpdate: LiveUpdateCallback,
+    private readonly onError: LiveErrorCallback,
+    private readonly hooks: LiveRequestHooks
+  ) {
+    this.transport = options.transport || 'sse';
+    this.url = options.url || `${apiUrl.replace(/\/+$/, '')}/live`;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+    this.connected = false;
+    this.attempt = 0;
+    this.lastEventId = null;
+    this.controller = null;
+    this.socket = null;
+    this.timer = null;
+    this.session = 0;
+    this.token = null;
+    this.renewed = false;
+  }
+
+  /**
+   * Open the connection (no-op if already connected)
+   */
+  public connect(): void {
+    if (this.connected) {
+      return;
+    }
+    this.connected = true;
+    this.open();
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  public close(): void {
+    this.connected = false;
+    this.session++;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * Open a connection with the configured transport
+   */
+  private open(): void {
+    if (this.transport === 'websocket') {
+      const session = this.session;
+      this.openSocket(session).catch(error => session === this.session && this.fail(error));
+    } else {
+      const controller = new AbortController();
+      this.controller = controller;
+      // A stream closed by close() must not reconnect, even after a later connect()
+      this.openStream(controller).then(
+        () => this.controller === controller && this.reconnect(),
+        error => this.controller === controller && this.fail(error)
+      );
+    }
+  }
+
+  /**
+   * Read an event stream until the server ends it
+   *
+   * The transport is used instead of EventSource so the API key can be sent as a
+   * header; it must return the body as a stream.
+   *
+   * @param controller - Aborts the request when the channel is closed
+   */
+  private async openStream(controller: AbortController): Promise<void> {
+    const token = await this.resolveToken();
+    const request: TenlixorRequest = {
+      url: this.url,
+      method: 'GET',
+      headers: {
+        'X-Tenant-Slug': this.tenantSlug,
+        'X-API-Key': token,
+        Accept: 'text/event-stream'
+      }
+    };
+    if (this.lastEventId) {
+      request.headers['Last-Event-ID'] = this.lastEventId;
+    }
+    const sent = (await this.hooks.onRequest(request)) || request;
+
+    let response: TenlixorTransportResponse;
+    try {
+      response = await this.hooks.transport(sent.url, {
+        method: sent.method,
+        headers: sent.headers,
+        cache: 'no-store',
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new TenlixorError('NETWORK', error instanceof Error ? error.message : 'Live connection failed');
+    }
+    if (!response.ok) {
+      throw getHttpError(response);
+    }
+    if (!response.body) {
+      throw new TenlixorError('INVALID_RESPONSE', 'Live response has no body', response.status);
+    }
+    this.attempt = 0;
+    this.renewed = false;
+
+    const context: TenlixorResponseContext = { request: sent, status: response.status, headers: response.headers };
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let data: string[] = [];
+    let id: string | null = null;
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          return;
+        }
+        buffer += decoder.decode(value, { stream: true });
+
+        // Keep a trailing partial line (and a lone \r that may be half of \r\n) for the next chunk
+        const lines = buffer.split(/\r\n|\r(?!$)|\n/);
+        buffer = lines.pop() as string;
+
+        for (const line of lines) {
+          if (line === '') {
+            // A blank line ends the event
+            if (id !== null) {
+              this.lastEventId = id;
+            }
+            if (data.length > 0) {
+              await this.dispatch(data.join('\n'), context);
+            }
+            data = [];
+            id = null;
+            continue;
+          }
+          if (line.charAt(0) === ':') {
+            continue;
+          }
+
+          const index = line.indexOf(':');
+          const field = index === -1 ? line : line.slice(0, index);
+          const fieldValue = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+          if (field === 'data') {
+            data.push(fieldValue);
+          } else if (field === 'id') {
+            id = fieldValue;
+          } else if (field === 'retry' && /^\d+$/.test(fieldValue)) {
+            this.reconnectDelay = Number(fieldValue);
+          }
+        }
+      }
+    } catch (error) {
+      throw new TenlixorError('NETWORK', error instanceof Error ? error.message : 'Live connection lost');
+    }
+  }
+
+  /**
+   * Open a WebSocket and authenticate with the first message
+   * @param session - Connection session, to detect close() while waiting for the token
+   */
+  private async openSocket(session: number): Promise<void> {
+    if (typeof WebSocket === 'undefined') {
+      this.connected = false;
+      this.onError(new TenlixorError('NETWORK', 'WebSocket is not available'));
+      return;
+    }
+
+    const token = await this.resolveToken();
+    if (session !== this.session) {
+      return;
+    }
+
+    const socket = new WebSocket(this.url.replace(/^http/, 'ws'));
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.attempt = 0;
+      socket.send(JSON.stringify({
+        type: 'auth',
+        tenant_slug: this.tenantSlug,
+        token,
+        last_event_id: this.lastEventId
+      }));
+    };
+    socket.onmessage = event => {
+      // A message means the token was accepted
+      this.renewed = false;
+      if (typeof event.data === 'string') {
+        this.dispatch(event.data).catch(error => {
+          this.onError(new TenlixorError('INVALID_RESPONSE', error instanceof Error ? error.message : 'Live message could not be applied'));
+        });
+      }
+    };
+    socket.onclose = event => {
+      if (this.socket !== socket) {
+        return;
+      }
+      this.socket = null;
+      // 4001: the server rejected the credentials
+      if (event.code === 4001) {
+        this.fail(new TenlixorError('UNAUTHORIZED', 'Invalid API token', 401));
+      } else if (event.wasClean) {
+        this.reconnect();
+      } else {
+        this.fail(new TenlixorError('NETWORK', `Live connection closed (${event.code})`));
+      }
+    };
+  }
+
+  /**
+   * Get the token for a new connection
+   * @returns API token
+   */
+  private async resolveToken(): Promise<string> {
+    const token = await this.getToken();
+    if (!token) {
+      throw new TenlixorError('UNAUTHORIZED', 'No API token');
+    }
+    this.token = token;
+    return token;
+  }
+
+  /**
+   * Parse a message and pass its changes on
+   * @param message - JSON message
+   * @param context - Event stream response, for `onResponse` (none for WebSocket messages)
+   */
+  private async dispatch(message: string, context?: TenlixorResponseContext): Promise<void> {
+    let payload: (TenlixorResponseData & { id?: string | number }) | null;
+    try {
+      payload = JSON.parse(message);
+    } catch (error) {
+      this.onError(new TenlixorError('INVALID_RESPONSE', 'Live message is not valid JSON'));
+      return;
+    }
+
+    if (context) {
+      try {
+        const intercepted: unknown = await this.hooks.onResponse(payload, context);
+        payload = (intercepted || payload) as typeof payload;
+      } catch (error) {
+        this.onError(new TenlixorError('INVALID_RESPONSE', error instanceof Error ? error.message : 'Live message was rejected'));
+        return;
+      }
+    }
+
+    if (!payload || !Array.isArray(payload.languages)) {
+      return;
+    }
+    if (payload.id !== undefined && payload.id !== null) {
+      this.lastEventId = String(payload.id);
+    }
+    this.onUpdate(payload);
+  }
+
+  /**
+   * Report a failed connection and reconnect, unless the token was rejected
+   *
+   * A rejected token is replaced once (per successful connection) before giving up.
+   *
+   * @param error - Failure
+   */
+  private fail(error: unknown): void {
+    if (!this.connected) {
+      return;
+    }
+    const failure = error instanceof TenlixorError
+      ? error
+      : new TenlixorError('INVALID_RESPONSE', error instanceof Error ? error.message : 'Invalid live response');
+
+    if (failure.code === 'UNAUTHORIZED' && !this.renewed && this.token !== null) {
+      this.renewed = true;
+      const session = this.session;
+      this.getToken(this.token).then(
+        token => {
+          if (session === this.session) {
+            if (token) {
+              this.open();
+            } else {
+              this.fail(failure);
+            }
+          }
+        },
+        () => session === this.session && this.fail(failure)
+      );
+      return;
+    }
+
+    this.onError(failure);
+
+    if (failure.code === 'UNAUTHORIZED') {
+      this.close();
+    } else {
+      this.reconnect();
+    }
+  }
+
+  /**
+   * Schedule the next connection attempt
+   */
+  private reconnect(): void {
+    if (!this.connected) {
+      return;
+    }
+    this.controller = null;
+    const delay = getBackoffDelay(this.reconnectDelay, this.attempt++, this.maxReconnectDelay);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.open();
+    }, delay);
+  }
+}
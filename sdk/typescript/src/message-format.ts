@@ -0,0 +1,381 @@
+/**
+ * Tenlixor ICU MessageFormat support
+ * @module @verbytes-tenlixor/sdk
+ *
+ * Supports simple arguments (`{name}`), typed arguments (`{n, number}`,
+ * `{d, date, short}`, `{d, time}`), `plural`, `selectordinal` and `select`,
+ * including `offset:`, exact `=N` selectors, `#` and apostrophe quoting.
+ */
+
+import type { TenlixorMessageParams } from './types';
+
+/**
+ * Parsed message node
+ */
+export type MessageNode =
+  | string
+  | { type: 'argument'; name: string; format?: 'number' | 'date' | 'time'; style?: string }
+  | { type: 'plural'; name: string; ordinal: boolean; offset: number; options: MessageOptions }
+  | { type: 'select'; name: string; options: MessageOptions }
+  | { type: 'pound' };
+
+/**
+ * Plural/select sub-messages by selector
+ */
+export interface MessageOptions {
+  [selector: string]: MessageNode[];
+}
+
+/**
+ * Recursive descent parser for ICU message strings
+ */
+class MessageParser {
+  private pos: number = 0;
+
+  constructor(private readonly message: string) { }
+
+  /**
+   * Parse the whole message
+   * @returns Parsed nodes
+   * @throws {Error} If the message is malformed
+   */
+  public parse(): MessageNode[] {
+    const nodes = this.parseNodes(false);
+    if (this.pos < this.message.length) {
+      throw this.error('Unexpected "}"');
+    }
+    return nodes;
+  }
+
+  /**
+   * Parse text and arguments until a closing brace or the end of input
+   * @param inPlural - Whether `#` refers to an enclosing plural value
+   */
+  private parseNodes(inPlural: boolean): MessageNode[] {
+    const nodes: MessageNode[] = [];
+    let text = '';
+
+    while (this.pos < this.message.length) {
+      const char = this.message[this.pos];
+
+      if (char === '}') {
+        break;
+      }
+
+      if (char === '{' || (char === '#' && inPlural)) {
+        if (text) {
+          nodes.push(text);
+          text = '';
+        }
+        if (char === '#') {
+          nodes.push({ type: 'pound' });
+          this.pos++;
+        } else {
+          nodes.push(this.parseArgument(inPlural));
+        }
+      } else if (char === "'") {
+        text += this.parseQuoted(inPlural);
+      } else {
+        text += char;
+        this.pos++;
+      }
+    }
+
+    if (text) {
+      nodes.push(text);
+    }
+    return nodes;
+  }
+
+  /**
+   * Parse an apostrophe: `''` is a literal apostrophe, `'{...}'` quotes syntax characters
+   */
+  private parseQuoted(inPlural: boolean): string {
+    const next = this.message[this.pos + 1];
+
+    if (next === "'") {
+      this.pos += 2;
+      return "'";
+    }
+
+    if (next !== '{' && next !== '}' && !(inPlural && next === '#')) {
+      this.pos++;
+      return "'";
+    }
+
+    let text = '';
+    this.pos++;
+    while (this.pos < this.message.length) {
+      const char = this.message[this.pos];
+      if (char === "'") {
+        if (this.message[this.pos + 1] === "'") {
+          text += "'";
+          this.pos += 2;
+          continue;
+        }
+        this.pos++;
+        return text;
+      }
+      text += char;
+      this.pos++;
+    }
+    return text;
+  }
+
+  /**
+   * Parse an argument starting at `{`
+   */
+  private parseArgument(inPlural: boolean): MessageNode {
+    this.pos++;
+    const name = this.readToken();
+    if (!name) {
+      throw this.error('Expected argument name');
+    }
+
+    if (this.consume('}')) {
+      return { type: 'argument', name };
+    }
+
+    this.expect(',');
+    const type = this.readToken();
+
+    switch (type) {
+      case 'plural':
+      case 'selectordinal':
+        this.expect(',');
+        return this.parsePlural(name, type === 'selectordinal');
+      case 'select':
+        this.expect(',');
+        return { type: 'select', name, options: this.parseOptions(inPlural) };
+      case 'number':
+      case 'date':
+      case 'time': {
+        let style: string | undefined;
+        if (this.consume(',')) {
+          style = this.readToken();
+        }
+        this.expect('}');
+        return { type: 'argument', name, format: type, style };
+      }
+      default:
+        throw this.error(`Unknown argument type "${type}"`);
+    }
+  }
+
+  /**
+   * Parse the body of a plural or selectordinal argument
+   */
+  private parsePlural(name: string, ordinal: boolean): MessageNode {
+    let offset = 0;
+    const start = this.pos;
+    const token = this.readToken();
+
+    if (token.startsWith('offset:')) {
+      offset = Number(token.slice(7));
+      if (isNaN(offset)) {
+        throw this.error(`Invalid plural offset "${token}"`);
+      }
+    } else {
+      this.pos = start;
+    }
+
+    return { type: 'plural', name, ordinal, offset, options: this.parseOptions(true) };
+  }
+
+  /**
+   * Parse `selector {message}` pairs up to and including the closing brace
+   */
+  private parseOptions(inPlural: boolean): MessageOptions {
+    const options: MessageOptions = {};
+
+    while (!this.consume('}')) {
+      const selector = this.readToken();
+      if (!selector) {
+        throw this.error('Expected selector');
+      }
+      this.expect('{');
+      options[selector] = this.parseNodes(inPlural);
+      this.expect('}');
+    }
+
+    if (!options.other) {
+      throw this.error('Missing "other" option');
+    }
+    return options;
+  }
+
+  /**
+   * Read a token delimited by whitespace or syntax characters
+   */
+  private readToken(): string {
+    this.skipWhitespace();
+    const start = this.pos;
+    while (this.pos < this.message.length && !/[\s{},]/.test(this.message[this.pos])) {
+      this.pos++;
+    }
+    return this.message.slice(start, this.pos);
+  }
+
+  private consume(char: string): boolean {
+    this.skipWhitespace();
+    if (this.message[this.pos] === char) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  private expect(char: string): void {
+    if (!this.consume(char)) {
+      throw this.error(`Expected "${char}"`);
+    }
+  }
+
+  private skipWhitespace(): void {
+    while (this.pos < this.message.length && /\s/.test(this.message[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  private error(message: string): Error {
+    return new Error(`${message} at position ${this.pos}`);
+  }
+}
+
+/**
+ * Parse an ICU message string
+ * @param message - Message source
+ * @returns Parsed nodes
+ * @throws {Error} If the message is malformed
+ */
+export function parseMessage(message: string): MessageNode[] {
+  return new MessageParser(message).parse();
+}
+
+/**
+ * Intl formatter instances by locale and options
+ */
+const formatterCache = new Map<string, any>();
+
+/**
+ * Get a cached Intl formatter, falling back to the runtime default locale for invalid tags
+ * @param kind - Formatter kind (cache namespace)
+ * @param locale - Locale tag
+ * @param options - Formatter options (part of the cache key)
+ * @param create - Formatter factory
+ * @returns Formatter instance
+ */
+export function getFormatter<T>(kind: string, locale: string, options: object, create: (locale?: string) => T): T {
+  const cacheKey = `${kind}|${locale}|${JSON.stringify(options)}`;
+  let formatter = formatterCache.get(cacheKey);
+  if (!formatter) {
+    try {
+      formatter = create(locale);
+    } catch (error) {
+      // Invalid locale tag: fall back to the runtime default locale
+      formatter = create(undefined);
+    }
+    formatterCache.set(cacheKey, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Select the plural category for a number
+ * @param value - Number
+ * @param locale - Locale tag
+ * @param ordinal - Use ordinal rules (1st, 2nd, ...) instead of cardinal rules
+ * @returns Plural category ('zero', 'one', 'two', 'few', 'many' or 'other')
+ */
+export function selectPlural(value: number, locale: string, ordinal: boolean): string {
+  if (typeof Intl === 'undefined' || !Intl.PluralRules) {
+    return value === 1 && !ordinal ? 'one' : 'other';
+  }
+  const options: Intl.PluralRulesOptions = { type: ordinal ? 'ordinal' : 'cardinal' };
+  return getFormatter('plural', locale, options, l => new Intl.PluralRules(l, options)).select(value);
+}
+
+function formatNumberValue(value: number, locale: string, style?: string): string {
+  if (typeof Intl === 'undefined') {
+    return String(value);
+  }
+  const options: Intl.NumberFormatOptions =
+    style === 'integer' ? { maximumFractionDigits: 0 } :
+      style === 'percent' ? { style: 'percent' } : {};
+  return getFormatter('number', locale, options, l => new Intl.NumberFormat(l, options)).format(value);
+}
+
+function formatDateValue(value: Date | number | string, locale: string, format: 'date' | 'time', style?: string): string {
+  const date = value instanceof Date ? value : new Date(value);
+  if (typeof Intl === 'undefined') {
+    return format === 'time' ? date.toLocaleTimeString() : date.toLocaleDateString();
+  }
+  const length = style === 'full' || style === 'long' || style === 'medium' ? style : 'short';
+  const options: Intl.DateTimeFormatOptions = format === 'time' ? { timeStyle: length } : { dateStyle: length };
+  return getFormatter('date', locale, options, l => new Intl.DateTimeFormat(l, options)).format(date);
+}
+
+/**
+ * Format parsed message nodes
+ * @param nodes - Parsed nodes
+ * @param params - Argument values
+ * @param locale - Locale used for plural rules and number/date formatting
+ * @param pluralValue - Value substituted for `#` (internal)
+ * @returns Formatted string
+ */
+export function formatMessage(
+  nodes: MessageNode[],
+  params: TenlixorMessageParams,
+  locale: string,
+  pluralValue?: number
+): string {
+  let result = '';
+
+  for (const node of nodes) {
+    if (typeof node === 'string') {
+      result += node;
+      continue;
+    }
+
+    switch (node.type) {
+      case 'pound':
+        result += pluralValue === undefined ? '#' : formatNumberValue(pluralValue, locale);
+        break;
+
+      case 'argument': {
+        const value = params[node.name];
+        if (value === undefined || value === null) {
+          result += `{${node.name}}`;
+        } else if (node.format === 'date' || node.format === 'time') {
+          result += formatDateValue(value as Date | number | string, locale, node.format, node.style);
+        } else if (node.format === 'number' || typeof value === 'number') {
+          result += formatNumberValue(Number(value), locale, node.style);
+        } else if (value instanceof Date) {
+          result += formatDateValue(value, locale, 'date', node.style);
+        } else {
+          result += String(value);
+        }
+        break;
+      }
+
+      case 'plural': {
+        const value = Number(params[node.name]);
+        const relative = value - node.offset;
+        const option = node.options[`=${value}`] ||
+          (isNaN(value) ? undefined : node.options[selectPlural(relative, locale, node.ordinal)]) ||
+          node.options.other;
+        result += formatMessage(option, params, locale, isNaN(value) ? undefined : relative);
+        break;
+      }
+
+      case 'select': {
+        const value = params[node.name];
+        const option = (value !== undefined && value !== null && node.options[String(value)]) || node.options.other;
+        result += formatMessage(option, params, locale, pluralValue);
+        break;
+      }
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,135 @@
+/**
+ * Tenlixor Missing Key Reporter
+ * @module @verbytes-tenlixor/sdk
+ */
+
+import type { TenlixorMissingKeyEvent, TenlixorMissingKeyReportConfig, TenlixorTransport } from './types';
+
+/**
+ * Collects missing translation keys and sends them to a reporting endpoint in batches
+ *
+ * Each key/language pair is reported once per page session. Pending reports are
+ * flushed with `navigator.sendBeacon` when the page is hidden or unloaded.
+ */
+export class MissingKeyReporter {
+  private readonly endpoint: string;
+  private readonly batchSize: number;
+  private readonly flushInterval: number;
+  private readonly seen: Set<string>;
+  private queue: TenlixorMissingKeyEvent[];
+  private timer: ReturnType<typeof setTimeout> | null;
+  private readonly onPageHide: () => void;
+  private readonly onVisibilityChange: () => void;
+
+  /**
+   * Create a new reporter
+   * @param options - Reporter configuration
+   * @param tenantSlug - Tenant slug sent with every report
+   * @param getToken - Resolves the API token sent as `X-API-Key` (not available to beacons)
+   * @param transport - Function sending reports that are not beaconed
+   */
+  constructor(
+    options: TenlixorMissingKeyReportConfig,
+    private readonly tenantSlug: string,
+    private readonly getToken: () => Promise<string>,
+    private readonly transport: TenlixorTransport
+  ) {
+    this.endpoint = options.endpoint;
+    this.batchSize = options.batchSize || 50;
+    this.flushInterval = options.flushInterval || 10000;
+    this.seen = new Set();
+    this.queue = [];
+    this.timer = null;
+
+    this.onPageHide = () => this.flush(true);
+    this.onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush(true);
+      }
+    };
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.onPageHide);
+    }
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+  }
+
+  /**
+   * Queue a missing key (ignored if already reported)
+   * @param event - Missing key event
+   */
+  public report(event: TenlixorMissingKeyEvent): void {
+    const id = `${event.language}:${event.key}`;
+    if (this.seen.has(id)) {
+      return;
+    }
+    this.seen.add(id);
+    this.queue.push(event);
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+  }
+
+  /**
+   * Send all queued reports
+   * @param useBeacon - Use `navigator.sendBeacon` (for page hide/unload)
+   */
+  public flush(useBeacon: boolean = false): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const batch = this.queue;
+    this.queue = [];
+    const body = JSON.stringify({
+      tenant_slug: this.tenantSlug,
+      missing: batch.map(event => ({
+        key: event.key,
+        language: event.language,
+        fallback_used: event.fallbackUsed
+      }))
+    });
+
+    // Beacons cannot carry custom headers and are sent as text/plain
+    if (useBeacon && typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+      if (navigator.sendBeacon(this.endpoint, body)) {
+        return;
+      }
+    }
+
+    this.getToken().then(token => this.transport(this.endpoint, {
+      method: 'POST',
+      keepalive: true,
+      headers: {
+        'X-Tenant-Slug': this.tenantSlug,
+        'X-API-Key': token,
+        'Content-Type': 'application/json'
+      },
+      body
+    })).catch(error => {
+      console.warn('Tenlixor: Failed to report missing keys:', error);
+    });
+  }
+
+  /**
+   * Flush pending reports and remove page listeners
+   */
+  public destroy(): void {
+    this.flush(true);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.onPageHide);
+    }
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    }
+  }
+}
@@ -8,284 +8,2245 @@ import type {
   TenlixorDataStore,
   TenlixorResponseData,
   TenlixorResponse,
+  TenlixorLanguage,
+  TenlixorResource,
   TenlixorEventType,
   TenlixorEventHandler,
   TenlixorEventListeners,
   TenlixorCacheEntry,
+  TenlixorMessageParams,
+  TenlixorFormats,
+  TenlixorScopedTranslator,
+  TenlixorLanguageInfo,
+  TenlixorStringsUpdatedEvent,
+  TenlixorRequest,
+  TenlixorTransportResponse,
   ITenlixor
 } from './types';
+import { parseMessage, formatMessage, getFormatter, selectPlural } from './message-format';
+import type { MessageNode } from './message-format';
+import { MissingKeyReporter } from './missing-key-reporter';
+import { sanitizeHtml, isAllowedUrl, URL_ATTRIBUTES, DEFAULT_HTML_ALLOWLIST } from './html-sanitizer';
+import { DomObserver } from './dom-observer';
+import { getLanguageInfo } from './languages';
+import { fetchWithRetry, mapWithConcurrency, defaultTransport, TenlixorError, TokenManager } from './http';
+import { LiveChannel } from './live-channel';
+import { AutoRefresher } from './auto-refresh';
+
+/**
+ * Relative time units in seconds
+ */
+const RELATIVE_TIME_UNITS: { [unit: string]: number } = {
+  year: 31536000,
+  quarter: 7776000,
+  month: 2592000,
+  week: 604800,
+  day: 86400,
+  hour: 3600,
+  minute: 60,
+  second: 1
+};
+
+/**
+ * Units picked automatically for dates, largest first (quarters only when requested)
+ */
+const AUTO_RELATIVE_TIME_UNITS: Intl.RelativeTimeFormatUnit[] = ['year', 'month', 'week', 'day', 'hour', 'minute', 'second'];
+
+/**
+ * Pick the largest unit that fits a duration
+ * @param seconds - Signed duration in seconds
+ * @returns Relative time unit
+ */
+function selectRelativeTimeUnit(seconds: number): Intl.RelativeTimeFormatUnit {
+  const abs = Math.abs(seconds);
+  for (const unit of AUTO_RELATIVE_TIME_UNITS) {
+    if (abs >= RELATIVE_TIME_UNITS[unit]) {
+      return unit;
+    }
+  }
+  return 'second';
+}
+
+/**
+ * Text that looks like a dotted translation key (e.g. 'checkout.title')
+ */
+const KEY_PATTERN = /^[A-Za-z][\w-]*(\.[\w-]+)+$/;
+
+/**
+ * References to other keys: `@:brand.name` or `$t(brand.name)`
+ */
+const LINK_PATTERN = /@:([A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)*)|\$t\(\s*([^)\s]+)\s*\)/g;
+
+/**
+ * Maximum nesting of referenced keys
+ */
+const MAX_LINK_DEPTH = 10;
+
+/**
+ * Separator between a key and its context/plural suffixes
+ */
+const VARIANT_SEPARATOR = '_';
+
+/**
+ * Separator between a key's namespace and the rest of the key
+ */
+const NAMESPACE_SEPARATOR = '.';
+
+/**
+ * Marker for a language whose full catalog is loaded
+ */
+const FULL_CATALOG = '*';
+
+/**
+ * Get the namespace of a key (its first segment, e.g. 'checkout' for 'checkout.title')
+ * @param key - Translation key
+ * @returns Namespace, or an empty string for keys without a separator
+ */
+function getNamespace(key: string): string {
+  const index = key.indexOf(NAMESPACE_SEPARATOR);
+  return index === -1 ? '' : key.slice(0, index);
+}
+
+/**
+ * Count the resources in a response
+ * @param data - Response data
+ * @returns Number of resources across all languages
+ */
+function countResources(data: TenlixorResponseData): number {
+  return (data.languages || []).reduce((count, lang) => count + (lang.resources ? lang.resources.length : 0), 0);
+}
+
+/**
+ * Combine the pages of a paginated response, in page order
+ * @param pages - Response data of each page
+ * @returns Data with the resources of all pages
+ */
+function combinePages(pages: TenlixorResponseData[]): TenlixorResponseData {
+  const languages = new Map<string, TenlixorLanguage>();
+  pages.forEach(page => {
+    (page.languages || []).forEach(lang => {
+      const combined = languages.get(lang.code);
+      if (combined) {
+        combined.resources = combined.resources.concat(lang.resources || []);
+      } else {
+        languages.set(lang.code, { code: lang.code, resources: (lang.resources || []).slice() });
+      }
+    });
+  });
+  return { tenant_id: pages[0].tenant_id, languages: Array.from(languages.values()) };
+}
+
+/**
+ * Apply changed resources to a catalog
+ *
+ * Resources are matched by key and context. Tombstones (resources with
+ * `deleted_at`) remove the matching resource and are not kept.
+ *
+ * @param base - Catalog to update, or null to build a new one from `changes`
+ * @param changes - Changed resources (a delta or a full catalog)
+ * @returns Updated catalog
+ */
+function applyDelta(base: TenlixorResponseData | null, changes: TenlixorResponseData): TenlixorResponseData {
+  const identify = (resource: TenlixorResource) => `${resource.key}\u0000${resource.context || ''}`;
+  const languages = new Map<string, Map<string, TenlixorResource>>();
+
+  const apply = (data: TenlixorResponseData) => {
+    (data.languages || []).forEach(lang => {
+      let resources = languages.get(lang.code);
+      if (!resources) {
+        resources = new Map();
+        languages.set(lang.code, resources);
+      }
+      for (const resource of lang.resources || []) {
+        if (resource.deleted_at) {
+          resources.delete(identify(resource));
+        } else {
+          resources.set(identify(resource), resource);
+        }
+      }
+    });
+  };
+
+  if (base) {
+    apply(base);
+  }
+  apply(changes);
+
+  return {
+    tenant_id: base && !changes.tenant_id ? base.tenant_id : changes.tenant_id,
+    languages: Array.from(languages, ([code, resources]) => ({ code, resources: Array.from(resources.values()) }))
+  };
+}
+
+/**
+ * Get the most recent change time of a response
+ * @param data - Response data (tombstones included)
+ * @param previous - Previous high-water mark (optional)
+ * @returns Latest `updated_at`/`deleted_at` value, or `previous` if none is later
+ */
+function getHighWaterMark(data: TenlixorResponseData, previous?: string): string | undefined {
+  let mark = previous;
+  let markTime = previous ? Date.parse(previous) : -Infinity;
+
+  (data.languages || []).forEach(lang => {
+    (lang.resources || []).forEach(resource => {
+      [resource.updated_at, resource.deleted_at].forEach(value => {
+        const time = value ? Date.parse(value) : NaN;
+        if (!isNaN(time) && (time > markTime || isNaN(markTime))) {
+          mark = value as string;
+          markTime = time;
+        }
+      });
+    });
+  });
+
+  return mark;
+}
+
+/**
+ * Get the keys added, changed or removed between two versions of a language's strings
+ * @param before - Previous strings
+ * @param after - Current strings
+ * @returns Changed keys
+ */
+function getChangedKeys(before: { [key: string]: string }, after: { [key: string]: string }): string[] {
+  const keys = Object.keys(after).filter(key => before[key] !== after[key]);
+  Object.keys(before).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(after, key)) {
+      keys.push(key);
+    }
+  });
+  return keys;
+}
+
+/**
+ * Get the base languages of a language tag, most specific first
+ * @param languageCode - Language tag (e.g., 'zh-Hant-TW')
+ * @returns Base language tags (e.g., ['zh-Hant', 'zh'])
+ */
+function getBaseLanguages(languageCode: string): string[] {
+  const subtags = languageCode.split(/[-_]/);
+  const bases: string[] = [];
+  for (let i = subtags.length - 1; i > 0; i--) {
+    bases.push(subtags.slice(0, i).join(languageCode.includes('_') ? '_' : '-'));
+  }
+  return bases;
+}
+
+/**
+ * Prefix of per-attribute key attributes (e.g. `data-txr-attr-placeholder="form.email"`)
+ */
+const ATTR_PREFIX = 'data-txr-attr-';
+
+/**
+ * Attribute holding a compact attribute-to-key list (e.g. `title:a.b;aria-label:c.d`)
+ */
+const ATTRS_ATTRIBUTE = 'data-txr-attrs';
+
+/**
+ * Get the translated attributes of an element
+ * @param element - Element
+ * @returns [attribute name, translation key] pairs
+ */
+function getAttributeKeys(element: Element): Array<[string, string]> {
+  const pairs: Array<[string, string]> = [];
+
+  (element.getAttribute(ATTRS_ATTRIBUTE) || '').split(';').forEach(entry => {
+    const index = entry.indexOf(':');
+    const name = entry.slice(0, index).trim().toLowerCase();
+    const key = entry.slice(index + 1).trim();
+    if (index > 0 && name && key) {
+      pairs.push([name, key]);
+    }
+  });
+
+  Array.from(element.attributes).forEach(attribute => {
+    if (attribute.name.startsWith(ATTR_PREFIX) && attribute.value.trim()) {
+      pairs.push([attribute.name.slice(ATTR_PREFIX.length), attribute.value.trim()]);
+    }
+  });
+
+  return pairs;
+}
+
+/**
+ * Attribute holding message params as JSON (e.g. `data-txr-params='{"count":3}'`)
+ */
+const PARAMS_ATTRIBUTE = 'data-txr-params';
+
+/**
+ * Prefix of single message param attributes (e.g. `data-txr-param-user-name="Ada"`)
+ */
+const PARAM_PREFIX = 'data-txr-param-';
+
+/**
+ * HTML-escape string params, so that values interpolated into an HTML
+ * translation are rendered as text and never open tags or attributes
+ * @param params - Message params
+ * @returns Params with escaped string values
+ */
+function escapeHtmlParams(params: TenlixorMessageParams): TenlixorMessageParams {
+  const escaped: TenlixorMessageParams = {};
+  Object.keys(params).forEach(name => {
+    const value = params[name];
+    escaped[name] = typeof value === 'string'
+      ? value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+      : value;
+  });
+  return escaped;
+}
+
+/**
+ * Check whether an attribute holds message params
+ * @param name - Attribute name
+ * @returns True for `data-txr-params` and `data-txr-param-*`
+ */
+function isParamAttribute(name: string): boolean {
+  return name === PARAMS_ATTRIBUTE || name.startsWith(PARAM_PREFIX);
+}
+
+/**
+ * Check whether an attribute configures DOM translation of its element
+ * @param name - Attribute name
+ * @returns True for `data-txr-key`, `data-txr-attrs` and `data-txr-attr-*`
+ */
+function isTranslationAttribute(name: string): boolean {
+  return name === 'data-txr-key' || name === ATTRS_ATTRIBUTE || name.startsWith(ATTR_PREFIX);
+}
+
+/**
+ * Content of an element before the SDK translated it
+ */
+interface OriginalContent {
+  /** Child nodes before the text key was applied */
+  children?: Node[];
+  /** Attribute values before translation (null if the attribute was absent) */
+  attributes: Map<string, string | null>;
+}
 
 /**
  * Main Tenlixor SDK Class
  */
 export class Tenlixor implements ITenlixor {
-  private config: Required<TenlixorConfig>;
+  private config: Required<Omit<TenlixorConfig, 'missingKeyReport' | 'live'>>;
   private data: TenlixorDataStore;
   private listeners: TenlixorEventListeners;
   private isInitialized: boolean;
   private currentLanguage: string;
-  private isLoading: boolean;
+  private appliedLanguage: string;
+  private initRequest: Promise<void> | null;
+  private readyPromise: Promise<void>;
+  private resolveReady!: () => void;
+  private languageChange: Promise<void> | null;
+  private languageRequest: number;
+  private pendingRequests: Map<string, Promise<TenlixorResponseData>>;
   private memoryCache: Map<string, TenlixorCacheEntry>;
+  private legacyCacheChecked: Set<string>;
+  private messageCache: Map<string, { message: string; nodes: MessageNode[] }>;
+  private fallbackChainCache: Map<string, string[]>;
+  private missingKeys: Set<string>;
+  private linkCache: Map<string, string>;
+  private missingKeyReporter: MissingKeyReporter | null;
+  private liveChannel: LiveChannel | null;
+  private autoRefresher: AutoRefresher | null;
+  private tokens: TokenManager;
+  private authFailure: unknown;
+  private requestedNamespaces: Set<string>;
+  private loadedNamespaces: Map<string, Set<string>>;
+  private namespaceRequests: Map<string, Promise<void>>;
+  private domObserver: DomObserver | null;
+  private scanRoots: Set<Element | ShadowRoot>;
+  private originals: WeakMap<Element, OriginalContent>;
+  private originalTexts: WeakMap<Node, string>;
+  private paramObserver: MutationObserver | null;
+
+  /**
+   * Create a new Tenlixor instance
+   * @param config - Configuration object
+   * @throws {Error} If API token is not provided
+   */
+  constructor(config: TenlixorConfig) {
+    if (!config.token) {
+      throw new Error('Tenlixor: API token is required');
+    }
+    if (!config.tenantSlug) {
+      throw new Error('Tenlixor: tenantSlug is required');
+    }
+
+    this.config = {
+      token: config.token,
+      tenantSlug: config.tenantSlug,
+      language: config.language || 'en',
+      apiUrl: config.apiUrl || 'https://api-tenlixor.verbytes.com/api/v1/strings',
+      cache: config.cache !== false,
+      cacheTTL: config.cacheTTL || 300000, // 5 minutes
+      fallbackLanguage: config.fallbackLanguage || 'en',
+      timeout: config.timeout !== undefined ? config.timeout : 10000,
+      retries: config.retries !== undefined ? config.retries : 3,
+      retryDelay: config.retryDelay !== undefined ? config.retryDelay : 500,
+      pageConcurrency: config.pageConcurrency || 4,
+      deltaSync: config.deltaSync !== false,
+      refreshInterval: config.refreshInterval || 0,
+      transport: config.transport || defaultTransport,
+      onRequest: config.onRequest || (request => request),
+      onResponse: config.onResponse || (body => body),
+      fallbackChains: config.fallbackChains || {},
+      autoScan: config.autoScan !== false,
+      formats: config.formats || {},
+      missingKeyHandler: config.missingKeyHandler || 'key',
+      namespaces: config.namespaces || [],
+      allowHtml: config.allowHtml === true,
+      htmlAllowlist: config.htmlAllowlist || {},
+      observe: config.observe === true,
+      observeRoot: config.observeRoot || 'body',
+      manageDocument: config.manageDocument === true,
+      shadowDom: config.shadowDom === true
+    };
+
+    this.data = {
+      tenant_id: null,
+      languages: {}
+    };
+
+    this.listeners = {
+      loaded: [],
+      error: [],
+      'language-changed': [],
+      'direction-changed': [],
+      'missing-key': [],
+      progress: [],
+      'strings-updated': [],
+      'auth-failed': []
+    };
+
+    this.isInitialized = false;
+    this.currentLanguage = this.config.language;
+    this.appliedLanguage = this.config.language;
+    this.initRequest = null;
+    this.readyPromise = new Promise(resolve => {
+      this.resolveReady = resolve;
+    });
+    this.languageChange = null;
+    this.languageRequest = 0;
+    this.pendingRequests = new Map();
+    this.tokens = new TokenManager(config.token);
+    this.authFailure = null;
+    this.memoryCache = new Map();
+    this.legacyCacheChecked = new Set();
+    this.messageCache = new Map();
+    this.fallbackChainCache = new Map();
+    this.missingKeys = new Set();
+    this.linkCache = new Map();
+    this.missingKeyReporter = config.missingKeyReport
+      ? new MissingKeyReporter(config.missingKeyReport, config.tenantSlug, () => this.tokens.get(), this.config.transport)
+      : null;
+    this.liveChannel = config.live
+      ? new LiveChannel(
+        config.live,
+        this.config.apiUrl,
+        config.tenantSlug,
+        rejected => rejected ? this.tokens.renew(rejected) : this.tokens.get(),
+        changes => this.applyLiveUpdate(changes),
+        error => {
+          this.emitRequestError('LIVE_FAILED', error);
+          if (error.code === 'UNAUTHORIZED') {
+            this.emitAuthFailed(error, error);
+          }
+        },
+        this.config
+      )
+      : null;
+    this.autoRefresher = this.config.refreshInterval > 0
+      ? new AutoRefresher(this.config.refreshInterval, () => this.refresh())
+      : null;
+    this.requestedNamespaces = new Set(this.config.namespaces);
+    this.loadedNamespaces = new Map();
+    this.namespaceRequests = new Map();
+    this.domObserver = null;
+    this.scanRoots = new Set();
+    this.originals = new WeakMap();
+    this.originalTexts = new WeakMap();
+    this.paramObserver = null;
+  }
+
+  /**
+   * Initialize SDK: fetch strings and optionally scan DOM
+   *
+   * Calls made while a load is in flight share it.
+   */
+  public init(): Promise<void> {
+    if (!this.initRequest) {
+      this.initRequest = this.initialize().finally(() => {
+        this.initRequest = null;
+      });
+    }
+    return this.initRequest;
+  }
+
+  /**
+   * Wait until the first load has completed
+   *
+   * Never rejects: if init() fails, the promise stays pending until a later
+   * init() succeeds (failures are reported through the `error` event).
+   *
+   * @returns Promise resolving once strings are available
+   */
+  public ready(): Promise<void> {
+    return this.readyPromise;
+  }
+
+  /**
+   * Load strings for the current language and start DOM translation
+   */
+  private async initialize(): Promise<void> {
+    const language = this.currentLanguage;
+
+    try {
+      await this.fetchStrings(language);
+      this.isInitialized = true;
+      this.syncDocument();
+
+      if ((this.config.autoScan || this.config.observe) && typeof document !== 'undefined') {
+        const startDom = () => {
+          if (this.config.autoScan) {
+            this.scan();
+          }
+          if (this.config.observe) {
+            this.observe();
+          }
+        };
+
+        if (document.readyState === 'loading') {
+          document.addEventListener('DOMContentLoaded', startDom);
+        } else {
+          startDom();
+        }
+      }
+
+      this.emit('loaded', { language });
+      this.resolveReady();
+
+      if (this.liveChannel) {
+        this.liveChannel.connect();
+      }
+      if (this.autoRefresher) {
+        this.autoRefresher.start();
+      }
+    } catch (error) {
+      this.emitRequestError('INIT_FAILED', error);
+    }
+  }
+
+  /**
+   * Fetch strings for a language and every language in its fallback chain,
+   * so that lookups can resolve synchronously
+   *
+   * With `config.namespaces` set, only the requested namespaces are fetched;
+   * otherwise the full catalog is.
+   *
+   * @param languageCode - Language code to fetch
+   * @param namespaces - Namespaces to fetch (defaults to all requested namespaces)
+   * @param revalidate - Ask the API even if the cache is fresh (conditionally, when validators are cached)
+   */
+  private async fetchStrings(languageCode: string, namespaces?: string[], revalidate: boolean = false): Promise<void> {
+    const [, ...fallbacks] = this.getFallbackChain(languageCode);
+    const slices: (string | undefined)[] = namespaces ||
+      (this.config.namespaces.length > 0 ? Array.from(this.requestedNamespaces) : [undefined]);
+
+    // Fallback languages are best-effort: a missing base language must not fail the load
+    await Promise.all([
+      ...slices.map(namespace => this.fetchLanguage(languageCode, namespace, revalidate)),
+      ...fallbacks.flatMap(code => slices.map(namespace =>
+        this.fetchLanguage(code, namespace, revalidate).catch(error => {
+          this.emit('error', {
+            code: 'FALLBACK_LOAD_FAILED',
+            message: `Tenlixor: Failed to load fallback language "${code}": ${error instanceof Error ? error.message : 'Unknown error'}`,
+            status: error instanceof TenlixorError ? error.status : undefined,
+            error: error instanceof Error ? error : undefined
+          });
+          return null;
+        })
+      ))
+    ]);
+  }
+
+  /**
+   * Fetch strings from API for a single language
+   * @param languageCode - Language code to fetch
+   * @param namespace - Only fetch keys in this namespace (optional, fetches the full catalog)
+   * @param revalidate - Ask the API even if the cache is fresh
+   * @returns Fetched data
+   */
+  private async fetchLanguage(languageCode: string, namespace?: string, revalidate: boolean = false): Promise<TenlixorResponseData> {
+    // Check cache first
+    if (this.config.cache && !revalidate) {
+      const cached = this.getFromCache(languageCode, false, namespace);
+      if (cached) {
+        this.mergeData(cached, namespace);
+        this.markNamespaceLoaded(languageCode, namespace);
+        return cached;
+      }
+    }
+
+    // Share a request that is already in flight
+    const requestKey = `${languageCode}:${namespace || ''}`;
+    let request = this.pendingRequests.get(requestKey);
+    if (!request) {
+      request = this.requestLanguage(languageCode, namespace).finally(() => {
+        this.pendingRequests.delete(requestKey);
+      });
+      this.pendingRequests.set(requestKey, request);
+    }
+    return request;
+  }
+
+  /**
+   * Request strings for a single language from the API, falling back to stale cache
+   *
+   * A cached entry with an ETag or Last-Modified date makes the request
+   * conditional; a 304 keeps the cached strings and restarts their TTL.
+   * With `deltaSync`, a cached entry's high-water mark limits the response to
+   * resources changed since then, which are applied to the cached catalog.
+   *
+   * @param languageCode - Language code to fetch
+   * @param namespace - Only fetch keys in this namespace (optional, fetches the full catalog)
+   * @returns Fetched data
+   */
+  private async requestLanguage(languageCode: string, namespace?: string): Promise<TenlixorResponseData> {
+    const cached = this.config.cache ? this.getCacheEntry(languageCode, namespace) : null;
+
+    try {
+      let url = `${this.config.apiUrl}?language_code=${encodeURIComponent(languageCode)}`;
+      if (namespace) {
+        url += `&namespace=${encodeURIComponent(namespace)}`;
+      }
+
+      const since = this.config.deltaSync && cached ? cached.updatedSince : undefined;
+      const result = await this.fetchCatalog(url, languageCode, namespace, cached, since).catch(error => {
+        if (since && error instanceof TenlixorError && error.code === 'HTTP_4XX') {
+          // The server rejected the delta (e.g. the mark is too old): fall back to a full sync
+          return this.fetchCatalog(url, languageCode, namespace, null);
+        }
+        throw error;
+      });
+
+      // Not modified (null): reuse the parsed cache entry with a new timestamp
+      const entry: Partial<TenlixorCacheEntry> = result
+        ? {
+          data: applyDelta(result.delta && cached ? cached.data : null, result.data),
+          etag: result.etag,
+          lastModified: result.lastModified,
+          updatedSince: getHighWaterMark(result.data, result.delta && cached ? cached.updatedSince : undefined)
+        }
+        : cached as TenlixorCacheEntry;
+      const data = entry.data as TenlixorResponseData;
+
+      // Store tenant_id
+      if (data.tenant_id) {
+        this.data.tenant_id = data.tenant_id;
+      }
+
+      // Process and cache data
+      this.mergeData(data, namespace);
+      this.markNamespaceLoaded(languageCode, namespace);
+
+      if (this.config.cache) {
+        this.saveToCache(languageCode, data, namespace, entry);
+      }
+
+      return data;
+    } catch (error) {
+      // Try to use cached data on network error
+      if (this.config.cache) {
+        const cached = this.getFromCache(languageCode, true, namespace); // Ignore TTL
+        if (cached) {
+          this.mergeData(cached, namespace);
+          this.markNamespaceLoaded(languageCode, namespace);
+          return cached;
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a catalog, all of its pages, or the changes since a high-water mark
+   * @param url - Catalog URL
+   * @param languageCode - Language code
+   * @param namespace - Namespace (optional)
+   * @param cached - Cache entry whose validators make the request conditional (optional)
+   * @param since - High-water mark for a delta request (optional)
+   * @returns Response data with validators, or null if the catalog was not modified
+   */
+  private async fetchCatalog(
+    url: string,
+    languageCode: string,
+    namespace: string | undefined,
+    cached: TenlixorCacheEntry | null,
+    since?: string
+  ): Promise<{ data: TenlixorResponseData; delta: boolean; etag?: string; lastModified?: string } | null> {
+    const headers = this.getRequestHeaders();
+    if (cached && cached.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+    if (cached && cached.lastModified) {
+      headers['If-Modified-Since'] = cached.lastModified;
+    }
+    if (since) {
+      url += `&updated_since=${encodeURIComponent(since)}`;
+    }
+
+    const result = await this.sendRequest(url, headers, async (response, request) => {
+      if (response.status === 304) {
+        if (!cached) {
+          throw new TenlixorError('INVALID_RESPONSE', 'Not Modified without a cached response', 304);
+        }
+        return null;
+      }
+      return {
+        body: await this.readApiResponse(response, request),
+        etag: response.headers.get('ETag') || undefined,
+        lastModified: response.headers.get('Last-Modified') || undefined
+      };
+    });
+
+    if (!result) {
+      return null;
+    }
+
+    return {
+      data: await this.fetchRemainingPages(url, result.body, languageCode, namespace),
+      // A server that cannot serve the delta may answer with the full catalog instead
+      delta: !!since && !(result.body.meta && result.body.meta.delta === false),
+      etag: result.etag,
+      lastModified: result.lastModified
+    };
+  }
+
+  /**
+   * Fetch the pages after the first one when the API paginated the catalog
+   *
+   * Pages are requested `pageConcurrency` at a time and combined in page order.
+   * A `progress` event is emitted for the first page and every page after it.
+   *
+   * @param url - URL of the first page
+   * @param first - First page
+   * @param languageCode - Language code
+   * @param namespace - Namespace (optional)
+   * @returns Data with the resources of all pages
+   */
+  private async fetchRemainingPages(
+    url: string,
+    first: TenlixorResponse,
+    languageCode: string,
+    namespace?: string
+  ): Promise<TenlixorResponseData> {
+    const meta = first.meta;
+    let loaded = countResources(first.data);
+    const total = meta && meta.total > loaded ? meta.total : loaded;
+    this.emit('progress', { language: languageCode, namespace, loaded, total });
+
+    if (!meta || !meta.limit || meta.total <= loaded) {
+      return first.data;
+    }
+
+    const pages: number[] = [];
+    for (let page = (meta.page || 1) + 1; page <= Math.ceil(meta.total / meta.limit); page++) {
+      pages.push(page);
+    }
+
+    const rest = await mapWithConcurrency(pages, this.config.pageConcurrency, async page => {
+      const body = await this.sendRequest(
+        `${url}&page=${page}&limit=${meta.limit}`,
+        this.getRequestHeaders(),
+        (response, request) => this.readApiResponse(response, request)
+      );
+      loaded += countResources(body.data);
+      this.emit('progress', { language: languageCode, namespace, loaded: Math.min(loaded, total), total });
+      return body.data;
+    });
+
+    return combinePages([first.data, ...rest]);
+  }
+
+  /**
+   * Send a GET request to the API, renewing the token once if it is rejected
+   *
+   * On a 401, a token provider is asked for a fresh token and the request is
+   * retried with it. If that is not possible or fails again, `auth-failed` is emitted.
+   *
+   * @param url - Request URL
+   * @param headers - Request headers (without the token)
+   * @param read - Reads the response; receives the request as sent
+   * @returns Value returned by `read`
+   */
+  private async sendRequest<T>(
+    url: string,
+    headers: Record<string, string>,
+    read: (response: TenlixorTransportResponse, request: TenlixorRequest) => Promise<T>
+  ): Promise<T> {
+    let token: string | null = null;
+    try {
+      token = await this.tokens.get();
+      try {
+        return await this.sendAuthorized(url, { ...headers, 'X-API-Key': token }, read);
+      } catch (error) {
+        if (!(error instanceof TenlixorError) || error.code !== 'UNAUTHORIZED') {
+          throw error;
+        }
+        const renewed = await this.tokens.renew(token);
+        if (!renewed) {
+          throw error;
+        }
+        token = renewed;
+        return await this.sendAuthorized(url, { ...headers, 'X-API-Key': renewed }, read);
+      }
+    } catch (error) {
+      if (error instanceof TenlixorError && error.code === 'UNAUTHORIZED') {
+        // Requests failing with the same token (or provider failure) are reported once
+        this.emitAuthFailed(error, token !== null ? token : error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a GET request through `onRequest` and the transport, with retries
+   * @param url - Request URL
+   * @param headers - Request headers
+   * @param read - Reads the response; receives the request as sent
+   * @returns Value returned by `read`
+   */
+  private async sendAuthorized<T>(
+    url: string,
+    headers: Record<string, string>,
+    read: (response: TenlixorTransportResponse, request: TenlixorRequest) => Promise<T>
+  ): Promise<T> {
+    const request: TenlixorRequest = { url, method: 'GET', headers };
+    const sent = (await this.config.onRequest(request)) || request;
+
+    return fetchWithRetry(
+      sent.url,
+      { method: sent.method, headers: sent.headers },
+      this.config,
+      response => read(response, sent)
+    );
+  }
+
+  /**
+   * Read an API response body, passing it through `onResponse`
+   * @param response - Successful response
+   * @param request - Request as sent
+   * @returns Parsed response
+   * @throws {TenlixorError} If the API did not report success
+   */
+  private async readApiResponse(response: TenlixorTransportResponse, request: TenlixorRequest): Promise<TenlixorResponse> {
+    const parsed = await response.json();
+    const body: TenlixorResponse = (await this.config.onResponse(parsed, {
+      request,
+      status: response.status,
+      headers: response.headers
+    })) || parsed;
+
+    if (!body || !body.success) {
+      throw new TenlixorError('INVALID_RESPONSE', 'API returned success: false', response.status);
+    }
+    return body;
+  }
+
+  /**
+   * Get the headers sent with every API request (the token is added when sending)
+   * @returns Request headers
+   */
+  private getRequestHeaders(): Record<string, string> {
+    return {
+      'X-Tenant-Slug': this.config.tenantSlug,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Emit `auth-failed`, once per rejected token
+   * @param error - Request or token provider error
+   * @param failure - What failed: the rejected token, or the error itself
+   */
+  private emitAuthFailed(error: TenlixorError, failure: unknown): void {
+    if (this.authFailure === failure) {
+      return;
+    }
+    this.authFailure = failure;
+    this.emit('auth-failed', {
+      message: error.message,
+      status: error.status,
+      error
+    });
+  }
+
+  /**
+   * Emit an error event for a failed load
+   *
+   * Request failures carry their TenlixorErrorCode; other failures use `fallbackCode`.
+   *
+   * @param fallbackCode - Code for errors that are not request errors
+   * @param error - Thrown value
+   */
+  private emitRequestError(fallbackCode: string, error: unknown): void {
+    this.emit('error', {
+      code: error instanceof TenlixorError ? error.code : fallbackCode,
+      message: error instanceof Error ? error.message : 'Unknown error',
+      status: error instanceof TenlixorError ? error.status : undefined,
+      error: error instanceof Error ? error : undefined
+    });
+  }
+
+  /**
+   * Merge fetched data into internal storage
+   * @param data - Data from API
+   * @param namespace - Namespace the data was fetched for (optional, replaces the full catalog)
+   */
+  private mergeData(data: TenlixorResponseData, namespace?: string): void {
+    if (data.languages && Array.isArray(data.languages)) {
+      data.languages.forEach(lang => {
+        const keyValueMap: { [key: string]: string } = {};
+        if (lang.resources && Array.isArray(lang.resources)) {
+          lang.resources.forEach(resource => {
+            if (!namespace || getNamespace(resource.key) === namespace) {
+              // Server-provided context variants are stored as `key_context`
+              const key = resource.context
+                ? `${resource.key}${VARIANT_SEPARATOR}${resource.context}`
+                : resource.key;
+              keyValueMap[key] = resource.value;
+            }
+          });
+        }
+
+        if (namespace) {
+          // Replace only this namespace's slice, keeping other namespaces
+          const existing = this.data.languages[lang.code] || {};
+          Object.keys(existing).forEach(key => {
+            if (getNamespace(key) === namespace) {
+              delete existing[key];
+            }
+          });
+          this.data.languages[lang.code] = { ...existing, ...keyValueMap };
+        } else {
+          this.data.languages[lang.code] = keyValueMap;
+        }
+      });
+    }
+
+    // New strings may resolve previously missing keys and change linked values
+    this.missingKeys.clear();
+    this.linkCache.clear();
+  }
+
+  /**
+   * Record that a namespace (or the full catalog) is loaded for a language
+   * @param languageCode - Language code
+   * @param namespace - Namespace, or undefined for the full catalog
+   */
+  private markNamespaceLoaded(languageCode: string, namespace?: string): void {
+    let loaded = this.loadedNamespaces.get(languageCode);
+    if (!loaded) {
+      loaded = new Set();
+      this.loadedNamespaces.set(languageCode, loaded);
+    }
+    loaded.add(namespace || FULL_CATALOG);
+  }
+
+  /**
+   * Apply changes pushed over the live channel
+   *
+   * Only loaded languages and namespaces are updated; others get the changes
+   * when they are fetched. Cached catalogs are patched without restarting their
+   * TTL or moving their high-water mark. Scanned elements showing a changed key
+   * are re-translated, and `strings-updated` is emitted for every language with
+   * changed keys.
+   *
+   * @param changes - Changed resources (tombstones carry `deleted_at`)
+   */
+  private applyLiveUpdate(changes: TenlixorResponseData): void {
+    const updates: TenlixorStringsUpdatedEvent[] = [];
+
+    (changes.languages || []).forEach(lang => {
+      const loaded = this.loadedNamespaces.get(lang.code);
+      if (!loaded) {
+        return;
+      }
+
+      const strings = this.data.languages[lang.code] || {};
+      // Changed resources per cache entry (undefined: the full catalog)
+      const slices = new Map<string | undefined, TenlixorResource[]>();
+      const keys: string[] = [];
+
+      (lang.resources || []).forEach(resource => {
+        const slice = loaded.has(FULL_CATALOG) ? undefined : getNamespace(resource.key);
+        if (slice !== undefined && !loaded.has(slice)) {
+          return;
+        }
+
+        const key = resource.context
+          ? `${resource.key}${VARIANT_SEPARATOR}${resource.context}`
+          : resource.key;
+        if (resource.deleted_at ? strings[key] === undefined : strings[key] === resource.value) {
+          return;
+        }
+
+        if (resource.deleted_at) {
+          delete strings[key];
+        } else {
+          strings[key] = resource.value;
+        }
+        keys.push(key);
+        slices.set(slice, (slices.get(slice) || []).concat(resource));
+      });
+
+      if (keys.length === 0) {
+        return;
+      }
+      this.data.languages[lang.code] = strings;
+      if (this.config.cache) {
+        slices.forEach((resources, namespace) => this.patchCache(lang.code, namespace, resources));
+      }
+      updates.push({ language: lang.code, keys });
+    });
+
+    this.publishUpdates(updates);
+  }
+
+  /**
+   * Revalidate the current language (and its fallback chain) in the background
+   *
+   * Cached strings are kept until the new ones arrive, and stay in use if the
+   * request fails. `strings-updated` is only emitted for languages whose
+   * strings actually changed.
+   */
+  private async refresh(): Promise<void> {
+    const chain = this.getFallbackChain(this.currentLanguage);
+    const before = chain.map(code => ({ ...this.data.languages[code] }));
+
+    try {
+      await this.fetchStrings(this.currentLanguage, undefined, true);
+    } catch (error) {
+      this.emitRequestError('REFRESH_FAILED', error);
+      return;
+    }
+
+    this.publishUpdates(chain
+      .map((code, index) => ({ language: code, keys: getChangedKeys(before[index], this.data.languages[code] || {}) }))
+      .filter(update => update.keys.length > 0));
+  }
+
+  /**
+   * Re-translate scanned elements affected by changed strings and emit `strings-updated`
+   * @param updates - Changed keys per language
+   */
+  private publishUpdates(updates: TenlixorStringsUpdatedEvent[]): void {
+    if (updates.length === 0) {
+      return;
+    }
+
+    this.missingKeys.clear();
+    this.linkCache.clear();
+
+    const chain = this.getFallbackChain(this.currentLanguage);
+    const visible = updates.filter(update => chain.indexOf(update.language) !== -1);
+    if (visible.length > 0) {
+      this.invalidateElements(visible.flatMap(update => update.keys));
+      this.rescan();
+    }
+
+    updates.forEach(update => this.emit('strings-updated', update));
+  }
+
+  /**
+   * Mark translated elements showing a changed key as outdated, so that the
+   * next scan re-translates them
+   *
+   * Elements whose value links to other keys are always marked, since a linked
+   * key may be among the changes.
+   *
+   * @param keys - Changed keys (including variants such as `cart.items_one`)
+   */
+  private invalidateElements(keys: string[]): void {
+    const lang = this.currentLanguage;
+    const isAffected = (key: string): boolean => {
+      if (keys.some(changed => changed === key || changed.startsWith(key + VARIANT_SEPARATOR))) {
+        return true;
+      }
+      const entry = this.lookup(key, lang);
+      return entry !== null && entry.value.search(LINK_PATTERN) !== -1;
+    };
+
+    this.mutateDom(() => {
+      this.getTranslatedElements().forEach(element => {
+        const elementKeys = getAttributeKeys(element).map(([, key]) => key);
+        const key = element.getAttribute('data-txr-key');
+        if (key) {
+          elementKeys.push(key);
+        }
+        if (elementKeys.some(isAffected)) {
+          element.removeAttribute('data-txr-lang');
+        }
+      });
+    });
+  }
+
+  /**
+   * Load one or more namespaces for a language (and its fallback chain)
+   *
+   * Loaded namespaces are also fetched on later `setLanguage()` calls.
+   * Concurrent calls for the same namespace share a single request.
+   *
+   * @param namespace - Namespace name(s), i.e. key prefixes such as 'checkout'
+   * @param languageCode - Language code (optional, uses current language)
+   *
+   * @example
+   * ```typescript
+   * await txr.loadNamespace('checkout');
+   * txr.t('checkout.title');
+   * ```
+   */
+  public async loadNamespace(namespace: string | string[], languageCode?: string): Promise<void> {
+    const lang = languageCode || this.currentLanguage;
+    const namespaces = Array.isArray(namespace) ? namespace : [namespace];
+
+    await Promise.all(namespaces.map(ns => {
+      this.requestedNamespaces.add(ns);
+      if (this.isNamespaceLoaded(ns, lang)) {
+        return Promise.resolve();
+      }
+
+      const requestKey = `${lang}:${ns}`;
+      let request = this.namespaceRequests.get(requestKey);
+      if (!request) {
+        request = this.fetchStrings(lang, [ns])
+          .then(() => {
+            this.rescan();
+            this.emit('loaded', { language: lang, namespace: ns });
+          })
+          .finally(() => {
+            this.namespaceRequests.delete(requestKey);
+          });
+        this.namespaceRequests.set(requestKey, request);
+      }
+      return request;
+    }));
+  }
+
+  /**
+   * Check whether a namespace is loaded for a language
+   * @param namespace - Namespace name
+   * @param languageCode - Language code (optional, uses current language)
+   * @returns True if the namespace or the full catalog is loaded
+   */
+  public isNamespaceLoaded(namespace: string, languageCode?: string): boolean {
+    const loaded = this.loadedNamespaces.get(languageCode || this.currentLanguage);
+    return !!loaded && (loaded.has(FULL_CATALOG) || loaded.has(namespace));
+  }
+
+  /**
+   * Check whether a namespace (or the full catalog) is being fetched for a language
+   * @param namespace - Namespace name
+   * @param languageCode - Language code
+   * @returns True while a request that may contain the namespace is in flight
+   */
+  private isNamespaceLoading(namespace: string, languageCode: string): boolean {
+    return this.pendingRequests.has(`${languageCode}:`) || this.pendingRequests.has(`${languageCode}:${namespace}`);
+  }
+
+  /**
+   * Get a translator that resolves keys relative to a namespace
+   * @param namespace - Namespace name
+   * @returns Scoped translator
+   *
+   * @example
+   * ```typescript
+   * const checkout = txr.scoped('checkout');
+   * await checkout.load();
+   * checkout.t('title'); // same as txr.t('checkout.title')
+   * ```
+   */
+  public scoped(namespace: string): TenlixorScopedTranslator {
+    return {
+      namespace,
+      t: (key, paramsOrLanguage, languageCode) =>
+        this.t(`${namespace}${NAMESPACE_SEPARATOR}${key}`, paramsOrLanguage, languageCode),
+      load: (languageCode?: string) => this.loadNamespace(namespace, languageCode),
+      isLoaded: (languageCode?: string) => this.isNamespaceLoaded(namespace, languageCode)
+    };
+  }
+
+  /**
+   * Translate a key to its value
+   * @param key - Translation key (e.g., 'app.welcome')
+   * @param paramsOrLanguage - ICU MessageFormat params, or a language code (optional)
+   * @param languageCode - Language code (optional, uses current language)
+   * @returns Translated value or key if not found
+   *
+   * @example
+   * ```typescript
+   * txr.t('cart.items', { count: 3 }); // "{count, plural, one {# item} other {# items}}" -> "3 items"
+   * txr.t('app.welcome', 'tr');
+   * ```
+   */
+  public t(key: string, paramsOrLanguage?: TenlixorMessageParams | string, languageCode?: string): string {
+    const params = typeof paramsOrLanguage === 'object' && paramsOrLanguage !== null ? paramsOrLanguage : undefined;
+    const lang = (typeof paramsOrLanguage === 'string' ? paramsOrLanguage : languageCode) || this.currentLanguage;
+    const entry = this.lookup(key, lang, params);
+
+    if (!entry || entry.language !== lang) {
+      this.reportMissingKey(key, lang, entry !== null);
+    }
+
+    if (!entry) {
+      return this.handleMissingKey(key, lang);
+    }
+
+    // Plain values are returned as stored; anything with an argument or params is formatted
+    const value = this.resolveLinks(entry.key, entry.value, lang, []);
+    if (!params && value.indexOf('{') === -1) {
+      return value;
+    }
+    return this.formatValue(entry.key, value, lang, params || {});
+  }
+
+  /**
+   * Look up the raw value of a key along the language's fallback chain
+   *
+   * With `params.context` and/or `params.count`, variant keys are tried first in
+   * each language: `key_context_plural`, `key_context`, `key_plural`, then `key`
+   * (e.g. `greeting_female_one`, `greeting_female`, `greeting_one`, `greeting`).
+   *
+   * @param key - Translation key
+   * @param lang - Language code
+   * @param params - Message params (optional)
+   * @returns Raw value, the matched key and the language that provided it, or null if not found
+   */
+  private lookup(
+    key: string,
+    lang: string,
+    params?: TenlixorMessageParams
+  ): { value: string; key: string; language: string } | null {
+    const candidates = this.getKeyVariants(key, lang, params);
+
+    for (const code of this.getFallbackChain(lang)) {
+      const map = this.data.languages[code];
+      if (!map) {
+        continue;
+      }
+      for (const candidate of candidates) {
+        if (map[candidate]) {
+          return { value: map[candidate], key: candidate, language: code };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the keys to try for a lookup, most specific first
+   * @param key - Base translation key
+   * @param lang - Language code (for plural rules)
+   * @param params - Message params (optional)
+   * @returns Candidate keys
+   */
+  private getKeyVariants(key: string, lang: string, params?: TenlixorMessageParams): string[] {
+    const context = params && params.context !== undefined && params.context !== null && params.context !== ''
+      ? String(params.context)
+      : null;
+    // Numeric strings count too, as in plural arguments (e.g. from data-txr-param-count)
+    const rawCount: unknown = params && params.count;
+    const count = typeof rawCount === 'number' || (typeof rawCount === 'string' && rawCount.trim() !== '' && !isNaN(Number(rawCount)))
+      ? Number(rawCount)
+      : null;
+
+    if (context === null && count === null) {
+      return [key];
+    }
+
+    const plural = count === null ? null : selectPlural(count, lang, false);
+    const candidates: string[] = [];
+    if (context !== null) {
+      if (plural !== null) {
+        candidates.push(`${key}${VARIANT_SEPARATOR}${context}${VARIANT_SEPARATOR}${plural}`);
+      }
+      candidates.push(`${key}${VARIANT_SEPARATOR}${context}`);
+    }
+    if (plural !== null) {
+      candidates.push(`${key}${VARIANT_SEPARATOR}${plural}`);
+    }
+    candidates.push(key);
+
+    return candidates;
+  }
+
+  /**
+   * Replace references to other keys (`@:brand.name` or `$t(brand.name)`) with their values
+   *
+   * References resolve recursively along the language's fallback chain. Cycles and
+   * chains deeper than MAX_LINK_DEPTH are left unresolved and reported via `error`.
+   * Top-level results are memoized per language until new strings are loaded.
+   *
+   * @param key - Key whose value is being resolved
+   * @param value - Raw value
+   * @param lang - Language code
+   * @param path - Keys currently being resolved (for cycle detection)
+   * @returns Value with references resolved
+   */
+  private resolveLinks(key: string, value: string, lang: string, path: string[]): string {
+    if (value.indexOf('@:') === -1 && value.indexOf('$t(') === -1) {
+      return value;
+    }
+
+    const cacheKey = `${lang}:${key}`;
+    if (path.length === 0 && this.linkCache.has(cacheKey)) {
+      return this.linkCache.get(cacheKey)!;
+    }
+
+    const stack = [...path, key];
+    const resolved = value.replace(LINK_PATTERN, (match: string, atKey?: string, fnKey?: string) => {
+      const ref = (atKey || fnKey || '').trim();
+
+      if (stack.indexOf(ref) !== -1) {
+        this.emitDeferredError('LINK_CYCLE', `Circular reference ${[...stack, ref].join(' -> ')}`);
+        return match;
+      }
+      if (stack.length >= MAX_LINK_DEPTH) {
+        this.emitDeferredError('LINK_DEPTH_EXCEEDED', `Reference depth limit (${MAX_LINK_DEPTH}) exceeded at ${stack.join(' -> ')}`);
+        return match;
+      }
+
+      const entry = this.lookup(ref, lang);
+      if (!entry) {
+        this.reportMissingKey(ref, lang, false);
+        return match;
+      }
+      return this.resolveLinks(ref, entry.value, lang, stack);
+    });
+
+    if (path.length === 0) {
+      this.linkCache.set(cacheKey, resolved);
+    }
+    return resolved;
+  }
+
+  /**
+   * Emit an error found while translating or formatting
+   * @param code - Error code
+   * @param message - Error message
+   */
+  private emitDeferredError(code: string, message: string): void {
+    const error = new Error(`Tenlixor: ${message}`);
+    // Deferred so listeners never run (and set state) during a framework render
+    Promise.resolve().then(() => {
+      this.emit('error', { code, message: error.message, error });
+    });
+  }
+
+  /**
+   * Emit a `missing-key` event once per key/language until new strings are loaded
+   * @param key - Translation key
+   * @param lang - Requested language code
+   * @param fallbackUsed - Whether a fallback language provided the value
+   */
+  private reportMissingKey(key: string, lang: string, fallbackUsed: boolean): void {
+    // Keys are expected to be missing until their strings are loaded
+    if (!this.isInitialized || this.isNamespaceLoading(getNamespace(key), lang)) {
+      return;
+    }
+
+    const id = `${lang}:${key}`;
+    if (this.missingKeys.has(id)) {
+      return;
+    }
+    this.missingKeys.add(id);
+
+    const event = { key, language: lang, fallbackUsed };
+    this.emit('missing-key', event);
+    if (this.missingKeyReporter) {
+      this.missingKeyReporter.report(event);
+    }
+  }
+
+  /**
+   * Resolve the value returned by t() for a key that was not found
+   * @param key - Translation key
+   * @param lang - Requested language code
+   * @returns Value configured by `missingKeyHandler`
+   * @throws {Error} In strict mode, once the SDK is ready
+   */
+  private handleMissingKey(key: string, lang: string): string {
+    const handler = this.config.missingKeyHandler;
+
+    if (typeof handler === 'function') {
+      return handler(key, lang);
+    }
+    if (handler === 'empty') {
+      return '';
+    }
+    if (handler === 'strict' && this.isInitialized) {
+      throw new Error(`Tenlixor: Missing translation for key "${key}" (${lang})`);
+    }
+
+    // Return key as fallback
+    return key;
+  }
+
+  /**
+   * Get the languages tried, in order, when translating into a language
+   *
+   * The chain is the language itself, its explicit `fallbackChains` entries,
+   * its base languages (e.g. 'pt-BR' -> 'pt') and finally `fallbackLanguage`.
+   *
+   * @param languageCode - Language code (optional, uses current language)
+   * @returns Ordered, de-duplicated language codes
+   *
+   * @example
+   * ```typescript
+   * // fallbackChains: { 'de-CH': ['de-AT', 'de'] }
+   * txr.getFallbackChain('de-CH'); // ['de-CH', 'de-AT', 'de', 'en']
+   * txr.getFallbackChain('pt-BR'); // ['pt-BR', 'pt', 'en']
+   * ```
+   */
+  public getFallbackChain(languageCode?: string): string[] {
+    const lang = languageCode || this.currentLanguage;
+    let chain = this.fallbackChainCache.get(lang);
+
+    if (!chain) {
+      const candidates = [
+        lang,
+        ...(this.config.fallbackChains[lang] || []),
+        ...getBaseLanguages(lang),
+        this.config.fallbackLanguage,
+        ...getBaseLanguages(this.config.fallbackLanguage)
+      ];
+      chain = candidates.filter((code, index) => code && candidates.indexOf(code) === index);
+      this.fallbackChainCache.set(lang, chain);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Format a raw value as an ICU message, caching the parsed message per key/language
+   * @param key - Translation key
+   * @param message - Raw value
+   * @param lang - Language code used for plural rules and number/date formatting
+   * @param params - Message params
+   * @returns Formatted value
+   */
+  private formatValue(key: string, message: string, lang: string, params: TenlixorMessageParams): string {
+    const cacheKey = `${lang}:${key}`;
+    let cached = this.messageCache.get(cacheKey);
+
+    if (!cached || cached.message !== message) {
+      let nodes: MessageNode[];
+      try {
+        nodes = parseMessage(message);
+      } catch (error) {
+        this.emitDeferredError('INVALID_MESSAGE', `Invalid message format for key "${key}": ${error instanceof Error ? error.message : error}`);
+        nodes = [message];
+      }
+      cached = { message, nodes };
+      this.messageCache.set(cacheKey, cached);
+    }
+
+    return formatMessage(cached.nodes, params, lang);
+  }
+
+  /**
+   * Format a number in the active language
+   * @param value - Number to format
+   * @param format - Preset name from `config.formats.number` or Intl options
+   * @param languageCode - Language code (optional, uses current language)
+   * @returns Formatted number
+   */
+  public formatNumber(value: number, format?: string | Intl.NumberFormatOptions, languageCode?: string): string {
+    const options = this.resolveFormat<Intl.NumberFormatOptions>('number', format);
+    const lang = languageCode || this.currentLanguage;
+    return getFormatter('number', lang, options, l => new Intl.NumberFormat(l, options)).format(value);
+  }
+
+  /**
+   * Format a currency amount in the active language
+   * @param value - Amount to format
+   * @param currency - ISO 4217 currency code (e.g., 'EUR')
+   * @param format - Preset name from `config.formats.number` or Intl options
+   * @param languageCode - Language code (optional, uses current language)
+   * @returns Formatted amount
+   */
+  public formatCurrency(
+    value: number,
+    currency: string,
+    format?: string | Intl.NumberFormatOptions,
+    languageCode?: string
+  ): string {
+    const options: Intl.NumberFormatOptions = { ...this.resolveFormat<Intl.NumberFormatOptions>('number', format), style: 'currency', currency };
+    const lang = languageCode || this.currentLanguage;
+    return getFormatter('number', lang, options, l => new Intl.NumberFormat(l, options)).format(value);
+  }
+
+  /**
+   * Format a date in the active language
+   * @param value - Date, timestamp or date string
+   * @param format - Preset name from `config.formats.date` or Intl options
+   * @param languageCode - Language code (optional, uses current language)
+   * @returns Formatted date
+   */
+  public formatDate(
+    value: Date | number | string,
+    format?: string | Intl.DateTimeFormatOptions,
+    languageCode?: string
+  ): string {
+    const options = this.resolveFormat<Intl.DateTimeFormatOptions>('date', format);
+    const lang = languageCode || this.currentLanguage;
+    const date = value instanceof Date ? value : new Date(value);
+    return getFormatter('date', lang, options, l => new Intl.DateTimeFormat(l, options)).format(date);
+  }
+
+  /**
+   * Format a relative time (e.g., "3 minutes ago") in the active language
+   * @param value - Amount of `unit`, or a Date compared to now (unit picked automatically if omitted)
+   * @param unit - Relative time unit (default: 'second' for numbers)
+   * @param format - Preset name from `config.formats.relativeTime` or Intl options
+   * @param languageCode - Language code (optional, uses current language)
+   * @returns Formatted relative time
+   */
+  public formatRelativeTime(
+    value: number | Date,
+    unit?: Intl.RelativeTimeFormatUnit,
+    format?: string | Intl.RelativeTimeFormatOptions,
+    languageCode?: string
+  ): string {
+    const options = this.resolveFormat<Intl.RelativeTimeFormatOptions>('relativeTime', format);
+    const lang = languageCode || this.currentLanguage;
+
+    let amount = value instanceof Date ? 0 : value;
+    let resolvedUnit: Intl.RelativeTimeFormatUnit = unit || 'second';
+    if (value instanceof Date) {
+      const seconds = (value.getTime() - Date.now()) / 1000;
+      resolvedUnit = unit || selectRelativeTimeUnit(seconds);
+      amount = Math.round(seconds / RELATIVE_TIME_UNITS[resolvedUnit.replace(/s$/, '')]);
+    }
+
+    return getFormatter('relativeTime', lang, options, l => new Intl.RelativeTimeFormat(l, options))
+      .format(amount, resolvedUnit);
+  }
+
+  /**
+   * Format a list of strings (e.g., "a, b, and c") in the active language
+   * @param items - Items to join
+   * @param format - Preset name from `config.formats.list` or Intl options
+   * @param languageCode - Language code (optional, uses current language)
+   * @returns Formatted list
+   */
+  public formatList(items: string[], format?: string | Intl.ListFormatOptions, languageCode?: string): string {
+    if (typeof Intl === 'undefined' || !Intl.ListFormat) {
+      return items.join(', ');
+    }
+    const options = this.resolveFormat<Intl.ListFormatOptions>('list', format);
+    const lang = languageCode || this.currentLanguage;
+    return getFormatter('list', lang, options, l => new Intl.ListFormat(l, options)).format(items);
+  }
+
+  /**
+   * Resolve a format argument to Intl options
+   * @param kind - Preset group in `config.formats`
+   * @param format - Preset name or Intl options
+   * @returns Intl options
+   */
+  private resolveFormat<T extends object>(kind: keyof TenlixorFormats, format?: string | T): T {
+    if (typeof format !== 'string') {
+      return format || ({} as T);
+    }
+
+    const presets = this.config.formats[kind] as { [name: string]: T } | undefined;
+    if (presets && presets[format]) {
+      return presets[format];
+    }
+
+    this.emitDeferredError('UNKNOWN_FORMAT', `Unknown ${kind} format "${format}"`);
+    return {} as T;
+  }
+
+  /**
+   * Get metadata for a language: English and native name, script and direction
+   * @param languageCode - Language code (defaults to current language)
+   * @returns Language metadata
+   */
+  public getLanguageInfo(languageCode?: string): TenlixorLanguageInfo {
+    return getLanguageInfo(languageCode || this.currentLanguage);
+  }
+
+  /**
+   * Check whether a language is written right to left
+   * @param languageCode - Language code (defaults to current language)
+   * @returns True for RTL languages (Arabic, Hebrew, Persian, Urdu, ...)
+   */
+  public isRTL(languageCode?: string): boolean {
+    return this.getLanguageInfo(languageCode).direction === 'rtl';
+  }
+
+  /**
+   * Set `<html lang>` and `<html dir>` to the current language (`manageDocument` mode)
+   */
+  private syncDocument(): void {
+    if (!this.config.manageDocument || typeof document === 'undefined') {
+      return;
+    }
+    this.mutateDom(() => {
+      document.documentElement.setAttribute('lang', this.currentLanguage);
+      document.documentElement.setAttribute('dir', this.getLanguageInfo().direction);
+    });
+  }
+
+  /**
+   * Change active language and re-scan DOM
+   *
+   * Switches are last-write-wins: a switch superseded by a later call before its
+   * strings arrived resolves without applying the language or emitting events.
+   * Calling again with the pending language returns the pending switch.
+   *
+   * @param languageCode - New language code
+   */
+  public setLanguage(languageCode: string): Promise<void> {
+    if (languageCode === this.currentLanguage) {
+      return this.languageChange || Promise.resolve();
+    }
+
+    const change: Promise<void> = this.changeLanguage(languageCode).finally(() => {
+      if (this.languageChange === change) {
+        this.languageChange = null;
+      }
+    });
+    this.languageChange = change;
+    return change;
+  }
+
+  /**
+   * Load a language and apply it unless a later switch superseded it
+   * @param languageCode - New language code
+   */
+  private async changeLanguage(languageCode: string): Promise<void> {
+    const request = ++this.languageRequest;
+    const previousLanguage = this.appliedLanguage;
+    this.currentLanguage = languageCode;
+
+    if (languageCode === previousLanguage) {
+      // Switched back before a pending switch completed: nothing to load or announce
+      return;
+    }
+
+    try {
+      await this.fetchStrings(languageCode);
+      if (request !== this.languageRequest) {
+        return;
+      }
+
+      this.appliedLanguage = languageCode;
+      this.syncDocument();
+      this.rescan();
+      this.emit('language-changed', {
+        from: previousLanguage,
+        to: languageCode
+      });
+
+      const from = getLanguageInfo(previousLanguage).direction;
+      const to = getLanguageInfo(languageCode).direction;
+      if (from !== to) {
+        this.emit('direction-changed', { from, to, language: languageCode });
+      }
+    } catch (error) {
+      if (request !== this.languageRequest) {
+        return;
+      }
+      this.currentLanguage = previousLanguage;
+      this.emitRequestError('LANGUAGE_CHANGE_FAILED', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reload strings from API (bypass cache)
+   *
+   * Cached entries are revalidated rather than discarded, so unchanged
+   * catalogs are answered with 304 Not Modified.
+   */
+  public async reload(): Promise<void> {
+    await this.fetchStrings(this.currentLanguage, undefined, true);
+    this.rescan();
+    this.emit('loaded', { language: this.currentLanguage, reloaded: true });
+  }
+
+  /**
+   * Replace the API token used for later requests
+   *
+   * A configured token provider is kept and still asked for a new token after a 401.
+   *
+   * @param token - New API token
+   */
+  public setToken(token: string): void {
+    this.tokens.set(token);
+    this.authFailure = null;
+  }
+
+  /**
+   * Manually scan and translate DOM elements
+   *
+   * The root is remembered and re-scanned on language change and reload.
+   *
+   * @param root - Only translate this element or shadow root and its descendants (default: whole document)
+   */
+  public scan(root?: Element | ShadowRoot): void {
+    if (!this.isInitialized || typeof document === 'undefined') {
+      return;
+    }
+
+    const lang = this.currentLanguage;
+    const scope = root || document.documentElement;
+    this.scanRoots.add(scope);
+
+    this.mutateDom(() => {
+      // Scan elements with data-txr-key or attribute key attributes
+      this.findTranslatableElements(scope).forEach(element => this.translateElement(element, lang));
+
+      // Scan text nodes for exact key matches
+      this.scanTextNodes(root || document.body, lang);
+    });
+  }
+
+  /**
+   * Re-scan the roots scanned so far (after a language change or reload)
+   */
+  private rescan(): void {
+    if (typeof document === 'undefined') {
+      return;
+    }
+
+    const wholeDocument = this.scanRoots.has(document.documentElement);
+    Array.from(this.scanRoots).forEach(root => {
+      if (!root.isConnected) {
+        // Registered shadow roots stay registered while their host is detached
+        if (root.nodeType === Node.ELEMENT_NODE) {
+          this.scanRoots.delete(root);
+        }
+      } else if (root === document.documentElement) {
+        this.scan();
+      } else if (!wholeDocument || root.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+        // Shadow roots are not covered by a document scan
+        this.scan(root);
+      }
+    });
+  }
+
+  /**
+   * Restore the original text and attributes of translated elements
+   * @param root - Only restore this element or shadow root and its descendants (default: whole document)
+   */
+  public unscan(root?: Element | ShadowRoot): void {
+    if (typeof document === 'undefined') {
+      return;
+    }
+
+    // Without a root: the whole document and all registered shadow roots
+    const scopes = root
+      ? [root]
+      : [document.documentElement, ...Array.from(this.scanRoots).filter(scanRoot => scanRoot.nodeType === Node.DOCUMENT_FRAGMENT_NODE)];
+    if (root) {
+      this.scanRoots.delete(root);
+    } else {
+      this.scanRoots.clear();
+    }
+
+    this.mutateDom(() => {
+      const containers: Array<Element | ShadowRoot> = [];
+      scopes.forEach(scope => containers.push(...this.getContainers(scope)));
+
+      containers.forEach(container => {
+        const original = container.nodeType === Node.ELEMENT_NODE ? this.originals.get(container as Element) : undefined;
+        if (!original) {
+          return;
+        }
+
+        const element = container as Element;
+        if (original.children) {
+          element.textContent = '';
+          original.children.forEach(child => element.appendChild(child));
+        }
+        original.attributes.forEach((value, name) => {
+          if (value === null) {
+            element.removeAttribute(name);
+          } else {
+            element.setAttribute(name, value);
+          }
+        });
+        this.originals.delete(element);
+      });
+
+      // Text nodes matched by key (including ones just put back above)
+      containers.forEach(container => {
+        container.childNodes.forEach(node => {
+          const text = this.originalTexts.get(node);
+          if (text !== undefined) {
+            node.textContent = text;
+            this.originalTexts.delete(node);
+          }
+        });
+      });
+    });
+  }
 
   /**
-   * Create a new Tenlixor instance
-   * @param config - Configuration object
-   * @throws {Error} If API token is not provided
+   * Get the elements currently translated by the SDK (for debugging)
+   * @returns Translated elements in document order, then those in registered shadow roots
    */
-  constructor(config: TenlixorConfig) {
-    if (!config.token) {
-      throw new Error('Tenlixor: API token is required');
-    }
-    if (!config.tenantSlug) {
-      throw new Error('Tenlixor: tenantSlug is required');
+  public getTranslatedElements(): Element[] {
+    if (typeof document === 'undefined') {
+      return [];
     }
 
-    this.config = {
-      token: config.token,
-      tenantSlug: config.tenantSlug,
-      language: config.language || 'en',
-      apiUrl: config.apiUrl || 'https://api-tenlixor.verbytes.com/api/v1/strings',
-      cache: config.cache !== false,
-      cacheTTL: config.cacheTTL || 300000, // 5 minutes
-      fallbackLanguage: config.fallbackLanguage || 'en',
-      autoScan: config.autoScan !== false
-    };
+    const roots: Array<Element | ShadowRoot> = [document.documentElement];
+    this.scanRoots.forEach(root => {
+      if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+        roots.push(root);
+      }
+    });
 
-    this.data = {
-      tenant_id: null,
-      languages: {}
-    };
+    const elements = new Set<Element>();
+    roots.forEach(root => {
+      this.getContainers(root).forEach(container => {
+        if (container.nodeType === Node.ELEMENT_NODE && this.originals.has(container as Element)) {
+          elements.add(container as Element);
+        }
+      });
+    });
+    return Array.from(elements);
+  }
 
-    this.listeners = {
-      loaded: [],
-      error: [],
-      'language-changed': []
-    };
+  /**
+   * Translate a component's shadow root
+   *
+   * Use this for closed shadow roots, or for open ones when `shadowDom` is off.
+   * The root is re-scanned on language change and watched in `observe` mode.
+   *
+   * @param root - Shadow root
+   */
+  public registerShadowRoot(root: ShadowRoot): void {
+    this.scanRoots.add(root);
+    if (this.domObserver) {
+      this.domObserver.add(root);
+    }
+    this.scan(root);
+  }
 
-    this.isInitialized = false;
-    this.currentLanguage = this.config.language;
-    this.isLoading = false;
-    this.memoryCache = new Map();
+  /**
+   * Stop translating a registered shadow root (translated content is kept; use unscan() to restore it)
+   * @param root - Shadow root
+   */
+  public unregisterShadowRoot(root: ShadowRoot): void {
+    this.scanRoots.delete(root);
   }
 
   /**
-   * Initialize SDK: fetch strings and optionally scan DOM
+   * Translate DOM content as it is added, batched per animation frame
+   *
+   * Added `data-txr-key`/`data-txr-attr-*` elements and text nodes matching a
+   * key are translated; changing an element's key attributes re-translates it.
+   *
+   * @param root - Element or selector to watch (default: `observeRoot` config)
    */
-  public async init(): Promise<void> {
-    if (this.isLoading) {
+  public observe(root?: Element | string): void {
+    if (typeof document === 'undefined' || typeof MutationObserver === 'undefined') {
       return;
     }
 
-    this.isLoading = true;
+    const target = root || this.config.observeRoot;
+    const element = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!element) {
+      console.warn(`Tenlixor: Observe root "${target}" not found`);
+      return;
+    }
 
-    try {
-      await this.fetchStrings(this.currentLanguage);
-      this.isInitialized = true;
+    this.unobserve();
+    // Content translated while observing follows language changes too
+    this.scanRoots.add(element);
+    this.domObserver = new DomObserver(element, isTranslationAttribute, (nodes, attributes) => {
+      this.translateNodes(nodes, attributes);
+    });
 
-      if (this.config.autoScan) {
-        if (typeof document !== 'undefined') {
-          if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.scan());
-          } else {
-            this.scan();
-          }
-        }
+    // Registered shadow roots, and open ones inside the root in shadowDom mode
+    this.scanRoots.forEach(scanRoot => {
+      if (scanRoot.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+        this.domObserver!.add(scanRoot);
       }
+    });
+    this.getContainers(element).forEach(container => {
+      if (container.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+        this.domObserver!.add(container);
+      }
+    });
+  }
 
-      this.emit('loaded', { language: this.currentLanguage });
-    } catch (error) {
-      this.emit('error', {
-        code: 'INIT_FAILED',
-        message: error instanceof Error ? error.message : 'Unknown error',
-        error: error instanceof Error ? error : undefined
-      });
-    } finally {
-      this.isLoading = false;
+  /**
+   * Stop translating added DOM content
+   */
+  public unobserve(): void {
+    if (this.domObserver) {
+      this.domObserver.disconnect();
+      this.domObserver = null;
     }
   }
 
   /**
-   * Fetch strings from API for a specific language
-   * @param languageCode - Language code to fetch
-   * @returns Fetched data
+   * Release the instance: stop observing, flush missing-key reports, close the
+   * live channel, stop auto-refresh and remove all listeners
    */
-  private async fetchStrings(languageCode: string): Promise<TenlixorResponseData> {
-    // Check cache first
-    if (this.config.cache) {
-      const cached = this.getFromCache(languageCode);
-      if (cached) {
-        this.mergeData(cached);
-        return cached;
-      }
+  public destroy(): void {
+    this.unobserve();
+    if (this.paramObserver) {
+      this.paramObserver.disconnect();
+      this.paramObserver = null;
     }
+    if (this.missingKeyReporter) {
+      this.missingKeyReporter.destroy();
+      this.missingKeyReporter = null;
+    }
+    if (this.liveChannel) {
+      this.liveChannel.close();
+      this.liveChannel = null;
+    }
+    if (this.autoRefresher) {
+      this.autoRefresher.stop();
+      this.autoRefresher = null;
+    }
+    Object.keys(this.listeners).forEach(event => {
+      this.listeners[event as TenlixorEventType] = [];
+    });
+  }
 
-    try {
-      const url = `${this.config.apiUrl}?language_code=${encodeURIComponent(languageCode)}`;
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'X-Tenant-Slug': this.config.tenantSlug,
-          'X-API-Key': this.config.token,
-          'Content-Type': 'application/json'
-        }
-      });
+  /**
+   * Translate nodes reported by the DOM observer
+   * @param nodes - Added or changed nodes
+   * @param attributes - Elements whose key attributes changed
+   */
+  private translateNodes(nodes: Node[], attributes: Element[]): void {
+    if (!this.isInitialized) {
+      return;
+    }
 
-      if (!response.ok) {
-        if (response.status === 401) {
-          throw new Error('UNAUTHORIZED: Invalid API token');
-        }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const lang = this.currentLanguage;
+
+    attributes.forEach(element => this.translateElement(element, lang, true));
+
+    nodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        this.findTranslatableElements(node as Element).forEach(element => this.translateElement(element, lang));
       }
+      this.scanTextNodes(node, lang);
+    });
+  }
 
-      const result: TenlixorResponse = await response.json();
+  /**
+   * Run DOM writes without triggering the DOM observer
+   * @param callback - Function performing the writes
+   */
+  private mutateDom(callback: () => void): void {
+    if (this.domObserver) {
+      this.domObserver.ignore(callback);
+    } else {
+      callback();
+    }
+  }
 
-      if (!result.success) {
-        throw new Error('API returned success: false');
+  /**
+   * Get a root and all elements below it, including open shadow roots and
+   * their content in `shadowDom` mode
+   * @param root - Root element or shadow root
+   * @returns The root, its descendant elements and nested shadow roots
+   */
+  private getContainers(root: Element | ShadowRoot): Array<Element | ShadowRoot> {
+    const containers: Array<Element | ShadowRoot> = [];
+    [root, ...Array.from(root.querySelectorAll('*'))].forEach(container => {
+      containers.push(container);
+      const shadowRoot = this.config.shadowDom && container.nodeType === Node.ELEMENT_NODE
+        ? (container as Element).shadowRoot
+        : null;
+      if (shadowRoot) {
+        containers.push(...this.getContainers(shadowRoot));
       }
+    });
+    return containers;
+  }
 
-      // Store tenant_id
-      if (result.data.tenant_id) {
-        this.data.tenant_id = result.data.tenant_id;
+  /**
+   * Find an element and its descendants that have translation keys
+   *
+   * Open shadow roots found on the way (`shadowDom` mode) are added to the DOM observer.
+   *
+   * @param root - Root element or shadow root
+   * @returns Elements with `data-txr-key`, `data-txr-attrs` or `data-txr-attr-*` attributes
+   */
+  private findTranslatableElements(root: Element | ShadowRoot): Element[] {
+    const elements: Element[] = [];
+    this.getContainers(root).forEach(container => {
+      if (container.nodeType !== Node.ELEMENT_NODE) {
+        if (this.domObserver) {
+          this.domObserver.add(container);
+        }
+        return;
       }
+      const element = container as Element;
+      if (Array.from(element.attributes).some(attribute => isTranslationAttribute(attribute.name))) {
+        elements.push(element);
+      }
+    });
+    return elements;
+  }
 
-      // Process and cache data
-      this.mergeData(result.data);
+  /**
+   * Translate an element's text and attribute keys unless it is already in the given language
+   * @param element - Element with `data-txr-key`, `data-txr-attrs` or `data-txr-attr-*` attributes
+   * @param lang - Language code
+   * @param force - Translate even if already up to date (e.g. after a key change)
+   */
+  private translateElement(element: Element, lang: string, force: boolean = false): void {
+    const key = element.getAttribute('data-txr-key');
+    const attributeKeys = getAttributeKeys(element);
+    if (!key && attributeKeys.length === 0) {
+      return;
+    }
 
-      if (this.config.cache) {
-        this.saveToCache(languageCode, result.data);
-      }
+    // Text keys are tracked with data-txr-resolved (which also stops text node
+    // scanning below the element); attribute-only elements just with data-txr-lang
+    const upToDate = element.getAttribute('data-txr-lang') === lang &&
+      (!key || element.hasAttribute('data-txr-resolved'));
+    if (upToDate && !force) {
+      return;
+    }
 
-      return result.data;
-    } catch (error) {
-      // Try to use cached data on network error
-      if (this.config.cache) {
-        const cached = this.getFromCache(languageCode, true); // Ignore TTL
-        if (cached) {
-          this.mergeData(cached);
-          return cached;
-        }
+    const params = this.getElementParams(element);
+    if (params) {
+      this.watchParams(element);
+    }
+
+    if (key) {
+      const original = this.getOriginal(element);
+      if (!original.children) {
+        original.children = Array.from(element.childNodes);
+      }
+      const html = this.rendersHtml(element);
+      const value = this.translateForDom(key, html && params ? escapeHtmlParams(params) : params, lang);
+      if (value !== null) {
+        this.applyValue(element, key, value, html);
+        this.applyDirection(element, key, lang, params);
+        this.setTrackedAttribute(element, 'data-txr-resolved', 'true');
       }
-      throw error;
     }
+    attributeKeys.forEach(([name, attributeKey]) => {
+      const value = this.translateForDom(attributeKey, params, lang);
+      if (value !== null) {
+        this.applyAttribute(element, name, attributeKey, value);
+      }
+    });
+    this.setTrackedAttribute(element, 'data-txr-lang', lang);
   }
 
   /**
-   * Merge fetched data into internal storage
-   * @param data - Data from API
+   * Translate a key for the DOM scanner, which must keep going when a key is missing
+   *
+   * In strict mode t() throws for missing keys; the scanner reports that through
+   * `error` (after the `missing-key` event) and leaves the content untouched.
+   *
+   * @param key - Translation key
+   * @param params - Message params (optional)
+   * @param lang - Language code
+   * @returns Translated value, or null if t() threw
    */
-  private mergeData(data: TenlixorResponseData): void {
-    if (data.languages && Array.isArray(data.languages)) {
-      data.languages.forEach(lang => {
-        const keyValueMap: { [key: string]: string } = {};
-        if (lang.resources && Array.isArray(lang.resources)) {
-          lang.resources.forEach(resource => {
-            keyValueMap[resource.key] = resource.value;
-          });
-        }
-        this.data.languages[lang.code] = keyValueMap;
+  private translateForDom(key: string, params: TenlixorMessageParams | undefined, lang: string): string | null {
+    try {
+      return this.t(key, params, lang);
+    } catch (error) {
+      this.emit('error', {
+        code: 'MISSING_KEY',
+        message: error instanceof Error ? error.message : `Tenlixor: Missing translation for key "${key}"`,
+        error: error instanceof Error ? error : undefined
       });
+      return null;
     }
   }
 
   /**
-   * Translate a key to its value
-   * @param key - Translation key (e.g., 'app.welcome')
-   * @param languageCode - Language code (optional, uses current language)
-   * @returns Translated value or key if not found
+   * Read an element's message params from `data-txr-params` (JSON) and
+   * `data-txr-param-*` attributes
+   *
+   * Single param attribute names are camel-cased (`data-txr-param-user-name` →
+   * `userName`). Their values stay strings ("007" is not 7): `plural` and `number`
+   * arguments and `count` convert them, and `data-txr-params` carries typed values.
+   *
+   * @param element - Element
+   * @returns Params, or undefined if the element has none
    */
-  public t(key: string, languageCode?: string): string {
-    const lang = languageCode || this.currentLanguage;
+  private getElementParams(element: Element): TenlixorMessageParams | undefined {
+    let params: TenlixorMessageParams | undefined;
 
-    // Try current language
-    if (this.data.languages[lang] && this.data.languages[lang][key]) {
-      return this.data.languages[lang][key];
+    const json = element.getAttribute(PARAMS_ATTRIBUTE);
+    if (json) {
+      try {
+        params = { ...JSON.parse(json) };
+      } catch (error) {
+        console.warn(`Tenlixor: Invalid ${PARAMS_ATTRIBUTE} on "${element.getAttribute('data-txr-key')}":`, error);
+      }
     }
 
-    // Try fallback language
-    if (lang !== this.config.fallbackLanguage) {
-      if (this.data.languages[this.config.fallbackLanguage] &&
-        this.data.languages[this.config.fallbackLanguage][key]) {
-        return this.data.languages[this.config.fallbackLanguage][key];
+    Array.from(element.attributes).forEach(attribute => {
+      if (attribute.name.startsWith(PARAM_PREFIX)) {
+        const name = attribute.name.slice(PARAM_PREFIX.length).replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+        params = params || {};
+        params[name] = attribute.value;
       }
+    });
+
+    return params;
+  }
+
+  /**
+   * Re-translate an element whenever its param attributes change
+   * @param element - Element with message params
+   */
+  private watchParams(element: Element): void {
+    if (typeof MutationObserver === 'undefined') {
+      return;
     }
 
-    // Return key as fallback (no error thrown)
-    return key;
+    if (!this.paramObserver) {
+      this.paramObserver = new MutationObserver(records => {
+        const changed = new Set<Element>();
+        records.forEach(record => {
+          const target = record.target as Element;
+          // Elements restored by unscan() are no longer managed
+          if (isParamAttribute(record.attributeName || '') && this.originals.has(target)) {
+            changed.add(target);
+          }
+        });
+        if (changed.size > 0 && this.isInitialized) {
+          this.mutateDom(() => changed.forEach(target => this.translateElement(target, this.currentLanguage, true)));
+        }
+      });
+    }
+    this.paramObserver.observe(element, { attributes: true });
   }
 
   /**
-   * Change active language and re-scan DOM
-   * @param languageCode - New language code
+   * Set `dir` on an element whose translation (possibly from a fallback
+   * language) runs against the surrounding direction, and remove it otherwise
+   * @param element - Translated element
+   * @param key - Translation key
+   * @param lang - Language code
+   * @param params - Message params selecting a variant key (optional)
    */
-  public async setLanguage(languageCode: string): Promise<void> {
-    if (languageCode === this.currentLanguage) {
+  private applyDirection(element: Element, key: string, lang: string, params?: TenlixorMessageParams): void {
+    const original = this.getOriginal(element);
+    if (element.hasAttribute('dir') && !original.attributes.has('dir')) {
+      // Direction set by the page
       return;
     }
 
-    const previousLanguage = this.currentLanguage;
-    this.currentLanguage = languageCode;
+    const entry = this.lookup(key, lang, params);
+    const direction = getLanguageInfo(entry ? entry.language : lang).direction;
+    const container = element.parentElement ? element.parentElement.closest('[dir]') : null;
+    const surrounding = container ? container.getAttribute('dir') : 'ltr';
 
-    try {
-      await this.fetchStrings(languageCode);
-      this.scan();
-      this.emit('language-changed', {
-        from: previousLanguage,
-        to: languageCode
-      });
-    } catch (error) {
-      this.currentLanguage = previousLanguage;
-      this.emit('error', {
-        code: 'LANGUAGE_CHANGE_FAILED',
-        message: error instanceof Error ? error.message : 'Unknown error',
-        error: error instanceof Error ? error : undefined
-      });
-      throw error;
+    if (direction !== surrounding) {
+      this.setTrackedAttribute(element, 'dir', direction);
+    } else if (original.attributes.has('dir')) {
+      element.removeAttribute('dir');
+      original.attributes.delete('dir');
     }
   }
 
   /**
-   * Reload strings from API (bypass cache)
+   * Get the original content record of an element, creating it if needed
+   * @param element - Element
+   * @returns Original content record
    */
-  public async reload(): Promise<void> {
-    // Clear cache for current language
-    if (this.config.cache) {
-      this.clearCache(this.currentLanguage);
+  private getOriginal(element: Element): OriginalContent {
+    let original = this.originals.get(element);
+    if (!original) {
+      original = { attributes: new Map() };
+      this.originals.set(element, original);
     }
+    return original;
+  }
 
-    await this.fetchStrings(this.currentLanguage);
-    this.scan();
-    this.emit('loaded', { language: this.currentLanguage, reloaded: true });
+  /**
+   * Set an attribute, remembering its original value for unscan()
+   * @param element - Target element
+   * @param name - Attribute name
+   * @param value - New value
+   */
+  private setTrackedAttribute(element: Element, name: string, value: string): void {
+    const original = this.getOriginal(element);
+    if (!original.attributes.has(name)) {
+      original.attributes.set(name, element.getAttribute(name));
+    }
+    element.setAttribute(name, value);
   }
 
   /**
-   * Manually scan and translate DOM elements
+   * Write a translation into an attribute, refusing event handlers and unsafe URLs
+   * @param element - Target element
+   * @param name - Attribute name
+   * @param key - Translation key (for error reporting)
+   * @param value - Translated value
    */
-  public scan(): void {
-    if (!this.isInitialized || typeof document === 'undefined') {
+  private applyAttribute(element: Element, name: string, key: string, value: string): void {
+    const schemes = this.config.htmlAllowlist.schemes || DEFAULT_HTML_ALLOWLIST.schemes;
+    if (name.startsWith('on') || (URL_ATTRIBUTES.indexOf(name) !== -1 && !isAllowedUrl(value, schemes))) {
+      this.emit('error', {
+        code: 'ATTRIBUTE_BLOCKED',
+        message: `Tenlixor: Refused to set "${name}" from "${key}"`
+      });
       return;
     }
+    this.setTrackedAttribute(element, name, value);
+  }
 
-    const lang = this.currentLanguage;
+  /**
+   * Check whether translations are rendered as HTML in an element
+   * (`data-txr-html`, defaulting to the `allowHtml` config)
+   * @param element - Target element
+   * @returns True for sanitized HTML, false for text
+   */
+  private rendersHtml(element: Element): boolean {
+    const htmlAttr = element.getAttribute('data-txr-html');
+    return htmlAttr === null ? this.config.allowHtml : htmlAttr !== 'false';
+  }
 
-    // Scan elements with data-txr-key attribute
-    const elementsWithAttr = document.querySelectorAll('[data-txr-key]');
-    elementsWithAttr.forEach(element => {
-      const key = element.getAttribute('data-txr-key');
-      if (key && !element.hasAttribute('data-txr-resolved')) {
-        const value = this.t(key, lang);
-        element.textContent = value;
-        element.setAttribute('data-txr-resolved', 'true');
-        element.setAttribute('data-txr-lang', lang);
-      } else if (key && element.getAttribute('data-txr-lang') !== lang) {
-        // Re-translate if language changed
-        const value = this.t(key, lang);
-        element.textContent = value;
-        element.setAttribute('data-txr-lang', lang);
-      }
-    });
+  /**
+   * Write a translation into an element, as sanitized HTML or as text
+   * @param element - Target element
+   * @param key - Translation key (for error reporting)
+   * @param value - Translated value (with HTML-escaped params when rendered as HTML)
+   * @param html - Render as sanitized HTML
+   */
+  private applyValue(element: Element, key: string, value: string, html: boolean): void {
+    if (!html || !/[<&]/.test(value)) {
+      element.textContent = value;
+      return;
+    }
 
-    // Scan text nodes for exact key matches
-    this.scanTextNodes(document.body, lang);
+    const { fragment, removed } = sanitizeHtml(value, this.config.htmlAllowlist);
+    element.textContent = '';
+    element.appendChild(fragment);
+
+    if (removed.length > 0) {
+      this.emit('error', {
+        code: 'HTML_SANITIZED',
+        message: `Tenlixor: Removed disallowed HTML from "${key}": ${removed.join(', ')}`
+      });
+    }
   }
 
   /**
@@ -305,23 +2266,38 @@ export class Tenlixor implements ITenlixor {
     // Process text nodes
     if (node.nodeType === Node.TEXT_NODE) {
       const text = node.textContent?.trim() || '';
-      if (text && this.data.languages[lang] && this.data.languages[lang][text]) {
+      if (text && this.lookup(text, lang) !== null) {
         const value = this.t(text, lang);
+        if (!this.originalTexts.has(node)) {
+          this.originalTexts.set(node, node.textContent || '');
+        }
         node.textContent = value;
 
         // Mark parent element as resolved
         if (node.parentElement) {
-          node.parentElement.setAttribute('data-txr-resolved', 'true');
-          node.parentElement.setAttribute('data-txr-key', text);
-          node.parentElement.setAttribute('data-txr-lang', lang);
+          this.applyDirection(node.parentElement, text, lang);
+          this.setTrackedAttribute(node.parentElement, 'data-txr-resolved', 'true');
+          this.setTrackedAttribute(node.parentElement, 'data-txr-key', text);
+          this.setTrackedAttribute(node.parentElement, 'data-txr-lang', lang);
         }
+      } else if (KEY_PATTERN.test(text)) {
+        // Looks like an untranslated key (e.g. 'checkout.title')
+        this.reportMissingKey(text, lang, false);
       }
     } else if (node.nodeType === Node.ELEMENT_NODE) {
       // Skip script, style, and other non-visible elements
       const tagName = (node as Element).tagName.toLowerCase();
       if (tagName !== 'script' && tagName !== 'style' && tagName !== 'noscript') {
         node.childNodes.forEach(child => this.scanTextNodes(child, lang));
+
+        const shadowRoot = this.config.shadowDom ? (node as Element).shadowRoot : null;
+        if (shadowRoot) {
+          this.scanTextNodes(shadowRoot, lang);
+        }
       }
+    } else if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      // Shadow root
+      node.childNodes.forEach(child => this.scanTextNodes(child, lang));
     }
   }
 
@@ -368,49 +2344,102 @@ export class Tenlixor implements ITenlixor {
    * Get data from cache
    * @param languageCode - Language code
    * @param ignoreTTL - Ignore TTL check
+   * @param namespace - Namespace (optional)
    * @returns Cached data or null
    */
-  private getFromCache(languageCode: string, ignoreTTL: boolean = false): TenlixorResponseData | null {
-    const cacheKey = this.getCacheKey(languageCode);
+  private getFromCache(languageCode: string, ignoreTTL: boolean = false, namespace?: string): TenlixorResponseData | null {
+    const entry = this.getCacheEntry(languageCode, namespace);
+
+    if (entry && (ignoreTTL || Date.now() - entry.timestamp < this.config.cacheTTL)) {
+      return entry.data;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a cache entry regardless of its age
+   * @param languageCode - Language code
+   * @param namespace - Namespace (optional)
+   * @returns Cache entry or null
+   */
+  private getCacheEntry(languageCode: string, namespace?: string): TenlixorCacheEntry | null {
+    const cacheKey = this.getCacheKey(languageCode, namespace);
 
     try {
       // Try localStorage first
       if (typeof localStorage !== 'undefined') {
         const cached = localStorage.getItem(cacheKey);
         if (cached) {
-          const parsed: TenlixorCacheEntry = JSON.parse(cached);
-          if (ignoreTTL || Date.now() - parsed.timestamp < this.config.cacheTTL) {
-            return parsed.data;
-          }
-        }
-      }
-
-      // Fallback to in-memory cache
-      const memoryCached = this.memoryCache.get(cacheKey);
-      if (memoryCached) {
-        if (ignoreTTL || Date.now() - memoryCached.timestamp < this.config.cacheTTL) {
-          return memoryCached.data;
+          return JSON.parse(cached);
         }
       }
     } catch (error) {
       console.warn('Tenlixor: Cache read error:', error);
     }
 
-    return null;
+    // Fallback to in-memory cache
+    return this.memoryCache.get(cacheKey) || null;
   }
 
   /**
    * Save data to cache
    * @param languageCode - Language code
    * @param data - Data to cache
+   * @param namespace - Namespace (optional)
+   * @param sync - Validators and high-water mark of the response (optional)
    */
-  private saveToCache(languageCode: string, data: TenlixorResponseData): void {
-    const cacheKey = this.getCacheKey(languageCode);
-    const cacheData: TenlixorCacheEntry = {
+  private saveToCache(
+    languageCode: string,
+    data: TenlixorResponseData,
+    namespace?: string,
+    sync: Partial<TenlixorCacheEntry> = {}
+  ): void {
+    this.writeCacheEntry(this.getCacheKey(languageCode, namespace), {
       timestamp: Date.now(),
-      data: data
-    };
+      data: data,
+      etag: sync.etag,
+      lastModified: sync.lastModified,
+      updatedSince: sync.updatedSince
+    });
+    this.removeLegacyCacheEntries(data.tenant_id, languageCode, namespace);
+  }
+
+  /**
+   * Remove the entries earlier versions cached for a language under the tenant id
+   * (`txr_<tenant_id>_<lang>`, or `txr_default_<lang>` before the first response),
+   * once per cache key
+   * @param tenantId - Tenant id from the API response
+   * @param languageCode - Language code
+   * @param namespace - Namespace (optional)
+   */
+  private removeLegacyCacheEntries(tenantId: string | null | undefined, languageCode: string, namespace?: string): void {
+    const cacheKey = this.getCacheKey(languageCode, namespace);
+    if (this.legacyCacheChecked.has(cacheKey) || typeof localStorage === 'undefined') {
+      return;
+    }
+    this.legacyCacheChecked.add(cacheKey);
 
+    const suffix = namespace ? `${languageCode}_ns_${namespace}` : languageCode;
+    [tenantId, 'default'].forEach(legacyTenant => {
+      const legacyKey = `txr_${legacyTenant}_${suffix}`;
+      if (!legacyTenant || legacyKey === cacheKey) {
+        return;
+      }
+      try {
+        localStorage.removeItem(legacyKey);
+      } catch (error) {
+        console.warn('Tenlixor: Cache write error:', error);
+      }
+    });
+  }
+
+  /**
+   * Write a cache entry to localStorage and the in-memory cache
+   * @param cacheKey - Cache key
+   * @param cacheData - Cache entry
+   */
+  private writeCacheEntry(cacheKey: string, cacheData: TenlixorCacheEntry): void {
     try {
       // Try localStorage
       if (typeof localStorage !== 'undefined') {
@@ -425,31 +2454,40 @@ export class Tenlixor implements ITenlixor {
   }
 
   /**
-   * Clear cache for a language
+   * Apply changed resources to a cached catalog, keeping its timestamp,
+   * validators and high-water mark
    * @param languageCode - Language code
+   * @param namespace - Namespace (optional)
+   * @param resources - Changed resources
    */
-  private clearCache(languageCode: string): void {
-    const cacheKey = this.getCacheKey(languageCode);
-
-    try {
-      if (typeof localStorage !== 'undefined') {
-        localStorage.removeItem(cacheKey);
-      }
-
-      this.memoryCache.delete(cacheKey);
-    } catch (error) {
-      console.warn('Tenlixor: Cache clear error:', error);
+  private patchCache(languageCode: string, namespace: string | undefined, resources: TenlixorResource[]): void {
+    const entry = this.getCacheEntry(languageCode, namespace);
+    if (!entry) {
+      return;
     }
+
+    this.writeCacheEntry(this.getCacheKey(languageCode, namespace), {
+      ...entry,
+      data: applyDelta(entry.data, {
+        tenant_id: entry.data.tenant_id,
+        languages: [{ code: languageCode, resources }]
+      })
+    });
   }
 
   /**
    * Generate cache key
+   *
+   * Keyed by the configured tenant slug rather than the tenant id from the API,
+   * which is unknown before the first response (a cold start would miss the cache).
+   *
    * @param languageCode - Language code
+   * @param namespace - Namespace (optional)
    * @returns Cache key
    */
-  private getCacheKey(languageCode: string): string {
-    const tenantId = this.data.tenant_id || 'default';
-    return `txr_${tenantId}_${languageCode}`;
+  private getCacheKey(languageCode: string, namespace?: string): string {
+    const tenant = this.config.tenantSlug;
+    return namespace ? `txr_${tenant}_${languageCode}_ns_${namespace}` : `txr_${tenant}_${languageCode}`;
   }
 
   /**
@@ -7,8 +7,11 @@
  * SDK Configuration Interface
  */
 export interface TenlixorConfig {
-  /** API authentication token (required) */
-  token: string;
+  /**
+   * API authentication token (required), or an async provider called for the
+   * first token and again when the API rejects the current one with a 401
+   */
+  token: string | TenlixorTokenProvider;
   /** Tenant slug identifier (required) */
   tenantSlug: string;
   /** Default language code */
@@ -21,8 +24,161 @@ export interface TenlixorConfig {
   cacheTTL?: number;
   /** Fallback language if translation not found */
   fallbackLanguage?: string;
+  /** Request timeout per attempt in milliseconds (default: 10000, 0 disables it) */
+  timeout?: number;
+  /** Retries for network errors, timeouts, 5xx and 429 responses (default: 3) */
+  retries?: number;
+  /** Base delay before the first retry in milliseconds, doubled on every retry (default: 500) */
+  retryDelay?: number;
+  /** Pages of a paginated catalog fetched in parallel (default: 4) */
+  pageConcurrency?: number;
+  /**
+   * Refresh cached catalogs with only the resources changed since the last
+   * fetch (`updated_since`), falling back to a full sync if the API rejects it
+   * (default: true)
+   */
+  deltaSync?: boolean;
+  /**
+   * Revalidate the current language in the background every this many
+   * milliseconds (default: 0, disabled). Paused while the page is hidden or
+   * offline; emits `strings-updated` when strings changed.
+   */
+  refreshInterval?: number;
+  /**
+   * Explicit fallback languages per language, tried before the automatic
+   * base-language fallback (e.g. { 'de-CH': ['de-AT', 'de'] })
+   */
+  fallbackChains?: { [languageCode: string]: string[] };
   /** Automatically scan DOM on initialization */
   autoScan?: boolean;
+  /** Named format presets for the format* methods */
+  formats?: TenlixorFormats;
+  /**
+   * What t() returns for a missing key: the key (default), an empty string,
+   * a custom value, or 'strict' to throw once the SDK is ready (the DOM scanner
+   * emits an `error` event instead)
+   */
+  missingKeyHandler?: TenlixorMissingKeyHandler;
+  /** Opt-in batched reporting of missing keys */
+  missingKeyReport?: TenlixorMissingKeyReportConfig;
+  /**
+   * Namespaces (key prefixes, e.g. 'common') to load on init. When set, only
+   * these and namespaces requested via loadNamespace() are fetched instead of
+   * the full catalog.
+   */
+  namespaces?: string[];
+  /**
+   * Render translations of scanned elements as sanitized HTML instead of text
+   * (default: false). Elements can opt in or out with `data-txr-html`.
+   */
+  allowHtml?: boolean;
+  /** Tags, attributes and URL schemes allowed in HTML translations */
+  htmlAllowlist?: TenlixorHtmlAllowlist;
+  /**
+   * Translate content added to the DOM after init (default: false), using a
+   * MutationObserver on `observeRoot`
+   */
+  observe?: boolean;
+  /** Element or selector watched in `observe` mode (default: document.body) */
+  observeRoot?: Element | string;
+  /**
+   * Keep `<html lang>` and `<html dir>` in sync with the active language
+   * (default: false)
+   */
+  manageDocument?: boolean;
+  /**
+   * Also scan and observe open shadow roots of custom elements (default: false).
+   * Closed shadow roots can be added with registerShadowRoot().
+   */
+  shadowDom?: boolean;
+  /** Opt-in live updates pushed by the API (SSE or WebSocket) */
+  live?: TenlixorLiveConfig;
+  /**
+   * Sends API requests and the live event stream (default: the global `fetch`).
+   * Accepts a custom fetch implementation or any request function returning a
+   * Response-like object.
+   */
+  transport?: TenlixorTransport;
+  /** Modify (or replace) API requests before they are sent, e.g. to add headers or rewrite the URL */
+  onRequest?: TenlixorRequestInterceptor;
+  /** Modify (or replace) parsed API response bodies before they are used */
+  onResponse?: TenlixorResponseInterceptor;
+}
+
+/**
+ * Token Provider: returns a fresh API token (e.g. from your backend)
+ */
+export type TenlixorTokenProvider = () => string | Promise<string>;
+
+/**
+ * HTML Allowlist
+ *
+ * Each field replaces the corresponding default.
+ */
+export interface TenlixorHtmlAllowlist {
+  /** Allowed tag names (lowercase) */
+  tags?: string[];
+  /** Allowed attributes per tag name; '*' applies to every allowed tag */
+  attributes?: { [tagName: string]: string[] };
+  /** Allowed URL schemes for href/src (relative URLs are always allowed) */
+  schemes?: string[];
+}
+
+/**
+ * Missing Key Handler
+ */
+export type TenlixorMissingKeyHandler =
+  | 'key'
+  | 'empty'
+  | 'strict'
+  | ((key: string, languageCode: string) => string);
+
+/**
+ * Missing Key Reporter Configuration
+ */
+export interface TenlixorMissingKeyReportConfig {
+  /** Endpoint receiving POSTed batches of missing keys */
+  endpoint: string;
+  /** Flush when this many keys are queued (default: 50) */
+  batchSize?: number;
+  /** Flush queued keys after this many milliseconds (default: 10000) */
+  flushInterval?: number;
+}
+
+/**
+ * Live Updates Configuration
+ */
+export interface TenlixorLiveConfig {
+  /** Live endpoint (default: `${apiUrl}/live`; http(s) URLs become ws(s) for WebSocket) */
+  url?: string;
+  /** Transport: Server-Sent Events (default) or WebSocket */
+  transport?: 'sse' | 'websocket';
+  /** Delay before the first reconnect in milliseconds, doubled on every failed attempt (default: 1000) */
+  reconnectDelay?: number;
+  /** Upper bound for the reconnect delay in milliseconds (default: 30000) */
+  maxReconnectDelay?: number;
+}
+
+/**
+ * Named Format Presets
+ *
+ * @example
+ * ```typescript
+ * formats: {
+ *   number: { compact: { notation: 'compact' } },
+ *   date: { short: { dateStyle: 'short' }, dayMonth: { day: 'numeric', month: 'long' } }
+ * }
+ * ```
+ */
+export interface TenlixorFormats {
+  /** Presets for formatNumber and formatCurrency */
+  number?: { [name: string]: Intl.NumberFormatOptions };
+  /** Presets for formatDate */
+  date?: { [name: string]: Intl.DateTimeFormatOptions };
+  /** Presets for formatRelativeTime */
+  relativeTime?: { [name: string]: Intl.RelativeTimeFormatOptions };
+  /** Presets for formatList */
+  list?: { [name: string]: Intl.ListFormatOptions };
 }
 
 /**
@@ -37,6 +193,8 @@ export interface TenlixorResource {
   value: string;
   /** Optional description */
   description: string;
+  /** Context/gender variant of the key (e.g., 'female'), if any */
+  context?: string | null;
   /** User who created the resource */
   created_by: string | null;
   /** User who last updated the resource */
@@ -45,6 +203,8 @@ export interface TenlixorResource {
   created_at: string;
   /** Last update timestamp */
   updated_at: string;
+  /** Deletion timestamp; set on tombstones in delta responses */
+  deleted_at?: string | null;
 }
 
 /**
@@ -77,6 +237,8 @@ export interface TenlixorResponseMeta {
   limit: number;
   /** Total number of items */
   total: number;
+  /** False when a delta request (`updated_since`) was answered with the full catalog */
+  delta?: boolean;
 }
 
 /**
@@ -93,6 +255,95 @@ export interface TenlixorResponse {
   request_id: string;
 }
 
+/**
+ * API Request, as seen by `onRequest`
+ */
+export interface TenlixorRequest {
+  /** Request URL, including query parameters */
+  url: string;
+  /** HTTP method */
+  method: string;
+  /** Request headers (X-Tenant-Slug, X-API-Key, ...) */
+  headers: Record<string, string>;
+}
+
+/**
+ * Options passed to a transport (a subset of fetch's `RequestInit`)
+ */
+export interface TenlixorTransportInit {
+  /** HTTP method */
+  method: string;
+  /** Request headers */
+  headers: Record<string, string>;
+  /** Request body */
+  body?: string;
+  /** Aborts the request when it times out */
+  signal?: AbortSignal;
+  /** Let the request outlive the page (missing-key reports) */
+  keepalive?: boolean;
+  /** Bypass the HTTP cache (live connection) */
+  cache?: RequestCache;
+}
+
+/**
+ * Response returned by a transport: the parts of a fetch `Response` the SDK reads
+ */
+export interface TenlixorTransportResponse {
+  /** Whether the status is 2xx */
+  ok: boolean;
+  /** HTTP status */
+  status: number;
+  /** HTTP status text */
+  statusText?: string;
+  /** Response headers (ETag, Last-Modified, Retry-After) */
+  headers: { get(name: string): string | null };
+  /** Parse the body as JSON */
+  json(): Promise<any>;
+  /** Body stream, read by the live channel's event stream (SSE) */
+  body?: ReadableStream<Uint8Array> | null;
+}
+
+/**
+ * Transport: a fetch-compatible request function
+ *
+ * @example
+ * ```typescript
+ * transport: (url, init) => gatewayFetch(url, init)
+ * ```
+ */
+export type TenlixorTransport = (url: string, init: TenlixorTransportInit) => Promise<TenlixorTransportResponse>;
+
+/**
+ * Request Interceptor: mutate the request or return a replacement
+ */
+export type TenlixorRequestInterceptor = (
+  request: TenlixorRequest
+) => TenlixorRequest | void | Promise<TenlixorRequest | void>;
+
+/**
+ * Response Interceptor: mutate the parsed body or return a replacement
+ *
+ * Runs before the body is checked for `success`, so it can also unwrap
+ * bodies reshaped by a gateway. Not called for 304 Not Modified responses.
+ * Each message of the live event stream (SSE) is passed through it as well.
+ */
+export type TenlixorResponseInterceptor = (
+  body: any,
+  context: TenlixorResponseContext
+) => TenlixorResponse | void | Promise<TenlixorResponse | void>;
+
+/**
+ * Response Context passed to `onResponse`
+ */
+export interface TenlixorResponseContext {
+  /** Request that was sent (after `onRequest`) */
+  request: TenlixorRequest;
+  /** HTTP status */
+  status: number;
+  /** Response headers */
+  headers: { get(name: string): string | null };
+}
+
 /**
  * Internal Language Map (key-value pairs)
  */
@@ -118,6 +369,33 @@ export interface TenlixorCacheEntry {
   timestamp: number;
   /** Cached data */
   data: TenlixorResponseData;
+  /** ETag of the response, sent as If-None-Match on refresh */
+  etag?: string;
+  /** Last-Modified date of the response, sent as If-Modified-Since on refresh */
+  lastModified?: string;
+  /** Latest change time of the cached resources, sent as `updated_since` on refresh */
+  updatedSince?: string;
+}
+
+/**
+ * Text Direction
+ */
+export type TenlixorTextDirection = 'ltr' | 'rtl';
+
+/**
+ * Language Metadata
+ */
+export interface TenlixorLanguageInfo {
+  /** Language tag as requested */
+  code: string;
+  /** English name (the tag itself for unknown languages) */
+  name: string;
+  /** Name in the language itself */
+  nativeName: string;
+  /** ISO 15924 script code (e.g., 'Latn', 'Arab') */
+  script: string;
+  /** Writing direction */
+  direction: TenlixorTextDirection;
 }
 
 /**
@@ -128,13 +406,37 @@ export interface TenlixorLoadedEvent {
   language: string;
   /** Whether this was a reload operation */
   reloaded?: boolean;
+  /** Namespace that was loaded (lazy namespace loads only) */
+  namespace?: string;
 }
 
+/**
+ * Codes of failed API requests
+ *
+ * - `TIMEOUT`: no complete response within `timeout`
+ * - `NETWORK`: the request could not be sent (offline, DNS, CORS, ...)
+ * - `HTTP_5XX`: server error
+ * - `RATE_LIMITED`: 429 response
+ * - `UNAUTHORIZED`: 401 response (invalid API token)
+ * - `HTTP_4XX`: other client errors
+ * - `INVALID_RESPONSE`: the body could not be read or was not a successful API response
+ */
+export type TenlixorErrorCode =
+  | 'TIMEOUT'
+  | 'NETWORK'
+  | 'HTTP_5XX'
+  | 'RATE_LIMITED'
+  | 'UNAUTHORIZED'
+  | 'HTTP_4XX'
+  | 'INVALID_RESPONSE';
+
 export interface TenlixorErrorEvent {
-  /** Error code */
+  /** Error code (a TenlixorErrorCode for failed requests) */
   code: string;
   /** Error message */
   message: string;
+  /** HTTP status of a failed request, if a response was received */
+  status?: number;
   /** Original error object */
   error?: Error;
 }
@@ -146,10 +448,63 @@ export interface TenlixorLanguageChangedEvent {
   to: string;
 }
 
+export interface TenlixorDirectionChangedEvent {
+  /** Previous direction */
+  from: TenlixorTextDirection;
+  /** New direction */
+  to: TenlixorTextDirection;
+  /** Language code that caused the change */
+  language: string;
+}
+
+export interface TenlixorMissingKeyEvent {
+  /** Translation key */
+  key: string;
+  /** Requested language code */
+  language: string;
+  /** Whether a language from the fallback chain provided the value */
+  fallbackUsed: boolean;
+}
+
+export interface TenlixorProgressEvent {
+  /** Language code being loaded */
+  language: string;
+  /** Namespace being loaded (lazy namespace loads only) */
+  namespace?: string;
+  /** Resources received so far */
+  loaded: number;
+  /** Total resources reported by the API */
+  total: number;
+}
+
+export interface TenlixorStringsUpdatedEvent {
+  /** Language code whose strings changed */
+  language: string;
+  /** Changed or removed keys (context variants as `key_context`) */
+  keys: string[];
+}
+
+export interface TenlixorAuthFailedEvent {
+  /** Error message */
+  message: string;
+  /** HTTP status (401 if the API rejected the token) */
+  status?: number;
+  /** Request or token provider error */
+  error: Error;
+}
+
 /**
  * Event Types Union
  */
-export type TenlixorEventType = 'loaded' | 'error' | 'language-changed';
+export type TenlixorEventType =
+  | 'loaded'
+  | 'error'
+  | 'language-changed'
+  | 'direction-changed'
+  | 'missing-key'
+  | 'progress'
+  | 'strings-updated'
+  | 'auth-failed';
 
 /**
  * Event Handler Type
@@ -163,37 +518,138 @@ export interface TenlixorEventListeners {
   loaded: TenlixorEventHandler<TenlixorLoadedEvent>[];
   error: TenlixorEventHandler<TenlixorErrorEvent>[];
   'language-changed': TenlixorEventHandler<TenlixorLanguageChangedEvent>[];
+  'direction-changed': TenlixorEventHandler<TenlixorDirectionChangedEvent>[];
+  'missing-key': TenlixorEventHandler<TenlixorMissingKeyEvent>[];
+  progress: TenlixorEventHandler<TenlixorProgressEvent>[];
+  'strings-updated': TenlixorEventHandler<TenlixorStringsUpdatedEvent>[];
+  'auth-failed': TenlixorEventHandler<TenlixorAuthFailedEvent>[];
+}
+
+/**
+ * ICU MessageFormat argument values
+ *
+ * `context` and `count` also select variant keys (`key_female`, `key_one`, ...).
+ */
+export interface TenlixorMessageParams {
+  /** Context or grammatical gender variant (resolves `key_<context>`) */
+  context?: string | null;
+  /** Count used for plural suffix variants (resolves `key_<category>`) */
+  count?: number;
+  [name: string]: string | number | boolean | Date | null | undefined;
 }
 
 /**
  * Translation Function Type
+ *
+ * The second argument is either message params or a language code
+ */
+export type TranslateFunction = (
+  key: string,
+  paramsOrLanguage?: TenlixorMessageParams | string,
+  languageCode?: string
+) => string;
+
+/**
+ * Translator bound to a namespace
  */
-export type TranslateFunction = (key: string, languageCode?: string) => string;
+export interface TenlixorScopedTranslator {
+  /** Namespace name */
+  namespace: string;
+  /** Translate a key relative to the namespace */
+  t: TranslateFunction;
+  /** Load the namespace */
+  load(languageCode?: string): Promise<void>;
+  /** Check whether the namespace is loaded */
+  isLoaded(languageCode?: string): boolean;
+}
+
+/**
+ * Locale-aware Formatting Functions
+ *
+ * `format` is either a preset name from `TenlixorConfig.formats` or Intl options.
+ * All functions use the active language unless `languageCode` is given.
+ */
+export interface TenlixorFormatFunctions {
+  /** Format a number */
+  formatNumber(value: number, format?: string | Intl.NumberFormatOptions, languageCode?: string): string;
+  /** Format an amount in a currency (ISO 4217 code, e.g. 'EUR') */
+  formatCurrency(
+    value: number,
+    currency: string,
+    format?: string | Intl.NumberFormatOptions,
+    languageCode?: string
+  ): string;
+  /** Format a date */
+  formatDate(
+    value: Date | number | string,
+    format?: string | Intl.DateTimeFormatOptions,
+    languageCode?: string
+  ): string;
+  /** Format a relative time; a Date is compared to now and the unit picked automatically */
+  formatRelativeTime(
+    value: number | Date,
+    unit?: Intl.RelativeTimeFormatUnit,
+    format?: string | Intl.RelativeTimeFormatOptions,
+    languageCode?: string
+  ): string;
+  /** Format a list of strings (e.g. "a, b, and c") */
+  formatList(items: string[], format?: string | Intl.ListFormatOptions, languageCode?: string): string;
+}
 
 /**
  * SDK Instance Interface
  */
-export interface ITenlixor {
+export interface ITenlixor extends TenlixorFormatFunctions {
   /** Initialize SDK */
   init(): Promise<void>;
-  /** Translate a key */
-  t(key: string, languageCode?: string): string;
+  /** Translate a key, formatting ICU MessageFormat params if given */
+  t(key: string, paramsOrLanguage?: TenlixorMessageParams | string, languageCode?: string): string;
   /** Change active language */
   setLanguage(languageCode: string): Promise<void>;
   /** Reload strings from API */
   reload(): Promise<void>;
-  /** Manually scan DOM */
-  scan(): void;
+  /** Replace the API token used for later requests */
+  setToken(token: string): void;
+  /** Manually scan DOM, optionally only a subtree */
+  scan(root?: Element | ShadowRoot): void;
+  /** Restore original text and attributes, optionally only in a subtree */
+  unscan(root?: Element | ShadowRoot): void;
+  /** Translate a component's shadow root, following language changes and live updates */
+  registerShadowRoot(root: ShadowRoot): void;
+  /** Stop translating a registered shadow root */
+  unregisterShadowRoot(root: ShadowRoot): void;
+  /** Get the elements translated by the SDK */
+  getTranslatedElements(): Element[];
+  /** Translate DOM content as it is added */
+  observe(root?: Element | string): void;
+  /** Stop translating added DOM content */
+  unobserve(): void;
+  /** Stop observing, flush missing-key reports and remove all listeners */
+  destroy(): void;
   /** Register event listener */
   on(event: TenlixorEventType, callback: TenlixorEventHandler): void;
   /** Unregister event listener */
   off(event: TenlixorEventType, callback: TenlixorEventHandler): void;
   /** Get current language */
   getLanguage(): string;
+  /** Load one or more namespaces */
+  loadNamespace(namespace: string | string[], languageCode?: string): Promise<void>;
+  /** Check whether a namespace is loaded */
+  isNamespaceLoaded(namespace: string, languageCode?: string): boolean;
+  /** Get a translator for keys relative to a namespace */
+  scoped(namespace: string): TenlixorScopedTranslator;
+  /** Get metadata (names, script, direction) for a language */
+  getLanguageInfo(languageCode?: string): TenlixorLanguageInfo;
+  /** Check whether a language is written right to left */
+  isRTL(languageCode?: string): boolean;
+  /** Get the ordered fallback chain for a language */
+  getFallbackChain(languageCode?: string): string[];
   /** Get available languages */
   getAvailableLanguages(): string[];
   /** Check if SDK is ready */
   isReady(): boolean;
+  /** Wait until the first load has completed */
+  ready(): Promise<void>;
 }
 
 /**
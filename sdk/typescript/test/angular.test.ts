@@ -0,0 +1,109 @@
+import type { ChangeDetectorRef, ElementRef, Renderer2, TemplateRef, ViewContainerRef } from '@angular/core';
+import { TestApi, createTenlixor, flushPromises } from './helpers';
+
+// Only the directive logic is under test: the decorators are no-ops
+jest.mock('@angular/core', () => {
+  const decorator = () => () => undefined;
+  return { Pipe: decorator, Directive: decorator, Input: decorator, NgModule: decorator };
+});
+jest.mock('@angular/common', () => ({ CommonModule: class { } }));
+
+import { TxrDirDirective, TxrNamespaceDirective, TxrTranslatePipe, setTenlixorInstance } from '../src/adapters/angular.pipe';
+
+describe('TxrTranslatePipe', () => {
+  const api = new TestApi({ en: { 'common.save': 'Save', 'checkout.title': 'Checkout' } });
+
+  it('re-renders keys of a namespace loaded after the first render', async () => {
+    const txr = createTenlixor(api, { namespaces: ['common'] });
+    setTenlixorInstance(txr);
+    await txr.init();
+    const cdr = { markForCheck: jest.fn() };
+    const pipe = new TxrTranslatePipe(cdr as unknown as ChangeDetectorRef);
+    expect(pipe.transform('checkout.title')).toBe('checkout.title');
+
+    await txr.loadNamespace('checkout');
+
+    expect(cdr.markForCheck).toHaveBeenCalled();
+    expect(pipe.transform('checkout.title')).toBe('Checkout');
+    pipe.ngOnDestroy();
+  });
+});
+
+describe('TxrNamespaceDirective', () => {
+  const api = new TestApi({ en: { 'common.save': 'Save', 'checkout.title': 'Checkout' } });
+
+  function createDirective() {
+    const views: Array<{ template: string; context?: unknown }> = [];
+    const template = (name: string) => ({ name } as unknown as TemplateRef<any>);
+    const viewContainer = {
+      clear: () => {
+        views.length = 0;
+      },
+      createEmbeddedView: (ref: { name: string }, context?: unknown) => {
+        views.push({ template: ref.name, context });
+      }
+    } as unknown as ViewContainerRef;
+    const directive = new TxrNamespaceDirective(template('content'), viewContainer);
+    directive.txrNamespaceElse = template('loading');
+    directive.txrNamespaceError = template('failed');
+    return { directive, views };
+  }
+
+  beforeEach(async () => {
+    const txr = createTenlixor(api, { namespaces: ['common'] });
+    setTenlixorInstance(txr);
+    await txr.init();
+  });
+
+  it('renders the else template while loading, then the content', async () => {
+    const { directive, views } = createDirective();
+    directive.txrNamespace = 'checkout';
+    expect(views).toEqual([{ template: 'loading', context: undefined }]);
+
+    await flushPromises();
+    expect(views).toEqual([{ template: 'content', context: undefined }]);
+  });
+
+  it('renders loaded namespaces right away', () => {
+    const { directive, views } = createDirective();
+    directive.txrNamespace = 'common';
+    expect(views.map(view => view.template)).toEqual(['content']);
+  });
+
+  it('renders the error template with the error when loading fails', async () => {
+    const handle = api.handle;
+    api.handle = () => {
+      throw new Error('offline');
+    };
+    const { directive, views } = createDirective();
+    directive.txrNamespace = 'checkout';
+    await flushPromises();
+    api.handle = handle;
+
+    expect(views).toEqual([{ template: 'failed', context: { $implicit: expect.objectContaining({ code: 'NETWORK' }) } }]);
+  });
+});
+
+describe('TxrDirDirective', () => {
+  const api = new TestApi({ en: { 'app.title': 'Hello' }, ar: { 'app.title': 'مرحبا' } });
+
+  it('sets lang and dir on its element and follows language changes', async () => {
+    const txr = createTenlixor(api);
+    setTenlixorInstance(txr);
+    await txr.init();
+
+    const element = document.createElement('main');
+    const renderer = {
+      setAttribute: (target: Element, name: string, value: string) => target.setAttribute(name, value)
+    } as unknown as Renderer2;
+    const directive = new TxrDirDirective({ nativeElement: element } as ElementRef<HTMLElement>, renderer);
+    expect([element.lang, element.dir]).toEqual(['en', 'ltr']);
+
+    await txr.setLanguage('ar');
+    expect([element.lang, element.dir]).toEqual(['ar', 'rtl']);
+
+    directive.ngOnDestroy();
+    await txr.setLanguage('en');
+    expect([element.lang, element.dir]).toEqual(['ar', 'rtl']);
+  });
+});
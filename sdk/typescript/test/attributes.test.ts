@@ -0,0 +1,110 @@
+import { TestApi, createTenlixor } from './helpers';
+import type { TenlixorErrorEvent } from '../src/types';
+
+describe('attribute translation', () => {
+  const api = new TestApi({
+    en: {
+      'form.email': 'Email address',
+      'form.hint': 'We never share it',
+      'img.logo': 'Company logo',
+      'nav.close': 'Close',
+      'nav.home': 'Home',
+      'link.docs': 'https://docs.example.com',
+      'link.bad': 'javascript:alert(1)',
+      'cart.items': '{count, plural, one {# item} other {# items}}'
+    },
+    de: {
+      'form.email': 'E-Mail-Adresse',
+      'form.hint': 'Wir geben sie nie weiter',
+      'img.logo': 'Firmenlogo',
+      'nav.close': 'Schließen',
+      'nav.home': 'Startseite'
+    }
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('translates data-txr-attr-* and data-txr-attrs attributes', async () => {
+    document.body.innerHTML = `
+      <input id="email" data-txr-attr-placeholder="form.email" data-txr-attr-title="form.hint">
+      <img id="logo" data-txr-attr-alt="img.logo">
+      <button id="close" data-txr-attrs="aria-label: nav.close; title:nav.close">x</button>`;
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+
+    const email = document.getElementById('email')!;
+    expect(email.getAttribute('placeholder')).toBe('Email address');
+    expect(email.getAttribute('title')).toBe('We never share it');
+    expect(email.getAttribute('data-txr-lang')).toBe('en');
+    expect(document.getElementById('logo')!.getAttribute('alt')).toBe('Company logo');
+    const close = document.getElementById('close')!;
+    expect(close.getAttribute('aria-label')).toBe('Close');
+    expect(close.getAttribute('title')).toBe('Close');
+    expect(close.textContent).toBe('x');
+  });
+
+  it('translates text and attribute keys of the same element', async () => {
+    document.body.innerHTML = '<a id="home" data-txr-key="nav.home" data-txr-attr-title="nav.home"></a>';
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+
+    const home = document.getElementById('home')!;
+    expect(home.textContent).toBe('Home');
+    expect(home.getAttribute('title')).toBe('Home');
+  });
+
+  it('re-applies attributes on language change', async () => {
+    document.body.innerHTML = '<input id="email" data-txr-attr-placeholder="form.email">';
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+    await txr.setLanguage('de');
+
+    const email = document.getElementById('email')!;
+    expect(email.getAttribute('placeholder')).toBe('E-Mail-Adresse');
+    expect(email.getAttribute('data-txr-lang')).toBe('de');
+  });
+
+  it('formats attribute values with the element params', async () => {
+    document.body.innerHTML = '<span id="cart" data-txr-attr-aria-label="cart.items" data-txr-param-count="3"></span>';
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+
+    expect(document.getElementById('cart')!.getAttribute('aria-label')).toBe('3 items');
+  });
+
+  it('refuses event handlers and unsafe URLs', async () => {
+    document.body.innerHTML = `
+      <a id="docs" data-txr-attr-href="link.docs"></a>
+      <a id="bad" href="/safe" data-txr-attr-href="link.bad" data-txr-attr-onclick="link.bad"></a>`;
+    const txr = createTenlixor(api);
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    await txr.init();
+    txr.scan();
+
+    expect(document.getElementById('docs')!.getAttribute('href')).toBe('https://docs.example.com');
+    const bad = document.getElementById('bad')!;
+    expect(bad.getAttribute('href')).toBe('/safe');
+    expect(bad.hasAttribute('onclick')).toBe(false);
+    expect(errors.map(event => event.code)).toEqual(['ATTRIBUTE_BLOCKED', 'ATTRIBUTE_BLOCKED']);
+  });
+
+  it('restores the original attributes on unscan()', async () => {
+    document.body.innerHTML = '<input id="email" placeholder="Email" data-txr-attr-placeholder="form.email" data-txr-attr-title="form.hint">';
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+    txr.unscan();
+
+    const email = document.getElementById('email')!;
+    expect(email.getAttribute('placeholder')).toBe('Email');
+    expect(email.hasAttribute('title')).toBe(false);
+    expect(email.hasAttribute('data-txr-lang')).toBe(false);
+  });
+});
@@ -0,0 +1,184 @@
+import type { Tenlixor } from '../src/tenlixor';
+import type { TenlixorErrorEvent, TenlixorStringsUpdatedEvent } from '../src/types';
+import { TestApi, createTenlixor } from './helpers';
+
+describe('auto refresh', () => {
+  const INTERVAL = 60000;
+  let api: TestApi;
+  let txr: Tenlixor;
+  let updates: TenlixorStringsUpdatedEvent[];
+  let hidden: boolean;
+  let online: boolean;
+
+  beforeAll(() => {
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+    Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+  });
+
+  afterAll(() => {
+    delete (document as { hidden?: boolean }).hidden;
+    delete (navigator as { onLine?: boolean }).onLine;
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    hidden = false;
+    online = true;
+    document.body.innerHTML = '<h1 data-txr-key="app.title">app.title</h1>';
+    api = new TestApi({ en: { 'app.title': 'Hello', 'app.save': 'Save' } });
+    txr = createTenlixor(api, { refreshInterval: INTERVAL });
+    updates = [];
+    txr.on('strings-updated', event => updates.push(event));
+    await txr.init();
+    txr.scan();
+  });
+
+  afterEach(() => {
+    txr.destroy();
+    jest.useRealTimers();
+  });
+
+  /**
+   * Switch the page visibility and notify listeners
+   */
+  function setHidden(value: boolean): void {
+    hidden = value;
+    document.dispatchEvent(new Event('visibilitychange'));
+  }
+
+  it('refreshes at the interval', async () => {
+    await jest.advanceTimersByTimeAsync(INTERVAL - 1);
+    expect(api.requests).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(api.requests).toHaveLength(2);
+
+    await jest.advanceTimersByTimeAsync(INTERVAL);
+    expect(api.requests).toHaveLength(3);
+  });
+
+  it('emits strings-updated and re-translates the page only when strings changed', async () => {
+    await jest.advanceTimersByTimeAsync(INTERVAL);
+    expect(updates).toEqual([]);
+
+    api.catalogs.en = { 'app.title': 'Hi there', 'app.open': 'Open' };
+    await jest.advanceTimersByTimeAsync(INTERVAL);
+
+    expect(updates.map(update => [update.language, update.keys.sort()])).toEqual([['en', ['app.open', 'app.save', 'app.title']]]);
+    expect(document.querySelector('h1')!.textContent).toBe('Hi there');
+    expect(txr.t('app.save')).toBe('app.save');
+  });
+
+  it('keeps the current strings and reports the error when a refresh fails', async () => {
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    api.handle = () => {
+      throw new Error('offline');
+    };
+    await jest.advanceTimersByTimeAsync(INTERVAL);
+
+    expect(errors).toEqual([expect.objectContaining({ code: 'NETWORK' })]);
+    expect(txr.t('app.title')).toBe('Hello');
+    expect(document.querySelector('h1')!.textContent).toBe('Hello');
+  });
+
+  it('keeps the cache when a refresh fails', async () => {
+    txr.destroy();
+    txr = createTenlixor(api, { cache: true, refreshInterval: INTERVAL });
+    await txr.init();
+    const cached = localStorage.getItem('txr_acme_en');
+
+    api.handle = () => {
+      throw new Error('offline');
+    };
+    await jest.advanceTimersByTimeAsync(INTERVAL);
+
+    expect(txr.t('app.title')).toBe('Hello');
+    expect(localStorage.getItem('txr_acme_en')).toBe(cached);
+  });
+
+  it('keeps the cache when reload() fails', async () => {
+    txr.destroy();
+    txr = createTenlixor(api, { cache: true });
+    await txr.init();
+    const cached = localStorage.getItem('txr_acme_en');
+
+    api.handle = () => {
+      throw new Error('offline');
+    };
+    await txr.reload();
+
+    expect(txr.t('app.title')).toBe('Hello');
+    expect(localStorage.getItem('txr_acme_en')).toBe(cached);
+  });
+
+  it('pauses while the page is hidden and refreshes when it becomes visible', async () => {
+    setHidden(true);
+    await jest.advanceTimersByTimeAsync(INTERVAL * 3);
+    expect(api.requests).toHaveLength(1);
+
+    setHidden(false);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(api.requests).toHaveLength(2);
+
+    // The interval restarts after the refresh
+    await jest.advanceTimersByTimeAsync(INTERVAL - 1);
+    expect(api.requests).toHaveLength(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(api.requests).toHaveLength(3);
+  });
+
+  it('pauses while offline and refreshes when back online', async () => {
+    online = false;
+    await jest.advanceTimersByTimeAsync(INTERVAL * 3);
+    expect(api.requests).toHaveLength(1);
+
+    online = true;
+    window.dispatchEvent(new Event('online'));
+    await jest.advanceTimersByTimeAsync(0);
+    expect(api.requests).toHaveLength(2);
+  });
+
+  it('does not start overlapping refreshes', async () => {
+    txr.destroy();
+    txr = createTenlixor(api, { refreshInterval: INTERVAL, timeout: 0 });
+    await txr.init();
+    let release!: () => void;
+    const handle = api.handle;
+    api.handle = (params, init) => {
+      const response = handle(params, init);
+      return new Promise(resolve => {
+        release = () => resolve(response);
+      }) as never;
+    };
+
+    await jest.advanceTimersByTimeAsync(INTERVAL);
+    setHidden(false);
+    await jest.advanceTimersByTimeAsync(INTERVAL * 2);
+    // One request from each init(), then the pending refresh
+    expect(api.requests).toHaveLength(3);
+
+    release();
+    await jest.advanceTimersByTimeAsync(INTERVAL);
+    expect(api.requests).toHaveLength(4);
+  });
+
+  it('stops on destroy()', async () => {
+    txr.destroy();
+    setHidden(false);
+    await jest.advanceTimersByTimeAsync(INTERVAL * 3);
+
+    expect(api.requests).toHaveLength(1);
+  });
+
+  it('does not refresh without refreshInterval', async () => {
+    txr.destroy();
+    const manual = createTenlixor(api);
+    await manual.init();
+    await jest.advanceTimersByTimeAsync(INTERVAL * 10);
+
+    expect(api.requests).toHaveLength(2);
+    manual.destroy();
+  });
+});
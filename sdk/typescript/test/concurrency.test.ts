@@ -0,0 +1,134 @@
+import { Tenlixor } from '../src/tenlixor';
+import type { TenlixorLanguageChangedEvent, TenlixorTransportResponse } from '../src/types';
+import { createBody, createResponse, flushPromises } from './helpers';
+
+/**
+ * Strings API whose responses are released by the test, per language
+ */
+class DeferredApi {
+  public readonly pending: Array<{ language: string; release: () => void }> = [];
+  public readonly languages: string[] = [];
+  public readonly transport = jest.fn((url: string) => {
+    const language = new URL(url).searchParams.get('language_code') || 'en';
+    this.languages.push(language);
+    return new Promise<TenlixorTransportResponse>(resolve => {
+      this.pending.push({
+        language,
+        release: () => resolve(createResponse(createBody(language, [{ key: 'app.title', value: `title:${language}` }])))
+      });
+    });
+  });
+
+  /**
+   * Answer the pending requests for the given languages
+   */
+  public async release(...languages: string[]): Promise<void> {
+    // Requests are sent once the token is resolved
+    await flushPromises();
+    const released = this.pending.filter(request => languages.indexOf(request.language) !== -1);
+    released.forEach(request => {
+      this.pending.splice(this.pending.indexOf(request), 1);
+      request.release();
+    });
+    await flushPromises();
+  }
+}
+
+describe('concurrent requests', () => {
+  let api: DeferredApi;
+  let txr: Tenlixor;
+
+  beforeEach(() => {
+    api = new DeferredApi();
+    txr = new Tenlixor({
+      token: 'test-token',
+      tenantSlug: 'acme',
+      cache: false,
+      autoScan: false,
+      retries: 0,
+      transport: api.transport
+    });
+  });
+
+  it('shares one load between concurrent init() calls', async () => {
+    const first = txr.init();
+    const second = txr.init();
+    expect(second).toBe(first);
+    await flushPromises();
+    expect(api.languages).toEqual(['en']);
+
+    let resolved = false;
+    void second.then(() => {
+      resolved = true;
+    });
+    await flushPromises();
+    expect(resolved).toBe(false);
+
+    await api.release('en');
+    expect(resolved).toBe(true);
+    expect(txr.t('app.title')).toBe('title:en');
+  });
+
+  it('resolves ready() once the first load completes', async () => {
+    let ready = false;
+    void txr.ready().then(() => {
+      ready = true;
+    });
+    void txr.init();
+    await flushPromises();
+    expect(ready).toBe(false);
+
+    await api.release('en');
+    expect(ready).toBe(true);
+  });
+
+  it('shares one request per language between concurrent loads', async () => {
+    void txr.init();
+    await api.release('en');
+
+    // de-AT falls back to de and en, which are already in flight
+    const toDe = txr.setLanguage('de');
+    const toDeAt = txr.setLanguage('de-AT');
+    await api.release('de', 'de-AT', 'en');
+    await Promise.all([toDe, toDeAt]);
+
+    expect(api.languages).toEqual(['en', 'de', 'en', 'de-AT']);
+    expect(txr.getLanguage()).toBe('de-AT');
+    expect(txr.t('app.title')).toBe('title:de-AT');
+  });
+
+  it('applies only the latest of rapid language switches', async () => {
+    void txr.init();
+    await api.release('en');
+    const events: TenlixorLanguageChangedEvent[] = [];
+    txr.on('language-changed', event => events.push(event));
+
+    const toDe = txr.setLanguage('de');
+    const toFr = txr.setLanguage('fr');
+    expect(txr.getLanguage()).toBe('fr');
+
+    // The superseded response arrives last
+    await api.release('fr', 'en');
+    await api.release('de');
+    await Promise.all([toDe, toFr]);
+
+    expect(events).toEqual([{ from: 'en', to: 'fr' }]);
+    expect(txr.getLanguage()).toBe('fr');
+    expect(txr.t('app.title')).toBe('title:fr');
+  });
+
+  it('does not announce a switch back to the applied language', async () => {
+    void txr.init();
+    await api.release('en');
+    const events: TenlixorLanguageChangedEvent[] = [];
+    txr.on('language-changed', event => events.push(event));
+
+    const toDe = txr.setLanguage('de');
+    const back = txr.setLanguage('en');
+    await api.release('de', 'en');
+    await Promise.all([toDe, back]);
+
+    expect(events).toEqual([]);
+    expect(txr.getLanguage()).toBe('en');
+  });
+});
@@ -0,0 +1,102 @@
+import { TestApi, createBody, createResponse, createTenlixor } from './helpers';
+import type { TenlixorCacheEntry, TenlixorLoadedEvent } from '../src/types';
+
+describe('conditional requests', () => {
+  const catalog = createBody('en', [{ key: 'app.title', value: 'Hello' }]);
+  let api: TestApi;
+
+  beforeEach(() => {
+    localStorage.clear();
+    api = new TestApi();
+    api.handle = (_params, init) => init.headers['If-None-Match'] === '"v1"'
+      ? createResponse(null, 304)
+      : createResponse(catalog, 200, { ETag: '"v1"', 'Last-Modified': 'Mon, 05 Oct 2026 10:00:00 GMT' });
+  });
+
+  /**
+   * Age the persisted entry of a language beyond its TTL
+   */
+  function expire(key: string): void {
+    const entry: TenlixorCacheEntry = JSON.parse(localStorage.getItem(key)!);
+    localStorage.setItem(key, JSON.stringify({ ...entry, timestamp: 0 }));
+  }
+
+  it('persists the validators under the tenant slug', async () => {
+    await createTenlixor(api, { cache: true }).init();
+
+    expect(Object.keys(localStorage)).toEqual(['txr_acme_en']);
+    expect(JSON.parse(localStorage.getItem('txr_acme_en')!)).toMatchObject({
+      etag: '"v1"',
+      lastModified: 'Mon, 05 Oct 2026 10:00:00 GMT'
+    });
+  });
+
+  it('removes the entries cached under the tenant id by earlier versions', async () => {
+    const legacy = JSON.stringify({ timestamp: Date.now(), data: catalog });
+    ['txr_tenant-1_en', 'txr_default_en', 'txr_tenant-1_de', 'txr_other_en'].forEach(key => localStorage.setItem(key, legacy));
+
+    await createTenlixor(api, { cache: true }).init();
+
+    expect(api.requests).toHaveLength(1);
+    expect(Object.keys(localStorage).sort()).toEqual(['txr_acme_en', 'txr_other_en', 'txr_tenant-1_de']);
+  });
+
+  it('revalidates a persisted catalog after a restart', async () => {
+    await createTenlixor(api, { cache: true }).init();
+    expire('txr_acme_en');
+
+    // A new instance has no tenant id yet, but finds the entry and its ETag
+    const restarted = createTenlixor(api, { cache: true });
+    await restarted.init();
+
+    expect(api.requests).toHaveLength(2);
+    expect(api.requests[1].init.headers).toMatchObject({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 05 Oct 2026 10:00:00 GMT'
+    });
+    expect(restarted.t('app.title')).toBe('Hello');
+    expect(JSON.parse(localStorage.getItem('txr_acme_en')!).timestamp).toBeGreaterThan(0);
+  });
+
+  it('serves a fresh persisted catalog after a restart without a request', async () => {
+    await createTenlixor(api, { cache: true }).init();
+    const restarted = createTenlixor(api, { cache: true });
+    await restarted.init();
+
+    expect(api.requests).toHaveLength(1);
+    expect(restarted.t('app.title')).toBe('Hello');
+  });
+
+  it('keeps the cached strings on 304 when reloading', async () => {
+    const txr = createTenlixor(api, { cache: true });
+    await txr.init();
+    const events: TenlixorLoadedEvent[] = [];
+    txr.on('loaded', event => events.push(event));
+
+    await txr.reload();
+
+    expect(api.requests).toHaveLength(2);
+    expect(api.requests[1].init.headers['If-None-Match']).toBe('"v1"');
+    expect(txr.t('app.title')).toBe('Hello');
+    expect(events).toEqual([{ language: 'en', reloaded: true }]);
+  });
+
+  it('replaces the catalog and validators on 200', async () => {
+    const txr = createTenlixor(api, { cache: true });
+    await txr.init();
+    api.handle = () => createResponse(createBody('en', [{ key: 'app.title', value: 'Hi' }]), 200, { ETag: '"v2"' });
+
+    await txr.reload();
+
+    expect(txr.t('app.title')).toBe('Hi');
+    expect(JSON.parse(localStorage.getItem('txr_acme_en')!)).toMatchObject({ etag: '"v2"' });
+  });
+
+  it('does not share the cache between tenants', async () => {
+    await createTenlixor(api, { cache: true }).init();
+    await createTenlixor(api, { cache: true, tenantSlug: 'other' }).init();
+
+    expect(api.requests).toHaveLength(2);
+    expect(api.requests[1].init.headers['If-None-Match']).toBeUndefined();
+  });
+});
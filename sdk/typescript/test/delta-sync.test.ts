@@ -0,0 +1,118 @@
+import type { TenlixorCacheEntry, TenlixorResource } from '../src/types';
+import { TestApi, createBody, createResponse, createTenlixor } from './helpers';
+
+describe('delta sync', () => {
+  let resources: TenlixorResource[];
+  let api: TestApi;
+
+  beforeEach(() => {
+    localStorage.clear();
+    resources = [
+      { key: 'app.title', value: 'Hello', updated_at: '2026-10-01T10:00:00Z' },
+      { key: 'app.save', value: 'Save', updated_at: '2026-10-02T10:00:00Z' },
+      { key: 'app.close', value: 'Close', updated_at: '2026-10-01T12:00:00Z' }
+    ] as TenlixorResource[];
+    api = new TestApi();
+    // Full syncs leave out tombstones; deltas include them
+    api.handle = params => {
+      const since = params.get('updated_since');
+      const changed = (resource: TenlixorResource) =>
+        Date.parse((resource.deleted_at || resource.updated_at) as string) > Date.parse(since as string);
+      return createResponse(createBody('en', since ? resources.filter(changed) : resources.filter(resource => !resource.deleted_at)));
+    };
+  });
+
+  /**
+   * Age the persisted entry of a language beyond its TTL
+   */
+  function expire(key: string): void {
+    const entry: TenlixorCacheEntry = JSON.parse(localStorage.getItem(key)!);
+    localStorage.setItem(key, JSON.stringify({ ...entry, timestamp: 0 }));
+  }
+
+  it('stores the latest change time as the high-water mark', async () => {
+    await createTenlixor(api, { cache: true }).init();
+
+    expect(api.requests[0].params.has('updated_since')).toBe(false);
+    expect(JSON.parse(localStorage.getItem('txr_acme_en')!).updatedSince).toBe('2026-10-02T10:00:00Z');
+  });
+
+  it('asks only for changes after a restart', async () => {
+    await createTenlixor(api, { cache: true }).init();
+    expire('txr_acme_en');
+    resources[0] = { ...resources[0], value: 'Hi', updated_at: '2026-10-03T10:00:00Z' };
+
+    // A new instance has no tenant id yet, but finds the entry and its mark
+    const restarted = createTenlixor(api, { cache: true });
+    await restarted.init();
+
+    expect(api.requests[1].params.get('updated_since')).toBe('2026-10-02T10:00:00Z');
+    expect(restarted.t('app.title')).toBe('Hi');
+    expect(restarted.t('app.save')).toBe('Save');
+  });
+
+  it('applies changed, added and removed resources to the cached catalog', async () => {
+    const txr = createTenlixor(api, { cache: true });
+    await txr.init();
+
+    resources[0] = { ...resources[0], value: 'Hi', updated_at: '2026-10-03T10:00:00Z' };
+    resources[2] = { ...resources[2], deleted_at: '2026-10-03T11:00:00Z' };
+    resources.push({ key: 'app.open', value: 'Open', updated_at: '2026-10-03T09:00:00Z' } as TenlixorResource);
+    await txr.reload();
+
+    expect(api.requests[1].params.get('updated_since')).toBe('2026-10-02T10:00:00Z');
+    expect(['app.title', 'app.save', 'app.close', 'app.open'].map(key => txr.t(key))).toEqual(['Hi', 'Save', 'app.close', 'Open']);
+
+    // The tombstone moved the mark forward
+    await txr.reload();
+    expect(api.requests[2].params.get('updated_since')).toBe('2026-10-03T11:00:00Z');
+  });
+
+  it('keeps the mark when nothing changed', async () => {
+    const txr = createTenlixor(api, { cache: true });
+    await txr.init();
+    await txr.reload();
+    await txr.reload();
+
+    expect(api.requests.map(request => request.params.get('updated_since'))).toEqual([
+      null,
+      '2026-10-02T10:00:00Z',
+      '2026-10-02T10:00:00Z'
+    ]);
+    expect(txr.t('app.close')).toBe('Close');
+  });
+
+  it('falls back to a full sync when the API rejects the delta', async () => {
+    const txr = createTenlixor(api, { cache: true });
+    await txr.init();
+    const handle = api.handle;
+    api.handle = (params, init) => params.has('updated_since')
+      ? createResponse({ success: false, message: 'updated_since is too old' }, 410)
+      : handle(params, init);
+    resources.splice(2, 1);
+
+    await txr.reload();
+
+    expect(api.requests.map(request => request.params.has('updated_since'))).toEqual([false, true, false]);
+    expect(txr.t('app.close')).toBe('app.close');
+  });
+
+  it('replaces the catalog when the API answers a delta with the full catalog', async () => {
+    const txr = createTenlixor(api, { cache: true });
+    await txr.init();
+    api.handle = () => createResponse(createBody('en', [resources[0]], { delta: false }));
+
+    await txr.reload();
+
+    expect(txr.t('app.title')).toBe('Hello');
+    expect(txr.t('app.save')).toBe('app.save');
+  });
+
+  it('always syncs in full when deltaSync is off', async () => {
+    const txr = createTenlixor(api, { cache: true, deltaSync: false });
+    await txr.init();
+    await txr.reload();
+
+    expect(api.requests.map(request => request.params.has('updated_since'))).toEqual([false, false]);
+  });
+});
@@ -0,0 +1,101 @@
+import { TestApi, createTenlixor } from './helpers';
+import { getLanguageInfo } from '../src/languages';
+import type { TenlixorDirectionChangedEvent } from '../src/types';
+
+describe('getLanguageInfo', () => {
+  it('describes known languages, including region subtags', () => {
+    expect(getLanguageInfo('ar')).toEqual({ code: 'ar', name: 'Arabic', nativeName: 'العربية', script: 'Arab', direction: 'rtl' });
+    expect(getLanguageInfo('he-IL').direction).toBe('rtl');
+    expect(getLanguageInfo('pt_BR')).toEqual({ code: 'pt_BR', name: 'Portuguese', nativeName: 'Português', script: 'Latn', direction: 'ltr' });
+  });
+
+  it('takes the direction from an explicit script subtag', () => {
+    expect(getLanguageInfo('ku-Arab').direction).toBe('rtl');
+    expect(getLanguageInfo('pa-Arab-PK')).toMatchObject({ script: 'Arab', direction: 'rtl' });
+    expect(getLanguageInfo('az-latn').script).toBe('Latn');
+  });
+
+  it('falls back to left-to-right for unknown languages', () => {
+    expect(getLanguageInfo('xx')).toEqual({ code: 'xx', name: 'xx', nativeName: 'xx', script: 'Zyyy', direction: 'ltr' });
+  });
+});
+
+describe('document direction', () => {
+  const api = new TestApi({
+    en: { 'app.title': 'Hello', 'app.only': 'English only' },
+    ar: { 'app.title': 'مرحبا' },
+    he: { 'app.title': 'שלום' },
+    de: { 'app.title': 'Hallo' }
+  });
+
+  beforeEach(() => {
+    document.documentElement.removeAttribute('lang');
+    document.documentElement.removeAttribute('dir');
+    document.body.innerHTML = '';
+  });
+
+  it('reports the direction of the current language', async () => {
+    const txr = createTenlixor(api, { language: 'ar' });
+    await txr.init();
+
+    expect(txr.isRTL()).toBe(true);
+    expect(txr.isRTL('de')).toBe(false);
+    expect(txr.getLanguageInfo().nativeName).toBe('العربية');
+  });
+
+  it('keeps <html lang> and dir in sync in manageDocument mode', async () => {
+    const txr = createTenlixor(api, { manageDocument: true });
+    await txr.init();
+    expect(document.documentElement.getAttribute('lang')).toBe('en');
+    expect(document.documentElement.getAttribute('dir')).toBe('ltr');
+
+    await txr.setLanguage('ar');
+    expect(document.documentElement.getAttribute('lang')).toBe('ar');
+    expect(document.documentElement.getAttribute('dir')).toBe('rtl');
+  });
+
+  it('leaves the document alone by default', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+    await txr.setLanguage('ar');
+
+    expect(document.documentElement.hasAttribute('lang')).toBe(false);
+    expect(document.documentElement.hasAttribute('dir')).toBe(false);
+  });
+
+  it('emits direction-changed only when the direction changes', async () => {
+    const txr = createTenlixor(api);
+    const events: TenlixorDirectionChangedEvent[] = [];
+    txr.on('direction-changed', event => events.push(event));
+    await txr.init();
+
+    await txr.setLanguage('de');
+    await txr.setLanguage('ar');
+    await txr.setLanguage('he');
+    await txr.setLanguage('en');
+
+    expect(events).toEqual([
+      { from: 'ltr', to: 'rtl', language: 'ar' },
+      { from: 'rtl', to: 'ltr', language: 'en' }
+    ]);
+  });
+
+  it('sets dir on elements whose translation runs against the surrounding direction', async () => {
+    document.body.innerHTML = `
+      <div dir="rtl">
+        <p id="translated" data-txr-key="app.title"></p>
+        <p id="fallback" data-txr-key="app.only"></p>
+      </div>
+      <p id="outside" data-txr-key="app.title"></p>`;
+    const txr = createTenlixor(api, { language: 'ar' });
+    await txr.init();
+    txr.scan();
+
+    expect(document.getElementById('translated')!.hasAttribute('dir')).toBe(false);
+    expect(document.getElementById('fallback')!.getAttribute('dir')).toBe('ltr');
+    expect(document.getElementById('outside')!.getAttribute('dir')).toBe('rtl');
+
+    await txr.setLanguage('en');
+    expect(document.getElementById('outside')!.hasAttribute('dir')).toBe(false);
+  });
+});
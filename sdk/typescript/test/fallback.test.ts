@@ -0,0 +1,74 @@
+import type { TenlixorErrorEvent } from '../src/types';
+import { TestApi, createTenlixor } from './helpers';
+
+describe('fallback chains', () => {
+  const api = new TestApi({
+    'pt-BR': { 'app.title': 'Olá (BR)' },
+    pt: { 'app.title': 'Olá', 'app.save': 'Salvar' },
+    en: { 'app.title': 'Hello', 'app.save': 'Save', 'app.cancel': 'Cancel' },
+    'de-AT': { 'app.title': 'Servus' },
+    de: { 'app.title': 'Hallo', 'app.save': 'Speichern' }
+  });
+
+  beforeEach(() => {
+    api.requests.length = 0;
+  });
+
+  it('builds chains from explicit entries, base languages and the fallback language', () => {
+    const txr = createTenlixor(api, { fallbackChains: { 'de-CH': ['de-AT', 'de'] } });
+
+    expect(txr.getFallbackChain('pt-BR')).toEqual(['pt-BR', 'pt', 'en']);
+    expect(txr.getFallbackChain('de-CH')).toEqual(['de-CH', 'de-AT', 'de', 'en']);
+    expect(txr.getFallbackChain('zh-Hant-TW')).toEqual(['zh-Hant-TW', 'zh-Hant', 'zh', 'en']);
+    expect(txr.getFallbackChain('en')).toEqual(['en']);
+  });
+
+  it('uses the fallback language base as a last resort', () => {
+    const txr = createTenlixor(api, { fallbackLanguage: 'en-GB' });
+
+    expect(txr.getFallbackChain('fr')).toEqual(['fr', 'en-GB', 'en']);
+  });
+
+  it('loads every language of the chain and resolves keys along it', async () => {
+    const txr = createTenlixor(api, { language: 'pt-BR' });
+    await txr.init();
+
+    expect(api.languages.sort()).toEqual(['en', 'pt', 'pt-BR']);
+    expect(txr.t('app.title')).toBe('Olá (BR)');
+    expect(txr.t('app.save')).toBe('Salvar');
+    expect(txr.t('app.cancel')).toBe('Cancel');
+  });
+
+  it('follows explicit chains before the base language', async () => {
+    const txr = createTenlixor(api, { language: 'de-CH', fallbackChains: { 'de-CH': ['de-AT', 'de'] } });
+    await txr.init();
+
+    expect(txr.t('app.title')).toBe('Servus');
+    expect(txr.t('app.save')).toBe('Speichern');
+  });
+
+  it('does not fail the load when a fallback language cannot be fetched', async () => {
+    const handle = api.handle;
+    api.handle = (params, init) => {
+      if (params.get('language_code') === 'pt') {
+        throw new Error('offline');
+      }
+      return handle(params, init);
+    };
+
+    const txr = createTenlixor(api, { language: 'pt-BR' });
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    await txr.init();
+
+    expect(txr.isReady()).toBe(true);
+    expect(txr.t('app.save')).toBe('Save');
+    expect(errors).toEqual([expect.objectContaining({
+      code: 'FALLBACK_LOAD_FAILED',
+      message: expect.stringContaining('"pt"'),
+      error: expect.objectContaining({ code: 'NETWORK' })
+    })]);
+
+    api.handle = handle;
+  });
+});
@@ -0,0 +1,71 @@
+import { TestApi, createTenlixor, flushPromises } from './helpers';
+import type { TenlixorErrorEvent } from '../src/types';
+
+describe('formatting helpers', () => {
+  const api = new TestApi();
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now, doNotFake: ['setTimeout', 'setImmediate', 'nextTick', 'queueMicrotask'] });
+  });
+  afterEach(() => jest.useRealTimers());
+
+  it('formats numbers, currencies, dates and lists in the active language', async () => {
+    const txr = createTenlixor(api, { language: 'de' });
+    await txr.init();
+
+    expect(txr.formatNumber(1234.5)).toBe('1.234,5');
+    expect(txr.formatCurrency(19.99, 'EUR')).toBe('19,99\u00a0€');
+    expect(txr.formatDate(now, { dateStyle: 'medium', timeZone: 'UTC' })).toBe('19.10.2026');
+    expect(txr.formatList(['A', 'B', 'C'])).toBe('A, B und C');
+    expect(txr.formatNumber(1234.5, undefined, 'en')).toBe('1,234.5');
+  });
+
+  it('resolves named presets from config.formats', async () => {
+    const txr = createTenlixor(api, { formats: { number: { compact: { notation: 'compact' } } } });
+    await txr.init();
+
+    expect(txr.formatNumber(1234567, 'compact')).toBe('1.2M');
+  });
+
+  it('reports unknown presets through the error event instead of the console', async () => {
+    const warn = jest.spyOn(console, 'warn');
+    const txr = createTenlixor(api);
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    await txr.init();
+
+    expect(txr.formatNumber(1.5, 'nope')).toBe('1.5');
+    await flushPromises();
+
+    expect(errors).toEqual([expect.objectContaining({ code: 'UNKNOWN_FORMAT', message: 'Tenlixor: Unknown number format "nope"' })]);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('formats relative time from an amount and unit', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.formatRelativeTime(-1, 'day', { numeric: 'auto' })).toBe('yesterday');
+    expect(txr.formatRelativeTime(3, 'hours')).toBe('in 3 hours');
+  });
+
+  it('picks the largest fitting unit for dates', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.formatRelativeTime(new Date(now.getTime() - 180000))).toBe('3 minutes ago');
+    expect(txr.formatRelativeTime(new Date(now.getTime() + 2 * 86400000))).toBe('in 2 days');
+    // Quarters are only used when asked for
+    expect(txr.formatRelativeTime(new Date(now.getTime() - 200 * 86400000))).toBe('7 months ago');
+  });
+
+  it('supports the quarter unit for dates', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.formatRelativeTime(new Date(now.getTime() + 180 * 86400000), 'quarter')).toBe('in 2 quarters');
+    expect(txr.formatRelativeTime(new Date(now.getTime() - 90 * 86400000), 'quarters')).toBe('1 quarter ago');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Shared test helpers: an in-memory strings API and a preconfigured SDK instance
+ */
+
+import { Tenlixor } from '../src/tenlixor';
+import type {
+  TenlixorConfig,
+  TenlixorResource,
+  TenlixorTransportInit,
+  TenlixorTransportResponse
+} from '../src/types';
+
+/**
+ * Catalogs served by the test API: key -> value per language
+ */
+export interface Catalogs {
+  [language: string]: { [key: string]: string };
+}
+
+/**
+ * Request received by the test API
+ */
+export interface RecordedRequest {
+  url: string;
+  params: URLSearchParams;
+  init: TenlixorTransportInit;
+}
+
+/**
+ * Create a transport response
+ * @param body - JSON body
+ * @param status - HTTP status
+ * @param headers - Response headers
+ */
+export function createResponse(
+  body: unknown,
+  status: number = 200,
+  headers: Record<string, string> = {}
+): TenlixorTransportResponse {
+  const normalized = new Map(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: { get: name => normalized.get(name.toLowerCase()) || null },
+    json: async () => body
+  };
+}
+
+/**
+ * Create a strings API response body
+ * @param language - Language code
+ * @param resources - Resources
+ * @param meta - Pagination metadata (optional)
+ */
+export function createBody(language: string, resources: Array<Partial<TenlixorResource>>, meta?: object): object {
+  return {
+    success: true,
+    ...(meta ? { meta } : {}),
+    data: { tenant_id: 'tenant-1', languages: [{ code: language, resources }] }
+  };
+}
+
+/**
+ * In-memory strings API
+ *
+ * Serves `catalogs` by `language_code`, filtered by `namespace` when given.
+ * Unknown languages get an empty catalog.
+ */
+export class TestApi {
+  public readonly requests: RecordedRequest[] = [];
+  public readonly transport = jest.fn(async (url: string, init: TenlixorTransportInit) => {
+    const params = new URL(url).searchParams;
+    this.requests.push({ url, params, init });
+    return this.handle(params, init);
+  });
+
+  constructor(public catalogs: Catalogs = {}) { }
+
+  /**
+   * Build the response for a request (override per test with `handle = ...`)
+   */
+  public handle = (params: URLSearchParams, _init: TenlixorTransportInit): TenlixorTransportResponse => {
+    const language = params.get('language_code') || 'en';
+    const namespace = params.get('namespace');
+    const resources = Object.entries(this.catalogs[language] || {})
+      .filter(([key]) => !namespace || key.indexOf(`${namespace}.`) === 0)
+      .map(([key, value]) => ({ key, value }));
+    return createResponse(createBody(language, resources));
+  };
+
+  /**
+   * Languages requested so far, in order
+   */
+  public get languages(): string[] {
+    return this.requests.map(request => request.params.get('language_code') || '');
+  }
+}
+
+/**
+ * Create an SDK instance backed by a test API, without cache, retries or DOM scanning
+ * @param api - Test API
+ * @param config - Config overrides
+ */
+export function createTenlixor(api: TestApi, config: Partial<TenlixorConfig> = {}): Tenlixor {
+  return new Tenlixor({
+    token: 'test-token',
+    tenantSlug: 'acme',
+    cache: false,
+    autoScan: false,
+    retries: 0,
+    transport: api.transport,
+    ...config
+  });
+}
+
+/**
+ * Wait for pending promise callbacks (and timers already due) to run
+ */
+export function flushPromises(): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
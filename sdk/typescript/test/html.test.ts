@@ -0,0 +1,199 @@
+import { TestApi, createTenlixor, createBody, flushPromises } from './helpers';
+import { sanitizeHtml } from '../src/html-sanitizer';
+import type { TenlixorErrorEvent, TenlixorHtmlAllowlist } from '../src/types';
+
+/**
+ * Serialize a sanitized fragment
+ */
+function render(html: string, allowlist?: TenlixorHtmlAllowlist): { html: string; removed: string[] } {
+  const { fragment, removed } = sanitizeHtml(html, allowlist);
+  const container = document.createElement('div');
+  container.appendChild(fragment);
+  return { html: container.innerHTML, removed };
+}
+
+describe('sanitizeHtml', () => {
+  it('keeps allowed tags and attributes', () => {
+    expect(render('<strong class="x">Bold</strong><br><a href="https://example.com" title="t">link</a>')).toEqual({
+      html: '<strong class="x">Bold</strong><br><a href="https://example.com" title="t">link</a>',
+      removed: []
+    });
+  });
+
+  it('unwraps disallowed tags and drops script-like elements with their content', () => {
+    expect(render('<div>kept <blink>text</blink></div><script>alert(1)</script><style>p{}</style><!-- c -->')).toEqual({
+      html: 'kept text',
+      removed: ['<div>', '<blink>', '<script>', '<style>']
+    });
+  });
+
+  it('removes event handlers, unknown attributes and unsafe URLs', () => {
+    expect(render('<a href="javascript:alert(1)" onclick="x()">a</a><span style="color:red">b</span><a href="/rel">c</a>')).toEqual({
+      html: '<a>a</a><span>b</span><a href="/rel">c</a>',
+      removed: ['<a href="javascript:alert(1)">', '<a onclick>', '<span style>']
+    });
+  });
+
+  it('protects the opener of links with a target', () => {
+    expect(render('<a href="https://example.com" target="_blank" rel="opener">x</a>').html)
+      .toBe('<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>');
+  });
+
+  it('uses a custom allowlist', () => {
+    const allowlist = { tags: ['img'], attributes: { img: ['src', 'alt'] }, schemes: ['https'] };
+
+    expect(render('<img src="https://cdn.example.com/a.png" alt="a"><img src="http://x/b.png"><b>bold</b>', allowlist)).toEqual({
+      html: '<img src="https://cdn.example.com/a.png" alt="a"><img>bold',
+      removed: ['<img src="http://x/b.png">', '<b>']
+    });
+  });
+});
+
+describe('HTML translations in the DOM scanner', () => {
+  const api = new TestApi({
+    en: {
+      'legal.terms': 'Read the <strong>terms</strong><br>carefully',
+      'legal.unsafe': 'Click <a href="javascript:alert(1)" onclick="steal()">here</a><script>alert(1)</script>',
+      'legal.plain': 'Plain text',
+      'legal.greeting': '<strong>Hi {name}</strong>, you have <a href="/inbox" title="{name}">{count, plural, one {# message} other {# messages}}</a>'
+    }
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('writes text unless HTML is enabled for the element', async () => {
+    document.body.innerHTML = `
+      <p id="text" data-txr-key="legal.terms"></p>
+      <p id="html" data-txr-key="legal.terms" data-txr-html></p>`;
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+
+    expect(document.getElementById('text')!.innerHTML).toBe('Read the &lt;strong&gt;terms&lt;/strong&gt;&lt;br&gt;carefully');
+    expect(document.getElementById('html')!.innerHTML).toBe('Read the <strong>terms</strong><br>carefully');
+  });
+
+  it('renders HTML by default with allowHtml, unless the element opts out', async () => {
+    document.body.innerHTML = `
+      <p id="html" data-txr-key="legal.terms"></p>
+      <p id="text" data-txr-key="legal.terms" data-txr-html="false"></p>`;
+    const txr = createTenlixor(api, { allowHtml: true });
+    await txr.init();
+    txr.scan();
+
+    expect(document.getElementById('html')!.innerHTML).toBe('Read the <strong>terms</strong><br>carefully');
+    expect(document.getElementById('text')!.textContent).toBe('Read the <strong>terms</strong><br>carefully');
+  });
+
+  it('sanitizes the markup and reports what was removed', async () => {
+    document.body.innerHTML = '<p id="unsafe" data-txr-key="legal.unsafe" data-txr-html></p>';
+    const txr = createTenlixor(api);
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    await txr.init();
+    txr.scan();
+
+    expect(document.getElementById('unsafe')!.innerHTML).toBe('Click <a>here</a>');
+    expect(errors).toEqual([{
+      code: 'HTML_SANITIZED',
+      message: 'Tenlixor: Removed disallowed HTML from "legal.unsafe": <a href="javascript:alert(1)">, <a onclick>, <script>'
+    }]);
+  });
+
+  it('renders param values as text, sanitizing only the translation', async () => {
+    const name = '<img src=x onerror=alert(1)>&amp;" onclick="x';
+    document.body.innerHTML = `
+      <p id="html" data-txr-key="legal.greeting" data-txr-html data-txr-param-count="2"></p>
+      <p id="text" data-txr-key="legal.greeting" data-txr-param-name="<b>Ada</b>" data-txr-param-count="1"></p>`;
+    document.getElementById('html')!.setAttribute('data-txr-param-name', name);
+    const txr = createTenlixor(api);
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    await txr.init();
+    txr.scan();
+
+    const html = document.getElementById('html')!;
+    expect(html.querySelector('img')).toBeNull();
+    expect(html.querySelector('strong')!.textContent).toBe(`Hi ${name}`);
+    expect(html.querySelector('a')!.getAttribute('title')).toBe(name);
+    expect(html.querySelector('a')!.hasAttribute('onclick')).toBe(false);
+    expect(html.textContent).toBe(`Hi ${name}, you have 2 messages`);
+    expect(document.getElementById('text')!.textContent).toBe('<strong>Hi <b>Ada</b></strong>, you have <a href="/inbox" title="<b>Ada</b>">1 message</a>');
+    expect(errors).toEqual([]);
+  });
+
+  it('decodes entities in HTML translations without tags', async () => {
+    const entities = new TestApi({ en: { 'legal.amp': 'Terms &amp; conditions' } });
+    document.body.innerHTML = '<p id="html" data-txr-key="legal.amp" data-txr-html></p>';
+    const txr = createTenlixor(entities);
+    await txr.init();
+    txr.scan();
+
+    expect(document.getElementById('html')!.textContent).toBe('Terms & conditions');
+  });
+
+  it('applies the configured allowlist', async () => {
+    document.body.innerHTML = '<p id="html" data-txr-key="legal.terms" data-txr-html></p>';
+    const txr = createTenlixor(api, { htmlAllowlist: { tags: ['br'] } });
+    await txr.init();
+    txr.scan();
+
+    expect(document.getElementById('html')!.innerHTML).toBe('Read the terms<br>carefully');
+  });
+
+  it('restores the original markup on unscan()', async () => {
+    document.body.innerHTML = '<p id="html" data-txr-key="legal.terms" data-txr-html>Terms <em>here</em></p>';
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+    txr.unscan();
+
+    expect(document.getElementById('html')!.innerHTML).toBe('Terms <em>here</em>');
+  });
+});
+
+describe('HTML translations in the JavaScript SDK', () => {
+  const Tenlixor = require('../../javascript/tenlixor.js');
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    global.fetch = jest.fn(async () => new Response(JSON.stringify(createBody('en', [
+      { key: 'legal.terms', value: 'Read the <strong>terms</strong>' },
+      { key: 'legal.unsafe', value: '<img src=x onerror="alert(1)">Click <a href="javascript:alert(1)">here</a>' }
+    ])))) as typeof fetch;
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('renders sanitized HTML where enabled and reports what was removed', async () => {
+    document.body.innerHTML = `
+      <p id="text" data-txr-key="legal.terms"></p>
+      <p id="html" data-txr-key="legal.terms" data-txr-html></p>
+      <p id="unsafe" data-txr-key="legal.unsafe" data-txr-html></p>`;
+    const txr = new Tenlixor({ token: 'test-token', tenantSlug: 'acme', cache: false, autoScan: false });
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', (event: TenlixorErrorEvent) => errors.push(event));
+    await txr.init();
+    txr.scan();
+    await flushPromises();
+
+    expect(document.getElementById('text')!.textContent).toBe('Read the <strong>terms</strong>');
+    expect(document.getElementById('html')!.innerHTML).toBe('Read the <strong>terms</strong>');
+    expect(document.getElementById('unsafe')!.innerHTML).toBe('Click <a>here</a>');
+    expect(errors.map(event => event.code)).toEqual(['HTML_SANITIZED']);
+  });
+
+  it('renders HTML by default with allowHtml', async () => {
+    document.body.innerHTML = '<p id="html" data-txr-key="legal.terms"></p>';
+    const txr = new Tenlixor({ token: 'test-token', tenantSlug: 'acme', cache: false, autoScan: false, allowHtml: true });
+    await txr.init();
+    txr.scan();
+
+    expect(document.getElementById('html')!.innerHTML).toBe('Read the <strong>terms</strong>');
+  });
+});
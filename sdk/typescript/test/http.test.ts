@@ -0,0 +1,138 @@
+import { TenlixorError, fetchWithRetry, getBackoffDelay } from '../src/http';
+import type { TenlixorErrorEvent, TenlixorTransportInit, TenlixorTransportResponse } from '../src/types';
+import { TestApi, createBody, createResponse, createTenlixor } from './helpers';
+
+describe('fetchWithRetry', () => {
+  const init = { method: 'GET', headers: {} };
+  const read = async (response: TenlixorTransportResponse) => response.json();
+
+  /**
+   * Transport answering with the given responses in order (errors are thrown)
+   */
+  function sequence(...responses: Array<TenlixorTransportResponse | Error>) {
+    return jest.fn(async (_url: string, _init: TenlixorTransportInit) => {
+      const next = responses.shift()!;
+      if (next instanceof Error) {
+        throw next;
+      }
+      return next;
+    });
+  }
+
+  /**
+   * Run a request while advancing fake timers, returning its result or error
+   */
+  async function run(promise: Promise<unknown>, ms: number): Promise<unknown> {
+    const settled = promise.then(value => value, error => error);
+    await jest.advanceTimersByTimeAsync(ms);
+    return settled;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('retries network errors and 5xx responses with exponential backoff', async () => {
+    const transport = sequence(new Error('offline'), createResponse({}, 502), createResponse({ ok: true }));
+    const result = fetchWithRetry('https://api/x', init, { transport, timeout: 0, retries: 3, retryDelay: 100 }, read);
+
+    await jest.advanceTimersByTimeAsync(99);
+    expect(transport).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(transport).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(199);
+    expect(transport).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual({ ok: true });
+  });
+
+  it('fails with a typed error when no retries are left', async () => {
+    const transport = sequence(createResponse({}, 503), createResponse({}, 500));
+    const error = await run(fetchWithRetry('https://api/x', init, { transport, timeout: 0, retries: 1, retryDelay: 100 }, read), 1000);
+
+    expect(error).toBeInstanceOf(TenlixorError);
+    expect(error).toMatchObject({ code: 'HTTP_5XX', status: 500 });
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry 401 and other 4xx responses', async () => {
+    const unauthorized = sequence(createResponse({}, 401));
+    const notFound = sequence(createResponse({}, 404));
+    const options = { timeout: 0, retries: 3, retryDelay: 100 };
+
+    expect(await run(fetchWithRetry('https://api/x', init, { ...options, transport: unauthorized }, read), 1000))
+      .toMatchObject({ code: 'UNAUTHORIZED', status: 401 });
+    expect(await run(fetchWithRetry('https://api/x', init, { ...options, transport: notFound }, read), 1000))
+      .toMatchObject({ code: 'HTTP_4XX', status: 404 });
+    expect(unauthorized).toHaveBeenCalledTimes(1);
+    expect(notFound).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits for Retry-After on 429 responses', async () => {
+    const transport = sequence(createResponse({}, 429, { 'Retry-After': '2' }), createResponse({ ok: true }));
+    const result = fetchWithRetry('https://api/x', init, { transport, timeout: 0, retries: 1, retryDelay: 100 }, read);
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(transport).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual({ ok: true });
+  });
+
+  it('caps Retry-After at the maximum retry delay', async () => {
+    const transport = sequence(createResponse({}, 429, { 'Retry-After': '3600' }), createResponse({ ok: true }));
+    const result = fetchWithRetry('https://api/x', init, { transport, timeout: 0, retries: 1, retryDelay: 100 }, read);
+
+    await jest.advanceTimersByTimeAsync(29999);
+    expect(transport).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual({ ok: true });
+  });
+
+  it('aborts attempts after the timeout, including stalled bodies', async () => {
+    const signals: AbortSignal[] = [];
+    const stalled = jest.fn(async (_url: string, init: TenlixorTransportInit) => {
+      signals.push(init.signal!);
+      return { ...createResponse({}), json: () => new Promise(() => undefined) };
+    });
+    const error = await run(fetchWithRetry('https://api/x', init, { transport: stalled, timeout: 1000, retries: 0, retryDelay: 100 }, read), 1000);
+
+    expect(error).toMatchObject({ code: 'TIMEOUT', message: 'Request timed out after 1000ms' });
+    expect(signals[0].aborted).toBe(true);
+  });
+
+  it('caps the backoff delay', () => {
+    expect(getBackoffDelay(500, 20)).toBe(30000);
+    expect(getBackoffDelay(500, 20, 1000)).toBe(1000);
+  });
+});
+
+describe('request errors', () => {
+  it('reports failed requests with their typed code', async () => {
+    const api = new TestApi();
+    api.handle = () => createResponse({}, 503);
+    const txr = createTenlixor(api);
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+
+    await txr.init();
+    expect(txr.isReady()).toBe(false);
+    expect(errors).toEqual([expect.objectContaining({ code: 'HTTP_5XX', status: 503 })]);
+  });
+
+  it('reports unsuccessful API responses as INVALID_RESPONSE', async () => {
+    const api = new TestApi();
+    api.handle = () => createResponse({ ...createBody('en', []), success: false });
+    const txr = createTenlixor(api);
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+
+    await txr.init();
+    expect(errors.map(event => event.code)).toEqual(['INVALID_RESPONSE']);
+  });
+});
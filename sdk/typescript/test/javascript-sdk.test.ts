@@ -0,0 +1,175 @@
+import { formatMessage, parseMessage } from '../src/message-format';
+import type { TenlixorMessageParams } from '../src/types';
+import { createBody, flushPromises } from './helpers';
+
+/**
+ * Tests for the UMD bundle in sdk/javascript (loaded as CommonJS)
+ */
+describe('JavaScript SDK', () => {
+  const Tenlixor = require('../../javascript/tenlixor.js');
+  const catalogs: { [language: string]: { [key: string]: string } } = {
+    en: {
+      'cart.items': '{count, plural, one {# item} other {# items}}',
+      'app.title': 'Hello',
+      'app.quoted': "It''s '{literal}'",
+      'app.broken': 'Hello {name'
+    },
+    tr: {
+      'cart.items': '{count} ürün',
+      'app.title': 'Merhaba'
+    }
+  };
+  const originalFetch = global.fetch;
+
+  beforeAll(() => {
+    global.fetch = jest.fn(async (url: string | URL | Request) => {
+      const language = new URL(String(url)).searchParams.get('language_code') || 'en';
+      const resources = Object.entries(catalogs[language] || {}).map(([key, value]) => ({ key, value }));
+      return new Response(JSON.stringify(createBody(language, resources)));
+    }) as typeof fetch;
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  function createTenlixor(): any {
+    const txr = new Tenlixor({ token: 'test-token', tenantSlug: 'acme', cache: false, autoScan: false });
+    Tenlixor.setSharedInstance(txr);
+    return txr;
+  }
+
+  it('reuses the cached catalog of the tenant after a restart', async () => {
+    localStorage.clear();
+    await new Tenlixor({ token: 'test-token', tenantSlug: 'acme', autoScan: false }).init();
+    expect(Object.keys(localStorage)).toEqual(['txr_acme_en']);
+
+    const calls = (global.fetch as jest.Mock).mock.calls.length;
+    const restarted = new Tenlixor({ token: 'test-token', tenantSlug: 'acme', autoScan: false });
+    await restarted.init();
+    expect((global.fetch as jest.Mock).mock.calls.length).toBe(calls);
+    expect(restarted.t('app.title')).toBe('Hello');
+    localStorage.clear();
+  });
+
+  it('removes the entries cached under the tenant id by earlier versions', async () => {
+    localStorage.clear();
+    const legacy = JSON.stringify({ timestamp: Date.now(), data: createBody('en', []) });
+    ['txr_tenant-1_en', 'txr_default_en', 'txr_other_en'].forEach(key => localStorage.setItem(key, legacy));
+
+    const txr = new Tenlixor({ token: 'test-token', tenantSlug: 'acme', autoScan: false });
+    await txr.init();
+
+    expect(txr.t('app.title')).toBe('Hello');
+    expect(Object.keys(localStorage).sort()).toEqual(['txr_acme_en', 'txr_other_en']);
+    localStorage.clear();
+  });
+
+  it('formats ICU messages', async () => {
+    const txr = createTenlixor();
+    await txr.init();
+
+    expect(txr.t('cart.items', { count: 1 })).toBe('1 item');
+    expect(txr.t('cart.items', { count: 1200 })).toBe('1,200 items');
+    expect(txr.t('app.quoted')).toBe("It's {literal}");
+  });
+
+  // The bundle has its own copy of the formatter: it must agree with src/message-format.ts
+  it.each<[string, TenlixorMessageParams, string]>([
+    ['Hello {name}, {missing}!', { name: 'Ada' }, 'en'],
+    ['{count, plural, =0 {No items} one {# item} other {# items}}', { count: 0 }, 'en'],
+    ['{count, plural, =0 {No items} one {# item} other {# items}}', { count: 1234.5 }, 'en'],
+    ['{count, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}', { count: 22 }, 'pl'],
+    ['{count, plural, zero {#} one {#} two {#} few {#} many {#} other {#}}', { count: 11 }, 'ar'],
+    ['{guests, plural, offset:1 =1 {{host} came} one {{host} and # other} other {{host} and # others}}', { guests: 3, host: 'Ada' }, 'en'],
+    ['{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}', { n: 23 }, 'en'],
+    ['{gender, select, female {{count, plural, one {She has # cat} other {She has # cats}}} other {They have {count}}}', { gender: 'female', count: 1 }, 'en'],
+    ['{gender, select, female {She} other {They}}', { gender: 'unknown' }, 'en'],
+    ['{p, number, percent} {n, number, integer} {n, number}', { p: 0.25, n: 3.7 }, 'de'],
+    ['{d, date, short} / {d, date, long} / {d, time, short}', { d: new Date(2024, 0, 31, 14, 5) }, 'en'],
+    ["It''s '{name}' and {name}''s, '#' {n, plural, other {'#' is #}}", { name: 'Ada', n: 5 }, 'en']
+  ])('formats %s like the TypeScript SDK', async (message, params, language) => {
+    catalogs[language] = { ...catalogs[language], 'parity.message': message };
+    const txr = createTenlixor();
+    await txr.init();
+    await txr.setLanguage(language);
+
+    expect(txr.t('parity.message', params)).toBe(formatMessage(parseMessage(message), params, language));
+  });
+
+  it('reports malformed messages as errors', async () => {
+    const txr = createTenlixor();
+    const errors: Array<{ code: string }> = [];
+    txr.on('error', (event: { code: string }) => errors.push(event));
+    await txr.init();
+
+    expect(txr.t('app.broken', { name: 'Ada' })).toBe('Hello {name');
+    await flushPromises();
+    expect(errors).toEqual([expect.objectContaining({ code: 'INVALID_MESSAGE' })]);
+  });
+
+  it('shows the <txr-text> fallback until loaded, then the translation', async () => {
+    document.body.innerHTML = '<txr-text key="cart.items" params=\'{"count":3}\'>Loading</txr-text>';
+    const element = document.querySelector('txr-text')!;
+    const txr = createTenlixor();
+    expect(element.shadowRoot!.querySelector('slot')).not.toBeNull();
+
+    await txr.init();
+    expect(element.shadowRoot!.textContent).toBe('3 items');
+  });
+
+  it('re-renders <txr-text> on language and attribute changes', async () => {
+    const txr = createTenlixor();
+    await txr.init();
+    document.body.innerHTML = '<txr-text key="app.title"></txr-text><txr-text key="app.title" language="tr"></txr-text>';
+    const [element, pinned] = Array.from(document.querySelectorAll('txr-text'));
+    expect(element.shadowRoot!.textContent).toBe('Hello');
+
+    await txr.setLanguage('tr');
+    expect(element.shadowRoot!.textContent).toBe('Merhaba');
+
+    element.setAttribute('key', 'cart.items');
+    element.setAttribute('params', '{"count":2}');
+    expect(element.shadowRoot!.textContent).toBe('2 ürün');
+
+    await txr.setLanguage('en');
+    expect(pinned.shadowRoot!.textContent).toBe('Merhaba');
+  });
+
+  it('switches languages with <txr-lang-switcher>', async () => {
+    const txr = createTenlixor();
+    await txr.init();
+    document.body.innerHTML = '<txr-lang-switcher languages="en, tr" label="Language"></txr-lang-switcher><txr-text key="app.title"></txr-text>';
+    const select = document.querySelector('txr-lang-switcher')!.shadowRoot!.querySelector('select')!;
+    expect(Array.from(select.options).map(option => option.value)).toEqual(['en', 'tr']);
+    expect(select.value).toBe('en');
+    expect(select.getAttribute('aria-label')).toBe('Language');
+
+    select.value = 'tr';
+    select.dispatchEvent(new Event('change'));
+    await flushPromises();
+
+    expect(txr.getLanguage()).toBe('tr');
+    expect(document.querySelector('txr-text')!.shadowRoot!.textContent).toBe('Merhaba');
+  });
+
+  it('moves custom elements to a new shared instance and unsubscribes removed ones', async () => {
+    const first = createTenlixor();
+    await first.init();
+    document.body.innerHTML = '<txr-text key="app.title"></txr-text>';
+    const element = document.querySelector('txr-text')!;
+
+    const second = createTenlixor();
+    await second.init();
+    await second.setLanguage('tr');
+    expect(element.shadowRoot!.textContent).toBe('Merhaba');
+
+    element.remove();
+    await second.setLanguage('en');
+    expect(element.shadowRoot!.textContent).toBe('Merhaba');
+  });
+});
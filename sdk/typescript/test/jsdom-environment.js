@@ -0,0 +1,23 @@
+const JSDOMEnvironment = require('jest-environment-jsdom').default;
+
+/**
+ * Node globals that jsdom does not provide, used by the transport and the live channel
+ */
+const NODE_GLOBALS = [
+  'fetch', 'Headers', 'Request', 'Response', 'ReadableStream',
+  'TextDecoder', 'TextEncoder', 'AbortController', 'AbortSignal'
+];
+
+/**
+ * jsdom environment with Node's fetch, streams and AbortController
+ */
+class TenlixorEnvironment extends JSDOMEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    NODE_GLOBALS.forEach(name => {
+      this.global[name] = globalThis[name];
+    });
+  }
+}
+
+module.exports = TenlixorEnvironment;
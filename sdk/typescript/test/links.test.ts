@@ -0,0 +1,76 @@
+import { TestApi, createTenlixor, flushPromises } from './helpers';
+import type { TenlixorErrorEvent } from '../src/types';
+
+describe('linked translations', () => {
+  const api = new TestApi({
+    en: {
+      'brand.name': 'Tenlixor',
+      'brand.full': '@:brand.name Cloud',
+      'app.welcome': 'Welcome to $t(brand.full), {name}!',
+      'app.count': '@:brand.name has {count, plural, one {# user} other {# users}}',
+      'loop.a': 'A @:loop.b',
+      'loop.b': 'B @:loop.a',
+      'app.dangling': 'See @:app.nowhere'
+    },
+    de: {
+      'brand.full': '@:brand.name Wolke'
+    }
+  });
+
+  it('resolves @: and $t() references recursively', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.t('brand.full')).toBe('Tenlixor Cloud');
+    expect(txr.t('app.welcome', { name: 'Ada' })).toBe('Welcome to Tenlixor Cloud, Ada!');
+    expect(txr.t('app.count', { count: 2 })).toBe('Tenlixor has 2 users');
+  });
+
+  it('resolves references along the fallback chain', async () => {
+    const txr = createTenlixor(api, { language: 'de' });
+    await txr.init();
+
+    expect(txr.t('brand.full')).toBe('Tenlixor Wolke');
+  });
+
+  it('leaves cycles unresolved and reports them', async () => {
+    const txr = createTenlixor(api);
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    await txr.init();
+
+    expect(txr.t('loop.a')).toBe('A B @:loop.a');
+    await flushPromises();
+    expect(errors).toEqual([expect.objectContaining({
+      code: 'LINK_CYCLE',
+      message: 'Tenlixor: Circular reference loop.a -> loop.b -> loop.a'
+    })]);
+  });
+
+  it('stops at the depth limit', async () => {
+    const chain: { [key: string]: string } = {};
+    for (let i = 0; i < 12; i++) {
+      chain[`deep.k${i}`] = `@:deep.k${i + 1}`;
+    }
+    chain['deep.k12'] = 'bottom';
+    const txr = createTenlixor(new TestApi({ en: chain }));
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    await txr.init();
+
+    expect(txr.t('deep.k0')).toBe('@:deep.k10');
+    expect(txr.t('deep.k5')).toBe('bottom');
+    await flushPromises();
+    expect(errors.map(error => error.code)).toEqual(['LINK_DEPTH_EXCEEDED']);
+  });
+
+  it('keeps dangling references and reports the missing key', async () => {
+    const txr = createTenlixor(api);
+    const missing: string[] = [];
+    txr.on('missing-key', event => missing.push(event.key));
+    await txr.init();
+
+    expect(txr.t('app.dangling')).toBe('See @:app.nowhere');
+    expect(missing).toEqual(['app.nowhere']);
+  });
+});
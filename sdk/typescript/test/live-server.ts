@@ -0,0 +1,144 @@
+/**
+ * Stand-in for the live endpoint: a local HTTP server pushing changes over
+ * Server-Sent Events (`GET /live`) and WebSocket (upgrade on `/live`)
+ */
+
+import { createServer, IncomingHttpHeaders, Server, ServerResponse } from 'http';
+import type { AddressInfo } from 'net';
+import { WebSocket, WebSocketServer } from 'ws';
+import type { TenlixorTransport } from '../src/types';
+import type { TestApi } from './helpers';
+
+/**
+ * Connection received by the live server
+ */
+export interface LiveConnection {
+  transport: 'sse' | 'websocket';
+  /** Request headers (SSE) */
+  headers: IncomingHttpHeaders;
+  /** Auth message (WebSocket, once received) */
+  auth: { [field: string]: unknown } | null;
+  /** Whether the connection is still open */
+  open: boolean;
+}
+
+export class LiveServer {
+  public readonly connections: LiveConnection[] = [];
+  /** Status answering SSE requests (200 opens the stream) */
+  public status = 200;
+  /** Only token accepted, if set: SSE requests get a 401, WebSockets are closed with 4001 */
+  public validToken: string | null = null;
+  private readonly server: Server;
+  private readonly sockets: WebSocketServer;
+  private readonly streams = new Map<LiveConnection, ServerResponse>();
+  private readonly clients = new Map<LiveConnection, WebSocket>();
+
+  constructor() {
+    this.server = createServer((request, response) => {
+      const connection: LiveConnection = { transport: 'sse', headers: request.headers, auth: null, open: true };
+      this.connections.push(connection);
+      const status = this.validToken !== null && request.headers['x-api-key'] !== this.validToken ? 401 : this.status;
+      if (status !== 200) {
+        connection.open = false;
+        response.writeHead(status).end();
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' });
+      response.write(': connected\n\n');
+      this.streams.set(connection, response);
+      request.on('close', () => {
+        connection.open = false;
+        this.streams.delete(connection);
+      });
+    });
+
+    this.sockets = new WebSocketServer({ server: this.server, path: '/live' });
+    this.sockets.on('connection', (socket, request) => {
+      const connection: LiveConnection = { transport: 'websocket', headers: request.headers, auth: null, open: true };
+      this.connections.push(connection);
+      this.clients.set(connection, socket);
+      socket.on('message', message => {
+        connection.auth = JSON.parse(String(message));
+        if (this.validToken !== null && connection.auth!.token !== this.validToken) {
+          socket.close(4001);
+        }
+      });
+      socket.on('close', () => {
+        connection.open = false;
+        this.clients.delete(connection);
+      });
+    });
+  }
+
+  /**
+   * Start listening on a free local port
+   */
+  public listen(): Promise<void> {
+    return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => resolve()));
+  }
+
+  /**
+   * Live endpoint URL
+   */
+  public get url(): string {
+    return `http://127.0.0.1:${(this.server.address() as AddressInfo).port}/live`;
+  }
+
+  /**
+   * Transport sending requests to the live endpoint over the network and the others to a test API
+   * @param api - Test API serving the strings
+   */
+  public transport(api: TestApi): TenlixorTransport {
+    return (url, init) => url.indexOf(this.url) === 0 ? fetch(url, init) : api.transport(url, init);
+  }
+
+  /**
+   * Connections that are still open
+   */
+  public get openConnections(): LiveConnection[] {
+    return this.connections.filter(connection => connection.open);
+  }
+
+  /**
+   * Push a message to every open connection
+   * @param message - Message (serialized as JSON)
+   */
+  public push(message: object): void {
+    const json = JSON.stringify(message);
+    this.streams.forEach(response => response.write(`data: ${json}\n\n`));
+    this.clients.forEach(socket => socket.send(json));
+  }
+
+  /**
+   * End every open connection from the server side
+   * @param code - WebSocket close code (1000: clean)
+   */
+  public drop(code: number = 1000): void {
+    this.streams.forEach(response => response.end());
+    this.clients.forEach(socket => socket.close(code));
+  }
+
+  /**
+   * Stop the server, closing any remaining connections
+   */
+  public close(): Promise<void> {
+    this.clients.forEach(socket => socket.terminate());
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.sockets.close(() => this.server.close(() => resolve())));
+  }
+}
+
+/**
+ * Wait until a condition holds
+ * @param condition - Checked every few milliseconds
+ * @param timeout - Give up after this many milliseconds
+ */
+export async function waitFor(condition: () => boolean, timeout: number = 2000): Promise<void> {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for the live server');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
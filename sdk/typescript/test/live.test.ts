@@ -0,0 +1,193 @@
+import { LiveChannel } from '../src/live-channel';
+import type { Tenlixor } from '../src/tenlixor';
+import type { TenlixorError } from '../src/http';
+import type { TenlixorErrorEvent, TenlixorLiveConfig, TenlixorStringsUpdatedEvent } from '../src/types';
+import { TestApi, createTenlixor, flushPromises } from './helpers';
+import { LiveServer, waitFor } from './live-server';
+
+describe('live updates', () => {
+  const api = new TestApi({ en: { 'app.title': 'Hello', 'app.save': 'Save' } });
+  let server: LiveServer;
+  let txr: Tenlixor | null;
+
+  beforeEach(async () => {
+    server = new LiveServer();
+    await server.listen();
+    txr = null;
+    document.body.innerHTML = '<h1 data-txr-key="app.title">app.title</h1>';
+  });
+
+  afterEach(async () => {
+    if (txr) {
+      txr.destroy();
+    }
+    await server.close();
+  });
+
+  /**
+   * Create an instance connected to the live server
+   */
+  async function connect(transport: TenlixorLiveConfig['transport'], token: string = 'test-token'): Promise<Tenlixor> {
+    txr = createTenlixor(api, {
+      token,
+      transport: server.transport(api),
+      live: { url: server.url, transport, reconnectDelay: 10 }
+    });
+    await txr.init();
+    txr.scan();
+    await waitFor(() => server.openConnections.length === 1 && (transport !== 'websocket' || !!server.connections[0].auth));
+    return txr;
+  }
+
+  /**
+   * Live message changing the English strings
+   */
+  function change(resources: object[]): object {
+    return { languages: [{ code: 'en', resources }] };
+  }
+
+  describe.each(['sse', 'websocket'] as const)('over %s', transport => {
+    it('applies pushed values, re-translates the page and emits strings-updated', async () => {
+      const txr = await connect(transport);
+      const updates: TenlixorStringsUpdatedEvent[] = [];
+      txr.on('strings-updated', event => updates.push(event));
+      expect(document.querySelector('h1')!.textContent).toBe('Hello');
+
+      server.push(change([{ key: 'app.title', value: 'Hi there' }]));
+      await waitFor(() => updates.length > 0);
+
+      expect(txr.t('app.title')).toBe('Hi there');
+      expect(document.querySelector('h1')!.textContent).toBe('Hi there');
+      expect(updates).toEqual([{ language: 'en', keys: ['app.title'] }]);
+    });
+
+    it('removes keys deleted on the server', async () => {
+      const txr = await connect(transport);
+      const updates: TenlixorStringsUpdatedEvent[] = [];
+      txr.on('strings-updated', event => updates.push(event));
+
+      server.push(change([{ key: 'app.save', value: 'Save', deleted_at: '2026-10-05T10:00:00Z' }]));
+      await waitFor(() => updates.length > 0);
+
+      expect(txr.t('app.save')).toBe('app.save');
+      expect(txr.t('app.title')).toBe('Hello');
+    });
+
+    it('ignores keep-alives and unchanged values', async () => {
+      const txr = await connect(transport);
+      const updates: TenlixorStringsUpdatedEvent[] = [];
+      txr.on('strings-updated', event => updates.push(event));
+
+      server.push({ type: 'ping' });
+      server.push(change([{ key: 'app.title', value: 'Hello' }]));
+      server.push(change([{ key: 'app.save', value: 'Store' }]));
+      await waitFor(() => updates.length > 0);
+
+      expect(updates).toEqual([{ language: 'en', keys: ['app.save'] }]);
+    });
+
+    it('reconnects with the last event id when the server ends the connection', async () => {
+      const txr = await connect(transport);
+      server.push({ id: 41, ...change([{ key: 'app.title', value: 'Hi there' }]) });
+      await waitFor(() => txr.t('app.title') === 'Hi there');
+
+      server.drop();
+      await waitFor(() => server.connections.length === 2 && server.openConnections.length === 1);
+      await waitFor(() => transport !== 'websocket' || !!server.connections[1].auth);
+
+      const resumed = transport === 'sse' ? server.connections[1].headers['last-event-id'] : server.connections[1].auth!.last_event_id;
+      expect(resumed).toBe('41');
+
+      // Changes keep arriving on the new connection
+      server.push(change([{ key: 'app.title', value: 'Welcome' }]));
+      await waitFor(() => document.querySelector('h1')!.textContent === 'Welcome');
+    });
+
+    it('closes the connection on destroy() and does not reconnect', async () => {
+      const txr = await connect(transport);
+      txr.destroy();
+
+      await waitFor(() => server.openConnections.length === 0);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(server.connections).toHaveLength(1);
+    });
+  });
+
+  it('sends the credentials as headers over SSE', async () => {
+    await connect('sse');
+
+    expect(server.connections[0].headers).toMatchObject({
+      'x-api-key': 'test-token',
+      'x-tenant-slug': 'acme',
+      accept: 'text/event-stream'
+    });
+  });
+
+  it('authenticates with the first message over WebSocket', async () => {
+    await connect('websocket');
+
+    expect(server.connections[0].auth).toEqual({
+      type: 'auth',
+      tenant_slug: 'acme',
+      token: 'test-token',
+      last_event_id: null
+    });
+  });
+
+  it('reports a rejected token and stops reconnecting', async () => {
+    const txr = await connect('websocket');
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    const authFailures: unknown[] = [];
+    txr.on('auth-failed', event => authFailures.push(event));
+
+    // The token cannot be renewed (no provider): the first rejection is final
+    server.drop(4001);
+    await waitFor(() => errors.length > 0);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await flushPromises();
+
+    expect(errors.map(error => error.code)).toEqual(['UNAUTHORIZED']);
+    expect(authFailures).toHaveLength(1);
+    expect(server.connections).toHaveLength(1);
+  });
+
+  it('reports WebSocket messages that fail to apply and keeps the connection', async () => {
+    const errors: TenlixorError[] = [];
+    const onUpdate = jest.fn(() => {
+      throw new Error('update failed');
+    });
+    const channel = new LiveChannel(
+      { url: server.url, transport: 'websocket', reconnectDelay: 10 },
+      'https://api.test/strings',
+      'acme',
+      async () => 'test-token',
+      onUpdate,
+      error => errors.push(error),
+      { transport: server.transport(api), onRequest: request => request, onResponse: body => body }
+    );
+    channel.connect();
+    await waitFor(() => server.openConnections.length === 1 && !!server.connections[0].auth);
+
+    server.push(change([{ key: 'app.title', value: 'Hi there' }]));
+    await waitFor(() => errors.length > 0);
+    channel.close();
+
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    expect(errors.map(error => [error.code, error.message])).toEqual([['INVALID_RESPONSE', 'update failed']]);
+    expect(server.connections).toHaveLength(1);
+  });
+
+  it('reconnects after an error response', async () => {
+    server.status = 503;
+    txr = createTenlixor(api, { transport: server.transport(api), live: { url: server.url, reconnectDelay: 10 } });
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    await txr.init();
+    await waitFor(() => errors.length > 0);
+    server.status = 200;
+
+    await waitFor(() => server.openConnections.length === 1);
+    expect(errors[0]).toMatchObject({ code: 'HTTP_5XX', status: 503 });
+  });
+});
@@ -0,0 +1,64 @@
+import { parseMessage, formatMessage } from '../src/message-format';
+import type { TenlixorMessageParams } from '../src/types';
+
+function format(message: string, params: TenlixorMessageParams = {}, locale: string = 'en'): string {
+  return formatMessage(parseMessage(message), params, locale);
+}
+
+describe('parseMessage / formatMessage', () => {
+  it('replaces simple arguments and keeps unknown ones', () => {
+    expect(format('Hello {name}!', { name: 'Ada' })).toBe('Hello Ada!');
+    expect(format('Hello {name}!')).toBe('Hello {name}!');
+  });
+
+  it('selects plural options by exact value and plural category', () => {
+    const message = '{count, plural, =0 {No items} one {# item} other {# items}}';
+    expect(format(message, { count: 0 })).toBe('No items');
+    expect(format(message, { count: 1 })).toBe('1 item');
+    expect(format(message, { count: 1234 })).toBe('1,234 items');
+  });
+
+  it('uses the plural rules of the locale', () => {
+    const message = '{count, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}';
+    expect(format(message, { count: 3 }, 'pl')).toBe('3 pliki');
+    expect(format(message, { count: 5 }, 'pl')).toBe('5 plików');
+  });
+
+  it('applies plural offsets to # and category selection', () => {
+    const message = '{guests, plural, offset:1 =1 {{host} came} one {{host} and # other} other {{host} and # others}}';
+    expect(format(message, { guests: 1, host: 'Ada' })).toBe('Ada came');
+    expect(format(message, { guests: 2, host: 'Ada' })).toBe('Ada and 1 other');
+    expect(format(message, { guests: 4, host: 'Ada' })).toBe('Ada and 3 others');
+  });
+
+  it('formats selectordinal', () => {
+    const message = '{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}';
+    expect([1, 2, 3, 4, 11].map(n => format(message, { n }))).toEqual(['1st', '2nd', '3rd', '4th', '11th']);
+  });
+
+  it('formats select with an "other" fallback, nested in plural', () => {
+    const message = '{gender, select, female {{count, plural, one {She has # cat} other {She has # cats}}} other {They have {count}}}';
+    expect(format(message, { gender: 'female', count: 2 })).toBe('She has 2 cats');
+    expect(format(message, { gender: 'unknown', count: 2 })).toBe('They have 2');
+  });
+
+  it('formats typed number and date arguments', () => {
+    expect(format('{p, number, percent}', { p: 0.25 })).toBe('25%');
+    expect(format('{n, number, integer}', { n: 3.7 })).toBe('4');
+    expect(format('{d, date, short}', { d: new Date(2024, 0, 31) })).toBe('1/31/24');
+  });
+
+  it('handles apostrophe quoting', () => {
+    expect(format("It''s {name}''s", { name: 'Ada' })).toBe("It's Ada's");
+    expect(format("Use '{name}' literally", { name: 'Ada' })).toBe('Use {name} literally');
+    expect(format("Don't panic")).toBe("Don't panic");
+    expect(format("{n, plural, other {'#' is #}}", { n: 5 })).toBe('# is 5');
+  });
+
+  it('rejects malformed messages', () => {
+    expect(() => parseMessage('{count, plural, one {# item}}')).toThrow('Missing "other" option');
+    expect(() => parseMessage('{count, bogus}')).toThrow('Unknown argument type "bogus"');
+    expect(() => parseMessage('Hello {name')).toThrow('Expected ","');
+    expect(() => parseMessage('Hello }')).toThrow('Unexpected "}"');
+  });
+});
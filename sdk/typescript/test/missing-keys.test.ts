@@ -0,0 +1,176 @@
+import { TestApi, createTenlixor, flushPromises } from './helpers';
+import type { TenlixorErrorEvent, TenlixorMissingKeyEvent } from '../src/types';
+
+describe('missing keys', () => {
+  const api = new TestApi({
+    en: { 'app.title': 'Hello', 'app.save': 'Save' },
+    fr: { 'app.title': 'Bonjour' }
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('emits missing-key once per key and language, noting fallbacks', async () => {
+    const txr = createTenlixor(api, { language: 'fr' });
+    const events: TenlixorMissingKeyEvent[] = [];
+    txr.on('missing-key', event => events.push(event));
+    await txr.init();
+
+    txr.t('app.save');
+    txr.t('app.save');
+    txr.t('app.nope');
+    txr.t('app.title');
+
+    expect(events).toEqual([
+      { key: 'app.save', language: 'fr', fallbackUsed: true },
+      { key: 'app.nope', language: 'fr', fallbackUsed: false }
+    ]);
+  });
+
+  it('does not report keys before the strings are loaded', () => {
+    const txr = createTenlixor(api);
+    const events: TenlixorMissingKeyEvent[] = [];
+    txr.on('missing-key', event => events.push(event));
+
+    expect(txr.t('app.title')).toBe('app.title');
+    expect(events).toEqual([]);
+  });
+
+  it('reports keys outside the loaded namespaces, but not while their namespace loads', async () => {
+    const txr = createTenlixor(api, { namespaces: ['app'] });
+    const events: TenlixorMissingKeyEvent[] = [];
+    txr.on('missing-key', event => events.push(event));
+    await txr.init();
+
+    txr.t('title');
+    txr.t('ap.title');
+    const loading = txr.loadNamespace('checkout');
+    txr.t('checkout.title');
+    await loading;
+
+    expect(events.map(event => event.key)).toEqual(['title', 'ap.title']);
+  });
+
+  it('returns what missingKeyHandler asks for', async () => {
+    const byKey = createTenlixor(api);
+    const empty = createTenlixor(api, { missingKeyHandler: 'empty' });
+    const custom = createTenlixor(api, { missingKeyHandler: (key, lang) => `[${lang}] ${key}` });
+    await Promise.all([byKey.init(), empty.init(), custom.init()]);
+
+    expect(byKey.t('app.nope')).toBe('app.nope');
+    expect(empty.t('app.nope')).toBe('');
+    expect(custom.t('app.nope')).toBe('[en] app.nope');
+  });
+
+  it('throws from t() in strict mode once ready', async () => {
+    const txr = createTenlixor(api, { missingKeyHandler: 'strict' });
+    expect(txr.t('app.nope')).toBe('app.nope');
+
+    await txr.init();
+    expect(() => txr.t('app.nope')).toThrow('Missing translation for key "app.nope" (en)');
+    expect(txr.t('app.title')).toBe('Hello');
+  });
+
+  it('keeps scanning the DOM in strict mode and reports the miss as an error', async () => {
+    document.body.innerHTML = `
+      <h1 data-txr-key="app.title">Title</h1>
+      <p data-txr-key="app.nope">Fallback text</p>
+      <input data-txr-attr-placeholder="app.gone">
+      <button data-txr-key="app.save">Save</button>`;
+    const txr = createTenlixor(api, { missingKeyHandler: 'strict', autoScan: true });
+    const errors: TenlixorErrorEvent[] = [];
+    const missing: string[] = [];
+    const loaded = jest.fn();
+    txr.on('error', event => errors.push(event));
+    txr.on('missing-key', event => missing.push(event.key));
+    txr.on('loaded', loaded);
+
+    await txr.init();
+    await txr.ready();
+
+    expect(txr.isReady()).toBe(true);
+    expect(loaded).toHaveBeenCalledTimes(1);
+    expect(document.querySelector('h1')!.textContent).toBe('Hello');
+    expect(document.querySelector('button')!.textContent).toBe('Save');
+    expect(document.querySelector('p')!.textContent).toBe('Fallback text');
+    expect(document.querySelector('input')!.hasAttribute('placeholder')).toBe(false);
+    expect(missing).toEqual(['app.nope', 'app.gone']);
+    expect(errors.map(error => error.code)).toEqual(['MISSING_KEY', 'MISSING_KEY']);
+  });
+
+  it('reports text nodes that look like keys', async () => {
+    document.body.innerHTML = '<span>checkout.title</span><span>Just text.</span>';
+    const txr = createTenlixor(api, { autoScan: true });
+    const missing: string[] = [];
+    txr.on('missing-key', event => missing.push(event.key));
+    await txr.init();
+
+    expect(missing).toEqual(['checkout.title']);
+  });
+});
+
+describe('missing key reporting', () => {
+  const api = new TestApi({ en: { 'app.title': 'Hello' } });
+
+  beforeEach(() => {
+    api.requests.length = 0;
+  });
+
+  function reports(): Array<{ tenant_slug: string; missing: Array<{ key: string }> }> {
+    return api.requests
+      .filter(request => request.url === 'https://example.test/missing')
+      .map(request => JSON.parse(request.init.body as string));
+  }
+
+  it('batches de-duplicated misses after flushInterval', async () => {
+    const txr = createTenlixor(api, { missingKeyReport: { endpoint: 'https://example.test/missing', flushInterval: 20 } });
+    await txr.init();
+
+    txr.t('a.one');
+    txr.t('a.two');
+    txr.t('a.one');
+    expect(reports()).toEqual([]);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    expect(reports()).toEqual([{
+      tenant_slug: 'acme',
+      missing: [
+        { key: 'a.one', language: 'en', fallback_used: false },
+        { key: 'a.two', language: 'en', fallback_used: false }
+      ]
+    }]);
+
+    const request = api.requests.find(({ url }) => url === 'https://example.test/missing')!;
+    expect(request.init.method).toBe('POST');
+    expect(request.init.headers['X-API-Key']).toBe('test-token');
+    txr.destroy();
+  });
+
+  it('sends a batch as soon as batchSize is reached', async () => {
+    const txr = createTenlixor(api, { missingKeyReport: { endpoint: 'https://example.test/missing', batchSize: 2 } });
+    await txr.init();
+
+    txr.t('b.one');
+    txr.t('b.two');
+    await flushPromises();
+
+    expect(reports().map(report => report.missing.length)).toEqual([2]);
+    txr.destroy();
+  });
+
+  it('beacons pending misses when the page is hidden', async () => {
+    const sendBeacon = jest.fn(() => true);
+    Object.defineProperty(navigator, 'sendBeacon', { value: sendBeacon, configurable: true });
+    const txr = createTenlixor(api, { missingKeyReport: { endpoint: 'https://example.test/missing' } });
+    await txr.init();
+
+    txr.t('c.one');
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(sendBeacon).toHaveBeenCalledWith('https://example.test/missing', expect.stringContaining('"c.one"'));
+    expect(reports()).toEqual([]);
+    txr.destroy();
+    delete (navigator as { sendBeacon?: unknown }).sendBeacon;
+  });
+});
@@ -0,0 +1,97 @@
+import { TestApi, createTenlixor } from './helpers';
+
+describe('namespaces', () => {
+  const api = new TestApi({
+    en: {
+      'common.save': 'Save',
+      'checkout.title': 'Checkout',
+      'checkout.pay': 'Pay {amount}',
+      'admin.title': 'Admin'
+    },
+    de: {
+      'common.save': 'Speichern',
+      'checkout.title': 'Kasse'
+    }
+  });
+
+  beforeEach(() => {
+    api.requests.length = 0;
+  });
+
+  function namespacesRequested(): Array<string | null> {
+    return api.requests.map(request => request.params.get('namespace'));
+  }
+
+  it('loads only the configured namespaces on init', async () => {
+    const txr = createTenlixor(api, { namespaces: ['common'] });
+    await txr.init();
+
+    expect(namespacesRequested()).toEqual(['common']);
+    expect(txr.t('common.save')).toBe('Save');
+    expect(txr.t('checkout.title')).toBe('checkout.title');
+    expect(txr.isNamespaceLoaded('common')).toBe(true);
+    expect(txr.isNamespaceLoaded('checkout')).toBe(false);
+  });
+
+  it('loads namespaces lazily, sharing requests in flight', async () => {
+    const txr = createTenlixor(api, { namespaces: ['common'] });
+    const loaded = jest.fn();
+    txr.on('loaded', loaded);
+    await txr.init();
+
+    await Promise.all([txr.loadNamespace('checkout'), txr.loadNamespace(['checkout'])]);
+    await txr.loadNamespace('checkout');
+
+    expect(namespacesRequested()).toEqual(['common', 'checkout']);
+    expect(loaded).toHaveBeenLastCalledWith({ language: 'en', namespace: 'checkout' });
+    expect(txr.t('checkout.title')).toBe('Checkout');
+  });
+
+  it('loads requested namespaces again when the language changes', async () => {
+    const txr = createTenlixor(api, { namespaces: ['common'] });
+    await txr.init();
+    await txr.loadNamespace('checkout');
+    api.requests.length = 0;
+
+    await txr.setLanguage('de');
+
+    const requested = api.requests.map(request => `${request.params.get('language_code')}:${request.params.get('namespace')}`);
+    expect(requested.filter(request => request.startsWith('de:')).sort()).toEqual(['de:checkout', 'de:common']);
+    expect(txr.t('checkout.title')).toBe('Kasse');
+    expect(txr.isNamespaceLoaded('checkout', 'de')).toBe(true);
+  });
+
+  it('counts every namespace as loaded after a full catalog load', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(namespacesRequested()).toEqual([null]);
+    expect(txr.isNamespaceLoaded('admin')).toBe(true);
+    await txr.loadNamespace('admin');
+    expect(api.requests).toHaveLength(1);
+  });
+
+  it('scopes translators to a namespace', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+    const checkout = txr.scoped('checkout');
+
+    expect(checkout.namespace).toBe('checkout');
+    expect(checkout.t('title')).toBe('Checkout');
+    expect(checkout.t('pay', { amount: '5 €' })).toBe('Pay 5 €');
+    expect(checkout.t('missing')).toBe('checkout.missing');
+  });
+
+  it('rejects loadNamespace when the request fails', async () => {
+    const txr = createTenlixor(api, { namespaces: ['common'] });
+    await txr.init();
+    const handle = api.handle;
+    api.handle = () => {
+      throw new Error('offline');
+    };
+
+    await expect(txr.loadNamespace('admin')).rejects.toMatchObject({ code: 'NETWORK' });
+    expect(txr.isNamespaceLoaded('admin')).toBe(false);
+    api.handle = handle;
+  });
+});
@@ -0,0 +1,143 @@
+import { TestApi, createTenlixor } from './helpers';
+import { DomObserver } from '../src/dom-observer';
+
+/**
+ * Wait for the observer's next batch (jsdom has no animation frames, so it uses a timer)
+ */
+function nextFrame(): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, 40));
+}
+
+describe('DomObserver', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('reports the mutations of a frame in one batch', async () => {
+    const onChange = jest.fn();
+    const observer = new DomObserver(document.body, name => name === 'data-txr-key', onChange);
+
+    const first = document.createElement('p');
+    const second = document.createElement('p');
+    document.body.appendChild(first);
+    document.body.appendChild(second);
+    first.setAttribute('data-txr-key', 'a');
+    first.setAttribute('class', 'ignored');
+    await nextFrame();
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith([first, second], [first]);
+    observer.disconnect();
+  });
+
+  it('does not report writes made inside ignore() or nodes removed before the frame', async () => {
+    const onChange = jest.fn();
+    const observer = new DomObserver(document.body, () => true, onChange);
+
+    observer.ignore(() => document.body.appendChild(document.createElement('p')));
+    const removed = document.body.appendChild(document.createElement('p'));
+    removed.remove();
+    await nextFrame();
+
+    expect(onChange).not.toHaveBeenCalled();
+    observer.disconnect();
+  });
+
+  it('drops pending changes on disconnect()', async () => {
+    const onChange = jest.fn();
+    const observer = new DomObserver(document.body, () => true, onChange);
+
+    document.body.appendChild(document.createElement('p'));
+    observer.disconnect();
+    await nextFrame();
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
+
+describe('observe mode', () => {
+  const api = new TestApi({
+    en: { 'app.title': 'Hello', 'app.save': 'Save', 'form.email': 'Email' },
+    de: { 'app.title': 'Hallo', 'app.save': 'Speichern', 'form.email': 'E-Mail' }
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '<main id="app"></main><aside id="outside"></aside>';
+  });
+
+  it('translates keyed elements, attributes and matching text nodes added later', async () => {
+    const txr = createTenlixor(api, { observe: true });
+    await txr.init();
+
+    const app = document.getElementById('app')!;
+    app.innerHTML = `
+      <h1 data-txr-key="app.title"></h1>
+      <input data-txr-attr-placeholder="form.email">
+      <button>app.save</button>`;
+    await nextFrame();
+
+    expect(app.querySelector('h1')!.textContent).toBe('Hello');
+    expect(app.querySelector('input')!.getAttribute('placeholder')).toBe('Email');
+    expect(app.querySelector('button')!.textContent).toBe('Save');
+    txr.destroy();
+  });
+
+  it('re-translates an element when its key changes', async () => {
+    const txr = createTenlixor(api, { observe: true });
+    await txr.init();
+
+    const heading = document.createElement('h1');
+    heading.setAttribute('data-txr-key', 'app.title');
+    document.body.appendChild(heading);
+    await nextFrame();
+    heading.setAttribute('data-txr-key', 'app.save');
+    await nextFrame();
+
+    expect(heading.textContent).toBe('Save');
+    txr.destroy();
+  });
+
+  it('keeps observed content in sync with language changes', async () => {
+    const txr = createTenlixor(api, { observe: true, observeRoot: '#app' });
+    await txr.init();
+
+    document.getElementById('app')!.innerHTML = '<h1 data-txr-key="app.title"></h1>';
+    document.getElementById('outside')!.innerHTML = '<p data-txr-key="app.title">untouched</p>';
+    await nextFrame();
+    await txr.setLanguage('de');
+
+    expect(document.querySelector('#app h1')!.textContent).toBe('Hallo');
+    expect(document.querySelector('#outside p')!.textContent).toBe('untouched');
+    txr.destroy();
+  });
+
+  it('stops translating added content after unobserve() and destroy()', async () => {
+    const txr = createTenlixor(api, { observe: true });
+    await txr.init();
+
+    txr.unobserve();
+    document.getElementById('app')!.innerHTML = '<h1 data-txr-key="app.title">app.title</h1>';
+    await nextFrame();
+    expect(document.querySelector('h1')!.textContent).toBe('app.title');
+
+    txr.observe();
+    txr.destroy();
+    document.getElementById('outside')!.innerHTML = '<p data-txr-key="app.save">app.save</p>';
+    await nextFrame();
+    expect(document.querySelector('p')!.textContent).toBe('app.save');
+  });
+
+  it('can observe a root chosen at runtime', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    txr.observe(document.getElementById('outside')!);
+    document.getElementById('app')!.innerHTML = '<h1 data-txr-key="app.title">app.title</h1>';
+    document.getElementById('outside')!.innerHTML = '<p data-txr-key="app.save">app.save</p>';
+    await nextFrame();
+
+    expect(document.querySelector('h1')!.textContent).toBe('app.title');
+    expect(document.querySelector('p')!.textContent).toBe('Save');
+    txr.destroy();
+  });
+});
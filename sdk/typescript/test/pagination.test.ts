@@ -0,0 +1,112 @@
+import type { TenlixorProgressEvent, TenlixorTransportInit } from '../src/types';
+import { TestApi, createBody, createResponse, createTenlixor } from './helpers';
+
+describe('paginated responses', () => {
+  const keys = Array.from({ length: 7 }, (_, index) => `key.${index + 1}`);
+  let api: TestApi;
+
+  beforeEach(() => {
+    api = new TestApi();
+    // Two resources per page; the first request carries no page parameters
+    api.handle = params => {
+      const page = Number(params.get('page') || 1);
+      const limit = Number(params.get('limit') || 2);
+      const resources = keys.slice((page - 1) * limit, page * limit).map(key => ({ key, value: `value of ${key}` }));
+      return createResponse(createBody('en', resources, { page, limit, total: keys.length }));
+    };
+  });
+
+  it('fetches the remaining pages and combines them before loaded', async () => {
+    const txr = createTenlixor(api);
+    const loadedKeys: string[] = [];
+    txr.on('loaded', () => loadedKeys.push(...keys.filter(key => txr.t(key) !== key)));
+    await txr.init();
+
+    expect(api.requests.map(request => [request.params.get('page'), request.params.get('limit')])).toEqual([
+      [null, null],
+      ['2', '2'],
+      ['3', '2'],
+      ['4', '2']
+    ]);
+    expect(loadedKeys).toEqual(keys);
+    expect(txr.t('key.7')).toBe('value of key.7');
+  });
+
+  it('reports progress for every page', async () => {
+    const txr = createTenlixor(api, { pageConcurrency: 1 });
+    const events: TenlixorProgressEvent[] = [];
+    txr.on('progress', event => events.push(event));
+    await txr.init();
+
+    expect(events.map(event => [event.loaded, event.total])).toEqual([[2, 7], [4, 7], [6, 7], [7, 7]]);
+    expect(events.every(event => event.language === 'en' && event.namespace === undefined)).toBe(true);
+  });
+
+  it('requests at most pageConcurrency pages at a time', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const transport = async (url: string, init: TenlixorTransportInit) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return api.transport(url, init);
+    };
+    keys.push(...Array.from({ length: 8 }, (_, index) => `more.${index + 1}`));
+
+    try {
+      const txr = createTenlixor(api, { pageConcurrency: 3, transport });
+      await txr.init();
+
+      expect(api.requests).toHaveLength(8);
+      expect(maxInFlight).toBe(3);
+      expect(txr.t('more.8')).toBe('value of more.8');
+    } finally {
+      keys.splice(7);
+    }
+  });
+
+  it('makes a single request when the first page is complete', async () => {
+    api.handle = () => createResponse(createBody('en', [{ key: 'app.title', value: 'Hello' }], { page: 1, limit: 100, total: 1 }));
+    const txr = createTenlixor(api);
+    const events: TenlixorProgressEvent[] = [];
+    txr.on('progress', event => events.push(event));
+    await txr.init();
+
+    expect(api.requests).toHaveLength(1);
+    expect(events).toEqual([{ language: 'en', namespace: undefined, loaded: 1, total: 1 }]);
+  });
+
+  it('fails the load instead of applying a partial catalog', async () => {
+    const handle = api.handle;
+    api.handle = (params, init) => {
+      if (params.get('page') === '3') {
+        throw new Error('offline');
+      }
+      return handle(params, init);
+    };
+    const txr = createTenlixor(api);
+    const errors: unknown[] = [];
+    txr.on('error', error => errors.push(error));
+    await txr.init();
+
+    expect(errors).toHaveLength(1);
+    expect(txr.t('key.1')).toBe('key.1');
+  });
+
+  it('pages lazily loaded namespaces', async () => {
+    const txr = createTenlixor(api);
+    const events: TenlixorProgressEvent[] = [];
+    txr.on('progress', event => events.push(event));
+
+    await txr.loadNamespace('key');
+
+    expect(api.requests.map(request => [request.params.get('namespace'), request.params.get('page')])).toEqual([
+      ['key', null],
+      ['key', '2'],
+      ['key', '3'],
+      ['key', '4']
+    ]);
+    expect(events[events.length - 1]).toEqual({ language: 'en', namespace: 'key', loaded: 7, total: 7 });
+  });
+});
@@ -0,0 +1,56 @@
+import { TestApi, createTenlixor, flushPromises } from './helpers';
+
+describe('element params', () => {
+  const api = new TestApi({
+    en: {
+      'inbox.summary': 'Hi {userName}, you have {count, plural, one {# message} other {# messages}}',
+      'order.code': 'Order {code} ({size}), {total, number} total',
+      'cart.label': 'Cart',
+      'cart.label_one': 'One item',
+      'promo.code': 'Use {code}'
+    }
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('passes camel-cased data-txr-param-* and data-txr-params values to the message', async () => {
+    document.body.innerHTML = `
+      <p id="single" data-txr-key="inbox.summary" data-txr-param-user-name="Ada" data-txr-param-count="3"></p>
+      <p id="json" data-txr-key="inbox.summary" data-txr-params='{"userName": "Grace", "count": 1}'></p>`;
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+
+    expect(document.getElementById('single')!.textContent).toBe('Hi Ada, you have 3 messages');
+    expect(document.getElementById('json')!.textContent).toBe('Hi Grace, you have 1 message');
+  });
+
+  it('keeps single param values as strings unless a number argument or count uses them', async () => {
+    document.body.innerHTML = `
+      <p id="order" data-txr-key="order.code" data-txr-param-code="007" data-txr-param-size="1e3" data-txr-param-total="1200"></p>
+      <p id="promo" data-txr-key="promo.code" data-txr-params='{"code": 7}'></p>
+      <p id="variant" data-txr-key="cart.label" data-txr-param-count="1"></p>`;
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+
+    expect(document.getElementById('order')!.textContent).toBe('Order 007 (1e3), 1,200 total');
+    expect(document.getElementById('promo')!.textContent).toBe('Use 7');
+    expect(document.getElementById('variant')!.textContent).toBe('One item');
+  });
+
+  it('re-renders when a param attribute changes', async () => {
+    document.body.innerHTML = '<p data-txr-key="inbox.summary" data-txr-param-user-name="Ada" data-txr-param-count="1"></p>';
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+
+    const element = document.querySelector('p')!;
+    element.setAttribute('data-txr-param-count', '2');
+    await flushPromises();
+
+    expect(element.textContent).toBe('Hi Ada, you have 2 messages');
+  });
+});
@@ -0,0 +1,120 @@
+import React, { act } from 'react';
+import { createRoot, Root } from 'react-dom/client';
+import { TenlixorProvider, Trans, useTenlixor } from '../src/adapters/react.hook';
+import { TestApi, flushPromises } from './helpers';
+
+(globalThis as { IS_REACT_ACT_ENVIRONMENT?: boolean }).IS_REACT_ACT_ENVIRONMENT = true;
+
+describe('React adapter', () => {
+  const api = new TestApi({
+    en: {
+      'app.title': 'Hello',
+      'legal.accept': 'Hi {name}, read our <link>terms</link> and <bold>privacy policy</bold>.',
+      'legal.icon': 'Click <icon/> to continue',
+      'legal.unknown': 'Some <fancy>styled</fancy> text',
+      'legal.unclosed': 'Broken <link>link',
+      'legal.stray': 'Stray </bold> tag'
+    },
+    tr: { 'app.title': 'Merhaba' },
+    he: { 'app.title': 'שלום' }
+  });
+
+  let container: HTMLElement;
+  let root: Root;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+  });
+
+  async function render(children: React.ReactNode): Promise<void> {
+    await act(async () => {
+      root.render(
+        <TenlixorProvider config={{ token: 'test-token', tenantSlug: 'acme', cache: false, autoScan: false, retries: 0, transport: api.transport }}>
+          {children}
+        </TenlixorProvider>
+      );
+    });
+    await act(flushPromises);
+  }
+
+  it('renders tag placeholders as the given components', async () => {
+    await render(
+      <Trans
+        i18nKey="legal.accept"
+        values={{ name: 'Ada' }}
+        components={{ link: <a href="/terms" />, bold: <strong /> }}
+      />
+    );
+
+    expect(container.innerHTML).toBe('Hi Ada, read our <a href="/terms">terms</a> and <strong>privacy policy</strong>.');
+  });
+
+  it('renders self-closing placeholders', async () => {
+    await render(<Trans i18nKey="legal.icon" components={{ icon: <img alt="next" /> }} />);
+
+    expect(container.innerHTML).toBe('Click <img alt="next"> to continue');
+  });
+
+  it('renders the content of unknown and unclosed tags, and stray closing tags as text', async () => {
+    await render(
+      <>
+        <p><Trans i18nKey="legal.unknown" /></p>
+        <p><Trans i18nKey="legal.unclosed" components={{ link: <a href="/x" /> }} /></p>
+        <p><Trans i18nKey="legal.stray" /></p>
+      </>
+    );
+
+    expect(Array.from(container.querySelectorAll('p')).map(p => p.innerHTML)).toEqual([
+      'Some styled text',
+      'Broken link',
+      'Stray &lt;/bold&gt; tag'
+    ]);
+  });
+
+  it('interpolates values as text, never as tags', async () => {
+    await render(
+      <Trans
+        i18nKey="legal.accept"
+        values={{ name: '<link>Mallory</link><img src=x onerror=alert(1)>' }}
+        components={{ link: <a href="/terms" />, bold: <strong /> }}
+      />
+    );
+
+    expect(container.querySelectorAll('a')).toHaveLength(1);
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.textContent).toContain('Hi <link>Mallory</link><img src=x onerror=alert(1)>, read our terms');
+  });
+
+  it('re-renders translations when the language changes', async () => {
+    let setLanguage!: (language: string) => Promise<void>;
+    function Title() {
+      const txr = useTenlixor();
+      setLanguage = txr.setLanguage;
+      return <h1>{txr.t('app.title')}</h1>;
+    }
+    await render(<Title />);
+    expect(container.textContent).toBe('Hello');
+
+    await act(() => setLanguage('tr'));
+    expect(container.textContent).toBe('Merhaba');
+  });
+
+  it('exposes the text direction of the language', async () => {
+    let setLanguage!: (language: string) => Promise<void>;
+    function Page() {
+      const txr = useTenlixor();
+      setLanguage = txr.setLanguage;
+      return <main dir={txr.direction}>{String(txr.isRTL)}</main>;
+    }
+    await render(<Page />);
+    expect(container.innerHTML).toBe('<main dir="ltr">false</main>');
+
+    await act(() => setLanguage('he'));
+    expect(container.innerHTML).toBe('<main dir="rtl">true</main>');
+  });
+});
@@ -0,0 +1,90 @@
+import { TestApi, createTenlixor } from './helpers';
+
+describe('scan and unscan', () => {
+  const api = new TestApi({
+    en: { 'app.title': 'Hello', 'app.save': 'Save' },
+    de: { 'app.title': 'Hallo', 'app.save': 'Speichern' }
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="widget">
+        <h1 data-txr-key="app.title">Welcome <em>back</em></h1>
+        <button>app.save</button>
+      </div>
+      <div id="host">
+        <h2 data-txr-key="app.title">Host title</h2>
+        <span>app.save</span>
+      </div>`;
+  });
+
+  it('translates only inside the given root', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan(document.getElementById('widget')!);
+
+    expect(document.querySelector('#widget h1')!.textContent).toBe('Hello');
+    expect(document.querySelector('#widget button')!.textContent).toBe('Save');
+    expect(document.querySelector('#host h2')!.textContent).toBe('Host title');
+    expect(document.querySelector('#host span')!.textContent).toBe('app.save');
+  });
+
+  it('re-scans only the scanned roots on language change', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan(document.getElementById('widget')!);
+    await txr.setLanguage('de');
+
+    expect(document.querySelector('#widget h1')!.textContent).toBe('Hallo');
+    expect(document.querySelector('#widget button')!.textContent).toBe('Speichern');
+    expect(document.querySelector('#host h2')!.textContent).toBe('Host title');
+  });
+
+  it('restores original children, text nodes and bookkeeping attributes', async () => {
+    const original = document.body.innerHTML;
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+    expect(document.body.innerHTML).not.toBe(original);
+
+    txr.unscan();
+    expect(document.body.innerHTML).toBe(original);
+  });
+
+  it('restores only inside the given root', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+    txr.unscan(document.getElementById('host')!);
+
+    expect(document.querySelector('#widget h1')!.textContent).toBe('Hello');
+    expect(document.querySelector('#host h2')!.innerHTML).toBe('Host title');
+    expect(document.querySelector('#host span')!.textContent).toBe('app.save');
+  });
+
+  it('can scan again after unscan()', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+    txr.unscan();
+    txr.scan();
+
+    expect(document.querySelector('#widget h1')!.textContent).toBe('Hello');
+    expect(document.querySelector('#host span')!.textContent).toBe('Save');
+  });
+
+  it('lists the translated elements', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+    expect(txr.getTranslatedElements()).toEqual([]);
+
+    txr.scan(document.getElementById('widget')!);
+    expect(txr.getTranslatedElements()).toEqual([
+      document.querySelector('#widget h1'),
+      document.querySelector('#widget button')
+    ]);
+
+    txr.unscan();
+    expect(txr.getTranslatedElements()).toEqual([]);
+  });
+});
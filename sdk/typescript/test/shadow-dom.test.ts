@@ -0,0 +1,98 @@
+import { TestApi, createTenlixor } from './helpers';
+
+/**
+ * Wait for the DOM observer's next batch
+ */
+function nextFrame(): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, 40));
+}
+
+/**
+ * Attach a shadow root holding the given markup to a new host in the body
+ */
+function createHost(html: string, mode: ShadowRootMode = 'open'): ShadowRoot {
+  const host = document.createElement('div');
+  document.body.appendChild(host);
+  const root = host.attachShadow({ mode });
+  root.innerHTML = html;
+  return root;
+}
+
+describe('shadow DOM', () => {
+  const api = new TestApi({
+    en: { 'button.save': 'Save', 'button.cancel': 'Cancel', 'form.email': 'Email' },
+    de: { 'button.save': 'Speichern', 'button.cancel': 'Abbrechen', 'form.email': 'E-Mail' }
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('does not enter shadow roots by default', async () => {
+    const root = createHost('<button data-txr-key="button.save">button.save</button>');
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.scan();
+
+    expect(root.querySelector('button')!.textContent).toBe('button.save');
+  });
+
+  it('walks nested open shadow roots in shadowDom mode', async () => {
+    const outer = createHost('<input data-txr-attr-placeholder="form.email"><div id="inner"></div>');
+    const inner = (outer.getElementById('inner') as HTMLElement).attachShadow({ mode: 'open' });
+    inner.innerHTML = '<button data-txr-key="button.save"></button><span>button.cancel</span>';
+    const txr = createTenlixor(api, { shadowDom: true });
+    await txr.init();
+    txr.scan();
+
+    expect(outer.querySelector('input')!.getAttribute('placeholder')).toBe('Email');
+    expect(inner.querySelector('button')!.textContent).toBe('Save');
+    expect(inner.querySelector('span')!.textContent).toBe('Cancel');
+
+    await txr.setLanguage('de');
+    expect(inner.querySelector('button')!.textContent).toBe('Speichern');
+    expect(txr.getTranslatedElements()).toContain(inner.querySelector('button'));
+  });
+
+  it('translates registered closed shadow roots and follows language changes', async () => {
+    const root = createHost('<button data-txr-key="button.save"></button>', 'closed');
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.registerShadowRoot(root);
+    expect(root.querySelector('button')!.textContent).toBe('Save');
+
+    await txr.setLanguage('de');
+    expect(root.querySelector('button')!.textContent).toBe('Speichern');
+
+    txr.unregisterShadowRoot(root);
+    await txr.setLanguage('en');
+    expect(root.querySelector('button')!.textContent).toBe('Speichern');
+  });
+
+  it('restores shadow root content on unscan()', async () => {
+    const root = createHost('<button data-txr-key="button.save">Original</button>');
+    const txr = createTenlixor(api);
+    await txr.init();
+    txr.registerShadowRoot(root);
+    txr.unscan();
+
+    expect(root.querySelector('button')!.textContent).toBe('Original');
+    expect(txr.getTranslatedElements()).toEqual([]);
+  });
+
+  it('translates content added to registered and discovered shadow roots in observe mode', async () => {
+    const registered = createHost('', 'closed');
+    const discovered = createHost('');
+    const txr = createTenlixor(api, { observe: true, shadowDom: true, autoScan: true });
+    await txr.init();
+    txr.registerShadowRoot(registered);
+
+    registered.innerHTML = '<button data-txr-key="button.save"></button>';
+    discovered.innerHTML = '<button data-txr-key="button.cancel"></button>';
+    await nextFrame();
+
+    expect(registered.querySelector('button')!.textContent).toBe('Save');
+    expect(discovered.querySelector('button')!.textContent).toBe('Cancel');
+    txr.destroy();
+  });
+});
@@ -0,0 +1,222 @@
+import type { TenlixorAuthFailedEvent, TenlixorErrorEvent, TenlixorTokenProvider } from '../src/types';
+import { TestApi, createResponse, createTenlixor, flushPromises } from './helpers';
+import { LiveServer, waitFor } from './live-server';
+
+describe('token provider and re-authentication', () => {
+  let api: TestApi;
+  let validToken: string;
+  let authFailures: TenlixorAuthFailedEvent[];
+  let errors: TenlixorErrorEvent[];
+
+  beforeEach(() => {
+    validToken = 'token-1';
+    api = new TestApi({ en: { 'app.title': 'Hello', 'checkout.title': 'Checkout' }, de: { 'app.title': 'Hallo' } });
+    const handle = api.handle;
+    // Rejects every token but the valid one
+    api.handle = (params, init) => init.headers['X-API-Key'] === validToken
+      ? handle(params, init)
+      : createResponse({ success: false, message: 'Invalid API token' }, 401);
+    authFailures = [];
+    errors = [];
+  });
+
+  /**
+   * Create an instance recording auth-failed and error events
+   */
+  function create(token: string | TenlixorTokenProvider) {
+    const txr = createTenlixor(api, { token });
+    txr.on('auth-failed', event => authFailures.push(event));
+    txr.on('error', event => errors.push(event));
+    return txr;
+  }
+
+  /**
+   * Provider handing out token-1, token-2, ... on each call
+   */
+  function createProvider(): jest.Mock<Promise<string>, []> {
+    let issued = 0;
+    return jest.fn(async () => `token-${++issued}`);
+  }
+
+  it('sends a static token and reports its rejection without retrying', async () => {
+    const txr = create('expired');
+    await txr.init();
+
+    expect(api.requests.map(request => request.init.headers['X-API-Key'])).toEqual(['expired']);
+    expect(errors.map(error => error.code)).toEqual(['UNAUTHORIZED']);
+    expect(authFailures).toEqual([{ message: expect.any(String), status: 401, error: expect.objectContaining({ code: 'UNAUTHORIZED' }) }]);
+  });
+
+  it('asks the provider for the first token', async () => {
+    const provider = createProvider();
+    const txr = create(provider);
+    await txr.init();
+
+    expect(provider).toHaveBeenCalledTimes(1);
+    expect(api.requests[0].init.headers['X-API-Key']).toBe('token-1');
+    expect(txr.t('app.title')).toBe('Hello');
+  });
+
+  it('renews a rejected token once and retries the request', async () => {
+    const provider = createProvider();
+    const txr = create(provider);
+    await txr.init();
+    validToken = 'token-2';
+
+    await txr.setLanguage('de');
+
+    expect(provider).toHaveBeenCalledTimes(2);
+    expect(api.requests
+      .filter(request => request.params.get('language_code') === 'de')
+      .map(request => request.init.headers['X-API-Key'])).toEqual(['token-1', 'token-2']);
+    expect(txr.t('app.title')).toBe('Hallo');
+    expect(authFailures).toEqual([]);
+
+    // Later requests use the new token
+    await txr.loadNamespace('checkout', 'de');
+    expect(api.requests[api.requests.length - 1].init.headers['X-API-Key']).toBe('token-2');
+  });
+
+  it('emits auth-failed when the renewed token is rejected too', async () => {
+    const provider = createProvider();
+    validToken = 'none';
+    const txr = create(provider);
+    await txr.init();
+
+    expect(provider).toHaveBeenCalledTimes(2);
+    expect(api.requests.map(request => request.init.headers['X-API-Key'])).toEqual(['token-1', 'token-2']);
+    expect(authFailures).toHaveLength(1);
+    expect(errors.map(error => error.code)).toEqual(['UNAUTHORIZED']);
+  });
+
+  it('emits auth-failed when the provider fails', async () => {
+    const txr = create(() => Promise.reject(new Error('session expired')));
+    await txr.init();
+
+    expect(api.requests).toHaveLength(0);
+    expect(authFailures).toHaveLength(1);
+    expect(authFailures[0].error.message).toContain('session expired');
+    expect(errors.map(error => error.code)).toEqual(['UNAUTHORIZED']);
+  });
+
+  it('shares one provider call between concurrently rejected requests', async () => {
+    const provider = createProvider();
+    const txr = create(provider);
+    await txr.init();
+    validToken = 'token-2';
+
+    await Promise.all([txr.setLanguage('de'), txr.loadNamespace('checkout', 'en')]);
+
+    expect(provider).toHaveBeenCalledTimes(2);
+    expect(txr.t('app.title')).toBe('Hallo');
+    expect(authFailures).toEqual([]);
+  });
+
+  it('reports requests rejected with the same token once', async () => {
+    const txr = create('expired');
+    await txr.init();
+    await expect(txr.setLanguage('de')).rejects.toMatchObject({ code: 'UNAUTHORIZED' });
+
+    expect(authFailures).toHaveLength(1);
+  });
+
+  it('uses a token set with setToken() for later requests', async () => {
+    const txr = create('expired');
+    await txr.init();
+    expect(authFailures).toHaveLength(1);
+
+    txr.setToken('token-1');
+    await txr.init();
+    expect(api.requests[1].init.headers['X-API-Key']).toBe('token-1');
+    expect(txr.t('app.title')).toBe('Hello');
+
+    // A rejection of the new token is reported again
+    validToken = 'token-2';
+    await expect(txr.setLanguage('de')).rejects.toMatchObject({ code: 'UNAUTHORIZED' });
+    expect(authFailures).toHaveLength(2);
+  });
+
+  it('keeps the provider after setToken() for later renewals', async () => {
+    const provider = jest.fn(async () => 'token-2');
+    const txr = create(provider);
+    txr.setToken('token-1');
+    await txr.init();
+    expect(provider).not.toHaveBeenCalled();
+
+    validToken = 'token-2';
+    await txr.setLanguage('de');
+    expect(provider).toHaveBeenCalledTimes(1);
+    expect(txr.t('app.title')).toBe('Hallo');
+  });
+
+  describe('live channel', () => {
+    let server: LiveServer;
+
+    beforeEach(async () => {
+      server = new LiveServer();
+      await server.listen();
+    });
+
+    afterEach(async () => {
+      await server.close();
+    });
+
+    it('renews a token rejected by the WebSocket server and reconnects', async () => {
+      const provider = createProvider();
+      const txr = createTenlixor(api, {
+        token: provider,
+        transport: server.transport(api),
+        live: { url: server.url, transport: 'websocket', reconnectDelay: 10 }
+      });
+      txr.on('auth-failed', event => authFailures.push(event));
+      await txr.init();
+      await waitFor(() => server.connections.length === 1 && !!server.connections[0].auth);
+
+      server.drop(4001);
+      await waitFor(() => server.connections.length === 2 && !!server.connections[1].auth);
+      await flushPromises();
+
+      expect(server.connections.map(connection => connection.auth!.token)).toEqual(['token-1', 'token-2']);
+      expect(authFailures).toEqual([]);
+      txr.destroy();
+    });
+
+    it('renews a token rejected when the WebSocket authenticates', async () => {
+      const provider = createProvider();
+      const txr = createTenlixor(api, {
+        token: provider,
+        transport: server.transport(api),
+        live: { url: server.url, transport: 'websocket', reconnectDelay: 10 }
+      });
+      txr.on('auth-failed', event => authFailures.push(event));
+      server.validToken = 'token-2';
+      await txr.init();
+
+      await waitFor(() => server.connections.length === 2 && !!server.connections[1].auth);
+      await flushPromises();
+
+      expect(server.connections.map(connection => connection.auth!.token)).toEqual(['token-1', 'token-2']);
+      expect(authFailures).toEqual([]);
+      txr.destroy();
+    });
+
+    it('renews a token rejected by the event stream and reconnects', async () => {
+      const provider = createProvider();
+      const txr = createTenlixor(api, {
+        token: provider,
+        transport: server.transport(api),
+        live: { url: server.url, reconnectDelay: 10 }
+      });
+      txr.on('auth-failed', event => authFailures.push(event));
+      server.validToken = 'token-2';
+      await txr.init();
+
+      await waitFor(() => server.openConnections.length === 1);
+      await flushPromises();
+
+      expect(server.connections.map(connection => connection.headers['x-api-key'])).toEqual(['token-1', 'token-2']);
+      expect(authFailures).toEqual([]);
+      txr.destroy();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import type { TenlixorErrorEvent } from '../src/types';
+import { TestApi, createTenlixor, flushPromises } from './helpers';
+
+describe('t()', () => {
+  const api = new TestApi({
+    en: {
+      'cart.items': '{count, plural, =0 {Your cart is empty} one {# item} other {# items}}',
+      'app.quote': "It''s '{free}' today",
+      'app.hello': 'Hello {name}',
+      'app.plain': "Don''t panic",
+      'app.broken': 'Hello {name'
+    },
+    tr: {
+      'app.hello': 'Merhaba {name}'
+    }
+  });
+
+  it('formats ICU messages with params', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.t('cart.items', { count: 0 })).toBe('Your cart is empty');
+    expect(txr.t('cart.items', { count: 3 })).toBe('3 items');
+    expect(txr.t('app.hello', { name: 'Ada' })).toBe('Hello Ada');
+  });
+
+  it('formats values with arguments the same with and without params', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.t('app.quote')).toBe("It's {free} today");
+    expect(txr.t('app.quote')).toBe(txr.t('app.quote', {}));
+    expect(txr.t('cart.items')).toBe(txr.t('cart.items', {}));
+    expect(txr.t('app.hello')).toBe('Hello {name}');
+  });
+
+  it('returns values without arguments as stored when no params are passed', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.t('app.plain')).toBe("Don''t panic");
+    expect(txr.t('app.plain', 'en')).toBe("Don''t panic");
+    expect(txr.t('app.plain', {})).toBe("Don't panic");
+  });
+
+  it('accepts a language code instead of params', async () => {
+    const txr = createTenlixor(api, { language: 'tr' });
+    await txr.init();
+
+    expect(txr.t('app.hello', 'tr')).toBe('Merhaba {name}');
+    expect(txr.t('app.hello', { name: 'Ada' }, 'en')).toBe('Hello Ada');
+  });
+
+  it('returns malformed messages unformatted and reports them as errors', async () => {
+    const warn = jest.spyOn(console, 'warn');
+    const txr = createTenlixor(api);
+    const errors: TenlixorErrorEvent[] = [];
+    txr.on('error', event => errors.push(event));
+    await txr.init();
+
+    expect(txr.t('app.broken', { name: 'Ada' })).toBe('Hello {name');
+    expect(txr.t('app.broken')).toBe('Hello {name');
+    await flushPromises();
+
+    // Parsed once per key and language
+    expect(errors).toEqual([expect.objectContaining({ code: 'INVALID_MESSAGE', message: expect.stringContaining('"app.broken"') })]);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
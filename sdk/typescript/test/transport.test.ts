@@ -0,0 +1,204 @@
+import type { Tenlixor } from '../src/tenlixor';
+import type { TenlixorRequest, TenlixorResponseContext, TenlixorTransportInit } from '../src/types';
+import { TestApi, createBody, createResponse, createTenlixor } from './helpers';
+import { LiveServer, waitFor } from './live-server';
+
+describe('transport and interceptors', () => {
+  let api: TestApi;
+
+  beforeEach(() => {
+    api = new TestApi({ en: { 'app.title': 'Hello' } });
+  });
+
+  it('sends requests through the transport instead of the global fetch', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch');
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(fetchSpy).not.toHaveBeenCalled();
+    expect(api.requests).toHaveLength(1);
+    expect(api.requests[0].url).toBe('https://api-tenlixor.verbytes.com/api/v1/strings?language_code=en');
+    expect(api.requests[0].init).toMatchObject({
+      method: 'GET',
+      headers: { 'X-Tenant-Slug': 'acme', 'X-API-Key': 'test-token' }
+    });
+    expect(txr.t('app.title')).toBe('Hello');
+    fetchSpy.mockRestore();
+  });
+
+  it('sends the request as modified by onRequest', async () => {
+    const txr = createTenlixor(api, {
+      onRequest: request => {
+        request.url = request.url.replace('https://api-tenlixor.verbytes.com', 'https://gateway.test/i18n');
+        request.headers['X-Trace-Id'] = 'trace-1';
+      }
+    });
+    await txr.init();
+
+    expect(api.requests[0].url).toBe('https://gateway.test/i18n/api/v1/strings?language_code=en');
+    expect(api.requests[0].init.headers).toMatchObject({ 'X-Trace-Id': 'trace-1', 'X-API-Key': 'test-token' });
+  });
+
+  it('sends a replacement request returned by an async onRequest', async () => {
+    const txr = createTenlixor(api, {
+      onRequest: async request => ({ ...request, url: `${request.url}&region=eu`, headers: { Authorization: 'Bearer gateway' } })
+    });
+    await txr.init();
+
+    expect(api.requests[0].params.get('region')).toBe('eu');
+    expect(api.requests[0].init.headers).toEqual({ Authorization: 'Bearer gateway' });
+  });
+
+  it('passes each page request through onRequest', async () => {
+    api.handle = params => {
+      const page = Number(params.get('page') || 1);
+      return createResponse(createBody('en', [{ key: `key.${page}`, value: `page ${page}` }], { page, limit: 1, total: 2 }));
+    };
+    const seen: string[] = [];
+    const txr = createTenlixor(api, {
+      onRequest: request => {
+        seen.push(request.url);
+      }
+    });
+    await txr.init();
+
+    expect(seen).toHaveLength(2);
+    expect(seen[1]).toContain('&page=2&limit=1');
+    expect(txr.t('key.2')).toBe('page 2');
+  });
+
+  it('uses the body returned by onResponse, with the sent request as context', async () => {
+    api.handle = params => createResponse({ payload: createBody(params.get('language_code')!, [{ key: 'app.title', value: 'Wrapped' }]) }, 200, { 'X-Gateway': 'edge-1' });
+    const contexts: TenlixorResponseContext[] = [];
+    const txr = createTenlixor(api, {
+      onRequest: request => {
+        request.headers['X-Trace-Id'] = 'trace-1';
+      },
+      onResponse: (body, context) => {
+        contexts.push(context);
+        return body.payload;
+      }
+    });
+    await txr.init();
+
+    expect(txr.t('app.title')).toBe('Wrapped');
+    expect(contexts).toHaveLength(1);
+    expect(contexts[0].status).toBe(200);
+    expect(contexts[0].headers.get('X-Gateway')).toBe('edge-1');
+    expect(contexts[0].request.headers['X-Trace-Id']).toBe('trace-1');
+  });
+
+  it('does not call onResponse for 304 Not Modified', async () => {
+    localStorage.clear();
+    api.handle = (_params, init) => init.headers['If-None-Match']
+      ? createResponse(null, 304)
+      : createResponse(createBody('en', [{ key: 'app.title', value: 'Hello' }]), 200, { ETag: '"v1"' });
+    const onResponse = jest.fn(body => body);
+    const txr = createTenlixor(api, { cache: true, onResponse });
+    await txr.init();
+    await txr.reload();
+
+    expect(api.requests).toHaveLength(2);
+    expect(onResponse).toHaveBeenCalledTimes(1);
+    expect(txr.t('app.title')).toBe('Hello');
+    localStorage.clear();
+  });
+
+  describe('live event stream', () => {
+    let server: LiveServer;
+    let txr: Tenlixor | null;
+
+    beforeEach(async () => {
+      server = new LiveServer();
+      await server.listen();
+      txr = null;
+    });
+
+    afterEach(async () => {
+      if (txr) {
+        txr.destroy();
+      }
+      await server.close();
+    });
+
+    it('connects through the transport and onRequest instead of the global fetch', async () => {
+      const originalFetch = global.fetch;
+      const fetchSpy = jest.spyOn(global, 'fetch').mockRejectedValue(new Error('no global fetch'));
+      const liveRequests: Array<{ url: string; init: TenlixorTransportInit }> = [];
+      const requests: TenlixorRequest[] = [];
+      txr = createTenlixor(api, {
+        live: { url: 'https://gateway.test/live', reconnectDelay: 10 },
+        transport: (url, init) => {
+          if (url.indexOf('/live') === -1) {
+            return api.transport(url, init);
+          }
+          liveRequests.push({ url, init });
+          return originalFetch(url, init);
+        },
+        onRequest: request => {
+          requests.push(request);
+          request.url = request.url.replace('https://gateway.test/live', server.url);
+          request.headers['X-Trace-Id'] = 'trace-1';
+        }
+      });
+
+      try {
+        await txr.init();
+        await waitFor(() => server.openConnections.length === 1);
+      } finally {
+        fetchSpy.mockRestore();
+      }
+
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(requests.map(request => request.url)).toEqual([
+        expect.stringContaining('language_code=en'),
+        server.url
+      ]);
+      expect(liveRequests).toEqual([{
+        url: server.url,
+        init: expect.objectContaining({ method: 'GET', cache: 'no-store', signal: expect.any(Object) })
+      }]);
+      expect(server.connections[0].headers).toMatchObject({
+        'x-trace-id': 'trace-1',
+        'x-api-key': 'test-token',
+        accept: 'text/event-stream'
+      });
+    });
+
+    it('passes each message through onResponse', async () => {
+      const contexts: TenlixorResponseContext[] = [];
+      txr = createTenlixor(api, {
+        live: { url: server.url, reconnectDelay: 10 },
+        transport: server.transport(api),
+        onResponse: (body, context) => {
+          contexts.push(context);
+          return body.payload || body;
+        }
+      });
+      await txr.init();
+      await waitFor(() => server.openConnections.length === 1);
+      contexts.length = 0;
+
+      server.push({ payload: { languages: [{ code: 'en', resources: [{ key: 'app.title', value: 'Unwrapped' }] }] } });
+      await waitFor(() => txr!.t('app.title') === 'Unwrapped');
+
+      expect(contexts).toHaveLength(1);
+      expect(contexts[0].status).toBe(200);
+      expect(contexts[0].request.url).toBe(server.url);
+    });
+
+    it('reports a transport without a body stream', async () => {
+      const errors: string[] = [];
+      txr = createTenlixor(api, {
+        live: { url: server.url, reconnectDelay: 10000 },
+        transport: (url, init) => url === server.url ? Promise.resolve(createResponse(null)) : api.transport(url, init)
+      });
+      txr.on('error', event => errors.push(event.code));
+      await txr.init();
+      await waitFor(() => errors.length > 0);
+
+      expect(errors).toEqual(['INVALID_RESPONSE']);
+      expect(server.connections).toHaveLength(0);
+    });
+  });
+});
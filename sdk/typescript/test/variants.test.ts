@@ -0,0 +1,67 @@
+import { TestApi, createTenlixor } from './helpers';
+
+describe('context and plural variants', () => {
+  const api = new TestApi({
+    en: {
+      'greeting': 'Hello',
+      'greeting_female': 'Hello, madam',
+      'greeting_male': 'Hello, sir',
+      'invite': '{name} invited you',
+      'invite_female_other': '{name} invited you and {count} others (her team)',
+      'invite_female': '{name} invited you (her)',
+      'invite_one': '{name} invited you and one other',
+      'invite_other': '{name} invited you and {count} others'
+    },
+    pl: {
+      'file_one': '{count} plik',
+      'file_few': '{count} pliki',
+      'file_many': '{count} plików'
+    }
+  });
+
+  it('picks the context variant and falls back to the base key', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.t('greeting', { context: 'female' })).toBe('Hello, madam');
+    expect(txr.t('greeting', { context: 'male' })).toBe('Hello, sir');
+    expect(txr.t('greeting', { context: 'other' })).toBe('Hello');
+    expect(txr.t('greeting', { context: '' })).toBe('Hello');
+  });
+
+  it('picks plural variants by the plural category of count', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.t('invite', { name: 'Ada', count: 1 })).toBe('Ada invited you and one other');
+    expect(txr.t('invite', { name: 'Ada', count: 4 })).toBe('Ada invited you and 4 others');
+  });
+
+  it('prefers context_plural, then context, then plural variants', async () => {
+    const txr = createTenlixor(api);
+    await txr.init();
+
+    expect(txr.t('invite', { name: 'Ada', context: 'female', count: 3 })).toBe('Ada invited you and 3 others (her team)');
+    expect(txr.t('invite', { name: 'Ada', context: 'female', count: 1 })).toBe('Ada invited you (her)');
+    expect(txr.t('invite', { name: 'Ada', context: 'male', count: 1 })).toBe('Ada invited you and one other');
+  });
+
+  it('uses the plural rules of the requested language', async () => {
+    const txr = createTenlixor(api, { language: 'pl' });
+    await txr.init();
+
+    expect(txr.t('file', { count: 1 })).toBe('1 plik');
+    expect(txr.t('file', { count: 3 })).toBe('3 pliki');
+    expect(txr.t('file', { count: 5 })).toBe('5 plików');
+  });
+
+  it('does not report a missing key when only a variant is missing', async () => {
+    const txr = createTenlixor(api);
+    const missing = jest.fn();
+    txr.on('missing-key', missing);
+    await txr.init();
+
+    txr.t('greeting', { context: 'robot', count: 2 });
+    expect(missing).not.toHaveBeenCalled();
+  });
+});
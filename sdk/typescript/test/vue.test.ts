@@ -0,0 +1,137 @@
+import { computed, createApp, defineComponent, h, nextTick } from 'vue';
+import { createTenlixorPlugin, useTenlixorNamespace, useTenlixorTranslate } from '../src/adapters/vue.plugin';
+import type { TenlixorNamespaceComposable, TenlixorTranslateComposable } from '../src/adapters/vue.plugin';
+import type { TenlixorConfig, TenlixorEventType } from '../src/types';
+import { TestApi, flushPromises } from './helpers';
+
+describe('Vue adapter', () => {
+  const api = new TestApi({
+    en: { 'app.title': 'Hello', 'checkout.title': 'Checkout' },
+    tr: { 'app.title': 'Merhaba' },
+    ar: { 'app.title': 'مرحبا' }
+  });
+
+  function mount<T>(setup: () => T, config: Partial<TenlixorConfig> = {}): { result: T; unmount: () => void; plugin: ReturnType<typeof createTenlixorPlugin> } {
+    const plugin = createTenlixorPlugin({
+      token: 'test-token',
+      tenantSlug: 'acme',
+      cache: false,
+      autoScan: false,
+      retries: 0,
+      transport: api.transport,
+      ...config
+    });
+    let result!: T;
+    const app = createApp(defineComponent({
+      setup() {
+        result = setup();
+        return () => h('div');
+      }
+    }));
+    app.use(plugin);
+    app.mount(document.createElement('div'));
+    return { result, unmount: () => app.unmount(), plugin };
+  }
+
+  function listenerCounts(plugin: ReturnType<typeof createTenlixorPlugin>): { [event: string]: number } {
+    const listeners = (plugin.instance as unknown as { listeners: { [event in TenlixorEventType]: unknown[] } }).listeners;
+    const counts: { [event: string]: number } = {};
+    Object.keys(listeners).forEach(event => {
+      counts[event] = listeners[event as TenlixorEventType].length;
+    });
+    return counts;
+  }
+
+  it('keeps reactive state in sync with the instance', async () => {
+    const { result, plugin } = mount<TenlixorTranslateComposable>(() => useTenlixorTranslate());
+    await plugin.instance.ready();
+    await nextTick();
+
+    expect(result.isReady.value).toBe(true);
+    expect(result.t('app.title')).toBe('Hello');
+
+    await result.setLanguage('tr');
+    expect(result.currentLanguage.value).toBe('tr');
+    expect(result.t('app.title')).toBe('Merhaba');
+  });
+
+  it('re-computes translations when the language changes', async () => {
+    const { result, plugin } = mount(() => {
+      const { t } = useTenlixorTranslate();
+      return computed(() => t('app.title'));
+    });
+    await plugin.instance.ready();
+    expect(result.value).toBe('Hello');
+
+    await plugin.instance.setLanguage('tr');
+    expect(result.value).toBe('Merhaba');
+  });
+
+  it('follows the text direction of the language', async () => {
+    const { result, plugin } = mount<TenlixorTranslateComposable>(() => useTenlixorTranslate());
+    await plugin.instance.ready();
+    expect(result.direction.value).toBe('ltr');
+
+    await result.setLanguage('ar');
+    expect(result.direction.value).toBe('rtl');
+  });
+
+  it('removes its listeners when the component unmounts', async () => {
+    const { plugin, unmount } = mount(() => null);
+    const baseline = listenerCounts(plugin);
+
+    let result!: TenlixorTranslateComposable;
+    const app = createApp(defineComponent({
+      setup() {
+        result = useTenlixorTranslate();
+        return () => h('div');
+      }
+    }));
+    app.use(plugin);
+    app.mount(document.createElement('div'));
+    expect(listenerCounts(plugin)).not.toEqual(baseline);
+
+    app.unmount();
+    expect(listenerCounts(plugin)).toEqual(baseline);
+
+    await plugin.instance.ready();
+    await plugin.instance.setLanguage('tr');
+    expect(result.currentLanguage.value).toBe('en');
+    unmount();
+  });
+
+  it('loads namespaces and resolves ready', async () => {
+    const { result } = mount<TenlixorNamespaceComposable>(() => useTenlixorNamespace('checkout'));
+
+    await result.ready;
+    expect(result.isLoaded.value).toBe(true);
+    expect(result.error.value).toBeNull();
+    expect(result.t('title')).toBe('Checkout');
+  });
+
+  it('re-computes namespace translations once the namespace loads', async () => {
+    const { result } = mount(() => {
+      const namespace = useTenlixorNamespace('checkout');
+      return { ...namespace, title: computed(() => namespace.t('title')) };
+    }, { namespaces: ['app'] });
+    expect(result.title.value).toBe('checkout.title');
+
+    await result.ready;
+    expect(result.title.value).toBe('Checkout');
+  });
+
+  it('exposes namespace load failures through ready and the error ref', async () => {
+    const handle = api.handle;
+    api.handle = () => {
+      throw new Error('offline');
+    };
+    const { result } = mount<TenlixorNamespaceComposable>(() => useTenlixorNamespace('checkout'));
+
+    await expect(result.ready).rejects.toMatchObject({ code: 'NETWORK' });
+    expect(result.isLoaded.value).toBe(false);
+    expect(result.error.value).toMatchObject({ code: 'NETWORK' });
+
+    api.handle = handle;
+    await flushPromises();
+  });
+});